@@ -6,6 +6,7 @@ const morgan = require('morgan');
 const logger = require('./utils/logger');
 const whatsappService = require('./services/whatsapp.service');
 const instanceManager = require('./services/whatsappInstanceManager.service');
+const webhookSocketServer = require('./core/webhook-socket.core');
 const modeConfig = require('./config/mode.config');
 const routes = require('./routes');
 
@@ -41,8 +42,10 @@ app.use(
     })
 );
 app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Base64 media in send-media bodies needs more than the 100kb default
+const bodyLimit = process.env.JSON_BODY_LIMIT || '25mb';
+app.use(express.json({ limit: bodyLimit }));
+app.use(express.urlencoded({ extended: true, limit: bodyLimit }));
 
 // Custom morgan format with winston
 app.use(morgan('combined', {
@@ -63,6 +66,14 @@ app.use(routes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({
+            success: false,
+            error: 'Payload too large',
+            message: `Request body exceeds ${bodyLimit}. Upload large media as multipart/form-data`
+        });
+    }
+
     logger.error('Unhandled error:', err);
     res.status(500).json({
         success: false,
@@ -110,7 +121,7 @@ const initializeServices = async () => {
 };
 
 // Start server
-app.listen(PORT, async () => {
+const server = app.listen(PORT, async () => {
     logger.info(`🚀 Server running on port ${PORT}`);
     logger.info(`📱 WhatsApp API server started`);
 
@@ -118,4 +129,9 @@ app.listen(PORT, async () => {
     await initializeServices();
 });
 
+// Clients of websocket webhooks connect to /ws/webhooks
+if (modeConfig.isMultiModeEnabled()) {
+    webhookSocketServer.attach(server);
+}
+
 module.exports = app;
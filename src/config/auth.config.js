@@ -0,0 +1,53 @@
+/**
+ * API Authentication Configuration
+ * Defines the API key scopes and how authentication is enforced
+ */
+
+// Available scopes
+const SCOPES = {
+    ALL: '*',                               // Full access, including API key management
+    ADMIN: 'admin',                         // API key management and global maintenance
+    INSTANCES_READ: 'instances:read',       // List instances, status, QR codes, logs, plugins
+    INSTANCES_WRITE: 'instances:write',     // Create, update, delete and restart instances, plugin config
+    MESSAGES_SEND: 'messages:send',         // Send, schedule, broadcast, edit, delete messages; templates, presence
+    MESSAGES_READ: 'messages:read',         // History, chats, stats, scheduled messages, broadcasts, templates
+    GROUPS_READ: 'groups:read',             // List groups, group metadata, participants and invite links
+    GROUPS_WRITE: 'groups:write',           // Create, update and leave groups, manage participants and invite links
+    CONTACTS_READ: 'contacts:read',         // Contacts, WhatsApp number lookups, profiles, presence subscriptions
+    WEBHOOKS_READ: 'webhooks:read',         // List webhooks and webhook history
+    WEBHOOKS_WRITE: 'webhooks:write'        // Create, update, toggle and delete webhooks
+};
+
+/**
+ * Check if API key authentication is enforced
+ * Authentication is enabled unless API_AUTH_ENABLED is explicitly set to 'false'
+ * @returns {boolean}
+ */
+const isAuthEnabled = () => {
+    return process.env.API_AUTH_ENABLED?.toLowerCase() !== 'false';
+};
+
+/**
+ * Get the bootstrap admin key from environment
+ * This key has every scope and is used to create the first API keys
+ * @returns {string|null}
+ */
+const getAdminApiKey = () => {
+    return process.env.ADMIN_API_KEY || null;
+};
+
+/**
+ * Check if a scope name is known
+ * @param {string} scope - Scope name
+ * @returns {boolean}
+ */
+const isValidScope = (scope) => {
+    return Object.values(SCOPES).includes(scope);
+};
+
+module.exports = {
+    SCOPES,
+    isAuthEnabled,
+    getAdminApiKey,
+    isValidScope
+};
@@ -0,0 +1,105 @@
+/**
+ * Webhook Event Catalog
+ * Lists every event a webhook can subscribe to and resolves subscription patterns
+ */
+
+// Events emitted by the instance manager
+const WEBHOOK_EVENTS = {
+    'connection.update': 'Instance connection state changed (connecting, qr, connected, disconnected)',
+    'message.received': 'Incoming message received by the instance',
+    'message.media': 'Attachment of an incoming message finished downloading, or failed to',
+    'message.sent': 'Message sent through the API',
+    'message.status': 'Delivery status of an outgoing message changed (sent, delivered, read, failed)',
+    'message.edited': 'Text of a message was edited through the API',
+    'message.revoked': 'Message was deleted through the API, for everyone or for this device only',
+    'group.participants.update': 'Members joined, left or were added, removed, promoted or demoted in a group',
+    'group.update': 'Group subject, description or settings changed'
+};
+
+// Subscribes to every event
+const WILDCARD = '*';
+
+/**
+ * Get the event catalog
+ * @returns {Array<{name: string, description: string}>}
+ */
+const getEventCatalog = () => {
+    return Object.entries(WEBHOOK_EVENTS).map(([name, description]) => ({ name, description }));
+};
+
+/**
+ * Check if a subscription pattern matches an event
+ * Patterns are an event name, '*', or a namespace wildcard such as 'message.*'
+ * @param {string} pattern - Subscription pattern
+ * @param {string} event - Emitted event name
+ * @returns {boolean}
+ */
+const matchesEvent = (pattern, event) => {
+    if (pattern === WILDCARD || pattern === event) return true;
+
+    if (pattern.endsWith('.*')) {
+        return event.startsWith(pattern.slice(0, -1));
+    }
+
+    return false;
+};
+
+/**
+ * Check if a subscription pattern is known
+ * Wildcard patterns must match at least one catalog event
+ * @param {string} pattern - Subscription pattern
+ * @returns {boolean}
+ */
+const isValidEventPattern = (pattern) => {
+    if (typeof pattern !== 'string') return false;
+    if (pattern === WILDCARD || pattern in WEBHOOK_EVENTS) return true;
+
+    return /^[a-z-]+(\.[a-z-]+)*\.\*$/.test(pattern) &&
+        Object.keys(WEBHOOK_EVENTS).some(event => matchesEvent(pattern, event));
+};
+
+/**
+ * Normalize and validate the events of a webhook subscription
+ * @param {string|string[]} events - A single pattern or a list of patterns
+ * @returns {{events: string[]|null, error: string|null}}
+ */
+const normalizeEvents = (events) => {
+    const list = Array.isArray(events) ? events : [events];
+
+    if (list.length === 0 || list.some(event => typeof event !== 'string' || event.trim() === '')) {
+        return { events: null, error: 'event must be a non-empty string or an array of non-empty strings' };
+    }
+
+    const normalized = [...new Set(list.map(event => event.trim()))];
+    const unknown = normalized.filter(event => !isValidEventPattern(event));
+
+    if (unknown.length > 0) {
+        return {
+            events: null,
+            error: `Unknown event(s): ${unknown.join(', ')}. See GET /api/v1/webhooks/events for the supported events`
+        };
+    }
+
+    return { events: normalized, error: null };
+};
+
+/**
+ * Get the subscription patterns of a webhook
+ * Webhooks created before multi-event support only have the single `event` field
+ * @param {Object} webhook - Webhook record
+ * @returns {string[]}
+ */
+const getWebhookEvents = (webhook) => {
+    if (Array.isArray(webhook.events) && webhook.events.length > 0) return webhook.events;
+    return webhook.event ? [webhook.event] : [];
+};
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    WILDCARD,
+    getEventCatalog,
+    matchesEvent,
+    isValidEventPattern,
+    normalizeEvents,
+    getWebhookEvents
+};
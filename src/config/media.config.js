@@ -0,0 +1,81 @@
+/**
+ * Media Configuration
+ * Controls downloading of incoming media, where it is stored and how download URLs are signed
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const DEFAULT_MAX_SIZE_MB = 50;
+const DEFAULT_URL_TTL_SECONDS = 86400;
+
+let generatedUrlSecret = null;
+
+/**
+ * Check if incoming media is downloaded
+ * Enabled unless MEDIA_DOWNLOAD_ENABLED is explicitly set to 'false'
+ * @returns {boolean}
+ */
+const isDownloadEnabled = () => {
+    return process.env.MEDIA_DOWNLOAD_ENABLED?.toLowerCase() !== 'false';
+};
+
+/**
+ * Get the storage backend name
+ * @returns {string}
+ */
+const getStorageBackend = () => {
+    return process.env.MEDIA_STORAGE?.toLowerCase() || 'local';
+};
+
+/**
+ * Get the largest attachment that is downloaded, in bytes
+ * @returns {number}
+ */
+const getMaxSize = () => {
+    const megabytes = parseFloat(process.env.MEDIA_MAX_SIZE_MB);
+    return (megabytes > 0 ? megabytes : DEFAULT_MAX_SIZE_MB) * 1024 * 1024;
+};
+
+/**
+ * Get how long signed download URLs stay valid, in seconds
+ * @returns {number}
+ */
+const getUrlTtl = () => {
+    const seconds = parseInt(process.env.MEDIA_URL_TTL);
+    return seconds > 0 ? seconds : DEFAULT_URL_TTL_SECONDS;
+};
+
+/**
+ * Get the secret that signs download URLs
+ * Without MEDIA_URL_SECRET a random secret is used, so URLs stop working on restart
+ * @returns {string}
+ */
+const getUrlSecret = () => {
+    if (process.env.MEDIA_URL_SECRET) return process.env.MEDIA_URL_SECRET;
+
+    if (!generatedUrlSecret) {
+        generatedUrlSecret = crypto.randomBytes(32).toString('hex');
+        logger.warn('⚠️  MEDIA_URL_SECRET is not set; signed media URLs will be invalid after a restart');
+    }
+
+    return generatedUrlSecret;
+};
+
+/**
+ * Get the base URL download links are built on
+ * @returns {string}
+ */
+const getPublicBaseUrl = () => {
+    const baseUrl = process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+    return baseUrl.replace(/\/+$/, '');
+};
+
+module.exports = {
+    isDownloadEnabled,
+    getStorageBackend,
+    getMaxSize,
+    getUrlTtl,
+    getUrlSecret,
+    getPublicBaseUrl
+};
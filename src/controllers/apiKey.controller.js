@@ -0,0 +1,158 @@
+const logger = require('../utils/logger');
+const apiKeyService = require('../services/apiKeyService');
+const authConfig = require('../config/auth.config');
+
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+const apiKeyController = {
+    // Get all API keys
+    getApiKeys: async (req, res) => {
+        try {
+            logger.info('🔑 Get API keys request received');
+
+            const includeRevoked = req.query.includeRevoked === 'true';
+            const apiKeys = await apiKeyService.findAll({ includeRevoked });
+
+            res.status(200).json({
+                success: true,
+                data: apiKeys
+            });
+        } catch (error) {
+            logger.error('❌ Error getting API keys:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get API keys',
+                message: error.message
+            });
+        }
+    },
+
+    // Get a specific API key
+    getApiKey: async (req, res) => {
+        try {
+            const { id } = req.params;
+            logger.info(`🔑 Get API key request received for ${id}`);
+
+            const apiKey = OBJECT_ID_PATTERN.test(id) ? await apiKeyService.findById(id) : null;
+            if (!apiKey) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'API key not found',
+                    message: `API key with id ${id} not found`
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                data: apiKey
+            });
+        } catch (error) {
+            logger.error(`❌ Error getting API key ${req.params.id}:`, error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get API key',
+                message: error.message
+            });
+        }
+    },
+
+    // Create a new API key
+    createApiKey: async (req, res) => {
+        try {
+            const { name, scopes, instancePhones, expiresAt } = req.body;
+
+            // Validation
+            if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Missing required fields',
+                    message: 'name and a non-empty scopes array are required'
+                });
+            }
+
+            const invalidScopes = scopes.filter(scope => !authConfig.isValidScope(scope));
+            if (invalidScopes.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid scopes',
+                    message: `Unknown scopes: ${invalidScopes.join(', ')}. Available scopes: ${Object.values(authConfig.SCOPES).join(', ')}`
+                });
+            }
+
+            if (instancePhones !== undefined && !Array.isArray(instancePhones)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid instancePhones',
+                    message: 'instancePhones must be an array of instance phone numbers'
+                });
+            }
+
+            if (expiresAt !== undefined && isNaN(new Date(expiresAt).getTime())) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid expiresAt',
+                    message: 'expiresAt must be a valid date'
+                });
+            }
+
+            logger.info(`🔑 Create API key request received for ${name}`);
+
+            const { apiKey, key } = await apiKeyService.create({
+                name,
+                scopes,
+                instancePhones: (instancePhones || []).map(phone => String(phone).replace(/[^\d]/g, '')),
+                expiresAt: expiresAt ? new Date(expiresAt) : undefined
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'API key created successfully. Store the key now, it will not be shown again',
+                data: {
+                    ...apiKey,
+                    key
+                }
+            });
+        } catch (error) {
+            logger.error('❌ Error creating API key:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to create API key',
+                message: error.message
+            });
+        }
+    },
+
+    // Revoke an API key
+    revokeApiKey: async (req, res) => {
+        try {
+            const { id } = req.params;
+            logger.info(`🔑 Revoke API key request received for ${id}`);
+
+            const existing = OBJECT_ID_PATTERN.test(id) ? await apiKeyService.findById(id) : null;
+            if (!existing) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'API key not found',
+                    message: `API key with id ${id} not found`
+                });
+            }
+
+            const apiKey = await apiKeyService.revoke(id);
+
+            res.status(200).json({
+                success: true,
+                message: 'API key revoked successfully',
+                data: apiKey
+            });
+        } catch (error) {
+            logger.error(`❌ Error revoking API key ${req.params.id}:`, error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to revoke API key',
+                message: error.message
+            });
+        }
+    }
+};
+
+module.exports = apiKeyController;
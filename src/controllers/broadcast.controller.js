@@ -0,0 +1,377 @@
+const broadcastService = require('../services/broadcastService');
+const instanceService = require('../services/instanceService');
+const instanceManager = require('../services/whatsappInstanceManager.service');
+const { normalizePhoneNumber, PhoneNumberError } = require('../utils/phone');
+const { resolveMediaInput } = require('../utils/outgoingMedia');
+const { findMissingVariables } = require('../utils/textTemplate');
+const { parseRecipients, parsePacing } = require('../utils/broadcast');
+const logger = require('../utils/logger');
+
+const MAX_PAGE_SIZE = 200;
+const BROADCAST_STATUSES = ['running', 'paused', 'completed', 'cancelled'];
+const RECIPIENT_STATUSES = ['pending', 'sending', 'sent', 'failed', 'cancelled'];
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+/**
+ * Parse limit, skip and status query parameters
+ * @param {Object} query - req.query
+ * @param {string[]} statuses - Accepted status values
+ * @returns {{options: {take: number, skip: number, status?: string}|null, error: string|null}}
+ */
+const parsePageQuery = (query, statuses) => {
+    const { limit = 50, skip = 0, status } = query;
+    const take = parseInt(limit);
+    const offset = parseInt(skip);
+
+    if (!Number.isInteger(take) || take < 1 || take > MAX_PAGE_SIZE || !Number.isInteger(offset) || offset < 0) {
+        return { options: null, error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE} and skip a non-negative integer` };
+    }
+
+    if (status !== undefined && !statuses.includes(status)) {
+        return { options: null, error: `status must be one of: ${statuses.join(', ')}` };
+    }
+
+    return { options: { take, skip: offset, status }, error: null };
+};
+
+/**
+ * Find the instance and one of its broadcasts, or respond with 404
+ * @returns {Promise<Object|null>} - The broadcast, or null if a response was sent
+ */
+const findBroadcast = async (req, res) => {
+    const { phone, id } = req.params;
+
+    const instance = await instanceService.findByPhone(phone);
+    if (!instance) {
+        res.status(404).json({
+            success: false,
+            error: 'Instance not found',
+            message: `Instance with phone ${phone} not found`
+        });
+        return null;
+    }
+
+    const broadcast = OBJECT_ID_PATTERN.test(id) ? await broadcastService.findById(id) : null;
+    if (!broadcast || broadcast.instanceId !== instance.id) {
+        res.status(404).json({
+            success: false,
+            error: 'Broadcast not found',
+            message: `Broadcast with id ${id} not found`
+        });
+        return null;
+    }
+
+    return broadcast;
+};
+
+/**
+ * Apply a pause, resume or cancel action to a broadcast
+ * @param {string} action - Service method: 'pause', 'resume' or 'cancel'
+ * @param {string} allowedFrom - Statuses the action applies to, for the 409 message
+ */
+const changeBroadcastStatus = (action, allowedFrom) => async (req, res) => {
+    try {
+        const broadcast = await findBroadcast(req, res);
+        if (!broadcast) return;
+
+        const changed = await broadcastService[action](broadcast.id);
+        const current = await broadcastService.findById(broadcast.id);
+
+        if (!changed) {
+            return res.status(409).json({
+                success: false,
+                error: 'Invalid broadcast status',
+                message: `Only ${allowedFrom} broadcasts can be ${action === 'cancel' ? 'cancelled' : `${action}d`}, this one is ${current.status}`
+            });
+        }
+
+        logger.info(`📢 Broadcast ${broadcast.id} ${current.status}`);
+
+        res.status(200).json({
+            success: true,
+            data: current,
+            message: `Broadcast ${current.status}`
+        });
+    } catch (error) {
+        logger.error(`Error applying ${action} to broadcast:`, error);
+        res.status(500).json({
+            success: false,
+            error: `Failed to ${action} broadcast`,
+            message: error.message
+        });
+    }
+};
+
+const broadcastController = {
+    // Create a broadcast job that sends a text or media template to a list of recipients
+    createBroadcast: async (req, res) => {
+        try {
+            const { phone } = req.params;
+            const { name, message, media: mediaFields, recipients: recipientList, countryCode, signature } = req.body || {};
+
+            if ((message === undefined) === (mediaFields === undefined)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Missing required fields',
+                    message: 'Provide either message or media'
+                });
+            }
+
+            if (message !== undefined && (typeof message !== 'string' || message.trim() === '')) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid message format',
+                    message: 'Message must be a non-empty string'
+                });
+            }
+
+            let media = null;
+            if (mediaFields !== undefined) {
+                const resolved = resolveMediaInput(mediaFields);
+                // Uploads and base64 data are not kept, so every recipient's copy is fetched from the url
+                const mediaError = resolved.error || (resolved.media.origin !== 'url' ? 'Broadcast media must be sent from media.url' : null);
+                if (mediaError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid media',
+                        message: mediaError
+                    });
+                }
+                const { type, url, mimetype, caption, filename } = resolved.media;
+                media = { type, url, mimetype: mimetype || undefined, caption, filename };
+            }
+
+            if (name !== undefined && (typeof name !== 'string' || name.length > 100)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid name',
+                    message: 'name must be a string of at most 100 characters'
+                });
+            }
+
+            if (signature !== undefined && typeof signature !== 'boolean') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid signature option',
+                    message: 'signature must be a boolean'
+                });
+            }
+
+            const { pacing, error: pacingError } = parsePacing(req.body);
+            if (pacingError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid pacing',
+                    message: pacingError
+                });
+            }
+
+            const { recipients, error: recipientsError } = parseRecipients(recipientList);
+            if (recipientsError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid recipients',
+                    message: recipientsError
+                });
+            }
+
+            // Check if instance exists; it does not have to be connected, the job waits for it
+            const instance = instanceManager.getInstance(phone);
+            if (!instance) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Instance not found',
+                    message: `WhatsApp instance ${phone} not found`
+                });
+            }
+
+            // Normalize every number and check its variables up front, so the job cannot fail half way on bad input
+            const template = message ?? media.caption ?? '';
+            const seen = new Set();
+            const jobRecipients = [];
+
+            for (const [index, recipient] of recipients.entries()) {
+                let to;
+                try {
+                    to = normalizePhoneNumber(recipient.to, {
+                        countryCode,
+                        defaultCountryCode: instance.instanceData.defaultCountryCode
+                    });
+                } catch (phoneError) {
+                    if (!(phoneError instanceof PhoneNumberError)) throw phoneError;
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid phone number',
+                        message: `recipients[${index}]: ${phoneError.message}`
+                    });
+                }
+
+                const missing = findMissingVariables(template, recipient.variables);
+                if (missing.length > 0) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Missing template variables',
+                        message: `recipients[${index}] is missing variables: ${missing.join(', ')}`
+                    });
+                }
+
+                // Each number gets the message once, with the variables of its first entry
+                if (seen.has(to)) continue;
+                seen.add(to);
+                jobRecipients.push({ to, variables: recipient.variables });
+            }
+
+            const broadcast = await broadcastService.create({
+                instanceId: instance.instanceData.id,
+                name,
+                message: message?.trim(),
+                media,
+                options: { signature },
+                pacing
+            }, jobRecipients);
+
+            logger.info(`📢 Broadcast ${broadcast.id} created on instance ${phone} for ${jobRecipients.length} recipients`);
+
+            res.status(201).json({
+                success: true,
+                data: {
+                    ...broadcast,
+                    duplicatesRemoved: recipients.length - jobRecipients.length
+                },
+                message: 'Broadcast created successfully'
+            });
+        } catch (error) {
+            logger.error(`❌ Error creating broadcast on instance ${req.params.phone}:`, error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to create broadcast',
+                message: error.message
+            });
+        }
+    },
+
+    // List the broadcasts of an instance, newest first
+    getBroadcasts: async (req, res) => {
+        try {
+            const { phone } = req.params;
+
+            const { options, error } = parsePageQuery(req.query, BROADCAST_STATUSES);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid query',
+                    message: error
+                });
+            }
+
+            const instance = await instanceService.findByPhone(phone);
+            if (!instance) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Instance not found',
+                    message: `Instance with phone ${phone} not found`
+                });
+            }
+
+            const { items, total } = await broadcastService.findByInstance(instance.id, options);
+
+            res.status(200).json({
+                success: true,
+                data: items,
+                meta: {
+                    count: items.length,
+                    total,
+                    limit: options.take,
+                    skip: options.skip,
+                    hasMore: options.skip + items.length < total
+                }
+            });
+        } catch (error) {
+            logger.error('Error getting broadcasts:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get broadcasts',
+                message: error.message
+            });
+        }
+    },
+
+    // Get a broadcast with its progress
+    getBroadcast: async (req, res) => {
+        try {
+            const broadcast = await findBroadcast(req, res);
+            if (!broadcast) return;
+
+            const counts = await broadcastService.countRecipientsByStatus(broadcast.id);
+            const processed = broadcast.sentCount + broadcast.failedCount;
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    ...broadcast,
+                    progress: {
+                        ...counts,
+                        total: broadcast.totalCount,
+                        percent: broadcast.totalCount > 0 ? Math.round((processed / broadcast.totalCount) * 100) : 100
+                    }
+                }
+            });
+        } catch (error) {
+            logger.error('Error getting broadcast:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get broadcast',
+                message: error.message
+            });
+        }
+    },
+
+    // List the per-recipient results of a broadcast in send order
+    getBroadcastRecipients: async (req, res) => {
+        try {
+            const { options, error } = parsePageQuery(req.query, RECIPIENT_STATUSES);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid query',
+                    message: error
+                });
+            }
+
+            const broadcast = await findBroadcast(req, res);
+            if (!broadcast) return;
+
+            const { items, total } = await broadcastService.findRecipients(broadcast.id, options);
+
+            res.status(200).json({
+                success: true,
+                data: items,
+                meta: {
+                    count: items.length,
+                    total,
+                    limit: options.take,
+                    skip: options.skip,
+                    hasMore: options.skip + items.length < total
+                }
+            });
+        } catch (error) {
+            logger.error('Error getting broadcast recipients:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get broadcast recipients',
+                message: error.message
+            });
+        }
+    },
+
+    // Stop sending until the broadcast is resumed
+    pauseBroadcast: changeBroadcastStatus('pause', 'running'),
+
+    // Continue a paused broadcast
+    resumeBroadcast: changeBroadcastStatus('resume', 'paused'),
+
+    // Stop a broadcast for good; pending recipients are marked cancelled
+    cancelBroadcast: changeBroadcastStatus('cancel', 'running or paused')
+};
+
+module.exports = broadcastController;
@@ -0,0 +1,333 @@
+const instanceManager = require('../services/whatsappInstanceManager.service');
+const instanceService = require('../services/instanceService');
+const contactService = require('../services/contactService');
+const { toPersonalJid, PhoneNumberError } = require('../utils/phone');
+const {
+    CHAT_PRESENCES,
+    INSTANCE_PRESENCES,
+    validateCheckNumbers,
+    isPersonalJid
+} = require('../utils/contact');
+const logger = require('../utils/logger');
+
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Find a connected instance, or respond with an error
+ * @returns {Object|null} - The instance, or null if a response was sent
+ */
+const getConnectedInstance = (req, res) => {
+    const { phone } = req.params;
+
+    const instance = instanceManager.getInstance(phone);
+    if (!instance) {
+        res.status(404).json({
+            success: false,
+            error: 'Instance not found',
+            message: `WhatsApp instance ${phone} not found`
+        });
+        return null;
+    }
+
+    if (!instance.isConnected) {
+        res.status(503).json({
+            success: false,
+            error: 'Instance not connected',
+            message: `WhatsApp instance ${phone} is not connected. Current status: ${instance.connectionStatus}`
+        });
+        return null;
+    }
+
+    return instance;
+};
+
+/**
+ * Resolve a contact from a path parameter: a personal JID or a phone number
+ * @param {string} value - JID or phone number
+ * @param {Object} instance - WhatsApp instance, for its default country code
+ * @param {Object} [options]
+ * @param {boolean} [options.allowGroups] - Also accept group JIDs
+ * @returns {string} - JID
+ * @throws {PhoneNumberError} If the value is not a valid contact
+ */
+const toContactJid = (value, instance, { allowGroups = false } = {}) => {
+    if (!value.includes('@')) {
+        return toPersonalJid(value, { defaultCountryCode: instance.instanceData.defaultCountryCode }).jid;
+    }
+
+    if (isPersonalJid(value) || (allowGroups && value.endsWith('@g.us'))) {
+        return value;
+    }
+
+    throw new PhoneNumberError(`Invalid contact '${value}': expected a phone number or a personal JID${allowGroups ? ' or group JID' : ''}`);
+};
+
+const contactController = {
+    // List the contacts stored for an instance
+    getContacts: async (req, res) => {
+        try {
+            const { phone } = req.params;
+            const { limit = 50, skip = 0, search } = req.query;
+
+            const take = parseInt(limit);
+            const offset = parseInt(skip);
+            if (!Number.isInteger(take) || take < 1 || take > MAX_PAGE_SIZE ||
+                !Number.isInteger(offset) || offset < 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid query',
+                    message: `limit must be an integer between 1 and ${MAX_PAGE_SIZE} and skip a non-negative integer`
+                });
+            }
+
+            const instance = await instanceService.findByPhone(phone);
+            if (!instance) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Instance not found',
+                    message: `Instance with phone ${phone} not found`
+                });
+            }
+
+            const { items, total } = await contactService.findByInstance(instance.id, {
+                search: typeof search === 'string' ? search.trim() : undefined,
+                take,
+                skip: offset
+            });
+
+            res.status(200).json({
+                success: true,
+                data: items,
+                meta: {
+                    count: items.length,
+                    total,
+                    limit: take,
+                    skip: offset,
+                    hasMore: offset + items.length < total
+                }
+            });
+        } catch (error) {
+            logger.error('Error getting contacts:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get contacts',
+                message: error.message
+            });
+        }
+    },
+
+    // Check which numbers have a WhatsApp account
+    checkNumbers: async (req, res) => {
+        try {
+            const { numbers, countryCode } = req.body || {};
+
+            const validationError = validateCheckNumbers(numbers);
+            if (validationError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid numbers',
+                    message: validationError
+                });
+            }
+
+            const instance = getConnectedInstance(req, res);
+            if (!instance) return;
+
+            // Invalid numbers are reported per entry instead of failing the whole lookup
+            const entries = numbers.map(input => {
+                try {
+                    const { number, jid } = toPersonalJid(input, {
+                        countryCode,
+                        defaultCountryCode: instance.instanceData.defaultCountryCode
+                    });
+                    return { input: String(input), number, jid, error: null };
+                } catch (phoneError) {
+                    if (!(phoneError instanceof PhoneNumberError)) throw phoneError;
+                    return { input: String(input), number: null, jid: null, error: phoneError.message };
+                }
+            });
+
+            const jids = [...new Set(entries.filter(entry => entry.jid).map(entry => entry.jid))];
+            const results = jids.length > 0 ? await instanceManager.checkOnWhatsApp(req.params.phone, jids) : [];
+            const exists = new Map(results.map(result => [result.jid, result.exists]));
+
+            const data = entries.map(entry => ({
+                ...entry,
+                exists: entry.jid ? exists.get(entry.jid) || false : false
+            }));
+
+            res.status(200).json({
+                success: true,
+                data,
+                count: data.length,
+                onWhatsApp: data.filter(entry => entry.exists).length
+            });
+        } catch (error) {
+            logger.error('Error checking numbers on WhatsApp:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to check numbers',
+                message: error.message
+            });
+        }
+    },
+
+    // Get a contact's profile picture, status, business profile and last known presence
+    getContact: async (req, res) => {
+        try {
+            const instance = getConnectedInstance(req, res);
+            if (!instance) return;
+
+            let jid;
+            try {
+                jid = toContactJid(req.params.jid, instance);
+            } catch (phoneError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid contact',
+                    message: phoneError.message
+                });
+            }
+
+            const [profile, stored] = await Promise.all([
+                instanceManager.getContactProfile(req.params.phone, jid),
+                contactService.findByJid(instance.instanceData.id, jid)
+            ]);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    jid,
+                    phone: jid.endsWith('@s.whatsapp.net') ? jid.split('@')[0] : null,
+                    name: stored?.name || null,
+                    notify: stored?.notify || null,
+                    verifiedName: stored?.verifiedName || null,
+                    ...profile,
+                    presence: instance.getPresence(jid)
+                }
+            });
+        } catch (error) {
+            logger.error('Error getting contact:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get contact',
+                message: error.message
+            });
+        }
+    },
+
+    // Subscribe to a contact's presence; updates show up in GET /contacts/:jid
+    subscribePresence: async (req, res) => {
+        try {
+            const instance = getConnectedInstance(req, res);
+            if (!instance) return;
+
+            let jid;
+            try {
+                jid = toContactJid(req.params.jid, instance);
+            } catch (phoneError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid contact',
+                    message: phoneError.message
+                });
+            }
+
+            await instanceManager.subscribePresence(req.params.phone, jid);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    jid,
+                    presence: instance.getPresence(jid)
+                },
+                message: 'Subscribed to presence updates'
+            });
+        } catch (error) {
+            logger.error('Error subscribing to presence:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to subscribe to presence',
+                message: error.message
+            });
+        }
+    },
+
+    // Show the instance as online or offline
+    setInstancePresence: async (req, res) => {
+        try {
+            const { presence } = req.body || {};
+
+            if (!INSTANCE_PRESENCES.includes(presence)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid presence',
+                    message: `presence must be one of: ${INSTANCE_PRESENCES.join(', ')}`
+                });
+            }
+
+            const instance = getConnectedInstance(req, res);
+            if (!instance) return;
+
+            await instanceManager.sendPresence(req.params.phone, presence);
+
+            res.status(200).json({
+                success: true,
+                data: { presence },
+                message: `Instance is now ${presence === 'available' ? 'online' : 'offline'}`
+            });
+        } catch (error) {
+            logger.error('Error setting instance presence:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to set presence',
+                message: error.message
+            });
+        }
+    },
+
+    // Show typing or recording in a chat, or stop with paused
+    setChatPresence: async (req, res) => {
+        try {
+            const { presence } = req.body || {};
+
+            if (!CHAT_PRESENCES.includes(presence)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid presence',
+                    message: `presence must be one of: ${CHAT_PRESENCES.join(', ')}`
+                });
+            }
+
+            const instance = getConnectedInstance(req, res);
+            if (!instance) return;
+
+            let jid;
+            try {
+                jid = toContactJid(req.params.jid, instance, { allowGroups: true });
+            } catch (phoneError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid chat',
+                    message: phoneError.message
+                });
+            }
+
+            await instanceManager.sendPresence(req.params.phone, presence, jid);
+
+            res.status(200).json({
+                success: true,
+                data: { jid, presence }
+            });
+        } catch (error) {
+            logger.error('Error setting chat presence:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to set presence',
+                message: error.message
+            });
+        }
+    }
+};
+
+module.exports = contactController;
@@ -0,0 +1,316 @@
+const instanceManager = require('../services/whatsappInstanceManager.service');
+const { toPersonalJid, PhoneNumberError } = require('../utils/phone');
+const {
+    PARTICIPANT_ACTIONS,
+    isValidGroupId,
+    validateParticipants,
+    validateSubject,
+    validateGroupUpdate,
+    formatGroupMetadata,
+    formatParticipantResults
+} = require('../utils/group');
+const logger = require('../utils/logger');
+
+/**
+ * Find a connected instance and validate the group ID of the request, or respond with an error
+ * @returns {Object|null} - The instance, or null if a response was sent
+ */
+const getGroupInstance = (req, res) => {
+    const { phone, groupId } = req.params;
+
+    if (groupId !== undefined && !isValidGroupId(groupId)) {
+        res.status(400).json({
+            success: false,
+            error: 'Invalid group ID',
+            message: 'groupId must be a group ID such as 120363042123456789 or 120363042123456789@g.us'
+        });
+        return null;
+    }
+
+    const instance = instanceManager.getInstance(phone);
+    if (!instance) {
+        res.status(404).json({
+            success: false,
+            error: 'Instance not found',
+            message: `WhatsApp instance ${phone} not found`
+        });
+        return null;
+    }
+
+    if (!instance.isConnected) {
+        res.status(503).json({
+            success: false,
+            error: 'Instance not connected',
+            message: `WhatsApp instance ${phone} is not connected. Current status: ${instance.connectionStatus}`
+        });
+        return null;
+    }
+
+    return instance;
+};
+
+/**
+ * Convert participant phone numbers to personal JIDs
+ * @param {Array} participants - Phone numbers
+ * @param {Object} instance - WhatsApp instance, for its default country code
+ * @param {string} [countryCode] - Request country code
+ * @returns {string[]}
+ * @throws {PhoneNumberError} If a number is invalid
+ */
+const toParticipantJids = (participants, instance, countryCode) => {
+    return participants.map(participant => toPersonalJid(participant, {
+        countryCode,
+        defaultCountryCode: instance.instanceData.defaultCountryCode
+    }).jid);
+};
+
+/**
+ * Respond to an error of a group operation
+ * WhatsApp rejects operations on unknown groups and, for non-admins, on admin-only changes
+ */
+const sendGroupError = (res, error, action) => {
+    if (error instanceof PhoneNumberError) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid phone number',
+            message: error.message
+        });
+    }
+
+    const statusCode = error.output?.statusCode;
+
+    if (statusCode === 404 || error.message === 'item-not-found') {
+        return res.status(404).json({
+            success: false,
+            error: 'Group not found',
+            message: 'The group does not exist or the instance is not a member'
+        });
+    }
+
+    if (statusCode === 401 || statusCode === 403 || ['forbidden', 'not-authorized'].includes(error.message)) {
+        return res.status(403).json({
+            success: false,
+            error: 'Not allowed',
+            message: `WhatsApp refused to ${action}; the instance may not be a group admin`
+        });
+    }
+
+    logger.error(`❌ Failed to ${action}:`, error);
+    return res.status(500).json({
+        success: false,
+        error: `Failed to ${action}`,
+        message: error.message
+    });
+};
+
+const groupController = {
+    // List the groups the instance is a member of
+    getGroups: async (req, res) => {
+        try {
+            const instance = getGroupInstance(req, res);
+            if (!instance) return;
+
+            const groups = await instanceManager.getGroups(req.params.phone);
+            const data = groups
+                .map(metadata => formatGroupMetadata(metadata, { includeParticipants: false }))
+                .sort((a, b) => (a.subject || '').localeCompare(b.subject || ''));
+
+            res.status(200).json({
+                success: true,
+                data,
+                count: data.length
+            });
+        } catch (error) {
+            sendGroupError(res, error, 'list groups');
+        }
+    },
+
+    // Create a group with a subject and its first participants
+    createGroup: async (req, res) => {
+        try {
+            const { subject, participants, countryCode } = req.body || {};
+
+            const validationError = validateSubject(subject) || validateParticipants(participants);
+            if (validationError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid group',
+                    message: validationError
+                });
+            }
+
+            const instance = getGroupInstance(req, res);
+            if (!instance) return;
+
+            const jids = toParticipantJids(participants, instance, countryCode);
+            const metadata = await instanceManager.createGroup(req.params.phone, subject.trim(), jids);
+
+            res.status(201).json({
+                success: true,
+                data: formatGroupMetadata(metadata),
+                message: 'Group created successfully'
+            });
+        } catch (error) {
+            sendGroupError(res, error, 'create group');
+        }
+    },
+
+    // Get the metadata and participants of a group
+    getGroup: async (req, res) => {
+        try {
+            const instance = getGroupInstance(req, res);
+            if (!instance) return;
+
+            const metadata = await instanceManager.getGroupMetadata(
+                req.params.phone,
+                req.params.groupId,
+                req.query.refresh === 'true'
+            );
+
+            res.status(200).json({
+                success: true,
+                data: formatGroupMetadata(metadata)
+            });
+        } catch (error) {
+            sendGroupError(res, error, 'get group');
+        }
+    },
+
+    // Update the subject, description and settings of a group
+    updateGroup: async (req, res) => {
+        try {
+            const validationError = validateGroupUpdate(req.body);
+            if (validationError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid group update',
+                    message: validationError
+                });
+            }
+
+            const instance = getGroupInstance(req, res);
+            if (!instance) return;
+
+            const { subject, description, announce, locked } = req.body;
+            const metadata = await instanceManager.updateGroup(req.params.phone, req.params.groupId, {
+                subject: subject?.trim(),
+                description,
+                announce,
+                locked
+            });
+
+            res.status(200).json({
+                success: true,
+                data: formatGroupMetadata(metadata),
+                message: 'Group updated successfully'
+            });
+        } catch (error) {
+            sendGroupError(res, error, 'update group');
+        }
+    },
+
+    // Add, remove, promote or demote participants
+    updateParticipants: async (req, res) => {
+        try {
+            const { action, participants, countryCode } = req.body || {};
+
+            if (!PARTICIPANT_ACTIONS.includes(action)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid action',
+                    message: `action must be one of: ${PARTICIPANT_ACTIONS.join(', ')}`
+                });
+            }
+
+            const participantsError = validateParticipants(participants);
+            if (participantsError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid participants',
+                    message: participantsError
+                });
+            }
+
+            const instance = getGroupInstance(req, res);
+            if (!instance) return;
+
+            const jids = toParticipantJids(participants, instance, countryCode);
+            const results = formatParticipantResults(
+                await instanceManager.updateGroupParticipants(req.params.phone, req.params.groupId, jids, action)
+            );
+            const succeeded = results.filter(result => result.success).length;
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    groupId: req.params.groupId,
+                    action,
+                    results
+                },
+                message: `${action} succeeded for ${succeeded} of ${results.length} participant(s)`
+            });
+        } catch (error) {
+            sendGroupError(res, error, 'update participants');
+        }
+    },
+
+    // Get the invite link of a group
+    getInviteCode: async (req, res) => {
+        try {
+            const instance = getGroupInstance(req, res);
+            if (!instance) return;
+
+            const code = await instanceManager.getGroupInviteCode(req.params.phone, req.params.groupId);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    code,
+                    link: `https://chat.whatsapp.com/${code}`
+                }
+            });
+        } catch (error) {
+            sendGroupError(res, error, 'get invite code');
+        }
+    },
+
+    // Replace the invite link of a group; the old link stops working
+    revokeInviteCode: async (req, res) => {
+        try {
+            const instance = getGroupInstance(req, res);
+            if (!instance) return;
+
+            const code = await instanceManager.getGroupInviteCode(req.params.phone, req.params.groupId, true);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    code,
+                    link: `https://chat.whatsapp.com/${code}`
+                },
+                message: 'Invite link revoked successfully'
+            });
+        } catch (error) {
+            sendGroupError(res, error, 'revoke invite code');
+        }
+    },
+
+    // Leave a group
+    leaveGroup: async (req, res) => {
+        try {
+            const instance = getGroupInstance(req, res);
+            if (!instance) return;
+
+            await instanceManager.leaveGroup(req.params.phone, req.params.groupId);
+
+            res.status(200).json({
+                success: true,
+                message: 'Left group successfully'
+            });
+        } catch (error) {
+            sendGroupError(res, error, 'leave group');
+        }
+    }
+};
+
+module.exports = groupController;
@@ -3,6 +3,162 @@ const instanceManager = require('../services/whatsappInstanceManager.service');
 const instanceService = require('../services/instanceService');
 const messageService = require('../services/messageService');
 const instanceLogService = require('../services/instanceLogService');
+const { normalizePhoneNumber, normalizeCountryCode, PhoneNumberError } = require('../utils/phone');
+const { resolveSignatureConfig, validateSignatureConfig } = require('../utils/signature');
+const { resolveHumanizeConfig, validateHumanizeConfig } = require('../utils/humanize');
+const { validateSendQueueConfig } = require('../utils/sendQueue');
+const { SendQueueFullError } = require('../core/send-queue.core');
+const { resolveMediaInput } = require('../utils/outgoingMedia');
+const { validateMessagePayload } = require('../utils/messageTypes');
+const { parseSendAt, resolveDisconnectedPolicy } = require('../utils/schedule');
+const scheduledMessageService = require('../services/scheduledMessageService');
+const messageTemplateService = require('../services/messageTemplateService');
+const { renderMessageTemplate } = require('../utils/messageTemplate');
+
+/**
+ * Read the media fields of a send-media request
+ * JSON bodies nest them under `media`; multipart forms send them as top-level fields next to the file
+ * @param {import('express').Request} req
+ * @returns {Object|undefined}
+ */
+const getMediaFields = (req) => {
+    if (!req.is('multipart/form-data')) return req.body.media;
+
+    const { type, url, data, mimetype, caption, filename } = req.body;
+    return { type, url, data, mimetype, caption, filename };
+};
+
+/**
+ * Respond to a send rejected because the instance's send queue is full
+ * @param {import('express').Response} res
+ * @param {SendQueueFullError} error
+ */
+const respondQueueFull = (res, error) => {
+    res.set('Retry-After', String(error.retryAfter));
+    return res.status(429).json({
+        success: false,
+        error: 'Send queue full',
+        message: error.message,
+        retryAfter: error.retryAfter
+    });
+};
+
+/**
+ * Parse a boolean option that multipart forms send as a string
+ * @param {*} value - Field value
+ * @returns {*} - A boolean for 'true'/'false', otherwise the value unchanged
+ */
+const parseBooleanField = (value) => {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    return value;
+};
+
+/**
+ * Read the scheduling fields of a send request
+ * @param {Object} fields - sendAt and disconnectedPolicy from the request body
+ * @returns {{schedule: {sendAt: Date, disconnectedPolicy: string}|null, error: string|null}} - schedule is null for immediate sends
+ */
+const getScheduleFields = ({ sendAt, disconnectedPolicy }) => {
+    if (sendAt === undefined || sendAt === null || sendAt === '') {
+        return disconnectedPolicy !== undefined
+            ? { schedule: null, error: 'disconnectedPolicy requires sendAt' }
+            : { schedule: null, error: null };
+    }
+
+    const parsed = parseSendAt(sendAt);
+    if (parsed.error) return { schedule: null, error: parsed.error };
+
+    const resolved = resolveDisconnectedPolicy(disconnectedPolicy);
+    if (resolved.error) return { schedule: null, error: resolved.error };
+
+    return { schedule: { sendAt: parsed.sendAt, disconnectedPolicy: resolved.policy }, error: null };
+};
+
+/**
+ * Store a send request for the message scheduler and respond with 202
+ * @param {import('express').Response} res
+ * @param {Object} instance - WhatsApp instance
+ * @param {Object} data - kind, recipient, payload, options
+ * @param {Object} schedule - Result of getScheduleFields
+ */
+const respondScheduled = async (res, instance, data, schedule) => {
+    const scheduled = await scheduledMessageService.create({
+        instanceId: instance.instanceData.id,
+        ...data,
+        ...schedule
+    });
+
+    logger.info(`⏰ ${data.kind} message scheduled from instance ${instance.instanceData.phone} for ${scheduled.sendAt.toISOString()}`);
+
+    return res.status(202).json({
+        success: true,
+        data: {
+            instancePhone: instance.instanceData.phone,
+            scheduledMessageId: scheduled.id,
+            kind: scheduled.kind,
+            recipient: scheduled.recipient,
+            sendAt: scheduled.sendAt,
+            disconnectedPolicy: scheduled.disconnectedPolicy,
+            status: scheduled.status
+        },
+        message: 'Message scheduled successfully'
+    });
+};
+
+/**
+ * Render the template named by a send request
+ * @param {Object} instance - WhatsApp instance
+ * @param {Object} fields - templateName, variables and language from the request body
+ * @returns {Promise<{content: {message: string|null, media: Object|null}|null, status?: number, error?: string, message?: string}>}
+ *   content is a text, or media with the text as caption; otherwise the error response to send
+ */
+const renderRequestTemplate = async (instance, { templateName, variables, language }) => {
+    if (typeof templateName !== 'string' || templateName.trim() === '') {
+        return { content: null, status: 400, error: 'Invalid template', message: 'templateName must be a non-empty string' };
+    }
+
+    if (language !== undefined && typeof language !== 'string') {
+        return { content: null, status: 400, error: 'Invalid template', message: 'language must be a language code' };
+    }
+
+    const template = await messageTemplateService.findByName(instance.instanceData.id, templateName.trim());
+    if (!template) {
+        return { content: null, status: 404, error: 'Template not found', message: `Template ${templateName} not found` };
+    }
+
+    const rendered = renderMessageTemplate(template, variables, language);
+    if (rendered.error) {
+        return { content: null, status: 400, error: 'Invalid template variables', message: rendered.error };
+    }
+
+    return { content: { message: rendered.message, media: rendered.media } };
+};
+
+// WhatsApp only accepts edits shortly after a message was sent
+const EDIT_WINDOW_MINUTES = 15;
+
+/**
+ * Explain why a stored message cannot be edited
+ * @param {Object} message - Message record
+ * @returns {string|null} - Reason, or null if the message can be edited
+ */
+const getEditConflict = (message) => {
+    if (message.direction !== 'outgoing' || message.type !== 'text') {
+        return 'Only text messages sent by this instance can be edited';
+    }
+
+    if (['revoked', 'deleted', 'failed'].includes(message.status)) {
+        return `Message is ${message.status}`;
+    }
+
+    const sentAt = message.sentAt || message.createdAt;
+    if (Date.now() - sentAt.getTime() > EDIT_WINDOW_MINUTES * 60 * 1000) {
+        return `Messages can only be edited within ${EDIT_WINDOW_MINUTES} minutes of sending`;
+    }
+
+    return null;
+};
 
 const instanceController = {
 // Get logs for a specific instance
@@ -191,7 +347,7 @@ const instanceController = {
     // Create new instance
     createInstance: async (req, res) => {
         try {
-            const { phone, name, alias } = req.body;
+            const { phone, name, alias, defaultCountryCode } = req.body;
             
             if (!phone || !name) {
                 return res.status(400).json({
@@ -201,6 +357,17 @@ const instanceController = {
                 });
             }
             
+            let countryCode;
+            try {
+                countryCode = normalizeCountryCode(defaultCountryCode);
+            } catch (phoneError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid default country code',
+                    message: phoneError.message
+                });
+            }
+            
             logger.info(`🆕 Create instance request received for ${phone}`);
             
             // Check if instance already exists
@@ -217,7 +384,8 @@ const instanceController = {
             const instanceData = {
                 phone: phone.replace(/[^\d]/g, ''), // Clean phone number
                 name,
-                alias: alias || null
+                alias: alias || null,
+                defaultCountryCode: countryCode
             };
             
             const instance = await instanceManager.createInstance(instanceData);
@@ -242,7 +410,7 @@ const instanceController = {
     updateInstance: async (req, res) => {
         try {
             const { phone } = req.params;
-            const { name, alias } = req.body;
+            const { name, alias, defaultCountryCode, signature, humanize, sendQueue } = req.body;
             
             logger.info(`🔄 Update instance request received for ${phone}`);
             
@@ -259,6 +427,66 @@ const instanceController = {
             const updateData = {};
             if (name !== undefined) updateData.name = name;
             if (alias !== undefined) updateData.alias = alias;
+            if (defaultCountryCode !== undefined) {
+                try {
+                    updateData.defaultCountryCode = normalizeCountryCode(defaultCountryCode);
+                } catch (phoneError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid default country code',
+                        message: phoneError.message
+                    });
+                }
+            }
+            if (signature !== undefined) {
+                const signatureError = validateSignatureConfig(signature);
+                if (signatureError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid signature configuration',
+                        message: signatureError
+                    });
+                }
+                
+                // Merge with the current configuration so partial updates keep other settings
+                const current = resolveSignatureConfig(dbInstance.signatureConfig);
+                updateData.signatureConfig = resolveSignatureConfig({
+                    ...current,
+                    ...signature,
+                    types: { ...current.types, ...(signature.types || {}) }
+                });
+            }
+            if (humanize !== undefined) {
+                const humanizeError = validateHumanizeConfig(humanize, dbInstance.humanizeConfig);
+                if (humanizeError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid humanize configuration',
+                        message: humanizeError
+                    });
+                }
+                
+                updateData.humanizeConfig = resolveHumanizeConfig({
+                    ...resolveHumanizeConfig(dbInstance.humanizeConfig),
+                    ...humanize
+                });
+            }
+            if (sendQueue !== undefined) {
+                const sendQueueError = validateSendQueueConfig(sendQueue);
+                if (sendQueueError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid send queue configuration',
+                        message: sendQueueError
+                    });
+                }
+                
+                // Only overrides are stored, so options left at their default follow the environment
+                const overrides = { ...(dbInstance.sendQueueConfig || {}), ...sendQueue };
+                updateData.sendQueueConfig = Object.fromEntries(
+                    Object.entries(overrides).filter(([, value]) => value !== null)
+                );
+            }
             
             const updatedInstance = await instanceService.update(dbInstance.id, updateData);
             
@@ -381,20 +609,28 @@ const instanceController = {
     sendMessage: async (req, res) => {
         try {
             const { phone } = req.params;
-            const { to, message } = req.body;
+            const { to, message, templateName, countryCode, signature, humanize } = req.body;
             
             logger.info(`📨 Send message request received from instance ${phone} to ${to}`);
             
             // Validation
-            if (!to || !message) {
+            if (!to || (!message && templateName === undefined)) {
                 return res.status(400).json({
                     success: false,
                     error: 'Missing required fields',
-                    message: 'to and message are required'
+                    message: 'to and message (or templateName) are required'
+                });
+            }
+            
+            if (message !== undefined && templateName !== undefined) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid message format',
+                    message: 'Provide either message or templateName'
                 });
             }
             
-            if (typeof message !== 'string' || message.trim() === '') {
+            if (templateName === undefined && (typeof message !== 'string' || message.trim() === '')) {
                 return res.status(400).json({
                     success: false,
                     error: 'Invalid message format',
@@ -402,6 +638,31 @@ const instanceController = {
                 });
             }
             
+            if (signature !== undefined && typeof signature !== 'boolean') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid signature option',
+                    message: 'signature must be a boolean'
+                });
+            }
+            
+            if (humanize !== undefined && typeof humanize !== 'boolean') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid humanize option',
+                    message: 'humanize must be a boolean'
+                });
+            }
+            
+            const { schedule, error: scheduleError } = getScheduleFields(req.body);
+            if (scheduleError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid schedule',
+                    message: scheduleError
+                });
+            }
+            
             // Check if instance exists
             const instance = instanceManager.getInstance(phone);
             if (!instance) {
@@ -412,6 +673,47 @@ const instanceController = {
                 });
             }
             
+            // Validate recipient number against the instance's default country code
+            let recipient;
+            try {
+                recipient = normalizePhoneNumber(to, {
+                    countryCode,
+                    defaultCountryCode: instance.instanceData.defaultCountryCode
+                });
+            } catch (phoneError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid phone number',
+                    message: phoneError.message
+                });
+            }
+            
+            // Templates render to a text, or to media with the text as caption
+            let text = templateName === undefined ? message.trim() : null;
+            let templateMedia = null;
+            if (templateName !== undefined) {
+                const { content, status, error, message: errorMessage } = await renderRequestTemplate(instance, req.body);
+                if (!content) {
+                    return res.status(status).json({
+                        success: false,
+                        error,
+                        message: errorMessage
+                    });
+                }
+                text = content.message;
+                templateMedia = content.media;
+            }
+            
+            // Scheduled messages are sent by the message scheduler, even if the instance is disconnected now
+            if (schedule) {
+                return await respondScheduled(res, instance, {
+                    kind: templateMedia ? 'media' : 'text',
+                    recipient: to,
+                    payload: templateMedia ? { media: templateMedia } : { message: text },
+                    options: { countryCode, signature, humanize }
+                }, schedule);
+            }
+            
             // Check if instance is connected
             if (!instance.isConnected) {
                 return res.status(503).json({
@@ -422,7 +724,9 @@ const instanceController = {
             }
             
             // Send message using instance manager
-            const result = await instanceManager.sendMessage(phone, to, message.trim());
+            const result = templateMedia
+                ? await instanceManager.sendMediaMessage(phone, to, templateMedia, { countryCode, signature, humanize })
+                : await instanceManager.sendMessage(phone, to, text, { countryCode, signature, humanize });
             
             logger.info(`✅ Message sent successfully from instance ${phone} to ${to}`);
             
@@ -431,7 +735,9 @@ const instanceController = {
                 data: {
                     instancePhone: phone,
                     to,
-                    message: message.trim(),
+                    recipient,
+                    message: text,
+                    ...(templateName !== undefined && { templateName, mediaType: templateMedia?.type || null }),
                     messageId: result.messageId,
                     status: 'sent',
                     timestamp: new Date().toISOString()
@@ -441,6 +747,19 @@ const instanceController = {
             
         } catch (error) {
             logger.error(`❌ Error sending message from instance ${req.params.phone}:`, error);
+            
+            if (error instanceof SendQueueFullError) {
+                return respondQueueFull(res, error);
+            }
+            
+            if (error instanceof PhoneNumberError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid phone number',
+                    message: error.message
+                });
+            }
+            
             res.status(500).json({
                 success: false,
                 error: 'Failed to send message',
@@ -453,20 +772,28 @@ const instanceController = {
     sendGroupMessage: async (req, res) => {
         try {
             const { phone } = req.params;
-            const { groupId, message } = req.body;
+            const { groupId, message, templateName, signature, humanize } = req.body;
             
             logger.info(`📨 Send group message request received from instance ${phone} to ${groupId}`);
             
             // Validation
-            if (!groupId || !message) {
+            if (!groupId || (!message && templateName === undefined)) {
                 return res.status(400).json({
                     success: false,
                     error: 'Missing required fields',
-                    message: 'groupId and message are required'
+                    message: 'groupId and message (or templateName) are required'
                 });
             }
             
-            if (typeof message !== 'string' || message.trim() === '') {
+            if (message !== undefined && templateName !== undefined) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid message format',
+                    message: 'Provide either message or templateName'
+                });
+            }
+            
+            if (templateName === undefined && (typeof message !== 'string' || message.trim() === '')) {
                 return res.status(400).json({
                     success: false,
                     error: 'Invalid message format',
@@ -474,6 +801,31 @@ const instanceController = {
                 });
             }
             
+            if (signature !== undefined && typeof signature !== 'boolean') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid signature option',
+                    message: 'signature must be a boolean'
+                });
+            }
+            
+            if (humanize !== undefined && typeof humanize !== 'boolean') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid humanize option',
+                    message: 'humanize must be a boolean'
+                });
+            }
+            
+            const { schedule, error: scheduleError } = getScheduleFields(req.body);
+            if (scheduleError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid schedule',
+                    message: scheduleError
+                });
+            }
+            
             // Check if instance exists
             const instance = instanceManager.getInstance(phone);
             if (!instance) {
@@ -484,6 +836,32 @@ const instanceController = {
                 });
             }
             
+            // Templates render to a text, or to media with the text as caption
+            let text = templateName === undefined ? message.trim() : null;
+            let templateMedia = null;
+            if (templateName !== undefined) {
+                const { content, status, error, message: errorMessage } = await renderRequestTemplate(instance, req.body);
+                if (!content) {
+                    return res.status(status).json({
+                        success: false,
+                        error,
+                        message: errorMessage
+                    });
+                }
+                text = content.message;
+                templateMedia = content.media;
+            }
+            
+            // Scheduled messages are sent by the message scheduler, even if the instance is disconnected now
+            if (schedule) {
+                return await respondScheduled(res, instance, {
+                    kind: templateMedia ? 'group-media' : 'group',
+                    recipient: groupId,
+                    payload: templateMedia ? { media: templateMedia } : { message: text },
+                    options: { signature, humanize }
+                }, schedule);
+            }
+            
             // Check if instance is connected
             if (!instance.isConnected) {
                 return res.status(503).json({
@@ -494,7 +872,9 @@ const instanceController = {
             }
             
             // Send group message using instance manager
-            const result = await instanceManager.sendGroupMessage(phone, groupId, message.trim());
+            const result = templateMedia
+                ? await instanceManager.sendGroupMediaMessage(phone, groupId, templateMedia, { signature, humanize })
+                : await instanceManager.sendGroupMessage(phone, groupId, text, { signature, humanize });
             
             logger.info(`✅ Group message sent successfully from instance ${phone} to ${groupId}`);
             
@@ -503,7 +883,8 @@ const instanceController = {
                 data: {
                     instancePhone: phone,
                     groupId,
-                    message: message.trim(),
+                    message: text,
+                    ...(templateName !== undefined && { templateName, mediaType: templateMedia?.type || null }),
                     messageId: result.messageId,
                     status: 'sent',
                     timestamp: new Date().toISOString()
@@ -513,6 +894,11 @@ const instanceController = {
             
         } catch (error) {
             logger.error(`❌ Error sending group message from instance ${req.params.phone}:`, error);
+            
+            if (error instanceof SendQueueFullError) {
+                return respondQueueFull(res, error);
+            }
+            
             res.status(500).json({
                 success: false,
                 error: 'Failed to send group message',
@@ -525,12 +911,24 @@ const instanceController = {
     sendMediaMessage: async (req, res) => {
         try {
             const { phone } = req.params;
-            const { to, media } = req.body;
+            const { to, countryCode } = req.body;
+            const signature = parseBooleanField(req.body.signature);
+            const humanize = parseBooleanField(req.body.humanize);
+            const mediaFields = getMediaFields(req);
             
             logger.info(`📨 Send media message request received from instance ${phone} to ${to}`);
             
+            // Templates carry their own media, so they are only sent through send-message
+            if (req.body.templateName !== undefined) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Templates not supported',
+                    message: 'templateName is not supported for media messages, send templates through send-message'
+                });
+            }
+            
             // Validation
-            if (!to || !media) {
+            if (!to || !mediaFields) {
                 return res.status(400).json({
                     success: false,
                     error: 'Missing required fields',
@@ -538,21 +936,55 @@ const instanceController = {
                 });
             }
             
-            if (!media.type || !media.url) {
+            if (!mediaFields.type) {
                 return res.status(400).json({
                     success: false,
                     error: 'Invalid media format',
-                    message: 'media.type and media.url are required'
+                    message: 'media type is required'
                 });
             }
             
-            // Validate media type
-            const validTypes = ['image', 'video', 'audio', 'document'];
-            if (!validTypes.includes(media.type.toLowerCase())) {
+            // Resolve the file from an upload, base64 data or url and check it against the media type
+            const { media, error: mediaError } = resolveMediaInput(mediaFields, req.file);
+            if (mediaError) {
                 return res.status(400).json({
                     success: false,
-                    error: 'Invalid media type',
-                    message: `Unsupported media type: ${media.type}. Supported types: ${validTypes.join(', ')}`
+                    error: 'Invalid media',
+                    message: mediaError
+                });
+            }
+            
+            if (signature !== undefined && typeof signature !== 'boolean') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid signature option',
+                    message: 'signature must be a boolean'
+                });
+            }
+            
+            if (humanize !== undefined && typeof humanize !== 'boolean') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid humanize option',
+                    message: 'humanize must be a boolean'
+                });
+            }
+            
+            const { schedule, error: scheduleError } = getScheduleFields(req.body);
+            if (scheduleError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid schedule',
+                    message: scheduleError
+                });
+            }
+            
+            // Uploads and base64 data are not kept, so scheduled media must be fetched from a url when sent
+            if (schedule && media.origin !== 'url') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid schedule',
+                    message: 'Scheduled media must be sent from media.url'
                 });
             }
             
@@ -566,6 +998,32 @@ const instanceController = {
                 });
             }
             
+            // Validate recipient number against the instance's default country code
+            let recipient;
+            try {
+                recipient = normalizePhoneNumber(to, {
+                    countryCode,
+                    defaultCountryCode: instance.instanceData.defaultCountryCode
+                });
+            } catch (phoneError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid phone number',
+                    message: phoneError.message
+                });
+            }
+            
+            // Scheduled messages are sent by the message scheduler, even if the instance is disconnected now
+            if (schedule) {
+                const { type, url, mimetype, caption, filename } = mediaFields;
+                return await respondScheduled(res, instance, {
+                    kind: 'media',
+                    recipient: to,
+                    payload: { media: { type, url, mimetype, caption, filename } },
+                    options: { countryCode, signature, humanize }
+                }, schedule);
+            }
+            
             // Check if instance is connected
             if (!instance.isConnected) {
                 return res.status(503).json({
@@ -576,7 +1034,7 @@ const instanceController = {
             }
             
             // Send media message using instance manager
-            const result = await instanceManager.sendMediaMessage(phone, to, media);
+            const result = await instanceManager.sendMediaMessage(phone, to, media, { countryCode, signature, humanize });
             
             logger.info(`✅ ${media.type} media sent successfully from instance ${phone} to ${to}`);
             
@@ -585,8 +1043,12 @@ const instanceController = {
                 data: {
                     instancePhone: phone,
                     to,
+                    recipient,
                     mediaType: media.type,
-                    mediaUrl: media.url,
+                    mediaSource: media.origin,
+                    mediaUrl: media.url || null,
+                    mimetype: media.mimetype,
+                    size: media.size,
                     caption: media.caption,
                     filename: media.filename,
                     messageId: result.messageId,
@@ -598,6 +1060,19 @@ const instanceController = {
             
         } catch (error) {
             logger.error(`❌ Error sending media message from instance ${req.params.phone}:`, error);
+            
+            if (error instanceof SendQueueFullError) {
+                return respondQueueFull(res, error);
+            }
+            
+            if (error instanceof PhoneNumberError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid phone number',
+                    message: error.message
+                });
+            }
+            
             res.status(500).json({
                 success: false,
                 error: 'Failed to send media message',
@@ -606,6 +1081,419 @@ const instanceController = {
         }
     },
 
+    // Send a typed message (text with mentions, location, contact, poll, reaction) from specific instance
+    sendTypedMessage: async (req, res) => {
+        try {
+            const { phone } = req.params;
+            const { sendAt, disconnectedPolicy, ...payload } = req.body || {};
+
+            const validationError = validateMessagePayload(payload);
+            if (validationError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid message',
+                    message: validationError
+                });
+            }
+
+            const { schedule, error: scheduleError } = getScheduleFields({ sendAt, disconnectedPolicy });
+            if (scheduleError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid schedule',
+                    message: scheduleError
+                });
+            }
+
+            logger.info(`📨 Send ${payload.type} message request received from instance ${phone}`);
+
+            // Check if instance exists
+            const instance = instanceManager.getInstance(phone);
+            if (!instance) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Instance not found',
+                    message: `WhatsApp instance ${phone} not found`
+                });
+            }
+
+            // Quoted replies and reactions refer to a stored message
+            const referencedId = payload.type === 'reaction' ? payload.messageId : payload.quotedMessageId;
+            let referenced = null;
+            if (referencedId) {
+                referenced = await messageService.findInstanceMessage(instance.instanceData.id, referencedId);
+                if (!referenced) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Message not found',
+                        message: `Message with id ${referencedId} not found`
+                    });
+                }
+            }
+
+            // Scheduled messages are sent by the message scheduler, even if the instance is disconnected now
+            if (schedule) {
+                return await respondScheduled(res, instance, {
+                    kind: 'typed',
+                    recipient: payload.to,
+                    payload,
+                    options: { countryCode: payload.countryCode, signature: payload.signature }
+                }, schedule);
+            }
+
+            // Check if instance is connected
+            if (!instance.isConnected) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'Instance not connected',
+                    message: `WhatsApp instance ${phone} is not connected. Current status: ${instance.connectionStatus}`
+                });
+            }
+
+            const result = await instanceManager.sendTypedMessage(phone, payload.to, payload, {
+                countryCode: payload.countryCode,
+                signature: payload.signature,
+                quoted: payload.type === 'reaction' ? null : referenced,
+                target: payload.type === 'reaction' ? referenced : null
+            });
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    instancePhone: phone,
+                    type: payload.type,
+                    to: payload.to,
+                    messageId: result.messageId,
+                    storedMessageId: result.storedMessageId,
+                    status: 'sent',
+                    timestamp: new Date().toISOString()
+                },
+                message: result.message
+            });
+
+        } catch (error) {
+            logger.error(`❌ Error sending typed message from instance ${req.params.phone}:`, error);
+
+            if (error instanceof SendQueueFullError) {
+                return respondQueueFull(res, error);
+            }
+
+            if (error instanceof PhoneNumberError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid phone number',
+                    message: error.message
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                error: 'Failed to send message',
+                message: error.message
+            });
+        }
+    },
+
+    // Edit the text of a message sent by specific instance
+    editMessage: async (req, res) => {
+        try {
+            const { phone, id } = req.params;
+            const { text } = req.body;
+
+            if (typeof text !== 'string' || text.trim() === '') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid message format',
+                    message: 'text must be a non-empty string'
+                });
+            }
+
+            const instance = instanceManager.getInstance(phone);
+            if (!instance) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Instance not found',
+                    message: `WhatsApp instance ${phone} not found`
+                });
+            }
+
+            const stored = await messageService.findInstanceMessage(instance.instanceData.id, id);
+            if (!stored) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Message not found',
+                    message: `Message with id ${id} not found`
+                });
+            }
+
+            const conflict = getEditConflict(stored);
+            if (conflict) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Message cannot be edited',
+                    message: conflict
+                });
+            }
+
+            if (!instance.isConnected) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'Instance not connected',
+                    message: `WhatsApp instance ${phone} is not connected. Current status: ${instance.connectionStatus}`
+                });
+            }
+
+            const updated = await instanceManager.editMessage(phone, stored, text.trim());
+
+            res.status(200).json({
+                success: true,
+                data: updated,
+                message: 'Message edited successfully'
+            });
+
+        } catch (error) {
+            logger.error(`❌ Error editing message from instance ${req.params.phone}:`, error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to edit message',
+                message: error.message
+            });
+        }
+    },
+
+    // Delete a message for everyone (revoke) or only on this device
+    revokeMessage: async (req, res) => {
+        try {
+            const { phone, id } = req.params;
+            const forEveryone = parseBooleanField(req.query.forEveryone ?? 'false');
+
+            if (typeof forEveryone !== 'boolean') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid query',
+                    message: "forEveryone must be 'true' or 'false'"
+                });
+            }
+
+            const instance = instanceManager.getInstance(phone);
+            if (!instance) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Instance not found',
+                    message: `WhatsApp instance ${phone} not found`
+                });
+            }
+
+            const stored = await messageService.findInstanceMessage(instance.instanceData.id, id);
+            if (!stored) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Message not found',
+                    message: `Message with id ${id} not found`
+                });
+            }
+
+            if (stored.status === 'revoked' || (stored.status === 'deleted' && !forEveryone)) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Message already deleted',
+                    message: `Message ${id} is already ${stored.status}`
+                });
+            }
+
+            if (!instance.isConnected) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'Instance not connected',
+                    message: `WhatsApp instance ${phone} is not connected. Current status: ${instance.connectionStatus}`
+                });
+            }
+
+            // WhatsApp ignores revokes of other people's messages, so don't report a deletion that never happens
+            if (forEveryone && !(await instance.canRevokeForEveryone(stored))) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Cannot delete for everyone',
+                    message: 'Only messages sent by this instance, or messages in groups where the instance is an admin, can be deleted for everyone'
+                });
+            }
+
+            const updated = await instanceManager.revokeMessage(phone, stored, forEveryone);
+
+            res.status(200).json({
+                success: true,
+                data: updated,
+                message: forEveryone ? 'Message revoked for everyone' : 'Message deleted for this device'
+            });
+
+        } catch (error) {
+            logger.error(`❌ Error deleting message from instance ${req.params.phone}:`, error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to delete message',
+                message: error.message
+            });
+        }
+    },
+
+    // Send media message to a group from specific instance
+    sendGroupMediaMessage: async (req, res) => {
+        try {
+            const { phone } = req.params;
+            const { groupId } = req.body;
+            const signature = parseBooleanField(req.body.signature);
+            const humanize = parseBooleanField(req.body.humanize);
+            const mediaFields = getMediaFields(req);
+            
+            logger.info(`📨 Send group media request received from instance ${phone} to ${groupId}`);
+            
+            // Templates carry their own media, so they are only sent through send-group-message
+            if (req.body.templateName !== undefined) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Templates not supported',
+                    message: 'templateName is not supported for media messages, send templates through send-group-message'
+                });
+            }
+            
+            // Validation
+            if (!groupId || !mediaFields) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Missing required fields',
+                    message: 'groupId and media are required'
+                });
+            }
+            
+            if (typeof groupId !== 'string' || !/^[\d-]+(@g\.us)?$/.test(groupId)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid group ID',
+                    message: 'groupId must be a group ID such as 120363042123456789 or 120363042123456789@g.us'
+                });
+            }
+            
+            if (!mediaFields.type) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid media format',
+                    message: 'media type is required'
+                });
+            }
+            
+            // Resolve the file from an upload, base64 data or url and check it against the media type
+            const { media, error: mediaError } = resolveMediaInput(mediaFields, req.file);
+            if (mediaError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid media',
+                    message: mediaError
+                });
+            }
+            
+            if (signature !== undefined && typeof signature !== 'boolean') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid signature option',
+                    message: 'signature must be a boolean'
+                });
+            }
+            
+            if (humanize !== undefined && typeof humanize !== 'boolean') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid humanize option',
+                    message: 'humanize must be a boolean'
+                });
+            }
+            
+            const { schedule, error: scheduleError } = getScheduleFields(req.body);
+            if (scheduleError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid schedule',
+                    message: scheduleError
+                });
+            }
+            
+            // Uploads and base64 data are not kept, so scheduled media must be fetched from a url when sent
+            if (schedule && media.origin !== 'url') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid schedule',
+                    message: 'Scheduled media must be sent from media.url'
+                });
+            }
+            
+            // Check if instance exists
+            const instance = instanceManager.getInstance(phone);
+            if (!instance) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Instance not found',
+                    message: `WhatsApp instance ${phone} not found`
+                });
+            }
+            
+            // Scheduled messages are sent by the message scheduler, even if the instance is disconnected now
+            if (schedule) {
+                const { type, url, mimetype, caption, filename } = mediaFields;
+                return await respondScheduled(res, instance, {
+                    kind: 'group-media',
+                    recipient: groupId,
+                    payload: { media: { type, url, mimetype, caption, filename } },
+                    options: { signature, humanize }
+                }, schedule);
+            }
+            
+            // Check if instance is connected
+            if (!instance.isConnected) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'Instance not connected',
+                    message: `WhatsApp instance ${phone} is not connected. Current status: ${instance.connectionStatus}`
+                });
+            }
+            
+            // Send group media message using instance manager
+            const result = await instanceManager.sendGroupMediaMessage(phone, groupId, media, { signature, humanize });
+            
+            logger.info(`✅ ${media.type} media sent successfully from instance ${phone} to group ${groupId}`);
+            
+            res.status(200).json({
+                success: true,
+                data: {
+                    instancePhone: phone,
+                    groupId,
+                    mediaType: media.type,
+                    mediaSource: media.origin,
+                    mediaUrl: media.url || null,
+                    mimetype: media.mimetype,
+                    size: media.size,
+                    caption: media.caption,
+                    filename: media.filename,
+                    messageId: result.messageId,
+                    status: 'sent',
+                    timestamp: new Date().toISOString()
+                },
+                message: `${media.type} media sent successfully to group`
+            });
+            
+        } catch (error) {
+            logger.error(`❌ Error sending group media message from instance ${req.params.phone}:`, error);
+            
+            if (error instanceof SendQueueFullError) {
+                return respondQueueFull(res, error);
+            }
+            
+            res.status(500).json({
+                success: false,
+                error: 'Failed to send group media message',
+                message: error.message
+            });
+        }
+    },
+
     // Get plugin status for instance
     getInstancePluginStatus: async (req, res) => {
         try {
@@ -1,10 +1,11 @@
 const logger = require('../utils/logger');
 const whatsappService = require('../services/whatsapp.service');
+const { normalizePhoneNumber, PhoneNumberError } = require('../utils/phone');
 
 const messageController = {
     sendPersonalMessage: async (req, res) => {
         try {
-            const { phoneNumber, message } = req.body;
+            const { phoneNumber, message, countryCode, signature } = req.body;
 
             logger.info(`📨 Send message request received for ${phoneNumber}`);
 
@@ -27,6 +28,27 @@ const messageController = {
                 });
             }
 
+            if (signature !== undefined && typeof signature !== 'boolean') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid signature option',
+                    message: 'signature must be a boolean'
+                });
+            }
+
+            // Validate recipient number
+            let recipient;
+            try {
+                recipient = normalizePhoneNumber(phoneNumber, { countryCode });
+            } catch (phoneError) {
+                logger.warn(`❌ Invalid phone number: ${phoneError.message}`);
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid phone number',
+                    message: phoneError.message
+                });
+            }
+
             // Check if WhatsApp is connected
             if (!whatsappService.isConnected) {
                 logger.warn('❌ WhatsApp not connected');
@@ -38,7 +60,7 @@ const messageController = {
             }
 
             // Send message
-            const result = await whatsappService.sendMessage(phoneNumber, message.trim());
+            const result = await whatsappService.sendMessage(phoneNumber, message.trim(), { countryCode, signature });
 
             logger.info(`✅ Message sent successfully to ${phoneNumber}`);
 
@@ -46,6 +68,7 @@ const messageController = {
                 success: true,
                 data: {
                     phoneNumber,
+                    recipient,
                     message: message.trim(),
                     status: 'sent',
                     timestamp: new Date().toISOString()
@@ -58,6 +81,15 @@ const messageController = {
         } catch (error) {
             logger.error('❌ Error in send message controller:', error);
 
+            if (error instanceof PhoneNumberError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid phone number',
+                    message: error.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
             const response = {
                 success: false,
                 error: 'Failed to send message',
@@ -71,7 +103,7 @@ const messageController = {
 
     sendGroupMessage: async (req, res) => {
         try {
-            const { groupId, message } = req.body;
+            const { groupId, message, signature } = req.body;
 
             logger.info(`📨 Send group message request received for ${groupId}`);
 
@@ -94,6 +126,14 @@ const messageController = {
                 });
             }
 
+            if (signature !== undefined && typeof signature !== 'boolean') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid signature option',
+                    message: 'signature must be a boolean'
+                });
+            }
+
             // Check if WhatsApp is connected
             if (!whatsappService.isConnected) {
                 logger.warn('❌ WhatsApp not connected');
@@ -105,7 +145,7 @@ const messageController = {
             }
 
             // Send group message
-            const result = await whatsappService.sendGroupMessage(groupId, message.trim());
+            const result = await whatsappService.sendGroupMessage(groupId, message.trim(), { signature });
 
             logger.info(`✅ Group message sent successfully to ${groupId}`);
 
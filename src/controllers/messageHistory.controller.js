@@ -0,0 +1,462 @@
+const messageService = require('../services/messageService');
+const instanceService = require('../services/instanceService');
+const instanceManager = require('../services/whatsappInstanceManager.service');
+const mediaService = require('../services/mediaService');
+const { normalizePhoneNumber } = require('../utils/phone');
+const logger = require('../utils/logger');
+
+const MAX_PAGE_SIZE = 200;
+const CHAT_TYPES = ['group', 'direct'];
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+/**
+ * Parse pagination, ordering and date range query parameters
+ * @param {Object} query - req.query
+ * @param {string} defaultOrder - 'asc' or 'desc'
+ * @returns {{options: Object, error: string|null}}
+ */
+const parseListQuery = (query, defaultOrder = 'desc') => {
+    const { limit = 50, cursor, order = defaultOrder, startDate, endDate } = query;
+    const take = parseInt(limit);
+
+    if (!Number.isInteger(take) || take < 1 || take > MAX_PAGE_SIZE) {
+        return { options: null, error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+    }
+
+    if (cursor !== undefined && !OBJECT_ID_PATTERN.test(cursor)) {
+        return { options: null, error: 'cursor must be a message id returned as meta.nextCursor' };
+    }
+
+    if (!['asc', 'desc'].includes(order)) {
+        return { options: null, error: "order must be 'asc' or 'desc'" };
+    }
+
+    const dateFrom = startDate ? new Date(startDate) : undefined;
+    const dateTo = endDate ? new Date(endDate) : undefined;
+    if ([dateFrom, dateTo].some(date => date && isNaN(date.getTime()))) {
+        return { options: null, error: 'startDate and endDate must be valid dates' };
+    }
+
+    // One extra row tells whether there is a next page
+    return {
+        options: { take: take + 1, cursor, orderBy: order, dateFrom, dateTo },
+        error: null
+    };
+};
+
+/**
+ * Trim the extra row fetched by parseListQuery and build the page metadata
+ * @param {Array} rows - Fetched messages
+ * @param {number} take - Requested page size plus one
+ */
+const toPage = (rows, take) => {
+    const limit = take - 1;
+    const hasMore = rows.length > limit;
+    const data = hasMore ? rows.slice(0, limit) : rows;
+
+    return {
+        data,
+        meta: {
+            count: data.length,
+            limit,
+            hasMore,
+            nextCursor: hasMore ? data[data.length - 1].id : null
+        }
+    };
+};
+
+/**
+ * Every form a chat may be stored in: the JID and, for personal chats, the bare number
+ * @param {string} jid - Chat JID or phone number
+ * @param {Object} instance - Instance record
+ * @returns {string[]}
+ */
+const getConversationKeys = (jid, instance) => {
+    if (jid.endsWith('@g.us')) {
+        return [jid, jid.replace(/@g\.us$/, '')];
+    }
+
+    const number = jid.includes('@')
+        ? jid.split('@')[0].split(':')[0]
+        : normalizePhoneNumber(jid, { defaultCountryCode: instance.defaultCountryCode });
+
+    return [number, `${number}@s.whatsapp.net`];
+};
+
+/**
+ * Resolve the chat JID of a chat parameter
+ * Full JIDs are kept as they are; bare numbers become personal JIDs
+ * @param {string} jid - Chat JID or phone number
+ * @param {Object} instance - Instance record
+ * @returns {string}
+ */
+const toChatJid = (jid, instance) => {
+    if (jid.includes('@')) return jid;
+
+    const number = normalizePhoneNumber(jid, { defaultCountryCode: instance.defaultCountryCode });
+    return `${number}@s.whatsapp.net`;
+};
+
+const messageHistoryController = {
+    // List messages of an instance
+    getInstanceMessages: async (req, res) => {
+        try {
+            const { phone } = req.params;
+            const { direction, type, status, from, to } = req.query;
+
+            const { options, error } = parseListQuery(req.query);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid query',
+                    message: error
+                });
+            }
+
+            const instance = await instanceService.findByPhone(phone);
+            if (!instance) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Instance not found',
+                    message: `Instance with phone ${phone} not found`
+                });
+            }
+
+            const messages = await messageService.findByInstance(instance.id, {
+                ...options,
+                direction,
+                type,
+                status,
+                from,
+                to
+            });
+
+            res.status(200).json({
+                success: true,
+                ...toPage(messages, options.take)
+            });
+        } catch (error) {
+            logger.error('Error getting instance messages:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get instance messages',
+                message: error.message
+            });
+        }
+    },
+
+    // Get a message by database id or WhatsApp message id
+    getInstanceMessage: async (req, res) => {
+        try {
+            const { phone, id } = req.params;
+
+            const instance = await instanceService.findByPhone(phone);
+            if (!instance) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Instance not found',
+                    message: `Instance with phone ${phone} not found`
+                });
+            }
+
+            const message = await messageService.findInstanceMessage(instance.id, id);
+            if (!message) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Message not found',
+                    message: `Message with id ${id} not found`
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                data: message
+            });
+        } catch (error) {
+            logger.error('Error getting instance message:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get instance message',
+                message: error.message
+            });
+        }
+    },
+
+    // Download the stored attachment of a message
+    getMessageMedia: async (req, res) => {
+        try {
+            const { phone, id } = req.params;
+
+            const instance = await instanceService.findByPhone(phone);
+            if (!instance) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Instance not found',
+                    message: `Instance with phone ${phone} not found`
+                });
+            }
+
+            const message = await messageService.findInstanceMessage(instance.id, id);
+            if (!message) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Message not found',
+                    message: `Message with id ${id} not found`
+                });
+            }
+
+            const stream = await mediaService.openMedia(message);
+            if (!stream) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Media not available',
+                    message: message.mediaMimetype
+                        ? `Media of message ${id} was not downloaded or is no longer stored`
+                        : `Message ${id} has no media`
+                });
+            }
+
+            const fileName = message.mediaFileName || message.mediaPath.split('/').pop();
+            res.status(200);
+            res.set('Content-Type', message.mediaMimetype || 'application/octet-stream');
+            res.set('Content-Disposition', `inline; filename="${fileName.replace(/["\\\r\n]/g, '_')}"`);
+            if (message.mediaSize) {
+                res.set('Content-Length', String(message.mediaSize));
+            }
+
+            stream.on('error', error => {
+                logger.error(`Error streaming media of message ${id}: ${error.message}`);
+                res.destroy(error);
+            });
+            stream.pipe(res);
+        } catch (error) {
+            logger.error('Error getting message media:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get message media',
+                message: error.message
+            });
+        }
+    },
+
+    // Get the conversation with a contact or group
+    getConversation: async (req, res) => {
+        try {
+            const { phone, jid } = req.params;
+
+            const { options, error } = parseListQuery(req.query, 'asc');
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid query',
+                    message: error
+                });
+            }
+
+            const instance = await instanceService.findByPhone(phone);
+            if (!instance) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Instance not found',
+                    message: `Instance with phone ${phone} not found`
+                });
+            }
+
+            let keys;
+            try {
+                keys = getConversationKeys(jid, instance);
+            } catch (phoneError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid chat',
+                    message: phoneError.message
+                });
+            }
+
+            const messages = await messageService.getConversation(instance.id, keys, options);
+
+            res.status(200).json({
+                success: true,
+                ...toPage(messages, options.take)
+            });
+        } catch (error) {
+            logger.error('Error getting conversation:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get conversation',
+                message: error.message
+            });
+        }
+    },
+
+    // List the chats of an instance with their last message and unread counter
+    getChats: async (req, res) => {
+        try {
+            const { phone } = req.params;
+            const { limit = 50, skip = 0, type } = req.query;
+
+            const take = parseInt(limit);
+            const offset = parseInt(skip);
+            if (!Number.isInteger(take) || take < 1 || take > MAX_PAGE_SIZE ||
+                !Number.isInteger(offset) || offset < 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid query',
+                    message: `limit must be an integer between 1 and ${MAX_PAGE_SIZE} and skip a non-negative integer`
+                });
+            }
+
+            if (type !== undefined && !CHAT_TYPES.includes(type)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid query',
+                    message: `type must be one of: ${CHAT_TYPES.join(', ')}`
+                });
+            }
+
+            const instance = await instanceService.findByPhone(phone);
+            if (!instance) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Instance not found',
+                    message: `Instance with phone ${phone} not found`
+                });
+            }
+
+            // One extra chat tells whether there is a next page
+            const chats = await messageService.getChats(instance.id, { take: take + 1, skip: offset, type });
+            const hasMore = chats.length > take;
+            const data = hasMore ? chats.slice(0, take) : chats;
+
+            res.status(200).json({
+                success: true,
+                data,
+                meta: {
+                    count: data.length,
+                    limit: take,
+                    skip: offset,
+                    hasMore
+                }
+            });
+        } catch (error) {
+            logger.error('Error getting chats:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get chats',
+                message: error.message
+            });
+        }
+    },
+
+    // Mark a chat as read and send read receipts for its unread messages
+    markChatRead: async (req, res) => {
+        try {
+            const { phone, jid } = req.params;
+
+            const instance = instanceManager.getInstance(phone);
+            if (!instance) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Instance not found',
+                    message: `Instance with phone ${phone} not found`
+                });
+            }
+
+            let chatJid;
+            try {
+                chatJid = toChatJid(jid, instance.instanceData);
+            } catch (phoneError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid chat',
+                    message: phoneError.message
+                });
+            }
+
+            if (!instance.isConnected) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'Instance not connected',
+                    message: `WhatsApp instance ${phone} is not connected. Current status: ${instance.connectionStatus}`
+                });
+            }
+
+            const unread = await messageService.findUnreadInChat(instance.instanceData.id, chatJid);
+
+            // Group receipts need the participant that sent each message
+            const keys = unread.map(message => {
+                const key = message.message?.raw?.key || {};
+                return {
+                    remoteJid: key.remoteJid || chatJid,
+                    id: key.id || message.messageId,
+                    participant: key.participant || undefined,
+                    fromMe: false
+                };
+            }).filter(key => key.id);
+
+            await instanceManager.markChatRead(phone, chatJid, keys);
+            const markedRead = unread.length > 0
+                ? await messageService.markRead(unread.map(message => message.id))
+                : 0;
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    instancePhone: phone,
+                    jid: chatJid,
+                    markedRead
+                }
+            });
+        } catch (error) {
+            logger.error('Error marking chat as read:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to mark chat as read',
+                message: error.message
+            });
+        }
+    },
+
+    // Get message statistics of an instance
+    getMessageStats: async (req, res) => {
+        try {
+            const { phone } = req.params;
+            const { startDate, endDate } = req.query;
+
+            const dateFrom = startDate ? new Date(startDate) : undefined;
+            const dateTo = endDate ? new Date(endDate) : undefined;
+            if ([dateFrom, dateTo].some(date => date && isNaN(date.getTime()))) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid query',
+                    message: 'startDate and endDate must be valid dates'
+                });
+            }
+
+            const instance = await instanceService.findByPhone(phone);
+            if (!instance) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Instance not found',
+                    message: `Instance with phone ${phone} not found`
+                });
+            }
+
+            const stats = await messageService.getStatsByInstance(instance.id, { dateFrom, dateTo });
+
+            res.status(200).json({
+                success: true,
+                data: stats
+            });
+        } catch (error) {
+            logger.error('Error getting message stats:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get message stats',
+                message: error.message
+            });
+        }
+    }
+};
+
+module.exports = messageHistoryController;
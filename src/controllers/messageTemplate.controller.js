@@ -0,0 +1,297 @@
+const messageTemplateService = require('../services/messageTemplateService');
+const instanceService = require('../services/instanceService');
+const { isInstanceRestricted } = require('../middleware/auth.middleware');
+const { validateTemplate, getRequiredVariables } = require('../utils/messageTemplate');
+const logger = require('../utils/logger');
+
+const TEMPLATE_FIELDS = ['name', 'description', 'language', 'body', 'media', 'variants'];
+const TEMPLATE_SCOPES = ['instance', 'global'];
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+/**
+ * Add the scope and required variables of a template to its record
+ * @param {Object} template - Stored template
+ */
+const toTemplateResponse = (template) => ({
+    ...template,
+    scope: template.instanceId ? 'instance' : 'global',
+    variables: getRequiredVariables(template)
+});
+
+/**
+ * Pick the template fields of a request body; null clears a field on update
+ * @param {Object} body - Request body
+ * @returns {Object}
+ */
+const pickTemplateFields = (body) => {
+    return Object.fromEntries(TEMPLATE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+};
+
+/**
+ * Drop cleared fields so a template can be validated
+ * @param {Object} template - Template fields
+ * @returns {Object}
+ */
+const withoutEmptyFields = (template) => {
+    return Object.fromEntries(Object.entries(template).filter(([, value]) => value !== null && value !== undefined));
+};
+
+/**
+ * Find the instance and a template available to it, or respond with 404
+ * The template is looked up by ID, or by name with instance templates taking precedence over global ones
+ * @returns {Promise<{instance: Object, template: Object}|null>} - null if a response was sent
+ */
+const findTemplate = async (req, res) => {
+    const { phone, id } = req.params;
+
+    const instance = await instanceService.findByPhone(phone);
+    if (!instance) {
+        res.status(404).json({
+            success: false,
+            error: 'Instance not found',
+            message: `Instance with phone ${phone} not found`
+        });
+        return null;
+    }
+
+    let template = OBJECT_ID_PATTERN.test(id) ? await messageTemplateService.findById(id) : null;
+    if (!template) {
+        template = await messageTemplateService.findByName(instance.id, id);
+    }
+
+    if (!template || (template.instanceId && template.instanceId !== instance.id)) {
+        res.status(404).json({
+            success: false,
+            error: 'Template not found',
+            message: `Template ${id} not found`
+        });
+        return null;
+    }
+
+    return { instance, template };
+};
+
+/**
+ * Global templates are shared by every instance, so only admin and unrestricted keys may change them
+ * @returns {boolean} - false if a 403 response was sent
+ */
+const canManageGlobalTemplates = (req, res) => {
+    if (!isInstanceRestricted(req.apiKey)) return true;
+
+    res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'Global templates can only be created, changed or deleted with an admin or unrestricted API key'
+    });
+    return false;
+};
+
+const messageTemplateController = {
+    // List the templates an instance can use: its own and the global ones
+    getTemplates: async (req, res) => {
+        try {
+            const { phone } = req.params;
+            const { scope } = req.query;
+
+            if (scope !== undefined && !TEMPLATE_SCOPES.includes(scope)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid query',
+                    message: `scope must be one of: ${TEMPLATE_SCOPES.join(', ')}`
+                });
+            }
+
+            const instance = await instanceService.findByPhone(phone);
+            if (!instance) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Instance not found',
+                    message: `Instance with phone ${phone} not found`
+                });
+            }
+
+            const templates = await messageTemplateService.findAvailable(instance.id, { scope });
+
+            res.status(200).json({
+                success: true,
+                data: templates.map(toTemplateResponse),
+                count: templates.length
+            });
+        } catch (error) {
+            logger.error('Error getting message templates:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get message templates',
+                message: error.message
+            });
+        }
+    },
+
+    // Get a template by ID or name
+    getTemplate: async (req, res) => {
+        try {
+            const found = await findTemplate(req, res);
+            if (!found) return;
+
+            res.status(200).json({
+                success: true,
+                data: toTemplateResponse(found.template)
+            });
+        } catch (error) {
+            logger.error('Error getting message template:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get message template',
+                message: error.message
+            });
+        }
+    },
+
+    // Create an instance template, or a global one with global: true
+    createTemplate: async (req, res) => {
+        try {
+            const { phone } = req.params;
+            const body = req.body || {};
+
+            if (body.global !== undefined && typeof body.global !== 'boolean') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid template',
+                    message: 'global must be a boolean'
+                });
+            }
+
+            if (body.global && !canManageGlobalTemplates(req, res)) return;
+
+            const fields = withoutEmptyFields(pickTemplateFields(body));
+            const validationError = validateTemplate(fields);
+            if (validationError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid template',
+                    message: validationError
+                });
+            }
+
+            const instance = await instanceService.findByPhone(phone);
+            if (!instance) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Instance not found',
+                    message: `Instance with phone ${phone} not found`
+                });
+            }
+
+            const instanceId = body.global ? null : instance.id;
+            if (await messageTemplateService.findInScope(instanceId, fields.name)) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Template already exists',
+                    message: `A ${body.global ? 'global' : 'instance'} template named ${fields.name} already exists`
+                });
+            }
+
+            const template = await messageTemplateService.create({ ...fields, instanceId });
+
+            logger.info(`📝 ${body.global ? 'Global' : 'Instance'} template ${template.name} created via instance ${phone}`);
+
+            res.status(201).json({
+                success: true,
+                message: 'Template created successfully',
+                data: toTemplateResponse(template)
+            });
+        } catch (error) {
+            logger.error('Error creating message template:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to create message template',
+                message: error.message
+            });
+        }
+    },
+
+    // Update some fields of a template; null removes an optional field
+    updateTemplate: async (req, res) => {
+        try {
+            const changes = pickTemplateFields(req.body || {});
+
+            if (Object.keys(changes).length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Missing required fields',
+                    message: `Provide at least one of: ${TEMPLATE_FIELDS.join(', ')}`
+                });
+            }
+
+            const found = await findTemplate(req, res);
+            if (!found) return;
+            const { template } = found;
+
+            if (!template.instanceId && !canManageGlobalTemplates(req, res)) return;
+
+            const merged = withoutEmptyFields({ ...pickTemplateFields(template), ...changes });
+            const validationError = validateTemplate(merged);
+            if (validationError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid template',
+                    message: validationError
+                });
+            }
+
+            if (merged.name !== template.name) {
+                const existing = await messageTemplateService.findInScope(template.instanceId, merged.name);
+                if (existing) {
+                    return res.status(409).json({
+                        success: false,
+                        error: 'Template already exists',
+                        message: `A template named ${merged.name} already exists`
+                    });
+                }
+            }
+
+            const updated = await messageTemplateService.update(template.id, changes);
+
+            res.status(200).json({
+                success: true,
+                message: 'Template updated successfully',
+                data: toTemplateResponse(updated)
+            });
+        } catch (error) {
+            logger.error('Error updating message template:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update message template',
+                message: error.message
+            });
+        }
+    },
+
+    // Delete a template
+    deleteTemplate: async (req, res) => {
+        try {
+            const found = await findTemplate(req, res);
+            if (!found) return;
+
+            if (!found.template.instanceId && !canManageGlobalTemplates(req, res)) return;
+
+            await messageTemplateService.delete(found.template.id);
+
+            logger.info(`📝 Template ${found.template.name} deleted`);
+
+            res.status(200).json({
+                success: true,
+                message: 'Template deleted successfully'
+            });
+        } catch (error) {
+            logger.error('Error deleting message template:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to delete message template',
+                message: error.message
+            });
+        }
+    }
+};
+
+module.exports = messageTemplateController;
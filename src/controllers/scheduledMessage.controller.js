@@ -0,0 +1,225 @@
+const scheduledMessageService = require('../services/scheduledMessageService');
+const instanceService = require('../services/instanceService');
+const { parseSendAt, resolveDisconnectedPolicy } = require('../utils/schedule');
+const logger = require('../utils/logger');
+
+const MAX_PAGE_SIZE = 200;
+const SCHEDULED_STATUSES = ['pending', 'processing', 'sent', 'failed', 'skipped', 'cancelled'];
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+/**
+ * Find the instance and one of its scheduled messages, or respond with 404
+ * @returns {Promise<Object|null>} - The scheduled message, or null if a response was sent
+ */
+const findScheduledMessage = async (req, res) => {
+    const { phone, id } = req.params;
+
+    const instance = await instanceService.findByPhone(phone);
+    if (!instance) {
+        res.status(404).json({
+            success: false,
+            error: 'Instance not found',
+            message: `Instance with phone ${phone} not found`
+        });
+        return null;
+    }
+
+    const scheduled = OBJECT_ID_PATTERN.test(id) ? await scheduledMessageService.findById(id) : null;
+    if (!scheduled || scheduled.instanceId !== instance.id) {
+        res.status(404).json({
+            success: false,
+            error: 'Scheduled message not found',
+            message: `Scheduled message with id ${id} not found`
+        });
+        return null;
+    }
+
+    return scheduled;
+};
+
+const scheduledMessageController = {
+    // List the scheduled messages of an instance, soonest first
+    getScheduledMessages: async (req, res) => {
+        try {
+            const { phone } = req.params;
+            const { limit = 50, skip = 0, status } = req.query;
+
+            const take = parseInt(limit);
+            const offset = parseInt(skip);
+            if (!Number.isInteger(take) || take < 1 || take > MAX_PAGE_SIZE ||
+                !Number.isInteger(offset) || offset < 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid query',
+                    message: `limit must be an integer between 1 and ${MAX_PAGE_SIZE} and skip a non-negative integer`
+                });
+            }
+
+            if (status !== undefined && !SCHEDULED_STATUSES.includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid query',
+                    message: `status must be one of: ${SCHEDULED_STATUSES.join(', ')}`
+                });
+            }
+
+            const instance = await instanceService.findByPhone(phone);
+            if (!instance) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Instance not found',
+                    message: `Instance with phone ${phone} not found`
+                });
+            }
+
+            const { items, total } = await scheduledMessageService.findByInstance(instance.id, {
+                status,
+                take,
+                skip: offset
+            });
+
+            res.status(200).json({
+                success: true,
+                data: items,
+                meta: {
+                    count: items.length,
+                    total,
+                    limit: take,
+                    skip: offset,
+                    hasMore: offset + items.length < total
+                }
+            });
+        } catch (error) {
+            logger.error('Error getting scheduled messages:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get scheduled messages',
+                message: error.message
+            });
+        }
+    },
+
+    // Get one scheduled message
+    getScheduledMessage: async (req, res) => {
+        try {
+            const scheduled = await findScheduledMessage(req, res);
+            if (!scheduled) return;
+
+            res.status(200).json({
+                success: true,
+                data: scheduled
+            });
+        } catch (error) {
+            logger.error('Error getting scheduled message:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get scheduled message',
+                message: error.message
+            });
+        }
+    },
+
+    // Move a pending message to another time or disconnected policy
+    rescheduleMessage: async (req, res) => {
+        try {
+            const { sendAt, disconnectedPolicy } = req.body || {};
+
+            if (sendAt === undefined && disconnectedPolicy === undefined) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Missing required fields',
+                    message: 'sendAt or disconnectedPolicy is required'
+                });
+            }
+
+            const changes = {};
+
+            if (sendAt !== undefined) {
+                const parsed = parseSendAt(sendAt);
+                if (parsed.error) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid schedule',
+                        message: parsed.error
+                    });
+                }
+                changes.sendAt = parsed.sendAt;
+            }
+
+            if (disconnectedPolicy !== undefined) {
+                const resolved = resolveDisconnectedPolicy(disconnectedPolicy);
+                if (resolved.error) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid schedule',
+                        message: resolved.error
+                    });
+                }
+                changes.disconnectedPolicy = resolved.policy;
+            }
+
+            const scheduled = await findScheduledMessage(req, res);
+            if (!scheduled) return;
+
+            const rescheduled = await scheduledMessageService.reschedule(scheduled.id, changes);
+            if (!rescheduled) {
+                const current = await scheduledMessageService.findById(scheduled.id);
+                return res.status(409).json({
+                    success: false,
+                    error: 'Scheduled message not pending',
+                    message: `Only pending messages can be rescheduled, this one is ${current.status}`
+                });
+            }
+
+            logger.info(`⏰ Scheduled message ${scheduled.id} rescheduled`);
+
+            res.status(200).json({
+                success: true,
+                data: await scheduledMessageService.findById(scheduled.id),
+                message: 'Scheduled message updated successfully'
+            });
+        } catch (error) {
+            logger.error('Error rescheduling message:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to reschedule message',
+                message: error.message
+            });
+        }
+    },
+
+    // Cancel a pending message
+    cancelScheduledMessage: async (req, res) => {
+        try {
+            const scheduled = await findScheduledMessage(req, res);
+            if (!scheduled) return;
+
+            const cancelled = await scheduledMessageService.cancel(scheduled.id);
+            if (!cancelled) {
+                const current = await scheduledMessageService.findById(scheduled.id);
+                return res.status(409).json({
+                    success: false,
+                    error: 'Scheduled message not pending',
+                    message: `Only pending messages can be cancelled, this one is ${current.status}`
+                });
+            }
+
+            logger.info(`⏰ Scheduled message ${scheduled.id} cancelled`);
+
+            res.status(200).json({
+                success: true,
+                data: await scheduledMessageService.findById(scheduled.id),
+                message: 'Scheduled message cancelled successfully'
+            });
+        } catch (error) {
+            logger.error('Error cancelling scheduled message:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to cancel scheduled message',
+                message: error.message
+            });
+        }
+    }
+};
+
+module.exports = scheduledMessageController;
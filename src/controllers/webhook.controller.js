@@ -1,15 +1,84 @@
 const webhookService = require('../services/webhookService');
 const instanceService = require('../services/instanceService');
+const webhookDeliveryService = require('../services/webhookDeliveryService');
+const webhookDispatcher = require('../core/webhook-dispatcher.core');
+const webhookTransports = require('../core/webhook-transports.core');
+const { validateRetryPolicy } = require('../utils/backoff');
+const { getEventCatalog, normalizeEvents } = require('../config/events.config');
+const { validateWebhookFilters } = require('../utils/webhookFilter');
 const logger = require('../utils/logger');
 
+// How long a rotated-out secret keeps signing payloads unless the request says otherwise
+const DEFAULT_SECRET_GRACE_PERIOD = parseInt(process.env.WEBHOOK_SECRET_GRACE_PERIOD) || 24 * 60 * 60;
+const MAX_SECRET_GRACE_PERIOD = 7 * 24 * 60 * 60;
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+/**
+ * Find a webhook that belongs to an instance, or respond with a 404
+ * Webhooks of other instances are reported as not found so a key scoped to
+ * one instance can't reach them through its own phone
+ * @returns {Promise<Object|null>} - The webhook, or null if a response was sent
+ */
+const findInstanceWebhook = async (phone, id, res) => {
+    const instance = await instanceService.findByPhone(phone);
+    if (!instance) {
+        res.status(404).json({
+            success: false,
+            error: 'Instance not found',
+            message: `Instance with phone ${phone} not found`
+        });
+        return null;
+    }
+
+    const webhook = OBJECT_ID_PATTERN.test(id) ? await webhookService.findById(id) : null;
+    if (!webhook || webhook.instanceId !== instance.id) {
+        res.status(404).json({
+            success: false,
+            error: 'Webhook not found',
+            message: `Webhook with id ${id} not found`
+        });
+        return null;
+    }
+
+    return webhook;
+};
+
 const webhookController = {
+    // List the events webhooks can subscribe to
+    getWebhookEvents: async (req, res) => {
+        res.status(200).json({
+            success: true,
+            data: {
+                events: getEventCatalog(),
+                patterns: ['*', '<namespace>.*']
+            }
+        });
+    },
+
+    // List the transports a webhook type can select
+    getWebhookTransports: async (req, res) => {
+        res.status(200).json({
+            success: true,
+            data: webhookTransports.list()
+        });
+    },
+
     // Create a new webhook
     createWebhook: async (req, res) => {
         try {
             const data = req.body;
             logger.info('Creating a new webhook', data);
 
-            const webhook = await webhookService.create(data);
+            const { events, error: eventsError } = normalizeEvents(data.events ?? data.event);
+            if (eventsError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid events',
+                    message: eventsError
+                });
+            }
+
+            const webhook = await webhookService.create({ ...data, events });
 
             res.status(201).json({
                 success: true,
@@ -55,7 +124,9 @@ const webhookController = {
     createInstanceWebhook: async (req, res) => {
         try {
             const { phone } = req.params;
-            const { type, event, url } = req.body;
+            const { type, url, transportOptions, retryPolicy, filters } = req.body;
+            // `event` accepts a single name, a pattern or an array; `events` is an alias
+            const event = req.body.events ?? req.body.event;
             
             // Validation
             if (!type || !event || !url) {
@@ -65,6 +136,46 @@ const webhookController = {
                     message: 'type, event, and url are required'
                 });
             }
+
+            const { events, error: eventsError } = normalizeEvents(event);
+            if (eventsError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid events',
+                    message: eventsError
+                });
+            }
+
+            const transportError = webhookTransports.validate({ type, url, transportOptions });
+            if (transportError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid transport settings',
+                    message: transportError
+                });
+            }
+            
+            if (retryPolicy !== undefined) {
+                const retryPolicyError = validateRetryPolicy(retryPolicy);
+                if (retryPolicyError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid retry policy',
+                        message: retryPolicyError
+                    });
+                }
+            }
+            
+            if (filters !== undefined) {
+                const filtersError = validateWebhookFilters(filters);
+                if (filtersError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid filters',
+                        message: filtersError
+                    });
+                }
+            }
             
             logger.info(`Creating webhook for instance ${phone}`);
 
@@ -80,8 +191,11 @@ const webhookController = {
             const webhook = await webhookService.create({
                 instanceId: instance.id,
                 type,
-                event,
-                url
+                events,
+                url,
+                transportOptions,
+                retryPolicy,
+                filters
             });
 
             res.status(201).json({
@@ -112,11 +226,59 @@ const webhookController = {
     updateInstanceWebhook: async (req, res) => {
         try {
             const { phone, id } = req.params;
-            const data = req.body;
+            // Secrets can only be changed through the rotate endpoint
+            const { secret, previousSecret, previousSecretExpiresAt, event, events, ...data } = req.body;
             logger.info(`Updating webhook ${id} for instance ${phone}`);
 
-            const instance = await instanceService.findByPhone(phone);
-            if (!instance) throw new Error(`Instance with phone ${phone} not found`);
+            if (event !== undefined || events !== undefined) {
+                const normalized = normalizeEvents(events ?? event);
+                if (normalized.error) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid events',
+                        message: normalized.error
+                    });
+                }
+                // Replaces any legacy single-event subscription
+                data.events = normalized.events;
+                data.event = null;
+            }
+
+            if (data.retryPolicy !== undefined && data.retryPolicy !== null) {
+                const retryPolicyError = validateRetryPolicy(data.retryPolicy);
+                if (retryPolicyError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid retry policy',
+                        message: retryPolicyError
+                    });
+                }
+            }
+
+            if (data.filters !== undefined && data.filters !== null) {
+                const filtersError = validateWebhookFilters(data.filters);
+                if (filtersError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid filters',
+                        message: filtersError
+                    });
+                }
+            }
+
+            const existing = await findInstanceWebhook(phone, id, res);
+            if (!existing) return;
+
+            if (data.type !== undefined || data.url !== undefined || data.transportOptions !== undefined) {
+                const transportError = webhookTransports.validate({ ...existing, ...data });
+                if (transportError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid transport settings',
+                        message: transportError
+                    });
+                }
+            }
 
             const webhook = await webhookService.update(id, data);
 
@@ -142,8 +304,8 @@ const webhookController = {
             const { isEnabled } = req.body;
             logger.info(`Toggling webhook ${id} status for instance ${phone}`);
 
-            const instance = await instanceService.findByPhone(phone);
-            if (!instance) throw new Error(`Instance with phone ${phone} not found`);
+            const existing = await findInstanceWebhook(phone, id, res);
+            if (!existing) return;
 
             const webhook = await webhookService.toggleEnabled(id, isEnabled);
 
@@ -168,28 +330,53 @@ const webhookController = {
             const { phone, id } = req.params;
             logger.info(`Fetching webhook ${id} for instance ${phone}`);
 
-            const instance = await instanceService.findByPhone(phone);
-            if (!instance) throw new Error(`Instance with phone ${phone} not found`);
+            const webhook = await findInstanceWebhook(phone, id, res);
+            if (!webhook) return;
 
-            const webhook = await webhookService.findById(id);
+            res.status(200).json({
+                success: true,
+                data: webhook
+            });
+        } catch (error) {
+            logger.error('Error fetching instance webhook:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get instance webhook',
+                message: error.message
+            });
+        }
+    },
 
-            if (!webhook) {
-                return res.status(404).json({
+    // Rotate the signing secret of a webhook for a specific instance
+    rotateInstanceWebhookSecret: async (req, res) => {
+        try {
+            const { phone, id } = req.params;
+            const { gracePeriodSeconds = DEFAULT_SECRET_GRACE_PERIOD } = req.body || {};
+            logger.info(`Rotating secret of webhook ${id} for instance ${phone}`);
+
+            if (!Number.isInteger(gracePeriodSeconds) || gracePeriodSeconds < 0 || gracePeriodSeconds > MAX_SECRET_GRACE_PERIOD) {
+                return res.status(400).json({
                     success: false,
-                    error: 'Webhook not found',
-                    message: `Webhook with id ${id} not found`
+                    error: 'Invalid grace period',
+                    message: `gracePeriodSeconds must be an integer between 0 and ${MAX_SECRET_GRACE_PERIOD}`
                 });
             }
-            
+
+            const existing = await findInstanceWebhook(phone, id, res);
+            if (!existing) return;
+
+            const webhook = await webhookService.rotateSecret(id, gracePeriodSeconds);
+
             res.status(200).json({
                 success: true,
+                message: 'Webhook secret rotated successfully',
                 data: webhook
             });
         } catch (error) {
-            logger.error('Error fetching instance webhook:', error);
+            logger.error('Error rotating webhook secret:', error);
             res.status(500).json({
                 success: false,
-                error: 'Failed to get instance webhook',
+                error: 'Failed to rotate webhook secret',
                 message: error.message
             });
         }
@@ -201,8 +388,8 @@ const webhookController = {
             const { phone, id } = req.params;
             logger.info(`Deleting webhook ${id} for instance ${phone}`);
 
-            const instance = await instanceService.findByPhone(phone);
-            if (!instance) throw new Error(`Instance with phone ${phone} not found`);
+            const existing = await findInstanceWebhook(phone, id, res);
+            if (!existing) return;
 
             await webhookService.delete(id);
 
@@ -220,6 +407,101 @@ const webhookController = {
         }
     },
 
+    // Get queued webhook deliveries for a specific instance
+    getInstanceDeliveries: async (req, res) => {
+        try {
+            const { phone } = req.params;
+            const { status, limit = 50, skip = 0 } = req.query;
+            logger.info(`Fetching webhook deliveries for instance ${phone}`);
+
+            const instance = await instanceService.findByPhone(phone);
+            if (!instance) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Instance not found',
+                    message: `Instance with phone ${phone} not found`
+                });
+            }
+
+            const [deliveries, queue] = await Promise.all([
+                webhookDeliveryService.findByInstance(instance.id, {
+                    status,
+                    take: parseInt(limit),
+                    skip: parseInt(skip)
+                }),
+                webhookDeliveryService.getQueueStats(instance.id)
+            ]);
+
+            res.status(200).json({
+                success: true,
+                data: deliveries,
+                meta: {
+                    count: deliveries.length,
+                    limit: parseInt(limit),
+                    skip: parseInt(skip),
+                    queue
+                }
+            });
+        } catch (error) {
+            logger.error('Error getting webhook deliveries:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get webhook deliveries',
+                message: error.message
+            });
+        }
+    },
+
+    // Requeue a dead-lettered webhook delivery for a specific instance
+    retryInstanceDelivery: async (req, res) => {
+        try {
+            const { phone, deliveryId } = req.params;
+            logger.info(`Retrying webhook delivery ${deliveryId} for instance ${phone}`);
+
+            const instance = await instanceService.findByPhone(phone);
+            if (!instance) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Instance not found',
+                    message: `Instance with phone ${phone} not found`
+                });
+            }
+
+            const delivery = await webhookDeliveryService.findById(deliveryId);
+            if (!delivery || delivery.instanceId !== instance.id) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Delivery not found',
+                    message: `Webhook delivery with id ${deliveryId} not found`
+                });
+            }
+
+            if (delivery.status !== 'dead') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Delivery not in dead-letter state',
+                    message: `Only dead deliveries can be retried. Current status: ${delivery.status}`
+                });
+            }
+
+            const requeued = await webhookDeliveryService.requeue(deliveryId);
+            webhookDispatcher.notify();
+
+            res.status(200).json({
+                success: true,
+                message: 'Webhook delivery requeued successfully',
+                data: requeued
+            });
+        } catch (error) {
+            logger.error('Error retrying webhook delivery:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to retry webhook delivery',
+                message: error.message
+            });
+        }
+    },
+
     // Delete a webhook (legacy method)
     deleteWebhook: async (req, res) => {
         try {
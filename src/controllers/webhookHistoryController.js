@@ -1,7 +1,128 @@
 const webhookHistoryService = require('../services/webhookHistoryService');
 const instanceService = require('../services/instanceService');
+const webhookService = require('../services/webhookService');
+const webhookDeliveryService = require('../services/webhookDeliveryService');
+const webhookDispatcher = require('../core/webhook-dispatcher.core');
 const { validationResult } = require('express-validator');
 
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+// Upper bound for a single bulk redelivery request
+const MAX_BULK_REDELIVERY = 500;
+
+// How many redeliveries of redeliveries are followed back to the original record
+const MAX_REDELIVERY_DEPTH = 5;
+
+// Delivery states that mean an event is still on its way or has arrived
+const UNFINISHED_OR_DELIVERED = ['pending', 'processing', 'success'];
+
+/**
+ * Build getRecentFailures filters from request parameters
+ * @param {Object} source - req.query or req.body
+ */
+const parseFailureFilters = (source) => ({
+  event: source.event,
+  status: source.status,
+  startDate: source.startDate ? new Date(source.startDate) : undefined,
+  endDate: source.endDate ? new Date(source.endDate) : undefined,
+});
+
+/**
+ * Queue a history record's payload for another delivery
+ * @param {Object} history - Webhook history record including its webhook
+ */
+const enqueueRedelivery = async (history) => {
+  return await webhookDeliveryService.enqueue({
+    instanceId: history.instanceId,
+    webhookId: history.webhookId,
+    event: history.event,
+    payload: history.payload,
+    sourceHistoryId: history.id,
+  });
+};
+
+/**
+ * Work out which original event each history record delivers
+ * Attempts of one delivery share its ID, and redelivery attempts point at the record they
+ * redeliver through redeliveryOf. Following those links groups every attempt of an event,
+ * including its earlier redeliveries, under the delivery that first sent it.
+ * @param {Object[]} failures - History records to group
+ * @returns {Promise<{originalOf: Function, links: Map}>} - originalOf(historyId) returns the group key;
+ *   links holds every record looked at, by ID
+ */
+const resolveOriginals = async (failures) => {
+  const links = new Map(failures.map(h => [h.id, h]));
+
+  for (let depth = 0; depth < MAX_REDELIVERY_DEPTH; depth++) {
+    const missing = [...new Set([...links.values()]
+      .map(h => h.redeliveryOf)
+      .filter(id => id && !links.has(id)))];
+    if (missing.length === 0) break;
+
+    const found = await webhookHistoryService.findLinksByIds(missing);
+    found.forEach(h => links.set(h.id, h));
+
+    // Records removed by cleanup end the chain
+    missing.filter(id => !links.has(id)).forEach(id => links.set(id, { id, deliveryId: null, redeliveryOf: null }));
+  }
+
+  // Other attempts of the same deliveries may be the source of a redelivery too
+  const deliveryIds = [...new Set([...links.values()].map(h => h.deliveryId).filter(Boolean))];
+  if (deliveryIds.length > 0) {
+    const attempts = await webhookHistoryService.findLinksByDeliveryIds(deliveryIds);
+    attempts.filter(h => !links.has(h.id)).forEach(h => links.set(h.id, h));
+  }
+
+  const originalOf = (historyId) => {
+    let record = links.get(historyId) || { id: historyId };
+    for (let depth = 0; record.redeliveryOf && depth < MAX_REDELIVERY_DEPTH; depth++) {
+      record = links.get(record.redeliveryOf) || { id: record.redeliveryOf };
+    }
+    return record.deliveryId || record.id;
+  };
+
+  return { originalOf, links };
+};
+
+/**
+ * Find events of history records that are still being delivered, have been delivered,
+ * or have a redelivery that is pending, processing or successful
+ * @param {Object[]} failures - History records
+ * @returns {Promise<{originalOf: Function, blocked: Map}>} - blocked maps a group key to the reason to skip it
+ */
+const findSettledOriginals = async (failures) => {
+  const { originalOf, links } = await resolveOriginals(failures);
+  const blocked = new Map();
+
+  const deliveryOriginal = new Map();
+  for (const record of links.values()) {
+    if (record.deliveryId && !deliveryOriginal.has(record.deliveryId)) {
+      deliveryOriginal.set(record.deliveryId, originalOf(record.id));
+    }
+  }
+
+  const deliveryIds = [...deliveryOriginal.keys()];
+  const deliveries = deliveryIds.length > 0
+    ? await webhookDeliveryService.findByIds(deliveryIds)
+    : [];
+  for (const delivery of deliveries) {
+    const original = deliveryOriginal.get(delivery.id);
+    if (delivery.status !== 'dead' && !blocked.has(original)) {
+      blocked.set(original, `Delivery is ${delivery.status}`);
+    }
+  }
+
+  const redeliveries = await webhookDeliveryService.findBySourceHistoryIds([...links.keys()], UNFINISHED_OR_DELIVERED);
+  for (const delivery of redeliveries) {
+    const original = originalOf(delivery.sourceHistoryId);
+    if (!blocked.has(original)) {
+      blocked.set(original, `Already redelivered (${delivery.status})`);
+    }
+  }
+
+  return { originalOf, blocked };
+};
+
 class WebhookHistoryController {
   /**
    * Get webhook history for a specific instance
@@ -66,15 +187,32 @@ class WebhookHistoryController {
 
   /**
    * Get webhook history for a specific webhook
+   * Webhooks of other instances are reported as not found
    */
   async getWebhookHistory(req, res) {
     try {
-      const { webhookId } = req.params;
+      const { phone, webhookId } = req.params;
       const { 
         limit = 50, 
         skip = 0 
       } = req.query;
 
+      const instance = await instanceService.findByPhone(phone);
+      if (!instance) {
+        return res.status(404).json({
+          success: false,
+          error: 'Instance not found'
+        });
+      }
+
+      const webhook = OBJECT_ID_PATTERN.test(webhookId) ? await webhookService.findById(webhookId) : null;
+      if (!webhook || webhook.instanceId !== instance.id) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook not found'
+        });
+      }
+
       const history = await webhookHistoryService.findByWebhook(webhookId, { 
         take: parseInt(limit), 
         skip: parseInt(skip) 
@@ -150,7 +288,8 @@ class WebhookHistoryController {
 
       const failures = await webhookHistoryService.getRecentFailures(
         parseInt(limit), 
-        instanceId
+        instanceId,
+        parseFailureFilters(req.query)
       );
 
       res.json({
@@ -176,7 +315,11 @@ class WebhookHistoryController {
     try {
       const { limit = 10 } = req.query;
 
-      const failures = await webhookHistoryService.getRecentFailures(parseInt(limit));
+      const failures = await webhookHistoryService.getRecentFailures(
+        parseInt(limit),
+        req.query.instanceId,
+        parseFailureFilters(req.query)
+      );
 
       res.json({
         success: true,
@@ -210,9 +353,150 @@ class WebhookHistoryController {
         });
       }
 
+      const redeliveries = await webhookHistoryService.findRedeliveries(historyId);
+
       res.json({
         success: true,
-        data: history
+        data: {
+          ...history,
+          redeliveries
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Redeliver the payload of a webhook history record
+   * The new attempt is recorded as a separate history record linked via redeliveryOf
+   */
+  async redeliver(req, res) {
+    try {
+      const { historyId } = req.params;
+
+      const history = await webhookHistoryService.findById(historyId);
+
+      if (!history) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook history record not found'
+        });
+      }
+
+      // Skipped records were filtered out and never sent
+      if (history.status === 'skipped') {
+        return res.status(409).json({
+          success: false,
+          error: 'Webhook history record was skipped by the webhook filters and never sent'
+        });
+      }
+
+      if (!history.webhook || !history.webhook.isEnabled) {
+        return res.status(409).json({
+          success: false,
+          error: 'Webhook is disabled or no longer exists'
+        });
+      }
+
+      const delivery = await enqueueRedelivery(history);
+      webhookDispatcher.notify();
+
+      res.status(202).json({
+        success: true,
+        message: 'Webhook redelivery queued',
+        data: delivery
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Redeliver recent failures matching the same filters as getRecentFailures
+   * Failures of an event that has since been delivered, is still being retried, or has a
+   * pending, processing or successful redelivery are skipped
+   */
+  async bulkRedeliver(req, res) {
+    try {
+      const { phone, limit = 50 } = req.body;
+      let { instanceId } = req.body;
+      const take = Math.min(parseInt(limit) || 50, MAX_BULK_REDELIVERY);
+      const filters = parseFailureFilters(req.body);
+
+      if (filters.status && !['failed', 'timeout'].includes(filters.status)) {
+        return res.status(400).json({
+          success: false,
+          error: 'status must be one of: failed, timeout'
+        });
+      }
+
+      if ([filters.startDate, filters.endDate].some(date => date && isNaN(date.getTime()))) {
+        return res.status(400).json({
+          success: false,
+          error: 'startDate and endDate must be valid dates'
+        });
+      }
+
+      if (phone) {
+        const instance = await instanceService.findByPhone(phone);
+        if (!instance) {
+          return res.status(404).json({
+            success: false,
+            error: 'Instance not found'
+          });
+        }
+        instanceId = instance.id;
+      }
+
+      const failures = await webhookHistoryService.getRecentFailures(take, instanceId, filters);
+
+      // Several failed attempts and earlier redeliveries can belong to the same event
+      const { originalOf, blocked } = failures.length > 0
+        ? await findSettledOriginals(failures)
+        : { originalOf: (id) => id, blocked: new Map() };
+
+      const seen = new Set();
+      const queued = [];
+      const skipped = [];
+
+      for (const history of failures) {
+        const key = originalOf(history.id);
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        if (blocked.has(key)) {
+          skipped.push({ historyId: history.id, reason: blocked.get(key) });
+          continue;
+        }
+
+        if (!history.webhook || !history.webhook.isEnabled) {
+          skipped.push({ historyId: history.id, reason: 'Webhook is disabled or no longer exists' });
+          continue;
+        }
+
+        const delivery = await enqueueRedelivery(history);
+        queued.push({ historyId: history.id, deliveryId: delivery.id });
+      }
+
+      if (queued.length > 0) {
+        webhookDispatcher.notify();
+      }
+
+      res.status(202).json({
+        success: true,
+        message: `Queued ${queued.length} webhook redeliveries`,
+        data: {
+          matched: failures.length,
+          queued,
+          skipped
+        }
       });
     } catch (error) {
       res.status(500).json({
@@ -230,11 +514,15 @@ class WebhookHistoryController {
       const { daysToKeep = 30 } = req.body;
 
       const result = await webhookHistoryService.cleanup(parseInt(daysToKeep));
+      const deliveries = await webhookDeliveryService.cleanup(parseInt(daysToKeep));
 
       res.json({
         success: true,
-        message: `Cleaned up ${result.deletedCount} old webhook history records`,
-        data: result
+        message: `Cleaned up ${result.deletedCount} old webhook history records and ${deliveries.deletedCount} finished deliveries`,
+        data: {
+          ...result,
+          deletedDeliveries: deliveries.deletedCount
+        }
       });
     } catch (error) {
       res.status(500).json({
@@ -0,0 +1,198 @@
+const logger = require('../utils/logger');
+const broadcastService = require('../services/broadcastService');
+const messageService = require('../services/messageService');
+const instanceLogService = require('../services/instanceLogService');
+const { renderTemplate } = require('../utils/textTemplate');
+const { getSendInterval } = require('../utils/broadcast');
+const { SendQueueFullError } = require('./send-queue.core');
+
+// How long a broadcast waits before checking again whether its instance reconnected
+const RECONNECT_CHECK_INTERVAL_MS = 30000;
+
+/**
+ * Runs broadcast jobs one message at a time
+ * Each running broadcast sends its next recipient when nextSendAt is due, then waits for its
+ * rate limit plus a random delay. Jobs and recipients are persisted, so they resume after restarts.
+ */
+class BroadcastRunner {
+    constructor() {
+        this.pollInterval = parseInt(process.env.BROADCAST_POLL_INTERVAL) || 1000;
+        this.batchSize = 10;
+        this.running = false;
+        this.polling = false;
+        this.timer = null;
+        this.manager = null;
+    }
+
+    /**
+     * @param {Object} manager - Instance manager used to send the messages
+     */
+    async start(manager) {
+        if (this.running) return;
+
+        this.manager = manager;
+
+        // Resending could deliver a message twice, so interrupted recipients are failed instead
+        const interrupted = await broadcastService.failInterruptedRecipients();
+        if (interrupted > 0) {
+            logger.warn(`📢 Marked ${interrupted} broadcast recipient(s) interrupted by the last shutdown as failed`);
+        }
+
+        const released = await broadcastService.releaseStale();
+        if (released > 0) {
+            logger.info(`📢 Resuming ${released} broadcast(s) interrupted by the last shutdown`);
+        }
+
+        this.running = true;
+        this.schedule(0);
+        logger.info(`📢 Broadcast runner started (poll interval: ${this.pollInterval}ms)`);
+    }
+
+    stop() {
+        this.running = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    schedule(delay) {
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.poll(), delay);
+    }
+
+    async poll() {
+        this.timer = null;
+        if (!this.running || this.polling) return;
+
+        this.polling = true;
+
+        try {
+            const due = await broadcastService.findDue(this.batchSize);
+
+            for (const pending of due) {
+                const broadcast = await broadcastService.claim(pending.id);
+                if (!broadcast) continue;
+
+                await this.step(broadcast).catch(async error => {
+                    logger.error(`Unexpected error running broadcast ${broadcast.id}: ${error.message}`);
+                    await broadcastService.release(broadcast.id, new Date(Date.now() + RECONNECT_CHECK_INTERVAL_MS), error.message)
+                        .catch(() => {});
+                });
+            }
+        } catch (error) {
+            logger.error(`Error polling broadcasts: ${error.message}`);
+        } finally {
+            this.polling = false;
+            if (this.running && !this.timer) {
+                this.schedule(this.pollInterval);
+            }
+        }
+    }
+
+    /**
+     * Send the next message of a claimed broadcast
+     * @param {Object} broadcast - Claimed broadcast including its instance
+     */
+    async step(broadcast) {
+        const phone = broadcast.instance.phone;
+        const instance = this.manager.getInstance(phone);
+
+        // Broadcasts wait for their instance instead of failing every remaining recipient
+        if (!instance || !instance.isConnected) {
+            await broadcastService.release(
+                broadcast.id,
+                new Date(Date.now() + RECONNECT_CHECK_INTERVAL_MS),
+                `Waiting for WhatsApp instance ${phone} to connect`
+            );
+            return;
+        }
+
+        const recipient = await broadcastService.takeNextRecipient(broadcast.id);
+        if (!recipient) {
+            await this.complete(broadcast);
+            return;
+        }
+
+        let progress;
+        try {
+            const result = await this.send(phone, broadcast, recipient);
+
+            const stored = await messageService.findByMessageId(broadcast.instanceId, result.messageId);
+            if (stored) {
+                await messageService.update(stored.id, { broadcastId: broadcast.id });
+            }
+
+            progress = await broadcastService.recordResult(recipient, {
+                status: 'sent',
+                messageId: result.messageId,
+                storedMessageId: stored?.id
+            });
+        } catch (error) {
+            // A full send queue is temporary; the recipient is sent once the queue drains
+            if (error instanceof SendQueueFullError) {
+                await broadcastService.returnRecipient(recipient.id);
+                await broadcastService.release(broadcast.id, new Date(Date.now() + error.retryAfter * 1000), error.message);
+                return;
+            }
+
+            logger.warn(`📢 Broadcast ${broadcast.id} failed to send to ${recipient.to}: ${error.message}`);
+            progress = await broadcastService.recordResult(recipient, { status: 'failed', error: error.message });
+        }
+
+        if (progress.sentCount + progress.failedCount >= progress.totalCount) {
+            await this.complete(progress);
+            return;
+        }
+
+        await broadcastService.release(broadcast.id, new Date(Date.now() + getSendInterval(broadcast)));
+    }
+
+    /**
+     * Send a broadcast message to one recipient through the regular send path
+     * @returns {Promise<{messageId: string}>}
+     */
+    async send(phone, broadcast, recipient) {
+        const variables = recipient.variables || {};
+        const options = broadcast.options || {};
+        // Recipients are stored in E.164, so the leading + stops a country code from being prepended again
+        const to = `+${recipient.to}`;
+
+        if (broadcast.media) {
+            const media = {
+                ...broadcast.media,
+                caption: broadcast.media.caption ? renderTemplate(broadcast.media.caption, variables) : undefined
+            };
+            return await this.manager.sendMediaMessage(phone, to, media, options);
+        }
+
+        return await this.manager.sendMessage(phone, to, renderTemplate(broadcast.message, variables), options);
+    }
+
+    async complete(broadcast) {
+        await broadcastService.release(broadcast.id, new Date());
+
+        // A broadcast cancelled while its last message was sending stays cancelled
+        const result = await broadcastService.complete(broadcast.id);
+        if (result.count === 0) return;
+
+        logger.info(`📢 Broadcast ${broadcast.id} completed: ${broadcast.sentCount} sent, ${broadcast.failedCount} failed`);
+        await instanceLogService.create({
+            instanceId: broadcast.instanceId,
+            level: 'info',
+            message: `Broadcast ${broadcast.name || broadcast.id} completed: ${broadcast.sentCount} sent, ${broadcast.failedCount} failed`
+        }).catch(() => {});
+    }
+
+    getStatus() {
+        return {
+            running: this.running,
+            pollInterval: this.pollInterval
+        };
+    }
+}
+
+// Create singleton instance
+const broadcastRunner = new BroadcastRunner();
+
+module.exports = broadcastRunner;
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const mediaConfig = require('../config/media.config');
+
+/**
+ * Registry of media storage backends
+ * MEDIA_STORAGE selects the backend that stores downloaded media. Backends are loaded
+ * from src/storage/*.storage.js and can also be registered at runtime, e.g. an
+ * S3-compatible bucket.
+ *
+ * A backend is an object with:
+ *   name                      - Value of MEDIA_STORAGE that selects it
+ *   save(key, buffer, meta)   - Stores the file under `key` ("<phone>/<file>"); meta has mimetype and size.
+ *                               Resolves with the stored path or object key
+ *   createReadStream(key)     - Resolves with a readable stream of the file, or null if it is gone
+ *   remove(key)               - Deletes the file
+ */
+class MediaStorage {
+    constructor() {
+        this.backends = new Map();
+        this.storageDir = path.join(__dirname, '../storage');
+        this.loaded = false;
+    }
+
+    load() {
+        if (this.loaded) return;
+        this.loaded = true;
+
+        const files = fs.readdirSync(this.storageDir).filter(file => file.endsWith('.storage.js'));
+
+        for (const file of files) {
+            try {
+                this.register(require(path.join(this.storageDir, file)));
+            } catch (error) {
+                logger.error(`❌ Failed to load media storage ${file}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Register a storage backend
+     * @param {Object} backend - Backend implementation
+     */
+    register(backend) {
+        const methods = ['save', 'createReadStream', 'remove'];
+        if (!backend || typeof backend.name !== 'string' || methods.some(method => typeof backend[method] !== 'function')) {
+            throw new Error('A media storage backend needs a name and save(), createReadStream() and remove() functions');
+        }
+
+        this.backends.set(backend.name, backend);
+    }
+
+    /**
+     * Get a storage backend
+     * @param {string} [name] - Backend name, defaults to MEDIA_STORAGE
+     * @returns {Object}
+     */
+    get(name = mediaConfig.getStorageBackend()) {
+        this.load();
+
+        const backend = this.backends.get(name);
+        if (!backend) {
+            throw new Error(`Unknown media storage '${name}'. Available: ${[...this.backends.keys()].join(', ')}`);
+        }
+
+        return backend;
+    }
+}
+
+// Create singleton instance
+const mediaStorage = new MediaStorage();
+
+module.exports = mediaStorage;
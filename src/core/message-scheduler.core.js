@@ -0,0 +1,202 @@
+const logger = require('../utils/logger');
+const scheduledMessageService = require('../services/scheduledMessageService');
+const messageService = require('../services/messageService');
+const instanceLogService = require('../services/instanceLogService');
+const { SendQueueFullError } = require('./send-queue.core');
+
+// How long a message waits before checking again whether its instance reconnected
+const RECONNECT_CHECK_INTERVAL_MS = 30000;
+
+/**
+ * Sends scheduled messages when they are due
+ * Scheduled messages are persisted in the scheduled_messages collection, so they survive
+ * restarts. The instance manager starts the scheduler and does the actual sending.
+ */
+class MessageScheduler {
+    constructor() {
+        this.pollInterval = parseInt(process.env.SCHEDULER_POLL_INTERVAL) || 5000;
+        this.batchSize = 10;
+        this.running = false;
+        this.polling = false;
+        this.timer = null;
+        this.manager = null;
+    }
+
+    /**
+     * @param {Object} manager - Instance manager used to send the messages
+     */
+    async start(manager) {
+        if (this.running) return;
+
+        this.manager = manager;
+
+        // Resending could deliver a message twice, so interrupted sends are failed instead
+        const interrupted = await scheduledMessageService.failInterrupted();
+        if (interrupted > 0) {
+            logger.warn(`⏰ Marked ${interrupted} scheduled message(s) interrupted by the last shutdown as failed`);
+        }
+
+        this.running = true;
+        this.schedule(0);
+        logger.info(`⏰ Message scheduler started (poll interval: ${this.pollInterval}ms)`);
+    }
+
+    stop() {
+        this.running = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    schedule(delay) {
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.poll(), delay);
+    }
+
+    async poll() {
+        this.timer = null;
+        if (!this.running || this.polling) return;
+
+        this.polling = true;
+        let processed = 0;
+
+        try {
+            const due = await scheduledMessageService.findDue(this.batchSize);
+
+            // Sent one after another so a batch keeps its order within a chat
+            for (const pending of due) {
+                const scheduled = await scheduledMessageService.claim(pending.id);
+                if (!scheduled) continue;
+
+                processed++;
+                await this.run(scheduled).catch(error => {
+                    logger.error(`Unexpected error sending scheduled message ${scheduled.id}: ${error.message}`);
+                });
+            }
+        } catch (error) {
+            logger.error(`Error polling scheduled messages: ${error.message}`);
+        } finally {
+            this.polling = false;
+            if (this.running && !this.timer) {
+                // A full batch means more may be due right away
+                this.schedule(processed >= this.batchSize ? 0 : this.pollInterval);
+            }
+        }
+    }
+
+    /**
+     * Send a claimed scheduled message, or apply its disconnected policy
+     * @param {Object} scheduled - Claimed scheduled message including its instance
+     */
+    async run(scheduled) {
+        const phone = scheduled.instance?.phone;
+        const instance = phone ? this.manager.getInstance(phone) : null;
+
+        if (!instance) {
+            await this.finish(scheduled, 'failed', `WhatsApp instance ${phone || scheduled.instanceId} no longer exists`);
+            return;
+        }
+
+        if (!instance.isConnected) {
+            const reason = `WhatsApp instance ${phone} is not connected (status: ${instance.connectionStatus})`;
+
+            if (scheduled.disconnectedPolicy === 'wait') {
+                await scheduledMessageService.postpone(scheduled.id, new Date(Date.now() + RECONNECT_CHECK_INTERVAL_MS), reason);
+                return;
+            }
+
+            await this.finish(scheduled, scheduled.disconnectedPolicy === 'skip' ? 'skipped' : 'failed', reason);
+            return;
+        }
+
+        try {
+            const result = await this.send(phone, scheduled);
+
+            const stored = result.storedMessageId
+                ? { id: result.storedMessageId }
+                : await messageService.findByMessageId(scheduled.instanceId, result.messageId);
+
+            if (stored) {
+                await messageService.update(stored.id, { scheduledMessageId: scheduled.id });
+            }
+
+            await scheduledMessageService.markSent(scheduled.id, {
+                messageId: result.messageId,
+                storedMessageId: stored?.id
+            });
+
+            logger.info(`⏰ Sent scheduled ${scheduled.kind} message ${scheduled.id} from ${phone}`);
+        } catch (error) {
+            // A full send queue is temporary, so the message is tried again once it drains
+            if (error instanceof SendQueueFullError) {
+                await scheduledMessageService.postpone(scheduled.id, new Date(Date.now() + error.retryAfter * 1000), error.message);
+                return;
+            }
+
+            await this.finish(scheduled, 'failed', error.message);
+        }
+    }
+
+    /**
+     * Send a scheduled message through the endpoint it was scheduled with
+     * @returns {Promise<{messageId: string, storedMessageId?: string}>}
+     */
+    async send(phone, scheduled) {
+        const { kind, recipient, payload } = scheduled;
+        const options = scheduled.options || {};
+
+        switch (kind) {
+            case 'text':
+                return await this.manager.sendMessage(phone, recipient, payload.message, options);
+            case 'group':
+                return await this.manager.sendGroupMessage(phone, recipient, payload.message, options);
+            case 'media':
+                return await this.manager.sendMediaMessage(phone, recipient, payload.media, options);
+            case 'group-media':
+                return await this.manager.sendGroupMediaMessage(phone, recipient, payload.media, options);
+            case 'typed': {
+                // Quoted and reacted-to messages are looked up when the message is sent
+                const referencedId = payload.type === 'reaction' ? payload.messageId : payload.quotedMessageId;
+                const referenced = referencedId
+                    ? await messageService.findInstanceMessage(scheduled.instanceId, referencedId)
+                    : null;
+
+                if (referencedId && !referenced) {
+                    throw new Error(`Message with id ${referencedId} not found`);
+                }
+
+                return await this.manager.sendTypedMessage(phone, recipient, payload, {
+                    ...options,
+                    quoted: payload.type === 'reaction' ? null : referenced,
+                    target: payload.type === 'reaction' ? referenced : null
+                });
+            }
+            default:
+                throw new Error(`Unknown scheduled message kind: ${kind}`);
+        }
+    }
+
+    async finish(scheduled, status, reason) {
+        await scheduledMessageService.markUnsent(scheduled.id, status, reason);
+
+        logger.warn(`⏰ Scheduled message ${scheduled.id} ${status}: ${reason}`);
+        await instanceLogService.create({
+            instanceId: scheduled.instanceId,
+            level: status === 'failed' ? 'error' : 'warn',
+            message: `Scheduled ${scheduled.kind} message ${status}: ${reason}`
+        }).catch(() => {});
+    }
+
+    getStatus() {
+        return {
+            running: this.running,
+            pollInterval: this.pollInterval
+        };
+    }
+}
+
+// Create singleton instance
+const messageScheduler = new MessageScheduler();
+
+module.exports = messageScheduler;
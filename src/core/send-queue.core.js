@@ -0,0 +1,167 @@
+const logger = require('../utils/logger');
+
+// Number of recent waits the average and maximum wait are computed from
+const WAIT_SAMPLE_SIZE = 100;
+
+/**
+ * Raised when a send is requested while the queue of an instance is full
+ */
+class SendQueueFullError extends Error {
+    /**
+     * @param {number} depth - Messages waiting in the queue
+     * @param {number} retryAfter - Seconds until a slot is likely free
+     */
+    constructor(depth, retryAfter) {
+        super(`Send queue is full (${depth} messages waiting). Retry after ${retryAfter} seconds`);
+        this.name = 'SendQueueFullError';
+        this.depth = depth;
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * Paces the outgoing messages of one instance
+ * Sends go out one at a time, at most messagesPerMinute apart, and a recipient
+ * gets no new message until its cooldown since the previous one has passed.
+ * Waiting sends keep their order unless their recipient is still cooling down.
+ */
+class SendQueue {
+    /**
+     * @param {string} name - Instance phone, for logs
+     * @param {Function} getConfig - Returns the current { messagesPerMinute, recipientCooldownMs, maxQueueDepth }
+     */
+    constructor(name, getConfig) {
+        this.name = name;
+        this.getConfig = getConfig;
+        this.jobs = []; // { recipient, enqueuedAt, resolve }
+        this.active = false;
+        this.lastStartAt = null; // When the previous send started
+        this.recipientSentAt = new Map(); // recipient -> when its last message was sent
+        this.timer = null;
+        this.waits = [];
+        this.sentCount = 0;
+    }
+
+    /**
+     * Wait for a turn to send a message
+     * The caller must call the returned release function once the message is sent or failed
+     * @param {string} recipient - Chat JID
+     * @returns {Promise<Function>} - Releases the turn
+     * @throws {SendQueueFullError} If maxQueueDepth messages are already waiting
+     */
+    acquire(recipient) {
+        const { maxQueueDepth } = this.getConfig();
+
+        if (this.jobs.length >= maxQueueDepth) {
+            const retryAfter = this.estimateWaitSeconds(this.jobs.length);
+            logger.warn(`🚦 Send queue of ${this.name} is full (${this.jobs.length} waiting)`);
+            return Promise.reject(new SendQueueFullError(this.jobs.length, retryAfter));
+        }
+
+        return new Promise(resolve => {
+            this.jobs.push({ recipient, enqueuedAt: Date.now(), resolve });
+            this.schedule();
+        });
+    }
+
+    /**
+     * Start the next send whose turn has come, or wait until one is due
+     */
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        if (this.active || this.jobs.length === 0) return;
+
+        const now = Date.now();
+        const { messagesPerMinute, recipientCooldownMs } = this.getConfig();
+        const slotAt = this.lastStartAt === null ? now : this.lastStartAt + Math.ceil(60000 / messagesPerMinute);
+
+        // The earliest due job wins; ties keep the queue order
+        let next = null;
+        let dueAt = Infinity;
+        for (const job of this.jobs) {
+            const sentAt = this.recipientSentAt.get(job.recipient);
+            const jobDueAt = sentAt === undefined ? slotAt : Math.max(slotAt, sentAt + recipientCooldownMs);
+            if (jobDueAt < dueAt) {
+                next = job;
+                dueAt = jobDueAt;
+            }
+        }
+
+        if (dueAt > now) {
+            this.timer = setTimeout(() => this.schedule(), dueAt - now);
+            return;
+        }
+
+        this.jobs.splice(this.jobs.indexOf(next), 1);
+        this.active = true;
+        this.lastStartAt = now;
+        this.recordWait(now - next.enqueuedAt);
+
+        let released = false;
+        next.resolve(() => {
+            if (released) return;
+            released = true;
+
+            this.active = false;
+            this.sentCount++;
+            this.recipientSentAt.set(next.recipient, Date.now());
+            this.pruneCooldowns(recipientCooldownMs);
+            this.schedule();
+        });
+    }
+
+    /**
+     * Forget recipients whose cooldown is over
+     * @param {number} recipientCooldownMs - Current cooldown
+     */
+    pruneCooldowns(recipientCooldownMs) {
+        const expiredBefore = Date.now() - recipientCooldownMs;
+        for (const [recipient, sentAt] of this.recipientSentAt) {
+            if (sentAt <= expiredBefore) {
+                this.recipientSentAt.delete(recipient);
+            }
+        }
+    }
+
+    recordWait(waitMs) {
+        this.waits.push(waitMs);
+        if (this.waits.length > WAIT_SAMPLE_SIZE) {
+            this.waits.shift();
+        }
+    }
+
+    /**
+     * Estimate how long a new send would wait behind the queue
+     * @param {number} depth - Messages ahead of it
+     * @returns {number} - Seconds, at least 1
+     */
+    estimateWaitSeconds(depth) {
+        const { messagesPerMinute } = this.getConfig();
+        return Math.max(1, Math.ceil((depth * 60) / messagesPerMinute));
+    }
+
+    getStats() {
+        const config = this.getConfig();
+        const now = Date.now();
+
+        return {
+            ...config,
+            depth: this.jobs.length,
+            sending: this.active,
+            sentCount: this.sentCount,
+            oldestWaitMs: this.jobs.length > 0 ? now - Math.min(...this.jobs.map(job => job.enqueuedAt)) : 0,
+            averageWaitMs: this.waits.length > 0
+                ? Math.round(this.waits.reduce((sum, wait) => sum + wait, 0) / this.waits.length)
+                : 0,
+            maxWaitMs: this.waits.length > 0 ? Math.max(...this.waits) : 0,
+            estimatedWaitSeconds: this.jobs.length > 0 ? this.estimateWaitSeconds(this.jobs.length) : 0
+        };
+    }
+}
+
+module.exports = {
+    SendQueue,
+    SendQueueFullError
+};
@@ -0,0 +1,254 @@
+const logger = require('../utils/logger');
+const packageJson = require('../../package.json');
+const webhookDeliveryService = require('../services/webhookDeliveryService');
+const webhookHistoryService = require('../services/webhookHistoryService');
+const { resolveRetryPolicy, computeBackoffDelay } = require('../utils/backoff');
+const { SIGNATURE_HEADER, buildSignatureHeader } = require('../utils/webhookSignature');
+const webhookTransports = require('./webhook-transports.core');
+
+// A delivery locked longer than the longest attempt a retry policy allows (60s timeout),
+// plus time to record it, was abandoned by a crashed or stuck worker
+const STALE_LOCK_MS = 2 * 60 * 1000;
+
+// How often the poll loop looks for abandoned deliveries
+const STALE_SWEEP_INTERVAL = 60 * 1000;
+
+/**
+ * Delivers queued webhooks in the background
+ * Deliveries are persisted in the webhook_deliveries collection, so pending and
+ * retrying deliveries are picked up again after a restart.
+ */
+class WebhookDispatcher {
+    constructor() {
+        this.pollInterval = parseInt(process.env.WEBHOOK_QUEUE_POLL_INTERVAL) || 1000;
+        this.concurrency = parseInt(process.env.WEBHOOK_QUEUE_CONCURRENCY) || 5;
+        this.running = false;
+        this.polling = false;
+        this.pollRequested = false;
+        this.timer = null;
+        this.activeDeliveries = new Set();
+        this.lastStaleSweepAt = 0;
+    }
+
+    async start() {
+        if (this.running) return;
+
+        await this.releaseStale();
+
+        this.running = true;
+        this.schedule(0);
+        logger.info(`📬 Webhook dispatcher started (concurrency: ${this.concurrency}, poll interval: ${this.pollInterval}ms)`);
+    }
+
+    async stop() {
+        this.running = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        await webhookTransports.close();
+    }
+
+    /**
+     * Wake the dispatcher up, e.g. right after new deliveries were queued
+     */
+    notify() {
+        if (!this.running) return;
+
+        if (this.polling) {
+            this.pollRequested = true;
+            return;
+        }
+
+        this.schedule(0);
+    }
+
+    schedule(delay) {
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.poll(), delay);
+    }
+
+    /**
+     * Requeue deliveries whose lock outlived any attempt
+     * Only old locks are released: another API process may be sending a recently claimed
+     * delivery right now, and a failed status update leaves a delivery locked until this runs
+     */
+    async releaseStale() {
+        this.lastStaleSweepAt = Date.now();
+
+        const released = await webhookDeliveryService.releaseStale(STALE_LOCK_MS);
+        if (released > 0) {
+            logger.info(`📬 Requeued ${released} abandoned webhook deliveries`);
+        }
+    }
+
+    async poll() {
+        this.timer = null;
+        if (!this.running || this.polling) return;
+
+        this.polling = true;
+        this.pollRequested = false;
+
+        try {
+            if (Date.now() - this.lastStaleSweepAt >= STALE_SWEEP_INTERVAL) {
+                await this.releaseStale();
+            }
+
+            const slots = this.concurrency - this.activeDeliveries.size;
+            if (slots > 0) {
+                const due = await webhookDeliveryService.findDue(slots);
+
+                for (const pending of due) {
+                    const delivery = await webhookDeliveryService.claim(pending.id);
+                    if (!delivery) continue;
+
+                    const task = this.deliver(delivery)
+                        .catch(error => {
+                            logger.error(`Unexpected error delivering webhook ${delivery.id}: ${error.message}`);
+                        })
+                        .finally(() => {
+                            this.activeDeliveries.delete(task);
+                            this.notify();
+                        });
+                    this.activeDeliveries.add(task);
+                }
+            }
+        } catch (error) {
+            logger.error(`Error polling webhook delivery queue: ${error.message}`);
+        } finally {
+            this.polling = false;
+            if (this.running && !this.timer) {
+                this.schedule(this.pollRequested ? 0 : this.pollInterval);
+            }
+        }
+    }
+
+    /**
+     * Perform one delivery attempt through the webhook's transport and record it in the webhook history
+     * @param {Object} delivery - Claimed delivery including its webhook
+     */
+    async deliver(delivery) {
+        const { webhook } = delivery;
+        const attempt = delivery.attempts + 1;
+
+        if (!webhook || !webhook.isEnabled) {
+            await webhookDeliveryService.markDead(delivery.id, delivery.attempts, 'Webhook was disabled or deleted before delivery');
+            return;
+        }
+
+        const policy = resolveRetryPolicy(webhook.retryPolicy);
+        // Webhooks created before transports existed were always sent over HTTP, whatever their type
+        const transport = webhookTransports.get(webhook.type) || webhookTransports.get('http');
+        const startTime = Date.now();
+
+        let historyData = {
+            instanceId: delivery.instanceId,
+            webhookId: webhook.id,
+            deliveryId: delivery.id,
+            redeliveryOf: delivery.sourceHistoryId,
+            transport: transport.name,
+            event: delivery.event,
+            payload: delivery.payload,
+            status: 'pending',
+            retryCount: delivery.attempts
+        };
+
+        // Serialize once so the signature covers the exact bytes that are sent
+        const body = JSON.stringify(delivery.payload);
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': `${packageJson.name}/${packageJson.version}`
+        };
+
+        const secrets = this.getSigningSecrets(webhook);
+        if (secrets.length > 0) {
+            headers[SIGNATURE_HEADER] = buildSignatureHeader(body, secrets);
+        }
+
+        try {
+            const result = await transport.send({
+                webhook,
+                delivery,
+                body,
+                headers,
+                timeoutMs: policy.timeoutMs
+            });
+
+            const responseTime = Date.now() - startTime;
+
+            historyData = {
+                ...historyData,
+                status: 'success',
+                httpStatusCode: result?.httpStatusCode ?? null,
+                responseTime: responseTime,
+                response: result?.response ?? null,
+                completedAt: new Date()
+            };
+
+            logger.info(`📡 Webhook ${webhook.id} (${webhook.type}) delivered for ${delivery.event} on attempt ${attempt} (${responseTime}ms)`);
+
+        } catch (error) {
+            const responseTime = Date.now() - startTime;
+
+            historyData = {
+                ...historyData,
+                status: ['ECONNABORTED', 'ETIMEDOUT'].includes(error.code) ? 'timeout' : 'failed',
+                httpStatusCode: error.httpStatusCode ?? null,
+                responseTime: responseTime,
+                response: error.transportResponse ?? null,
+                errorMessage: error.message,
+                completedAt: new Date()
+            };
+        }
+
+        // Save webhook history record
+        try {
+            await webhookHistoryService.create(historyData);
+        } catch (historyError) {
+            logger.error(`Failed to save webhook history for ${webhook.id}: ${historyError.message}`);
+        }
+
+        // Update the queue entry
+        if (historyData.status === 'success') {
+            await webhookDeliveryService.markSuccess(delivery.id, attempt);
+        } else if (attempt >= policy.maxAttempts) {
+            await webhookDeliveryService.markDead(delivery.id, attempt, historyData.errorMessage);
+            logger.error(`☠️ Webhook ${webhook.id} delivery ${delivery.id} for ${delivery.event} moved to dead-letter after ${attempt} attempts: ${historyData.errorMessage}`);
+        } else {
+            const delay = computeBackoffDelay(policy, attempt);
+            await webhookDeliveryService.scheduleRetry(delivery.id, attempt, new Date(Date.now() + delay), historyData.errorMessage);
+            logger.warn(`Webhook ${webhook.id} attempt ${attempt}/${policy.maxAttempts} for ${delivery.event} failed: ${historyData.errorMessage}. Retrying in ${delay}ms`);
+        }
+    }
+
+    /**
+     * Secrets a payload is signed with: the current one, plus the previous one during its grace period
+     * @param {Object} webhook - Webhook including its secrets
+     * @returns {string[]}
+     */
+    getSigningSecrets(webhook) {
+        const secrets = [];
+        if (webhook.secret) secrets.push(webhook.secret);
+
+        if (webhook.previousSecret && webhook.previousSecretExpiresAt && new Date(webhook.previousSecretExpiresAt) > new Date()) {
+            secrets.push(webhook.previousSecret);
+        }
+
+        return secrets;
+    }
+
+    getStatus() {
+        return {
+            running: this.running,
+            activeDeliveries: this.activeDeliveries.size,
+            concurrency: this.concurrency,
+            pollInterval: this.pollInterval
+        };
+    }
+}
+
+// Create singleton instance
+const webhookDispatcher = new WebhookDispatcher();
+
+module.exports = webhookDispatcher;
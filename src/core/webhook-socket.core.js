@@ -0,0 +1,144 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const logger = require('../utils/logger');
+const authConfig = require('../config/auth.config');
+const { resolveApiKey, hasScope } = require('../middleware/auth.middleware');
+
+const SOCKET_PATH = '/ws/webhooks';
+
+/**
+ * WebSocket endpoint for `websocket` webhooks
+ * Clients connect to /ws/webhooks?channel=<name> and receive every delivery of the
+ * websocket webhooks whose url is that channel name.
+ */
+class WebhookSocketServer {
+    constructor() {
+        this.wss = null;
+        this.channels = new Map();
+    }
+
+    /**
+     * Accept WebSocket upgrades on the HTTP server
+     * @param {import('http').Server} server
+     */
+    attach(server) {
+        if (this.wss) return;
+
+        this.wss = new WebSocketServer({ noServer: true });
+        this.wss.on('connection', (socket, req, client) => this.handleConnection(socket, client));
+
+        server.on('upgrade', async (req, socket, head) => {
+            const url = new URL(req.url, 'http://localhost');
+            if (url.pathname !== SOCKET_PATH) return;
+
+            try {
+                const client = await this.authenticate(req, url);
+                if (!client) {
+                    socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+                    socket.destroy();
+                    return;
+                }
+
+                if (client.channels.length === 0) {
+                    socket.write('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+                    socket.destroy();
+                    return;
+                }
+
+                this.wss.handleUpgrade(req, socket, head, ws => this.wss.emit('connection', ws, req, client));
+            } catch (error) {
+                logger.error(`Error accepting webhook socket connection: ${error.message}`);
+                socket.destroy();
+            }
+        });
+
+        logger.info(`🔌 Webhook socket endpoint listening on ${SOCKET_PATH}`);
+    }
+
+    /**
+     * Resolve the API key and channels of a connecting client
+     * The key is read from the X-API-Key header or the apiKey query parameter,
+     * since browsers cannot set headers on WebSocket requests
+     * @returns {Promise<{channels: string[], instancePhones: string[]}|null>}
+     */
+    async authenticate(req, url) {
+        const channels = (url.searchParams.get('channel') || '')
+            .split(',')
+            .map(channel => channel.trim())
+            .filter(Boolean);
+
+        if (!authConfig.isAuthEnabled()) {
+            return { channels, instancePhones: [] };
+        }
+
+        const key = req.headers['x-api-key'] || url.searchParams.get('apiKey');
+        if (!key) return null;
+
+        const apiKey = await resolveApiKey(key);
+        if (!apiKey || !hasScope(apiKey, authConfig.SCOPES.WEBHOOKS_READ)) return null;
+
+        return { channels, instancePhones: apiKey.instancePhones || [] };
+    }
+
+    handleConnection(socket, client) {
+        socket.client = client;
+
+        for (const channel of client.channels) {
+            if (!this.channels.has(channel)) this.channels.set(channel, new Set());
+            this.channels.get(channel).add(socket);
+        }
+
+        socket.on('close', () => {
+            for (const channel of client.channels) {
+                const sockets = this.channels.get(channel);
+                if (!sockets) continue;
+                sockets.delete(socket);
+                if (sockets.size === 0) this.channels.delete(channel);
+            }
+        });
+
+        socket.on('error', error => {
+            logger.warn(`Webhook socket client error: ${error.message}`);
+        });
+
+        logger.info(`🔌 Webhook socket client subscribed to ${client.channels.join(', ')}`);
+    }
+
+    /**
+     * Send a message to every client of a channel
+     * Clients with an instance-restricted API key only receive deliveries of their instances
+     * @param {string} channel - Channel name
+     * @param {string} message - Serialized message
+     * @param {string} [instancePhone] - Phone of the instance the delivery belongs to
+     * @returns {number} - Number of clients the message was sent to
+     */
+    broadcast(channel, message, instancePhone) {
+        const sockets = this.channels.get(channel);
+        if (!sockets) return 0;
+
+        let sent = 0;
+        for (const socket of sockets) {
+            const { instancePhones } = socket.client;
+            if (instancePhones.length > 0 && !instancePhones.includes(instancePhone)) continue;
+            if (socket.readyState !== WebSocket.OPEN) continue;
+
+            socket.send(message);
+            sent++;
+        }
+
+        return sent;
+    }
+
+    getStatus() {
+        return {
+            attached: this.wss !== null,
+            path: SOCKET_PATH,
+            clients: this.wss ? this.wss.clients.size : 0,
+            channels: [...this.channels.keys()]
+        };
+    }
+}
+
+// Create singleton instance
+const webhookSocketServer = new WebhookSocketServer();
+
+module.exports = webhookSocketServer;
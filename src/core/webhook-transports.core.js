@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Registry of webhook transports
+ * A webhook's `type` selects the transport that delivers it. Transports are loaded
+ * from src/transports/*.transport.js and can also be registered at runtime.
+ *
+ * A transport is an object with:
+ *   name                  - Webhook type it handles
+ *   description           - Short description for the API
+ *   validate(webhook)     - Returns an error message for an invalid url/transportOptions, or null
+ *   send(context)         - Delivers { webhook, delivery, body, headers, timeoutMs }. Resolves with
+ *                           { httpStatusCode?, response? } and throws on failure (code ETIMEDOUT or
+ *                           ECONNABORTED for timeouts; httpStatusCode/transportResponse on the error are recorded)
+ *   close()               - Optional, releases connections on shutdown
+ */
+class WebhookTransports {
+    constructor() {
+        this.transports = new Map();
+        this.transportsDir = path.join(__dirname, '../transports');
+        this.loaded = false;
+    }
+
+    load() {
+        if (this.loaded) return;
+        this.loaded = true;
+
+        const files = fs.readdirSync(this.transportsDir).filter(file => file.endsWith('.transport.js'));
+
+        for (const file of files) {
+            try {
+                this.register(require(path.join(this.transportsDir, file)));
+            } catch (error) {
+                logger.error(`❌ Failed to load webhook transport ${file}: ${error.message}`);
+            }
+        }
+
+        logger.info(`🚚 Loaded webhook transports: ${[...this.transports.keys()].join(', ')}`);
+    }
+
+    /**
+     * Register a transport
+     * @param {Object} transport - Transport implementation
+     */
+    register(transport) {
+        if (!transport || typeof transport.name !== 'string' || typeof transport.send !== 'function') {
+            throw new Error('A webhook transport needs a name and a send() function');
+        }
+
+        this.transports.set(transport.name, transport);
+    }
+
+    /**
+     * Get the transport for a webhook type
+     * @param {string} type - Webhook type
+     * @returns {Object|null}
+     */
+    get(type) {
+        this.load();
+        return this.transports.get(type) || null;
+    }
+
+    /**
+     * List the registered transports
+     * @returns {Array<{name: string, description: string}>}
+     */
+    list() {
+        this.load();
+        return [...this.transports.values()].map(({ name, description }) => ({ name, description: description || '' }));
+    }
+
+    /**
+     * Validate the transport settings of a webhook
+     * @param {Object} webhook - Webhook data with type, url and transportOptions
+     * @returns {string|null} - Error message, or null if valid
+     */
+    validate(webhook) {
+        const transport = this.get(webhook.type);
+        if (!transport) {
+            return `Unknown webhook type '${webhook.type}'. Supported types: ${this.list().map(t => t.name).join(', ')}`;
+        }
+
+        const { transportOptions } = webhook;
+        if (transportOptions !== undefined && transportOptions !== null &&
+            (typeof transportOptions !== 'object' || Array.isArray(transportOptions))) {
+            return 'transportOptions must be an object';
+        }
+
+        return transport.validate ? transport.validate(webhook) : null;
+    }
+
+    async close() {
+        for (const transport of this.transports.values()) {
+            if (!transport.close) continue;
+
+            try {
+                await transport.close();
+            } catch (error) {
+                logger.warn(`Failed to close webhook transport ${transport.name}: ${error.message}`);
+            }
+        }
+    }
+}
+
+// Create singleton instance
+const webhookTransports = new WebhookTransports();
+
+module.exports = webhookTransports;
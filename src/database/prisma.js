@@ -1,12 +1,21 @@
 const { PrismaClient } = require('../generated/prisma');
 
+// Webhook secrets are never returned by default; queries that need them opt in
+const omit = {
+  webhook: {
+    secret: true,
+    previousSecret: true,
+  },
+};
+
 let prisma;
 
 if (process.env.NODE_ENV === 'production') {
-  prisma = new PrismaClient();
+  prisma = new PrismaClient({ omit });
 } else {
   if (!global.__prisma) {
     global.__prisma = new PrismaClient({
+      omit,
       log: ['query', 'info', 'warn', 'error'],
     });
   }
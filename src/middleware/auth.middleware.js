@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const authConfig = require('../config/auth.config');
+const apiKeyService = require('../services/apiKeyService');
+
+/**
+ * Extract the API key from the request
+ * Accepts either an `X-API-Key` header or an `Authorization: Bearer <key>` header
+ * @param {import('express').Request} req
+ * @returns {string|null}
+ */
+const extractApiKey = (req) => {
+    const headerKey = req.get('x-api-key');
+    if (headerKey) return headerKey.trim();
+
+    const authorization = req.get('authorization');
+    if (authorization && authorization.toLowerCase().startsWith('bearer ')) {
+        return authorization.slice(7).trim();
+    }
+
+    return null;
+};
+
+/**
+ * Compare a key against the bootstrap admin key in constant time
+ * @param {string} key - Key sent by the client
+ * @returns {boolean}
+ */
+const isAdminApiKey = (key) => {
+    const adminKey = authConfig.getAdminApiKey();
+    if (!adminKey) return false;
+
+    const expected = Buffer.from(apiKeyService.hashKey(adminKey));
+    const actual = Buffer.from(apiKeyService.hashKey(key));
+    return crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Look up an API key
+ * @param {string} key - Key sent by the client
+ * @returns {Promise<Object|null>} - The key record (a synthetic one for the admin key), or null if invalid
+ */
+const resolveApiKey = async (key) => {
+    if (isAdminApiKey(key)) {
+        return {
+            id: 'admin',
+            name: 'Bootstrap admin key',
+            scopes: [authConfig.SCOPES.ALL],
+            instancePhones: []
+        };
+    }
+
+    return await apiKeyService.findActiveByKey(key);
+};
+
+/**
+ * Check if an API key has a scope
+ * @param {Object} apiKey - API key record
+ * @param {string} scope - Required scope
+ * @returns {boolean}
+ */
+const hasScope = (apiKey, scope) => {
+    return apiKey.scopes.includes(authConfig.SCOPES.ALL) || apiKey.scopes.includes(scope);
+};
+
+/**
+ * Check if an API key is restricted to specific instances
+ * @param {Object} [apiKey] - API key record; none when authentication is disabled
+ * @returns {boolean}
+ */
+const isInstanceRestricted = (apiKey) => {
+    return Boolean(apiKey && apiKey.instancePhones && apiKey.instancePhones.length > 0);
+};
+
+/**
+ * Resolve the API key of the request and attach it as `req.apiKey`
+ */
+const authenticate = async (req, res, next) => {
+    if (!authConfig.isAuthEnabled()) return next();
+
+    try {
+        const key = extractApiKey(req);
+
+        if (!key) {
+            return res.status(401).json({
+                success: false,
+                error: 'Unauthorized',
+                message: 'API key is required. Send it in the X-API-Key header or as a Bearer token'
+            });
+        }
+
+        const apiKey = await resolveApiKey(key);
+        if (!apiKey) {
+            logger.warn(`🔒 Rejected invalid API key for ${req.method} ${req.originalUrl}`);
+            return res.status(401).json({
+                success: false,
+                error: 'Unauthorized',
+                message: 'Invalid, expired or revoked API key'
+            });
+        }
+
+        req.apiKey = apiKey;
+
+        // Don't hold the request for bookkeeping
+        if (apiKey.id !== 'admin') {
+            apiKeyService.touchLastUsed(apiKey.id).catch(error => {
+                logger.warn(`Failed to update last usage of API key ${apiKey.id}: ${error.message}`);
+            });
+        }
+
+        next();
+    } catch (error) {
+        logger.error('❌ Error authenticating request:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to authenticate request',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Require a scope on the authenticated API key
+ * Keys restricted to instance phones may only access routes with a matching `:phone` parameter
+ * @param {string} scope - Required scope
+ * @param {Object} [options]
+ * @param {boolean} [options.global=false] - Let instance-restricted keys through on routes without instance data
+ */
+const requireScope = (scope, { global = false } = {}) => (req, res, next) => {
+    if (!authConfig.isAuthEnabled()) return next();
+
+    const { apiKey } = req;
+    if (!apiKey) {
+        return res.status(401).json({
+            success: false,
+            error: 'Unauthorized',
+            message: 'API key is required'
+        });
+    }
+
+    if (!hasScope(apiKey, scope)) {
+        logger.warn(`🔒 API key ${apiKey.id} is missing scope ${scope} for ${req.method} ${req.originalUrl}`);
+        return res.status(403).json({
+            success: false,
+            error: 'Forbidden',
+            message: `API key is missing required scope '${scope}'`
+        });
+    }
+
+    if (!global && isInstanceRestricted(apiKey)) {
+        const { phone } = req.params;
+
+        if (!phone) {
+            return res.status(403).json({
+                success: false,
+                error: 'Forbidden',
+                message: 'API key is restricted to specific instances and cannot access global endpoints'
+            });
+        }
+
+        // Restrictions are stored as digits only
+        if (!apiKey.instancePhones.includes(String(phone).replace(/[^\d]/g, ''))) {
+            logger.warn(`🔒 API key ${apiKey.id} is not allowed to access instance ${phone}`);
+            return res.status(403).json({
+                success: false,
+                error: 'Forbidden',
+                message: `API key is not allowed to access instance ${phone}`
+            });
+        }
+    }
+
+    next();
+};
+
+/**
+ * Accept a valid signed URL in place of an API key
+ * Requests without a `signature` query parameter fall back to the API key and scope check,
+ * so the same route serves both API clients and links handed out in webhook payloads
+ * @param {Function} verify - (req) => {valid, reason}
+ * @param {string} scope - Scope required when no signature is sent
+ */
+const allowSignedUrl = (verify, scope) => (req, res, next) => {
+    if (req.query.signature === undefined) {
+        return authenticate(req, res, () => requireScope(scope)(req, res, next));
+    }
+
+    const { valid, reason } = verify(req);
+    if (!valid) {
+        logger.warn(`🔒 Rejected signed URL for ${req.method} ${req.path}: ${reason}`);
+        return res.status(403).json({
+            success: false,
+            error: 'Forbidden',
+            message: reason
+        });
+    }
+
+    next();
+};
+
+module.exports = {
+    authenticate,
+    requireScope,
+    allowSignedUrl,
+    extractApiKey,
+    resolveApiKey,
+    hasScope,
+    isInstanceRestricted
+};
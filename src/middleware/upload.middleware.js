@@ -0,0 +1,36 @@
+const multer = require('multer');
+const logger = require('../utils/logger');
+const { MAX_MEDIA_SIZE } = require('../utils/outgoingMedia');
+
+// Files are kept in memory and handed to Baileys as a Buffer
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_MEDIA_SIZE, files: 1 }
+});
+
+/**
+ * Accept a single media file in the `file` field of multipart/form-data requests
+ * Other requests pass through untouched; per-type size and mimetype checks happen in the controller
+ */
+const mediaUpload = (req, res, next) => {
+    upload.single('file')(req, res, (error) => {
+        if (!error) return next();
+
+        if (error instanceof multer.MulterError) {
+            logger.warn(`📎 Rejected upload for ${req.method} ${req.originalUrl}: ${error.message}`);
+            return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+                success: false,
+                error: 'Invalid upload',
+                message: error.code === 'LIMIT_FILE_SIZE'
+                    ? `File is larger than ${MAX_MEDIA_SIZE / (1024 * 1024)} MB`
+                    : `${error.message}. Send the file in the "file" field`
+            });
+        }
+
+        next(error);
+    });
+};
+
+module.exports = {
+    mediaUpload
+};
@@ -7,8 +7,19 @@ const instanceController = require('../controllers/instance.controller');
 const modeController = require('../controllers/mode.controller');
 const webhookController = require('../controllers/webhook.controller');
 const webhookHistoryController = require('../controllers/webhookHistoryController');
+const apiKeyController = require('../controllers/apiKey.controller');
+const messageHistoryController = require('../controllers/messageHistory.controller');
+const scheduledMessageController = require('../controllers/scheduledMessage.controller');
+const broadcastController = require('../controllers/broadcast.controller');
+const messageTemplateController = require('../controllers/messageTemplate.controller');
+const groupController = require('../controllers/group.controller');
+const contactController = require('../controllers/contact.controller');
+const mediaService = require('../services/mediaService');
+const { authenticate, requireScope, allowSignedUrl } = require('../middleware/auth.middleware');
+const { mediaUpload } = require('../middleware/upload.middleware');
 
 const modeConfig = require('../config/mode.config');
+const { SCOPES, isAuthEnabled } = require('../config/auth.config');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -22,6 +33,29 @@ logger.info(`📍 Registering routes for ${modeConfig.getModeDescription()}`);
 // Mode information endpoint
 router.get('/mode', modeController.getModeInfo);
 
+// Media downloads take either an API key or a signed URL from a webhook payload
+if (modeConfig.isMultiModeEnabled()) {
+    router.get(
+        '/instances/:phone/messages/:id/media',
+        allowSignedUrl(req => mediaService.verifySignedUrl(req.params.phone, req.params.id, req.query), SCOPES.MESSAGES_READ),
+        messageHistoryController.getMessageMedia
+    );
+}
+
+// Every route registered below requires an API key
+if (isAuthEnabled()) {
+    logger.info('🔒 API key authentication enabled');
+} else {
+    logger.warn('⚠️  API key authentication disabled (API_AUTH_ENABLED=false)');
+}
+router.use(authenticate);
+
+// API key management endpoints
+router.get('/api-keys', requireScope(SCOPES.ADMIN), apiKeyController.getApiKeys);
+router.post('/api-keys', requireScope(SCOPES.ADMIN), apiKeyController.createApiKey);
+router.get('/api-keys/:id', requireScope(SCOPES.ADMIN), apiKeyController.getApiKey);
+router.delete('/api-keys/:id', requireScope(SCOPES.ADMIN), apiKeyController.revokeApiKey);
+
 // =====================================================
 // SINGLE INSTANCE (LEGACY) ROUTES
 // =====================================================
@@ -29,17 +63,17 @@ if (modeConfig.isSingleModeEnabled()) {
     logger.info('📝 Registering single-instance (legacy) routes');
     
     // Health check / Ping endpoint
-    router.get('/ping', pingController.ping);
+    router.get('/ping', requireScope(SCOPES.INSTANCES_READ), pingController.ping);
     
     // Status check endpoint
-    router.get('/status', statusController.getStatus);
+    router.get('/status', requireScope(SCOPES.INSTANCES_READ), statusController.getStatus);
     
     // Message endpoints
-    router.post('/message', messageController.sendPersonalMessage);
-    router.post('/message/group', messageController.sendGroupMessage);
+    router.post('/message', requireScope(SCOPES.MESSAGES_SEND), messageController.sendPersonalMessage);
+    router.post('/message/group', requireScope(SCOPES.MESSAGES_SEND), messageController.sendGroupMessage);
     
     // Logs endpoint
-    router.get('/logs', logController.getLogs);
+    router.get('/logs', requireScope(SCOPES.INSTANCES_READ), logController.getLogs);
 } else {
     logger.info('⏭️  Single-instance (legacy) routes disabled');
 }
@@ -51,53 +85,114 @@ if (modeConfig.isMultiModeEnabled()) {
     logger.info('📝 Registering multi-instance routes');
     
     // Instance management endpoints
-    router.get('/instances', instanceController.getAllInstances);
-    router.get('/instances/:phone', instanceController.getInstance);
-    router.post('/instances', instanceController.createInstance);
-    router.put('/instances/:phone', instanceController.updateInstance);
-    router.delete('/instances/:phone', instanceController.deleteInstance);
-    router.post('/instances/:phone/restart', instanceController.restartInstance);
-    router.get('/instances/:phone/qr', instanceController.getQRCode);
+    router.get('/instances', requireScope(SCOPES.INSTANCES_READ), instanceController.getAllInstances);
+    router.get('/instances/:phone', requireScope(SCOPES.INSTANCES_READ), instanceController.getInstance);
+    router.post('/instances', requireScope(SCOPES.INSTANCES_WRITE), instanceController.createInstance);
+    router.put('/instances/:phone', requireScope(SCOPES.INSTANCES_WRITE), instanceController.updateInstance);
+    router.delete('/instances/:phone', requireScope(SCOPES.INSTANCES_WRITE), instanceController.deleteInstance);
+    router.post('/instances/:phone/restart', requireScope(SCOPES.INSTANCES_WRITE), instanceController.restartInstance);
+    router.get('/instances/:phone/qr', requireScope(SCOPES.INSTANCES_READ), instanceController.getQRCode);
     
     // Instance-specific monitoring endpoints
-    router.get('/instances/:phone/ping', instanceController.pingInstance);
-    router.get('/instances/:phone/status', instanceController.getInstanceStatus);
-    router.get('/instances/:phone/logs', instanceController.getInstanceLogs);
+    router.get('/instances/:phone/ping', requireScope(SCOPES.INSTANCES_READ), instanceController.pingInstance);
+    router.get('/instances/:phone/status', requireScope(SCOPES.INSTANCES_READ), instanceController.getInstanceStatus);
+    router.get('/instances/:phone/logs', requireScope(SCOPES.INSTANCES_READ), instanceController.getInstanceLogs);
     
     // Instance-specific messaging endpoints
-    router.post('/instances/:phone/send-message', instanceController.sendMessage);
-    router.post('/instances/:phone/send-group-message', instanceController.sendGroupMessage);
-    router.post('/instances/:phone/send-media', instanceController.sendMediaMessage);
+    router.post('/instances/:phone/send-message', requireScope(SCOPES.MESSAGES_SEND), instanceController.sendMessage);
+    router.post('/instances/:phone/send-group-message', requireScope(SCOPES.MESSAGES_SEND), instanceController.sendGroupMessage);
+    router.post('/instances/:phone/send-media', requireScope(SCOPES.MESSAGES_SEND), mediaUpload, instanceController.sendMediaMessage);
+    router.post('/instances/:phone/send-group-media', requireScope(SCOPES.MESSAGES_SEND), mediaUpload, instanceController.sendGroupMediaMessage);
+    router.post('/instances/:phone/messages', requireScope(SCOPES.MESSAGES_SEND), instanceController.sendTypedMessage);
+    router.patch('/instances/:phone/messages/:id', requireScope(SCOPES.MESSAGES_SEND), instanceController.editMessage);
+    router.delete('/instances/:phone/messages/:id', requireScope(SCOPES.MESSAGES_SEND), instanceController.revokeMessage);
+    
+    // Instance-specific message history endpoints
+    router.get('/instances/:phone/messages', requireScope(SCOPES.MESSAGES_READ), messageHistoryController.getInstanceMessages);
+    router.get('/instances/:phone/messages/stats', requireScope(SCOPES.MESSAGES_READ), messageHistoryController.getMessageStats);
+    router.get('/instances/:phone/messages/:id', requireScope(SCOPES.MESSAGES_READ), messageHistoryController.getInstanceMessage);
+    router.get('/instances/:phone/conversations/:jid', requireScope(SCOPES.MESSAGES_READ), messageHistoryController.getConversation);
+    router.get('/instances/:phone/chats', requireScope(SCOPES.MESSAGES_READ), messageHistoryController.getChats);
+    router.post('/instances/:phone/chats/:jid/read', requireScope(SCOPES.MESSAGES_SEND), messageHistoryController.markChatRead);
+    
+    // Instance-specific scheduled message endpoints
+    router.get('/instances/:phone/scheduled-messages', requireScope(SCOPES.MESSAGES_READ), scheduledMessageController.getScheduledMessages);
+    router.get('/instances/:phone/scheduled-messages/:id', requireScope(SCOPES.MESSAGES_READ), scheduledMessageController.getScheduledMessage);
+    router.patch('/instances/:phone/scheduled-messages/:id', requireScope(SCOPES.MESSAGES_SEND), scheduledMessageController.rescheduleMessage);
+    router.delete('/instances/:phone/scheduled-messages/:id', requireScope(SCOPES.MESSAGES_SEND), scheduledMessageController.cancelScheduledMessage);
+    
+    // Instance-specific broadcast endpoints
+    router.post('/instances/:phone/broadcasts', requireScope(SCOPES.MESSAGES_SEND), broadcastController.createBroadcast);
+    router.get('/instances/:phone/broadcasts', requireScope(SCOPES.MESSAGES_READ), broadcastController.getBroadcasts);
+    router.get('/instances/:phone/broadcasts/:id', requireScope(SCOPES.MESSAGES_READ), broadcastController.getBroadcast);
+    router.get('/instances/:phone/broadcasts/:id/recipients', requireScope(SCOPES.MESSAGES_READ), broadcastController.getBroadcastRecipients);
+    router.post('/instances/:phone/broadcasts/:id/pause', requireScope(SCOPES.MESSAGES_SEND), broadcastController.pauseBroadcast);
+    router.post('/instances/:phone/broadcasts/:id/resume', requireScope(SCOPES.MESSAGES_SEND), broadcastController.resumeBroadcast);
+    router.post('/instances/:phone/broadcasts/:id/cancel', requireScope(SCOPES.MESSAGES_SEND), broadcastController.cancelBroadcast);
+    
+    // Instance-specific message template endpoints
+    router.get('/instances/:phone/templates', requireScope(SCOPES.MESSAGES_READ), messageTemplateController.getTemplates);
+    router.post('/instances/:phone/templates', requireScope(SCOPES.MESSAGES_SEND), messageTemplateController.createTemplate);
+    router.get('/instances/:phone/templates/:id', requireScope(SCOPES.MESSAGES_READ), messageTemplateController.getTemplate);
+    router.patch('/instances/:phone/templates/:id', requireScope(SCOPES.MESSAGES_SEND), messageTemplateController.updateTemplate);
+    router.delete('/instances/:phone/templates/:id', requireScope(SCOPES.MESSAGES_SEND), messageTemplateController.deleteTemplate);
+    
+    // Instance-specific group management endpoints
+    router.get('/instances/:phone/groups', requireScope(SCOPES.GROUPS_READ), groupController.getGroups);
+    router.post('/instances/:phone/groups', requireScope(SCOPES.GROUPS_WRITE), groupController.createGroup);
+    router.get('/instances/:phone/groups/:groupId', requireScope(SCOPES.GROUPS_READ), groupController.getGroup);
+    router.patch('/instances/:phone/groups/:groupId', requireScope(SCOPES.GROUPS_WRITE), groupController.updateGroup);
+    router.post('/instances/:phone/groups/:groupId/participants', requireScope(SCOPES.GROUPS_WRITE), groupController.updateParticipants);
+    router.get('/instances/:phone/groups/:groupId/invite-code', requireScope(SCOPES.GROUPS_READ), groupController.getInviteCode);
+    router.post('/instances/:phone/groups/:groupId/invite-code/revoke', requireScope(SCOPES.GROUPS_WRITE), groupController.revokeInviteCode);
+    router.post('/instances/:phone/groups/:groupId/leave', requireScope(SCOPES.GROUPS_WRITE), groupController.leaveGroup);
+    
+    // Instance-specific contact and presence endpoints
+    router.get('/instances/:phone/contacts', requireScope(SCOPES.CONTACTS_READ), contactController.getContacts);
+    router.post('/instances/:phone/contacts/check', requireScope(SCOPES.CONTACTS_READ), contactController.checkNumbers);
+    router.get('/instances/:phone/contacts/:jid', requireScope(SCOPES.CONTACTS_READ), contactController.getContact);
+    router.post('/instances/:phone/contacts/:jid/presence/subscribe', requireScope(SCOPES.CONTACTS_READ), contactController.subscribePresence);
+    router.post('/instances/:phone/presence', requireScope(SCOPES.MESSAGES_SEND), contactController.setInstancePresence);
+    router.post('/instances/:phone/chats/:jid/presence', requireScope(SCOPES.MESSAGES_SEND), contactController.setChatPresence);
     
     // Instance-specific webhook management endpoints
-    router.get('/instances/:phone/webhooks', webhookController.getInstanceWebhooks);
-    router.post('/instances/:phone/webhooks', webhookController.createInstanceWebhook);
-    router.get('/instances/:phone/webhooks/:id', webhookController.getInstanceWebhook);
-    router.put('/instances/:phone/webhooks/:id', webhookController.updateInstanceWebhook);
-    router.delete('/instances/:phone/webhooks/:id', webhookController.deleteInstanceWebhook);
-    router.post('/instances/:phone/webhooks/:id/toggle', webhookController.toggleInstanceWebhook);
+    router.get('/instances/:phone/webhooks', requireScope(SCOPES.WEBHOOKS_READ), webhookController.getInstanceWebhooks);
+    router.post('/instances/:phone/webhooks', requireScope(SCOPES.WEBHOOKS_WRITE), webhookController.createInstanceWebhook);
+    router.get('/instances/:phone/webhooks/deliveries', requireScope(SCOPES.WEBHOOKS_READ), webhookController.getInstanceDeliveries);
+    router.post('/instances/:phone/webhooks/deliveries/:deliveryId/retry', requireScope(SCOPES.WEBHOOKS_WRITE), webhookController.retryInstanceDelivery);
+    router.get('/instances/:phone/webhooks/:id', requireScope(SCOPES.WEBHOOKS_READ), webhookController.getInstanceWebhook);
+    router.put('/instances/:phone/webhooks/:id', requireScope(SCOPES.WEBHOOKS_WRITE), webhookController.updateInstanceWebhook);
+    router.delete('/instances/:phone/webhooks/:id', requireScope(SCOPES.WEBHOOKS_WRITE), webhookController.deleteInstanceWebhook);
+    router.post('/instances/:phone/webhooks/:id/toggle', requireScope(SCOPES.WEBHOOKS_WRITE), webhookController.toggleInstanceWebhook);
+    router.post('/instances/:phone/webhooks/:id/rotate-secret', requireScope(SCOPES.WEBHOOKS_WRITE), webhookController.rotateInstanceWebhookSecret);
     
     // Instance-specific webhook history endpoints
-    router.get('/instances/:phone/webhooks/history', webhookHistoryController.getInstanceHistoryByPhone);
-    router.get('/instances/:phone/webhooks/history/stats', webhookHistoryController.getInstanceStatsByPhone);
-    router.get('/instances/:phone/webhooks/history/failures', webhookHistoryController.getInstanceFailuresByPhone);
-    router.get('/instances/:phone/webhooks/:webhookId/history', webhookHistoryController.getWebhookHistory);
+    router.get('/instances/:phone/webhooks/history', requireScope(SCOPES.WEBHOOKS_READ), webhookHistoryController.getInstanceHistoryByPhone);
+    router.get('/instances/:phone/webhooks/history/stats', requireScope(SCOPES.WEBHOOKS_READ), webhookHistoryController.getInstanceStatsByPhone);
+    router.get('/instances/:phone/webhooks/history/failures', requireScope(SCOPES.WEBHOOKS_READ), webhookHistoryController.getInstanceFailuresByPhone);
+    router.get('/instances/:phone/webhooks/:webhookId/history', requireScope(SCOPES.WEBHOOKS_READ), webhookHistoryController.getWebhookHistory);
     
     // Instance-specific plugin management endpoints
-    router.get('/instances/:phone/plugins', instanceController.getInstancePluginStatus);
-    router.post('/instances/:phone/plugins/:pluginName/enable', instanceController.enableInstancePlugin);
-    router.post('/instances/:phone/plugins/:pluginName/disable', instanceController.disableInstancePlugin);
-    router.put('/instances/:phone/plugins', instanceController.updateInstancePluginConfig);
-    router.post('/instances/:phone/plugins/sync', instanceController.syncInstancePluginConfig);
+    router.get('/instances/:phone/plugins', requireScope(SCOPES.INSTANCES_READ), instanceController.getInstancePluginStatus);
+    router.post('/instances/:phone/plugins/:pluginName/enable', requireScope(SCOPES.INSTANCES_WRITE), instanceController.enableInstancePlugin);
+    router.post('/instances/:phone/plugins/:pluginName/disable', requireScope(SCOPES.INSTANCES_WRITE), instanceController.disableInstancePlugin);
+    router.put('/instances/:phone/plugins', requireScope(SCOPES.INSTANCES_WRITE), instanceController.updateInstancePluginConfig);
+    router.post('/instances/:phone/plugins/sync', requireScope(SCOPES.INSTANCES_WRITE), instanceController.syncInstancePluginConfig);
     
+    // Webhook event catalog and transports
+    router.get('/webhooks/events', requireScope(SCOPES.WEBHOOKS_READ, { global: true }), webhookController.getWebhookEvents);
+    router.get('/webhooks/transports', requireScope(SCOPES.WEBHOOKS_READ, { global: true }), webhookController.getWebhookTransports);
+
     // Global webhook history endpoints (admin/monitoring)
-    router.get('/webhooks/history', webhookHistoryController.getGlobalHistory);
-    router.get('/webhooks/history/stats', webhookHistoryController.getGlobalStatistics);
-    router.get('/webhooks/history/failures', webhookHistoryController.getGlobalRecentFailures);
-    router.get('/webhooks/history/events/:event', webhookHistoryController.getByEvent);
-    router.get('/webhooks/history/statuses/:status', webhookHistoryController.getByStatus);
-    router.get('/webhooks/history/:historyId', webhookHistoryController.getHistoryById);
-    router.post('/webhooks/history/cleanup', webhookHistoryController.cleanup);
+    router.get('/webhooks/history', requireScope(SCOPES.WEBHOOKS_READ), webhookHistoryController.getGlobalHistory);
+    router.get('/webhooks/history/stats', requireScope(SCOPES.WEBHOOKS_READ), webhookHistoryController.getGlobalStatistics);
+    router.get('/webhooks/history/failures', requireScope(SCOPES.WEBHOOKS_READ), webhookHistoryController.getGlobalRecentFailures);
+    router.get('/webhooks/history/events/:event', requireScope(SCOPES.WEBHOOKS_READ), webhookHistoryController.getByEvent);
+    router.get('/webhooks/history/statuses/:status', requireScope(SCOPES.WEBHOOKS_READ), webhookHistoryController.getByStatus);
+    router.get('/webhooks/history/:historyId', requireScope(SCOPES.WEBHOOKS_READ), webhookHistoryController.getHistoryById);
+    router.post('/webhooks/history/redeliver', requireScope(SCOPES.WEBHOOKS_WRITE), webhookHistoryController.bulkRedeliver);
+    router.post('/webhooks/history/:historyId/redeliver', requireScope(SCOPES.WEBHOOKS_WRITE), webhookHistoryController.redeliver);
+    router.post('/webhooks/history/cleanup', requireScope(SCOPES.ADMIN), webhookHistoryController.cleanup);
 } else {
     logger.info('⏭️  Multi-instance routes disabled');
 }
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const prisma = require('../database/prisma');
+
+const KEY_PREFIX = 'wsp_';
+
+class ApiKeyService {
+  /**
+   * Hash a plaintext API key
+   * @param {string} key - Plaintext API key
+   * @returns {string} - Hex encoded SHA-256 hash
+   */
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Generate a new random plaintext API key
+   * @returns {string}
+   */
+  generateKey() {
+    return `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Create a new API key
+   * The plaintext key is only returned here and is never stored
+   * @param {Object} data - API key data
+   * @param {string} data.name - Human readable name
+   * @param {string[]} data.scopes - Granted scopes
+   * @param {string[]} [data.instancePhones] - Instance phones the key is restricted to
+   * @param {Date} [data.expiresAt] - Expiration timestamp
+   * @returns {Promise<{apiKey: Object, key: string}>}
+   */
+  async create(data) {
+    const key = this.generateKey();
+
+    const apiKey = await prisma.apiKey.create({
+      data: {
+        name: data.name,
+        keyHash: this.hashKey(key),
+        prefix: key.slice(0, KEY_PREFIX.length + 8),
+        scopes: data.scopes,
+        instancePhones: data.instancePhones || [],
+        expiresAt: data.expiresAt,
+      },
+    });
+
+    return { apiKey: this.sanitize(apiKey), key };
+  }
+
+  /**
+   * Get all API keys
+   * @param {Object} options - Query options
+   * @param {boolean} [options.includeRevoked] - Include revoked keys
+   */
+  async findAll(options = {}) {
+    const apiKeys = await prisma.apiKey.findMany({
+      where: options.includeRevoked ? {} : { revokedAt: null },
+      take: options.take,
+      skip: options.skip,
+      orderBy: {
+        createdAt: 'desc',
+      },
+    });
+
+    return apiKeys.map(apiKey => this.sanitize(apiKey));
+  }
+
+  /**
+   * Find API key by ID
+   * @param {string} id - API key ID
+   */
+  async findById(id) {
+    const apiKey = await prisma.apiKey.findUnique({
+      where: { id },
+    });
+
+    return apiKey ? this.sanitize(apiKey) : null;
+  }
+
+  /**
+   * Find an active API key by its plaintext value
+   * Revoked and expired keys are not returned
+   * @param {string} key - Plaintext API key
+   */
+  async findActiveByKey(key) {
+    const apiKey = await prisma.apiKey.findUnique({
+      where: { keyHash: this.hashKey(key) },
+    });
+
+    if (!apiKey || apiKey.revokedAt) return null;
+    if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) return null;
+
+    return this.sanitize(apiKey);
+  }
+
+  /**
+   * Revoke an API key
+   * @param {string} id - API key ID
+   */
+  async revoke(id) {
+    const apiKey = await prisma.apiKey.update({
+      where: { id },
+      data: { revokedAt: new Date() },
+    });
+
+    return this.sanitize(apiKey);
+  }
+
+  /**
+   * Record the last time a key was used
+   * @param {string} id - API key ID
+   */
+  async touchLastUsed(id) {
+    return await prisma.apiKey.update({
+      where: { id },
+      data: { lastUsedAt: new Date() },
+    });
+  }
+
+  /**
+   * Strip the key hash from an API key record
+   * @param {Object} apiKey - API key record
+   */
+  sanitize(apiKey) {
+    const { keyHash, ...rest } = apiKey;
+    return rest;
+  }
+}
+
+module.exports = new ApiKeyService();
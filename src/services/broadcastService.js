@@ -0,0 +1,336 @@
+const prisma = require('../database/prisma');
+
+// Statuses a broadcast can still send from
+const OPEN_STATUSES = ['running', 'paused'];
+
+class BroadcastService {
+  /**
+   * Create a broadcast job and its recipients
+   * @param {Object} data - Broadcast data
+   * @param {string} data.instanceId - Instance ID
+   * @param {string} [data.name] - Name shown in listings
+   * @param {string} [data.message] - Text template
+   * @param {Object} [data.media] - Media fields, sent from a url
+   * @param {Object} [data.options] - signature
+   * @param {Object} data.pacing - ratePerMinute, minDelayMs, maxDelayMs
+   * @param {Array<{to: string, variables?: Object}>} recipients - Recipients with E.164 numbers, in send order
+   */
+  async create(data, recipients) {
+    const broadcast = await prisma.broadcast.create({
+      data: {
+        instanceId: data.instanceId,
+        name: data.name,
+        message: data.message,
+        media: data.media,
+        options: data.options,
+        ...data.pacing,
+        status: 'running',
+        totalCount: recipients.length,
+        nextSendAt: new Date(),
+        // Set explicitly so claim() can match it
+        lockedAt: null,
+      },
+    });
+
+    await prisma.broadcastRecipient.createMany({
+      data: recipients.map((recipient, position) => ({
+        broadcastId: broadcast.id,
+        position,
+        to: recipient.to,
+        variables: recipient.variables,
+        status: 'pending',
+      })),
+    });
+
+    return broadcast;
+  }
+
+  /**
+   * Get running broadcasts that are due to send their next message
+   * @param {number} limit - Maximum number of broadcasts
+   */
+  async findDue(limit = 10) {
+    return await prisma.broadcast.findMany({
+      where: {
+        status: 'running',
+        lockedAt: null,
+        nextSendAt: { lte: new Date() },
+      },
+      take: limit,
+      orderBy: { nextSendAt: 'asc' },
+    });
+  }
+
+  /**
+   * Atomically claim a due broadcast to send its next message
+   * @param {string} id - Broadcast ID
+   * @returns {Promise<Object|null>} - The broadcast with its instance, or null if it was claimed, paused or cancelled meanwhile
+   */
+  async claim(id) {
+    const result = await prisma.broadcast.updateMany({
+      where: { id, status: 'running', lockedAt: null, nextSendAt: { lte: new Date() } },
+      data: { lockedAt: new Date() },
+    });
+
+    if (result.count === 0) return null;
+
+    return await prisma.broadcast.findUnique({
+      where: { id },
+      include: { instance: true },
+    });
+  }
+
+  /**
+   * Release a claimed broadcast until its next message is due
+   * @param {string} id - Broadcast ID
+   * @param {Date} nextSendAt - When to send the next message
+   * @param {string|null} [lastError] - Why the broadcast is waiting, if it is not just pacing
+   */
+  async release(id, nextSendAt, lastError = null) {
+    return await prisma.broadcast.update({
+      where: { id },
+      data: { lockedAt: null, nextSendAt, lastError },
+    });
+  }
+
+  /**
+   * Release broadcasts left claimed by a stopped or crashed process
+   */
+  async releaseStale() {
+    const result = await prisma.broadcast.updateMany({
+      where: { lockedAt: { not: null } },
+      data: { lockedAt: null, nextSendAt: new Date() },
+    });
+
+    return result.count;
+  }
+
+  /**
+   * Take the next pending recipient of a broadcast and mark it as sending
+   * @param {string} broadcastId - Broadcast ID
+   * @returns {Promise<Object|null>} - The recipient, or null if none are left
+   */
+  async takeNextRecipient(broadcastId) {
+    const recipient = await prisma.broadcastRecipient.findFirst({
+      where: { broadcastId, status: 'pending' },
+      orderBy: { position: 'asc' },
+    });
+
+    if (!recipient) return null;
+
+    const result = await prisma.broadcastRecipient.updateMany({
+      where: { id: recipient.id, status: 'pending' },
+      data: { status: 'sending' },
+    });
+
+    return result.count > 0 ? recipient : null;
+  }
+
+  /**
+   * Put a recipient that could not be sent yet back in line
+   * @param {string} id - Recipient ID
+   */
+  async returnRecipient(id) {
+    return await prisma.broadcastRecipient.updateMany({
+      where: { id, status: 'sending' },
+      data: { status: 'pending' },
+    });
+  }
+
+  /**
+   * Record the outcome of a recipient and update the broadcast progress
+   * @param {Object} recipient - Broadcast recipient
+   * @param {Object} outcome - Send outcome
+   * @param {string} outcome.status - "sent" or "failed"
+   * @param {string} [outcome.messageId] - WhatsApp message ID
+   * @param {string} [outcome.storedMessageId] - Message record ID
+   * @param {string} [outcome.error] - Why sending failed
+   * @returns {Promise<Object>} - The updated broadcast
+   */
+  async recordResult(recipient, outcome) {
+    await prisma.broadcastRecipient.update({
+      where: { id: recipient.id },
+      data: {
+        status: outcome.status,
+        messageId: outcome.messageId,
+        storedMessageId: outcome.storedMessageId,
+        error: outcome.error,
+        sentAt: outcome.status === 'sent' ? new Date() : undefined,
+      },
+    });
+
+    return await prisma.broadcast.update({
+      where: { id: recipient.broadcastId },
+      data: outcome.status === 'sent'
+        ? { sentCount: { increment: 1 } }
+        : { failedCount: { increment: 1 } },
+    });
+  }
+
+  /**
+   * Fail recipients that were being sent when the process stopped
+   * They are not resent, since the message may already have gone out
+   * @returns {Promise<number>} - Number of recipients failed
+   */
+  async failInterruptedRecipients() {
+    const interrupted = await prisma.broadcastRecipient.findMany({
+      where: { status: 'sending' },
+    });
+
+    for (const recipient of interrupted) {
+      await this.recordResult(recipient, {
+        status: 'failed',
+        error: 'Interrupted by a restart while sending; the message may have been sent',
+      });
+    }
+
+    return interrupted.length;
+  }
+
+  /**
+   * Mark a broadcast completed once every recipient has a result
+   * @param {string} id - Broadcast ID
+   */
+  async complete(id) {
+    return await prisma.broadcast.updateMany({
+      where: { id, status: { in: OPEN_STATUSES } },
+      data: { status: 'completed', completedAt: new Date() },
+    });
+  }
+
+  /**
+   * Pause a running broadcast
+   * @param {string} id - Broadcast ID
+   * @returns {Promise<boolean>} - false if the broadcast was not running
+   */
+  async pause(id) {
+    const result = await prisma.broadcast.updateMany({
+      where: { id, status: 'running' },
+      data: { status: 'paused' },
+    });
+
+    return result.count > 0;
+  }
+
+  /**
+   * Resume a paused broadcast
+   * @param {string} id - Broadcast ID
+   * @returns {Promise<boolean>} - false if the broadcast was not paused
+   */
+  async resume(id) {
+    const result = await prisma.broadcast.updateMany({
+      where: { id, status: 'paused' },
+      data: { status: 'running', nextSendAt: new Date(), lastError: null },
+    });
+
+    return result.count > 0;
+  }
+
+  /**
+   * Cancel a running or paused broadcast and its pending recipients
+   * A message being sent at that moment still completes
+   * @param {string} id - Broadcast ID
+   * @returns {Promise<boolean>} - false if the broadcast had already ended
+   */
+  async cancel(id) {
+    const result = await prisma.broadcast.updateMany({
+      where: { id, status: { in: OPEN_STATUSES } },
+      data: { status: 'cancelled', completedAt: new Date() },
+    });
+
+    if (result.count === 0) return false;
+
+    await prisma.broadcastRecipient.updateMany({
+      where: { broadcastId: id, status: 'pending' },
+      data: { status: 'cancelled' },
+    });
+
+    return true;
+  }
+
+  /**
+   * Get a broadcast
+   * @param {string} id - Broadcast ID
+   */
+  async findById(id) {
+    return await prisma.broadcast.findUnique({
+      where: { id },
+    });
+  }
+
+  /**
+   * Get broadcasts of an instance, newest first
+   * @param {string} instanceId - Instance ID
+   * @param {Object} options - Query options
+   * @param {string} [options.status] - Status filter
+   * @param {number} [options.take] - Number of records
+   * @param {number} [options.skip] - Offset
+   */
+  async findByInstance(instanceId, options = {}) {
+    const where = { instanceId };
+    if (options.status) {
+      where.status = options.status;
+    }
+
+    const [items, total] = await Promise.all([
+      prisma.broadcast.findMany({
+        where,
+        take: options.take || 50,
+        skip: options.skip || 0,
+        orderBy: { createdAt: 'desc' },
+      }),
+      prisma.broadcast.count({ where }),
+    ]);
+
+    return { items, total };
+  }
+
+  /**
+   * Get the recipients of a broadcast in send order
+   * @param {string} broadcastId - Broadcast ID
+   * @param {Object} options - Query options
+   * @param {string} [options.status] - Status filter
+   * @param {number} [options.take] - Number of records
+   * @param {number} [options.skip] - Offset
+   */
+  async findRecipients(broadcastId, options = {}) {
+    const where = { broadcastId };
+    if (options.status) {
+      where.status = options.status;
+    }
+
+    const [items, total] = await Promise.all([
+      prisma.broadcastRecipient.findMany({
+        where,
+        take: options.take || 50,
+        skip: options.skip || 0,
+        orderBy: { position: 'asc' },
+      }),
+      prisma.broadcastRecipient.count({ where }),
+    ]);
+
+    return { items, total };
+  }
+
+  /**
+   * Count the recipients of a broadcast by status
+   * @param {string} broadcastId - Broadcast ID
+   * @returns {Promise<Object>} - { pending, sending, sent, failed, cancelled }
+   */
+  async countRecipientsByStatus(broadcastId) {
+    const groups = await prisma.broadcastRecipient.groupBy({
+      by: ['status'],
+      where: { broadcastId },
+      _count: { _all: true },
+    });
+
+    const counts = { pending: 0, sending: 0, sent: 0, failed: 0, cancelled: 0 };
+    for (const group of groups) {
+      counts[group.status] = group._count._all;
+    }
+
+    return counts;
+  }
+}
+
+module.exports = new BroadcastService();
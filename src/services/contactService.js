@@ -0,0 +1,64 @@
+const prisma = require('../database/prisma');
+
+class ContactService {
+  /**
+   * Create or update a contact of an instance
+   * @param {string} instanceId - Instance ID
+   * @param {Object} data - Contact fields from toContactData
+   */
+  async upsert(instanceId, data) {
+    const { jid, ...fields } = data;
+
+    return await prisma.contact.upsert({
+      where: { instanceId_jid: { instanceId, jid } },
+      create: {
+        instanceId,
+        jid,
+        ...fields,
+      },
+      update: fields,
+    });
+  }
+
+  /**
+   * Get a contact of an instance
+   * @param {string} instanceId - Instance ID
+   * @param {string} jid - Personal JID
+   */
+  async findByJid(instanceId, jid) {
+    return await prisma.contact.findUnique({
+      where: { instanceId_jid: { instanceId, jid } },
+    });
+  }
+
+  /**
+   * List the contacts of an instance
+   * @param {string} instanceId - Instance ID
+   * @param {Object} options - Query options
+   * @param {string} [options.search] - Part of a name or phone number
+   * @param {number} [options.take] - Page size
+   * @param {number} [options.skip] - Offset
+   */
+  async findByInstance(instanceId, options = {}) {
+    const where = { instanceId };
+    if (options.search) {
+      where.OR = ['name', 'notify', 'verifiedName', 'phone'].map(field => ({
+        [field]: { contains: options.search, mode: 'insensitive' },
+      }));
+    }
+
+    const [items, total] = await Promise.all([
+      prisma.contact.findMany({
+        where,
+        take: options.take || 50,
+        skip: options.skip || 0,
+        orderBy: { jid: 'asc' },
+      }),
+      prisma.contact.count({ where }),
+    ]);
+
+    return { items, total };
+  }
+}
+
+module.exports = new ContactService();
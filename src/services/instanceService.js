@@ -8,6 +8,7 @@ class InstanceService {
    * @param {string} data.name - Instance name
    * @param {string} [data.alias] - Instance alias
    * @param {string} [data.status] - Instance status
+   * @param {string} [data.defaultCountryCode] - Default country calling code for recipients
    */
   async create(data) {
     return await prisma.instance.create({
@@ -16,6 +17,7 @@ class InstanceService {
         name: data.name,
         alias: data.alias,
         status: data.status || 'inactive',
+        defaultCountryCode: data.defaultCountryCode,
         pluginConfig: data.pluginConfig || {},
       },
     });
@@ -0,0 +1,157 @@
+const { downloadMediaMessage } = require('baileys');
+const logger = require('../utils/logger');
+const mediaStorage = require('../core/media-storage.core');
+const mediaConfig = require('../config/media.config');
+const { getMediaNode, getAnnouncedSize, getExtension } = require('../utils/media');
+const { signPath, verifySignedPath } = require('../utils/signedUrl');
+
+class MediaService {
+  /**
+   * Describe the attachment of an incoming message from what the message announces
+   * @param {Object} message - Baileys WebMessageInfo
+   * @returns {Object|null} - Media fields of the Message record, or null for non-media messages
+   */
+  describeMedia(message) {
+    const media = getMediaNode(message);
+    if (!media) return null;
+
+    const { node } = media;
+    return {
+      mediaMimetype: node.mimetype || null,
+      mediaSize: getAnnouncedSize(node),
+      mediaFileName: node.fileName || null,
+      mediaPath: null,
+      mediaStorage: null,
+    };
+  }
+
+  /**
+   * Check if the attachment of a message will be downloaded
+   * @param {Object|null} fields - Media fields from describeMedia
+   * @returns {boolean}
+   */
+  isDownloadable(fields) {
+    if (!fields || !mediaConfig.isDownloadEnabled()) return false;
+
+    return !fields.mediaSize || fields.mediaSize <= mediaConfig.getMaxSize();
+  }
+
+  /**
+   * Download the attachment of an incoming message and store it
+   * Failures are logged and leave mediaPath empty; the message itself is still stored
+   * @param {Object} sock - Baileys socket of the instance
+   * @param {Object} instance - Instance record
+   * @param {Object} message - Baileys WebMessageInfo
+   * @returns {Promise<Object|null>} - Media fields of the Message record, or null for non-media messages
+   */
+  async downloadAndStore(sock, instance, message) {
+    const fields = this.describeMedia(message);
+    if (!fields || !mediaConfig.isDownloadEnabled()) return fields;
+
+    const { type, node } = getMediaNode(message);
+
+    if (!this.isDownloadable(fields)) {
+      logger.warn(`📎 Skipping ${type} ${message.key.id} for ${instance.phone}: ${fields.mediaSize} bytes exceeds MEDIA_MAX_SIZE_MB`);
+      return fields;
+    }
+
+    try {
+      const buffer = await downloadMediaMessage(message, 'buffer', {}, {
+        logger: sock.logger,
+        reuploadRequest: sock.updateMediaMessage,
+      });
+
+      const storage = mediaStorage.get();
+      const key = `${instance.phone}/${message.key.id}.${getExtension(node.mimetype, node.fileName)}`;
+
+      fields.mediaPath = await storage.save(key, buffer, { mimetype: node.mimetype, size: buffer.length });
+      fields.mediaStorage = storage.name;
+      fields.mediaSize = buffer.length;
+
+      logger.info(`📎 Stored ${type} ${message.key.id} for ${instance.phone} (${buffer.length} bytes)`);
+    } catch (error) {
+      logger.error(`❌ Failed to download ${type} ${message.key.id} for ${instance.phone}: ${error.message}`);
+    }
+
+    return fields;
+  }
+
+  /**
+   * Open the stored attachment of a message
+   * @param {Object} message - Message record
+   * @returns {Promise<import('stream').Readable|null>}
+   */
+  async openMedia(message) {
+    if (!message.mediaPath) return null;
+
+    return await mediaStorage.get(message.mediaStorage || undefined).createReadStream(message.mediaPath);
+  }
+
+  /**
+   * Get the API path of the media of a message
+   * @param {string} instancePhone - Instance phone
+   * @param {string} messageId - Message record ID
+   * @returns {string}
+   */
+  getMediaPath(instancePhone, messageId) {
+    return `/api/v1/instances/${instancePhone}/messages/${messageId}/media`;
+  }
+
+  /**
+   * Build a signed download URL that works without an API key
+   * @param {string} instancePhone - Instance phone
+   * @param {string} messageId - Message record ID
+   * @returns {{url: string, expiresAt: Date}}
+   */
+  getSignedUrl(instancePhone, messageId) {
+    const signed = signPath(
+      this.getMediaPath(instancePhone, messageId),
+      mediaConfig.getUrlSecret(),
+      mediaConfig.getUrlTtl()
+    );
+
+    return {
+      url: `${mediaConfig.getPublicBaseUrl()}${signed.path}`,
+      expiresAt: signed.expiresAt,
+    };
+  }
+
+  /**
+   * Verify the signature of a download request
+   * @param {string} instancePhone - Instance phone
+   * @param {string} messageId - Message record ID
+   * @param {Object} query - Request query with expires and signature
+   * @returns {{valid: boolean, reason: string|null}}
+   */
+  verifySignedUrl(instancePhone, messageId, query) {
+    return verifySignedPath(
+      this.getMediaPath(instancePhone, messageId),
+      query.expires,
+      query.signature,
+      mediaConfig.getUrlSecret()
+    );
+  }
+
+  /**
+   * Describe the media of a stored message for webhook payloads
+   * @param {Object} message - Message record
+   * @param {string} instancePhone - Instance phone
+   * @param {Object} [options]
+   * @param {boolean} [options.pending] - The attachment is still being downloaded
+   * @returns {Object|null}
+   */
+  toWebhookMedia(message, instancePhone, { pending = false } = {}) {
+    if (!message || (!message.mediaPath && !message.mediaMimetype)) return null;
+
+    return {
+      mimetype: message.mediaMimetype,
+      size: message.mediaSize,
+      fileName: message.mediaFileName,
+      available: Boolean(message.mediaPath),
+      pending: !message.mediaPath && pending,
+      ...(message.mediaPath ? this.getSignedUrl(instancePhone, message.id) : {}),
+    };
+  }
+}
+
+module.exports = new MediaService();
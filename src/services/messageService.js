@@ -8,10 +8,15 @@ class MessageService {
    * @param {string} data.direction - Message direction (incoming/outgoing)
    * @param {string} [data.to] - Recipient
    * @param {string} [data.from] - Sender
+   * @param {string} [data.chatJid] - Chat JID the message belongs to
    * @param {string} data.type - Message type
+   * @param {string} [data.messageId] - WhatsApp message ID, defaults to data.message.messageId
    * @param {Object} data.message - Message content (JSON)
    * @param {string} [data.status] - Message status
    * @param {Date} [data.sentAt] - Sent timestamp
+   * @param {string} [data.mediaMimetype] - Attachment mimetype
+   * @param {number} [data.mediaSize] - Attachment size in bytes
+   * @param {string} [data.mediaFileName] - Original file name of documents
    */
   async create(data) {
     return await prisma.message.create({
@@ -20,10 +25,15 @@ class MessageService {
         direction: data.direction,
         to: data.to,
         from: data.from,
+        chatJid: data.chatJid,
         type: data.type,
+        messageId: data.messageId || data.message?.messageId,
         message: data.message,
         status: data.status || 'pending',
         sentAt: data.sentAt,
+        mediaMimetype: data.mediaMimetype,
+        mediaSize: data.mediaSize,
+        mediaFileName: data.mediaFileName,
       },
       include: {
         instance: true,
@@ -35,6 +45,14 @@ class MessageService {
    * Get messages for an instance
    * @param {string} instanceId - Instance ID
    * @param {Object} options - Query options
+   * @param {string} [options.direction] - "incoming" or "outgoing"
+   * @param {string} [options.type] - Message type
+   * @param {string} [options.status] - Message status
+   * @param {string} [options.from] - Sender (partial match)
+   * @param {string} [options.to] - Recipient (partial match)
+   * @param {Date} [options.dateFrom] - Created at or after
+   * @param {Date} [options.dateTo] - Created at or before
+   * @param {string} [options.cursor] - ID of the last message of the previous page
    */
   async findByInstance(instanceId, options = {}) {
     const where = { instanceId };
@@ -59,19 +77,51 @@ class MessageService {
       where.to = { contains: options.to, mode: 'insensitive' };
     }
 
+    this.applyDateRange(where, options);
+
     return await prisma.message.findMany({
       where,
       take: options.take || 50,
-      skip: options.skip || 0,
+      ...this.cursorArgs(options.cursor, options.skip),
       include: {
         instance: true,
       },
-      orderBy: {
-        createdAt: options.orderBy || 'desc',
-      },
+      orderBy: [
+        { createdAt: options.orderBy || 'desc' },
+        { id: options.orderBy || 'desc' },
+      ],
     });
   }
 
+  /**
+   * Restrict a query to a creation date range
+   * @param {Object} where - Prisma where clause, modified in place
+   * @param {Object} options - Query options with dateFrom and dateTo
+   */
+  applyDateRange(where, options) {
+    if (options.dateFrom || options.dateTo) {
+      where.createdAt = {};
+      if (options.dateFrom) {
+        where.createdAt.gte = new Date(options.dateFrom);
+      }
+      if (options.dateTo) {
+        where.createdAt.lte = new Date(options.dateTo);
+      }
+    }
+  }
+
+  /**
+   * Build Prisma pagination arguments
+   * With a cursor the page starts right after that message, otherwise `skip` is used
+   * @param {string} [cursor] - Message ID
+   * @param {number} [skip] - Offset
+   */
+  cursorArgs(cursor, skip = 0) {
+    return cursor
+      ? { cursor: { id: cursor }, skip: 1 }
+      : { skip };
+  }
+
   /**
    * Get all messages
    * @param {Object} options - Query options
@@ -102,6 +152,32 @@ class MessageService {
     });
   }
 
+  /**
+   * Find message by WhatsApp message ID
+   * @param {string} instanceId - Instance ID
+   * @param {string} messageId - WhatsApp message ID (key.id)
+   */
+  async findByMessageId(instanceId, messageId) {
+    return await prisma.message.findFirst({
+      where: { instanceId, messageId },
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  /**
+   * Find a message of an instance by database ID or WhatsApp message ID
+   * @param {string} instanceId - Instance ID
+   * @param {string} id - Database ID (ObjectId) or WhatsApp message ID
+   */
+  async findInstanceMessage(instanceId, id) {
+    if (/^[0-9a-f]{24}$/i.test(id)) {
+      const message = await prisma.message.findFirst({ where: { id, instanceId } });
+      if (message) return message;
+    }
+
+    return await this.findByMessageId(instanceId, id);
+  }
+
   /**
    * Update message
    * @param {string} id - Message ID
@@ -155,16 +231,7 @@ class MessageService {
    */
   async getStatsByInstance(instanceId, options = {}) {
     const where = { instanceId };
-    
-    if (options.dateFrom || options.dateTo) {
-      where.createdAt = {};
-      if (options.dateFrom) {
-        where.createdAt.gte = new Date(options.dateFrom);
-      }
-      if (options.dateTo) {
-        where.createdAt.lte = new Date(options.dateTo);
-      }
-    }
+    this.applyDateRange(where, options);
 
     const [total, incoming, outgoing, pending, sent, delivered, read, failed] = await Promise.all([
       prisma.message.count({ where }),
@@ -196,27 +263,174 @@ class MessageService {
   /**
    * Get conversation between two parties
    * @param {string} instanceId - Instance ID
-   * @param {string} contact - Contact number
-   * @param {Object} options - Query options
+   * @param {string|string[]} contact - Contact number, or every form it may be stored in (number, JID)
+   * @param {Object} options - Query options (take, skip, cursor, dateFrom, dateTo, orderBy)
    */
   async getConversation(instanceId, contact, options = {}) {
+    const contacts = Array.isArray(contact) ? contact : [contact];
+    const where = {
+      instanceId,
+      OR: [
+        { from: { in: contacts } },
+        { to: { in: contacts } },
+      ],
+    };
+
+    this.applyDateRange(where, options);
+
     return await prisma.message.findMany({
-      where: {
-        instanceId,
-        OR: [
-          { from: contact },
-          { to: contact },
-        ],
-      },
+      where,
       take: options.take || 50,
-      skip: options.skip || 0,
+      ...this.cursorArgs(options.cursor, options.skip),
       include: {
         instance: true,
       },
-      orderBy: {
-        createdAt: 'asc',
-      },
+      orderBy: [
+        { createdAt: options.orderBy || 'asc' },
+        { id: options.orderBy || 'asc' },
+      ],
+    });
+  }
+
+  /**
+   * Get chats of an instance, most recently active first
+   * @param {string} instanceId - Instance ID
+   * @param {Object} options - Query options
+   * @param {string} [options.type] - "group" or "direct"
+   * @param {number} [options.take] - Number of chats
+   * @param {number} [options.skip] - Offset
+   * @returns {Promise<Array<{jid: string, isGroup: boolean, lastActivityAt: Date, unreadCount: number, lastMessage: Object}>>}
+   */
+  async getChats(instanceId, options = {}) {
+    const where = { instanceId, chatJid: { not: null } };
+
+    if (options.type === 'group') {
+      where.chatJid = { endsWith: '@g.us' };
+    } else if (options.type === 'direct') {
+      where.AND = [{ chatJid: { not: null } }, { NOT: { chatJid: { endsWith: '@g.us' } } }];
+    }
+
+    const chats = await prisma.message.groupBy({
+      by: ['chatJid'],
+      where,
+      _max: { createdAt: true },
+      orderBy: { _max: { createdAt: 'desc' } },
+      take: options.take || 50,
+      skip: options.skip || 0,
+    });
+
+    if (chats.length === 0) return [];
+
+    const jids = chats.map(chat => chat.chatJid);
+
+    const [unread, lastMessages] = await Promise.all([
+      prisma.message.groupBy({
+        by: ['chatJid'],
+        where: { instanceId, chatJid: { in: jids }, direction: 'incoming', status: 'received' },
+        _count: { _all: true },
+      }),
+      this.findLastMessages(instanceId, jids),
+    ]);
+
+    const unreadByJid = new Map(unread.map(item => [item.chatJid, item._count._all]));
+    const lastByJid = new Map(lastMessages.map(message => [message.chatJid, message]));
+
+    return chats.map(chat => ({
+      jid: chat.chatJid,
+      isGroup: chat.chatJid.endsWith('@g.us'),
+      lastActivityAt: chat._max.createdAt,
+      unreadCount: unreadByJid.get(chat.chatJid) || 0,
+      lastMessage: lastByJid.get(chat.chatJid) || null,
+    }));
+  }
+
+  /**
+   * Get the latest message of each of several chats
+   * @param {string} instanceId - Instance ID
+   * @param {string[]} chatJids - Chat JIDs
+   * @returns {Promise<Object[]>} - At most one message per chat
+   */
+  async findLastMessages(instanceId, chatJids) {
+    const latest = await prisma.message.aggregateRaw({
+      pipeline: [
+        { $match: { instance_id: { $oid: instanceId }, chat_jid: { $in: chatJids } } },
+        { $sort: { created_at: -1, _id: -1 } },
+        { $group: { _id: '$chat_jid', messageId: { $first: '$_id' } } },
+      ],
     });
+
+    if (latest.length === 0) return [];
+
+    return await prisma.message.findMany({
+      where: { id: { in: latest.map(item => item.messageId.$oid) } },
+    });
+  }
+
+  /**
+   * Fill in the chat JID of messages stored before it was recorded
+   * Incoming messages belong to their sender's chat and outgoing ones to their recipient's,
+   * the same fallback used when replying to such messages
+   * @returns {Promise<number>} - Number of messages updated
+   */
+  async backfillChatJids() {
+    const result = await prisma.$runCommandRaw({
+      update: 'messages',
+      updates: [{
+        q: {
+          chat_jid: null,
+          $or: [
+            { direction: 'incoming', from: { $type: 'string' } },
+            { direction: 'outgoing', to: { $type: 'string' } },
+          ],
+        },
+        u: [{
+          $set: {
+            chat_jid: {
+              $cond: [
+                { $eq: ['$direction', 'incoming'] },
+                '$from',
+                {
+                  $cond: [
+                    { $regexMatch: { input: '$to', regex: '@' } },
+                    '$to',
+                    { $concat: ['$to', { $cond: [{ $eq: ['$message.isGroup', true] }, '@g.us', '@s.whatsapp.net'] }] },
+                  ],
+                },
+              ],
+            },
+          },
+        }],
+        multi: true,
+      }],
+    });
+
+    return result.nModified || 0;
+  }
+
+  /**
+   * Get unread incoming messages of a chat
+   * @param {string} instanceId - Instance ID
+   * @param {string} chatJid - Chat JID
+   */
+  async findUnreadInChat(instanceId, chatJid) {
+    return await prisma.message.findMany({
+      where: { instanceId, chatJid, direction: 'incoming', status: 'received' },
+      orderBy: { createdAt: 'asc' },
+    });
+  }
+
+  /**
+   * Mark incoming messages as read
+   * @param {string[]} ids - Message IDs
+   * @param {Date} [readAt] - Read timestamp
+   */
+  async markRead(ids, readAt = new Date()) {
+    const result = await prisma.message.updateMany({
+      where: { id: { in: ids } },
+      data: { status: 'read', readAt },
+    });
+
+    return result.count;
   }
 
   /**
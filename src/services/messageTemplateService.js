@@ -0,0 +1,102 @@
+const prisma = require('../database/prisma');
+
+class MessageTemplateService {
+  /**
+   * Create a message template
+   * @param {Object} data - Template data
+   * @param {string|null} data.instanceId - Instance ID, or null for a global template
+   * @param {string} data.name - Template name
+   * @param {string} [data.description] - Description
+   * @param {string} [data.language] - Language of body and media
+   * @param {string} [data.body] - Text with {{placeholders}}
+   * @param {Object} [data.media] - Media fields
+   * @param {Object} [data.variants] - Other languages: { "<language>": { body, media } }
+   */
+  async create(data) {
+    return await prisma.messageTemplate.create({
+      data: {
+        // Set explicitly so global templates match instanceId: null
+        instanceId: data.instanceId || null,
+        name: data.name,
+        description: data.description,
+        language: data.language,
+        body: data.body,
+        media: data.media,
+        variants: data.variants,
+      },
+    });
+  }
+
+  /**
+   * Get a template
+   * @param {string} id - Template ID
+   */
+  async findById(id) {
+    return await prisma.messageTemplate.findUnique({
+      where: { id },
+    });
+  }
+
+  /**
+   * Get the template with a name in exactly one scope
+   * @param {string|null} instanceId - Instance ID, or null for global templates
+   * @param {string} name - Template name
+   */
+  async findInScope(instanceId, name) {
+    return await prisma.messageTemplate.findFirst({
+      where: { instanceId: instanceId || null, name },
+    });
+  }
+
+  /**
+   * Resolve a template name for an instance
+   * Instance templates take precedence over global templates of the same name
+   * @param {string} instanceId - Instance ID
+   * @param {string} name - Template name
+   */
+  async findByName(instanceId, name) {
+    return await this.findInScope(instanceId, name) || await this.findInScope(null, name);
+  }
+
+  /**
+   * Get the templates available to an instance: its own and the global ones
+   * @param {string} instanceId - Instance ID
+   * @param {Object} options - Query options
+   * @param {string} [options.scope] - "instance" or "global" to list only one kind
+   */
+  async findAvailable(instanceId, options = {}) {
+    const scopes = {
+      instance: [{ instanceId }],
+      global: [{ instanceId: null }],
+    };
+
+    return await prisma.messageTemplate.findMany({
+      where: { OR: scopes[options.scope] || [...scopes.instance, ...scopes.global] },
+      orderBy: { name: 'asc' },
+    });
+  }
+
+  /**
+   * Update a template
+   * @param {string} id - Template ID
+   * @param {Object} data - Update data
+   */
+  async update(id, data) {
+    return await prisma.messageTemplate.update({
+      where: { id },
+      data,
+    });
+  }
+
+  /**
+   * Delete a template
+   * @param {string} id - Template ID
+   */
+  async delete(id) {
+    return await prisma.messageTemplate.delete({
+      where: { id },
+    });
+  }
+}
+
+module.exports = new MessageTemplateService();
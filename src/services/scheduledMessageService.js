@@ -0,0 +1,219 @@
+const prisma = require('../database/prisma');
+
+class ScheduledMessageService {
+  /**
+   * Schedule a message
+   * @param {Object} data - Scheduled message data
+   * @param {string} data.instanceId - Instance ID
+   * @param {string} data.kind - "text", "group", "media", "group-media" or "typed"
+   * @param {string} [data.recipient] - Phone number or group ID
+   * @param {Object} data.payload - Send request fields
+   * @param {Object} [data.options] - countryCode, signature
+   * @param {Date} data.sendAt - When to send
+   * @param {string} data.disconnectedPolicy - "wait", "skip" or "fail"
+   */
+  async create(data) {
+    return await prisma.scheduledMessage.create({
+      data: {
+        instanceId: data.instanceId,
+        kind: data.kind,
+        recipient: data.recipient,
+        payload: data.payload,
+        options: data.options,
+        sendAt: data.sendAt,
+        disconnectedPolicy: data.disconnectedPolicy,
+        status: 'pending',
+        nextAttemptAt: data.sendAt,
+      },
+    });
+  }
+
+  /**
+   * Get pending messages that are due
+   * @param {number} limit - Maximum number of messages
+   */
+  async findDue(limit = 10) {
+    return await prisma.scheduledMessage.findMany({
+      where: {
+        status: 'pending',
+        nextAttemptAt: { lte: new Date() },
+      },
+      take: limit,
+      orderBy: { nextAttemptAt: 'asc' },
+    });
+  }
+
+  /**
+   * Atomically claim a pending message for sending
+   * @param {string} id - Scheduled message ID
+   * @returns {Promise<Object|null>} - The claimed message with its instance, or null if it was claimed, cancelled or rescheduled meanwhile
+   */
+  async claim(id) {
+    const result = await prisma.scheduledMessage.updateMany({
+      where: { id, status: 'pending', nextAttemptAt: { lte: new Date() } },
+      data: { status: 'processing', lockedAt: new Date(), attempts: { increment: 1 } },
+    });
+
+    if (result.count === 0) return null;
+
+    return await prisma.scheduledMessage.findUnique({
+      where: { id },
+      include: { instance: true },
+    });
+  }
+
+  /**
+   * Mark a message as sent
+   * @param {string} id - Scheduled message ID
+   * @param {Object} result - Send result
+   * @param {string} result.messageId - WhatsApp message ID
+   * @param {string} [result.storedMessageId] - Message record ID
+   */
+  async markSent(id, { messageId, storedMessageId }) {
+    return await prisma.scheduledMessage.update({
+      where: { id },
+      data: {
+        status: 'sent',
+        messageId,
+        storedMessageId,
+        lockedAt: null,
+        lastError: null,
+        completedAt: new Date(),
+      },
+    });
+  }
+
+  /**
+   * End a message without sending it
+   * @param {string} id - Scheduled message ID
+   * @param {string} status - "failed" or "skipped"
+   * @param {string} lastError - Why it was not sent
+   */
+  async markUnsent(id, status, lastError) {
+    return await prisma.scheduledMessage.update({
+      where: { id },
+      data: {
+        status,
+        lockedAt: null,
+        lastError,
+        completedAt: new Date(),
+      },
+    });
+  }
+
+  /**
+   * Put a message back in the queue until its instance reconnects
+   * @param {string} id - Scheduled message ID
+   * @param {Date} nextAttemptAt - When to check again
+   * @param {string} lastError - Why it was not sent
+   */
+  async postpone(id, nextAttemptAt, lastError) {
+    return await prisma.scheduledMessage.update({
+      where: { id },
+      data: {
+        status: 'pending',
+        nextAttemptAt,
+        lockedAt: null,
+        lastError,
+      },
+    });
+  }
+
+  /**
+   * Fail messages left in processing by a stopped or crashed process
+   * They are not resent, since the message may already have gone out
+   */
+  async failInterrupted() {
+    const result = await prisma.scheduledMessage.updateMany({
+      where: { status: 'processing' },
+      data: {
+        status: 'failed',
+        lockedAt: null,
+        lastError: 'Interrupted by a restart while sending; the message may have been sent',
+        completedAt: new Date(),
+      },
+    });
+
+    return result.count;
+  }
+
+  /**
+   * Cancel a pending message
+   * @param {string} id - Scheduled message ID
+   * @returns {Promise<boolean>} - false if the message was no longer pending
+   */
+  async cancel(id) {
+    const result = await prisma.scheduledMessage.updateMany({
+      where: { id, status: 'pending' },
+      data: { status: 'cancelled', completedAt: new Date() },
+    });
+
+    return result.count > 0;
+  }
+
+  /**
+   * Move a pending message to another time or disconnected policy
+   * @param {string} id - Scheduled message ID
+   * @param {Object} data - Changes
+   * @param {Date} [data.sendAt] - New send time
+   * @param {string} [data.disconnectedPolicy] - New policy
+   * @returns {Promise<boolean>} - false if the message was no longer pending
+   */
+  async reschedule(id, data) {
+    const update = {};
+    if (data.sendAt) {
+      update.sendAt = data.sendAt;
+      update.nextAttemptAt = data.sendAt;
+      update.lastError = null;
+    }
+    if (data.disconnectedPolicy) {
+      update.disconnectedPolicy = data.disconnectedPolicy;
+    }
+
+    const result = await prisma.scheduledMessage.updateMany({
+      where: { id, status: 'pending' },
+      data: update,
+    });
+
+    return result.count > 0;
+  }
+
+  /**
+   * Get a scheduled message
+   * @param {string} id - Scheduled message ID
+   */
+  async findById(id) {
+    return await prisma.scheduledMessage.findUnique({
+      where: { id },
+    });
+  }
+
+  /**
+   * Get scheduled messages of an instance, soonest first
+   * @param {string} instanceId - Instance ID
+   * @param {Object} options - Query options
+   * @param {string} [options.status] - Status filter
+   * @param {number} [options.take] - Number of records
+   * @param {number} [options.skip] - Offset
+   */
+  async findByInstance(instanceId, options = {}) {
+    const where = { instanceId };
+    if (options.status) {
+      where.status = options.status;
+    }
+
+    const [items, total] = await Promise.all([
+      prisma.scheduledMessage.findMany({
+        where,
+        take: options.take || 50,
+        skip: options.skip || 0,
+        orderBy: { sendAt: 'asc' },
+      }),
+      prisma.scheduledMessage.count({ where }),
+    ]);
+
+    return { items, total };
+  }
+}
+
+module.exports = new ScheduledMessageService();
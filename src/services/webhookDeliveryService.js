@@ -0,0 +1,254 @@
+const prisma = require('../database/prisma');
+
+class WebhookDeliveryService {
+  /**
+   * Queue a webhook delivery
+   * @param {Object} data - Delivery data
+   * @param {string} data.instanceId - Instance ID
+   * @param {string} data.webhookId - Webhook ID
+   * @param {string} data.event - Event type
+   * @param {Object} data.payload - Payload to send
+   * @param {string} [data.sourceHistoryId] - History record being redelivered
+   * @param {Date} [data.nextAttemptAt] - When the first attempt is due
+   */
+  async enqueue(data) {
+    return await prisma.webhookDelivery.create({
+      data: {
+        instanceId: data.instanceId,
+        webhookId: data.webhookId,
+        event: data.event,
+        payload: data.payload,
+        sourceHistoryId: data.sourceHistoryId,
+        status: 'pending',
+        nextAttemptAt: data.nextAttemptAt || new Date(),
+      },
+    });
+  }
+
+  /**
+   * Get pending deliveries that are due
+   * @param {number} limit - Maximum number of deliveries
+   */
+  async findDue(limit = 10) {
+    return await prisma.webhookDelivery.findMany({
+      where: {
+        status: 'pending',
+        nextAttemptAt: { lte: new Date() },
+      },
+      take: limit,
+      orderBy: { nextAttemptAt: 'asc' },
+    });
+  }
+
+  /**
+   * Atomically claim a pending delivery for processing
+   * @param {string} id - Delivery ID
+   * @returns {Promise<Object|null>} - The claimed delivery with its webhook (including secrets), or null if another worker got it
+   */
+  async claim(id) {
+    const result = await prisma.webhookDelivery.updateMany({
+      where: { id, status: 'pending' },
+      data: { status: 'processing', lockedAt: new Date() },
+    });
+
+    if (result.count === 0) return null;
+
+    return await prisma.webhookDelivery.findUnique({
+      where: { id },
+      include: {
+        // Secrets are needed to sign the payload
+        webhook: {
+          omit: { secret: false, previousSecret: false },
+          include: { instance: true },
+        },
+      },
+    });
+  }
+
+  /**
+   * Mark a delivery as successfully delivered
+   * @param {string} id - Delivery ID
+   * @param {number} attempts - Total attempts made
+   */
+  async markSuccess(id, attempts) {
+    return await prisma.webhookDelivery.update({
+      where: { id },
+      data: {
+        status: 'success',
+        attempts,
+        lockedAt: null,
+        lastError: null,
+        completedAt: new Date(),
+      },
+    });
+  }
+
+  /**
+   * Put a failed delivery back in the queue
+   * @param {string} id - Delivery ID
+   * @param {number} attempts - Total attempts made
+   * @param {Date} nextAttemptAt - When to try again
+   * @param {string} lastError - Error of the failed attempt
+   */
+  async scheduleRetry(id, attempts, nextAttemptAt, lastError) {
+    return await prisma.webhookDelivery.update({
+      where: { id },
+      data: {
+        status: 'pending',
+        attempts,
+        nextAttemptAt,
+        lockedAt: null,
+        lastError,
+      },
+    });
+  }
+
+  /**
+   * Move a delivery to the dead-letter state
+   * @param {string} id - Delivery ID
+   * @param {number} attempts - Total attempts made
+   * @param {string} lastError - Error of the last attempt
+   */
+  async markDead(id, attempts, lastError) {
+    return await prisma.webhookDelivery.update({
+      where: { id },
+      data: {
+        status: 'dead',
+        attempts,
+        lockedAt: null,
+        lastError,
+        completedAt: new Date(),
+      },
+    });
+  }
+
+  /**
+   * Requeue a dead delivery for another round of attempts
+   * @param {string} id - Delivery ID
+   */
+  async requeue(id) {
+    return await prisma.webhookDelivery.update({
+      where: { id },
+      data: {
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: new Date(),
+        lockedAt: null,
+        completedAt: null,
+      },
+    });
+  }
+
+  /**
+   * Release deliveries left in processing by a stopped or crashed process
+   * @param {number} staleAfterMs - Age of the lock after which a delivery is considered abandoned
+   */
+  async releaseStale(staleAfterMs) {
+    const result = await prisma.webhookDelivery.updateMany({
+      where: {
+        status: 'processing',
+        lockedAt: { lt: new Date(Date.now() - staleAfterMs) },
+      },
+      data: { status: 'pending', lockedAt: null },
+    });
+
+    return result.count;
+  }
+
+  /**
+   * Get deliveries for an instance
+   * @param {string} instanceId - Instance ID
+   * @param {Object} options - Query options
+   * @param {string} [options.status] - Status filter
+   */
+  async findByInstance(instanceId, options = {}) {
+    return await prisma.webhookDelivery.findMany({
+      where: {
+        instanceId,
+        ...(options.status && { status: options.status }),
+      },
+      take: options.take || 50,
+      skip: options.skip || 0,
+      orderBy: { createdAt: 'desc' },
+      include: {
+        webhook: true,
+      },
+    });
+  }
+
+  /**
+   * Find delivery by ID
+   * @param {string} id - Delivery ID
+   */
+  async findById(id) {
+    return await prisma.webhookDelivery.findUnique({
+      where: { id },
+      include: {
+        webhook: true,
+      },
+    });
+  }
+
+  /**
+   * Find deliveries by IDs
+   * @param {string[]} ids - Delivery IDs
+   */
+  async findByIds(ids) {
+    return await prisma.webhookDelivery.findMany({
+      where: { id: { in: ids } },
+    });
+  }
+
+  /**
+   * Find redeliveries of history records
+   * @param {string[]} historyIds - Webhook history IDs the deliveries were queued from
+   * @param {string[]} statuses - Delivery statuses to include
+   */
+  async findBySourceHistoryIds(historyIds, statuses) {
+    return await prisma.webhookDelivery.findMany({
+      where: {
+        sourceHistoryId: { in: historyIds },
+        status: { in: statuses },
+      },
+    });
+  }
+
+  /**
+   * Count deliveries by status
+   * @param {string} [instanceId] - Optional instance ID filter
+   */
+  async getQueueStats(instanceId = null) {
+    const breakdown = await prisma.webhookDelivery.groupBy({
+      by: ['status'],
+      where: instanceId ? { instanceId } : {},
+      _count: { _all: true },
+    });
+
+    return breakdown.reduce((acc, item) => {
+      acc[item.status] = item._count._all;
+      return acc;
+    }, { pending: 0, processing: 0, success: 0, dead: 0 });
+  }
+
+  /**
+   * Clean up finished deliveries
+   * @param {number} daysToKeep - Number of days to keep records
+   */
+  async cleanup(daysToKeep = 30) {
+    const cutoffDate = new Date(Date.now() - daysToKeep * 24 * 60 * 60 * 1000);
+
+    const result = await prisma.webhookDelivery.deleteMany({
+      where: {
+        status: { in: ['success', 'dead'] },
+        completedAt: { lt: cutoffDate },
+      },
+    });
+
+    return {
+      deletedCount: result.count,
+      cutoffDate: cutoffDate.toISOString(),
+    };
+  }
+}
+
+module.exports = new WebhookDeliveryService();
@@ -6,6 +6,9 @@ class WebhookHistoryService {
    * @param {Object} data - Webhook history data
    * @param {string} data.instanceId - Instance ID
    * @param {string} data.webhookId - Webhook ID
+   * @param {string} [data.deliveryId] - Queued delivery ID
+   * @param {string} [data.redeliveryOf] - History record this attempt redelivers
+   * @param {string} [data.transport] - Transport used for the attempt
    * @param {string} data.event - Event type
    * @param {string} data.status - Trigger status
    * @param {number} [data.httpStatusCode] - HTTP response status code
@@ -21,6 +24,9 @@ class WebhookHistoryService {
       data: {
         instanceId: data.instanceId,
         webhookId: data.webhookId,
+        deliveryId: data.deliveryId,
+        redeliveryOf: data.redeliveryOf,
+        transport: data.transport,
         event: data.event,
         status: data.status,
         httpStatusCode: data.httpStatusCode,
@@ -157,6 +163,7 @@ class WebhookHistoryService {
       totalTriggers,
       successfulTriggers,
       failedTriggers,
+      skippedTriggers,
       averageResponseTime,
       eventBreakdown,
       statusBreakdown,
@@ -171,7 +178,12 @@ class WebhookHistoryService {
 
       // Failed triggers
       prisma.webhookHistory.count({
-        where: { ...whereClause, status: { not: 'success' } },
+        where: { ...whereClause, status: { notIn: ['success', 'skipped'] } },
+      }),
+
+      // Triggers filtered out by webhook filters
+      prisma.webhookHistory.count({
+        where: { ...whereClause, status: 'skipped' },
       }),
 
       // Average response time
@@ -205,7 +217,9 @@ class WebhookHistoryService {
         triggers: totalTriggers,
         successful: successfulTriggers,
         failed: failedTriggers,
-        successRate: totalTriggers > 0 ? (successfulTriggers / totalTriggers) * 100 : 0,
+        skipped: skippedTriggers,
+        // Skipped triggers were never sent, so they don't count towards the success rate
+        successRate: totalTriggers - skippedTriggers > 0 ? (successfulTriggers / (totalTriggers - skippedTriggers)) * 100 : 0,
       },
       performance: {
         averageResponseTime: averageResponseTime._avg.responseTime || 0,
@@ -227,13 +241,26 @@ class WebhookHistoryService {
    * Get recent failed webhooks
    * @param {number} limit - Number of records to return
    * @param {string} [instanceId] - Optional instance ID filter
+   * @param {Object} [filters] - Additional filters
+   * @param {string} [filters.event] - Event type
+   * @param {string} [filters.status] - Specific failure status ("failed", "timeout"); defaults to both
+   * @param {Date} [filters.startDate] - Only records triggered at or after this date
+   * @param {Date} [filters.endDate] - Only records triggered at or before this date
    */
-  async getRecentFailures(limit = 10, instanceId = null) {
+  async getRecentFailures(limit = 10, instanceId = null, filters = {}) {
     const whereClause = {
-      status: { not: 'success' },
+      status: filters.status || { notIn: ['success', 'skipped'] },
       ...(instanceId && { instanceId }),
+      ...(filters.event && { event: filters.event }),
     };
 
+    if (filters.startDate || filters.endDate) {
+      whereClause.triggeredAt = {
+        ...(filters.startDate && { gte: filters.startDate }),
+        ...(filters.endDate && { lte: filters.endDate }),
+      };
+    }
+
     return await prisma.webhookHistory.findMany({
       where: whereClause,
       take: limit,
@@ -245,6 +272,39 @@ class WebhookHistoryService {
     });
   }
 
+  /**
+   * Get attempts that redelivered a history record
+   * @param {string} historyId - Original webhook history ID
+   */
+  async findRedeliveries(historyId) {
+    return await prisma.webhookHistory.findMany({
+      where: { redeliveryOf: historyId },
+      orderBy: { triggeredAt: 'desc' },
+    });
+  }
+
+  /**
+   * Get how history records link to their delivery and to the record they redeliver
+   * @param {string[]} ids - Webhook history IDs
+   */
+  async findLinksByIds(ids) {
+    return await prisma.webhookHistory.findMany({
+      where: { id: { in: ids } },
+      select: { id: true, deliveryId: true, redeliveryOf: true },
+    });
+  }
+
+  /**
+   * Get how the history records of deliveries link to the record they redeliver
+   * @param {string[]} deliveryIds - Delivery IDs
+   */
+  async findLinksByDeliveryIds(deliveryIds) {
+    return await prisma.webhookHistory.findMany({
+      where: { deliveryId: { in: deliveryIds } },
+      select: { id: true, deliveryId: true, redeliveryOf: true },
+    });
+  }
+
   /**
    * Clean up old webhook history records
    * @param {number} daysToKeep - Number of days to keep records
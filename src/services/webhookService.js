@@ -1,23 +1,36 @@
 const prisma = require('../database/prisma');
+const { generateWebhookSecret } = require('../utils/webhookSignature');
+const { matchesEvent, getWebhookEvents } = require('../config/events.config');
 
 class WebhookService {
   /**
    * Create a new webhook
+   * The response is the only place the generated secret is returned besides rotateSecret
    * @param {Object} data - Webhook data
    * @param {string} data.instanceId - Instance ID
-   * @param {string} data.type - Webhook type
-   * @param {string} data.event - Webhook event
-   * @param {string} data.url - Webhook URL
+   * @param {string} data.type - Webhook type (transport)
+   * @param {string[]} data.events - Subscribed event names or patterns
+   * @param {string} data.url - Webhook URL, or the transport's destination
+   * @param {Object} [data.transportOptions] - Transport specific settings
    * @param {boolean} [data.isEnabled] - Whether webhook is enabled
+   * @param {Object} [data.retryPolicy] - Delivery retry policy
+   * @param {Object} [data.filters] - Message filter rules
    */
   async create(data) {
     return await prisma.webhook.create({
       data: {
         instanceId: data.instanceId,
         type: data.type,
-        event: data.event,
+        events: data.events,
         url: data.url,
+        transportOptions: data.transportOptions,
         isEnabled: data.isEnabled !== undefined ? data.isEnabled : true,
+        retryPolicy: data.retryPolicy,
+        filters: data.filters,
+        secret: generateWebhookSecret(),
+      },
+      omit: {
+        secret: false,
       },
       include: {
         instance: true,
@@ -81,17 +94,20 @@ class WebhookService {
    * @param {string} event - Webhook event
    */
   async findByTypeAndEvent(instanceId, type, event) {
-    return await prisma.webhook.findMany({
+    const webhooks = await prisma.webhook.findMany({
       where: {
         instanceId,
         type,
-        event,
         isEnabled: true,
       },
       include: {
         instance: true,
       },
     });
+
+    return webhooks.filter(webhook =>
+      getWebhookEvents(webhook).some(pattern => matchesEvent(pattern, event))
+    );
   }
 
   /**
@@ -109,6 +125,38 @@ class WebhookService {
     });
   }
 
+  /**
+   * Replace the webhook secret
+   * The old secret keeps being used for signing until the grace period ends
+   * @param {string} id - Webhook ID
+   * @param {number} gracePeriodSeconds - How long the old secret stays valid
+   */
+  async rotateSecret(id, gracePeriodSeconds) {
+    const current = await prisma.webhook.findUnique({
+      where: { id },
+      omit: { secret: false },
+    });
+
+    if (!current) return null;
+
+    const keepPrevious = current.secret && gracePeriodSeconds > 0;
+
+    return await prisma.webhook.update({
+      where: { id },
+      data: {
+        secret: generateWebhookSecret(),
+        previousSecret: keepPrevious ? current.secret : null,
+        previousSecretExpiresAt: keepPrevious ? new Date(Date.now() + gracePeriodSeconds * 1000) : null,
+      },
+      omit: {
+        secret: false,
+      },
+      include: {
+        instance: true,
+      },
+    });
+  }
+
   /**
    * Toggle webhook enabled status
    * @param {string} id - Webhook ID
@@ -136,20 +184,24 @@ class WebhookService {
 
   /**
    * Get enabled webhooks for triggering
+   * Subscriptions may be patterns, so they are matched in memory
    * @param {string} instanceId - Instance ID
    * @param {string} event - Event type
    */
   async getEnabledWebhooks(instanceId, event) {
-    return await prisma.webhook.findMany({
+    const webhooks = await prisma.webhook.findMany({
       where: {
         instanceId,
-        event,
         isEnabled: true,
       },
       include: {
         instance: true,
       },
     });
+
+    return webhooks.filter(webhook =>
+      getWebhookEvents(webhook).some(pattern => matchesEvent(pattern, event))
+    );
   }
 }
 
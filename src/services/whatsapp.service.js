@@ -7,8 +7,9 @@ const {
 const qrcode = require('qrcode-terminal');
 const logger = require('../utils/logger');
 const path = require('path');
-const packageJson = require('../../package.json');
 const PluginManager = require('../core/plugin-manager.core');
+const { toPersonalJid } = require('../utils/phone');
+const { buildSignature, appendSignature } = require('../utils/signature');
 require('dotenv').config();
 
 class WhatsAppService {
@@ -151,28 +152,19 @@ class WhatsAppService {
         return this.pluginManager.getPluginStatus();
     }
 
-    async sendMessage(phoneNumber, message) {
+    async sendMessage(phoneNumber, message, options = {}) {
         try {
             if (!this.isConnected) {
                 throw new Error('WhatsApp not connected');
             }
 
-            // Format phone number (ensure it has country code)
-            let formattedNumber = phoneNumber.replace(/[^\d]/g, '');
-            if (!formattedNumber.startsWith('62')) {
-                if (formattedNumber.startsWith('0')) {
-                    formattedNumber = '62' + formattedNumber.substring(1);
-                } else {
-                    formattedNumber = '62' + formattedNumber;
-                }
-            }
-
-            const jid = `${formattedNumber}@s.whatsapp.net`;
+            // Normalize phone number to E.164 (server default country code unless overridden)
+            const { jid } = toPersonalJid(phoneNumber, { countryCode: options.countryCode });
 
             logger.info(`📤 Sending message to ${jid}: ${message}`);
 
-            // please do-not remove watermark! 
-            message += `\n\n> Sent via ${(s => s[0].toUpperCase() + s.slice(1, s.indexOf('-')))(packageJson.name)}\n> @${packageJson.author}/${packageJson.name}.git`;
+            // Add signature (default template unless disabled for this request)
+            message = appendSignature(message, buildSignature({ type: 'text', override: options.signature }));
 
             await this.sock.sendMessage(jid, { text: message });
 
@@ -185,7 +177,7 @@ class WhatsAppService {
         }
     }
 
-    async sendGroupMessage(groupId, message) {
+    async sendGroupMessage(groupId, message, options = {}) {
         try {
             if (!this.isConnected) {
                 throw new Error('WhatsApp not connected');
@@ -196,8 +188,8 @@ class WhatsAppService {
 
             logger.info(`📤 Sending group message to ${jid}: ${message}`);
 
-            // please do-not remove watermark! 
-            message += `\n\n> Sent via ${(s => s[0].toUpperCase() + s.slice(1, s.indexOf('-')))(packageJson.name)}\n> @${packageJson.author}/${packageJson.name}.git`;
+            // Add signature (default template unless disabled for this request)
+            message = appendSignature(message, buildSignature({ type: 'group', override: options.signature }));
 
             await this.sock.sendMessage(jid, { text: message });
 
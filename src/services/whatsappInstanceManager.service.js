@@ -2,21 +2,37 @@ const {
     default: makeWASocket,
     DisconnectReason,
     useMultiFileAuthState,
-    fetchLatestBaileysVersion
+    fetchLatestBaileysVersion,
+    jidNormalizedUser
 } = require('baileys');
 const qrcodeTerminal = require('qrcode-terminal');
 const qrcode = require('qrcode');
 const logger = require('../utils/logger');
 const path = require('path');
 const fs = require('fs');
-const packageJson = require('../../package.json');
 const PluginManager = require('../core/plugin-manager.core');
 const instanceService = require('./instanceService');
 const messageService = require('./messageService');
+const mediaService = require('./mediaService');
 const webhookService = require('./webhookService');
+const webhookDeliveryService = require('./webhookDeliveryService');
 const webhookHistoryService = require('./webhookHistoryService');
-const axios = require('axios');
+const webhookDispatcher = require('../core/webhook-dispatcher.core');
+const messageScheduler = require('../core/message-scheduler.core');
+const broadcastRunner = require('../core/broadcast-runner.core');
+const { SendQueue } = require('../core/send-queue.core');
 const instanceLogService = require('./instanceLogService');
+const { toPersonalJid } = require('../utils/phone');
+const { buildSignature, appendSignature, resolveSignatureConfig } = require('../utils/signature');
+const { matchesWebhookFilters } = require('../utils/webhookFilter');
+const { fromBaileysStatus, fromReceipt, buildStatusUpdate } = require('../utils/messageStatus');
+const { resolveMediaInput, buildMediaContent, supportsCaption } = require('../utils/outgoingMedia');
+const { buildMessageContent, describeMessage } = require('../utils/messageTypes');
+const { jidToPhone, applyParticipantsUpdate, formatGroupChanges } = require('../utils/group');
+const { toContactData, formatContactStatus, formatBusinessProfile } = require('../utils/contact');
+const { planHumanizedSend } = require('../utils/humanize');
+const { resolveSendQueueConfig } = require('../utils/sendQueue');
+const contactService = require('./contactService');
 
 class WhatsAppInstance {
     constructor(instanceData) {
@@ -28,6 +44,9 @@ class WhatsAppInstance {
         this.authDir = path.join(__dirname, `../../auth/${instanceData.phone}`);
         this.pluginManager = new PluginManager(instanceData);
         this.groupMetadataCache = new Map();
+        this.presences = new Map(); // Last known presence per JID, from subscribed chats
+        this.sendQueue = new SendQueue(instanceData.phone, () => resolveSendQueueConfig(this.instanceData.sendQueueConfig));
+        this.mediaDownloads = Promise.resolve(); // Attachments download one after another, off the message path
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 5;
         this.isManualRestart = false; // Flag to prevent auto-reconnect during manual restart
@@ -261,7 +280,14 @@ class WhatsAppInstance {
 
         this.sock.ev.on('creds.update', saveCreds);
         this.sock.ev.on('messages.upsert', this.handleMessagesUpsert.bind(this));
+        this.sock.ev.on('messages.update', this.handleMessagesUpdate.bind(this));
+        this.sock.ev.on('message-receipt.update', this.handleMessageReceipts.bind(this));
         this.sock.ev.on('group-participants.update', this.handleGroupUpdate.bind(this));
+        this.sock.ev.on('groups.update', this.handleGroupsUpdate.bind(this));
+        this.sock.ev.on('groups.upsert', this.handleGroupsUpsert.bind(this));
+        this.sock.ev.on('contacts.upsert', this.handleContactsUpsert.bind(this));
+        this.sock.ev.on('contacts.update', this.handleContactsUpsert.bind(this));
+        this.sock.ev.on('presence.update', this.handlePresenceUpdate.bind(this));
         
         // Add error handling for Baileys internal errors (like MAC errors)
         this.sock.ev.on('CB:call', (callUpdate) => {
@@ -300,15 +326,116 @@ class WhatsAppInstance {
     }
 
     async handleGroupUpdate(update) {
-        const { id, participants, action } = update;
+        const { id, author, participants, action } = update;
         const message = { message: { groupUpdate: { participants, action } }, key: { remoteJid: id } };
 
         try {
             logger.info(`👥 Group participant update for ${this.instanceData.phone} in ${id}: ${action}`);
+            this.updateCachedParticipants(update);
             await this.pluginManager.executePlugins(this.sock, message);
         } catch (error) {
             logger.error(`Error processing group participant update for ${this.instanceData.phone}: ${error.message}`);
         }
+
+        await this.triggerWebhooks('group.participants.update', {
+            groupId: id,
+            subject: this.groupMetadataCache.get(id)?.subject || null,
+            action,
+            participants: participants.map(jid => ({ jid, phone: jidToPhone(jid) })),
+            actor: author ? { jid: author, phone: jidToPhone(author) } : null,
+            instance: this.instanceData
+        }, {
+            jid: id,
+            sender: author,
+            isGroup: true
+        });
+    }
+
+    /**
+     * Keep cached group metadata in line with a participant update
+     * The entry is dropped when the instance itself leaves or the change can't be applied locally
+     * @param {Object} update - Baileys group-participants.update event
+     */
+    updateCachedParticipants(update) {
+        const cached = this.groupMetadataCache.get(update.id);
+        if (!cached) return;
+
+        const ownJid = this.sock.user?.id ? jidNormalizedUser(this.sock.user.id) : null;
+        const updated = applyParticipantsUpdate(cached, update);
+
+        if (!updated || (update.action === 'remove' && update.participants.includes(ownJid))) {
+            this.invalidateGroupMetadata(update.id);
+        } else {
+            this.groupMetadataCache.set(update.id, updated);
+        }
+    }
+
+    async handleGroupsUpdate(updates) {
+        for (const update of updates) {
+            const { id, author } = update;
+            const cached = this.groupMetadataCache.get(id);
+
+            if (cached) {
+                this.groupMetadataCache.set(id, { ...cached, ...update });
+            }
+
+            const changes = formatGroupChanges(update);
+            if (Object.keys(changes).length === 0) continue;
+
+            logger.info(`👥 Group ${id} updated for ${this.instanceData.phone}: ${Object.keys(changes).join(', ')}`);
+
+            await this.triggerWebhooks('group.update', {
+                groupId: id,
+                subject: update.subject ?? cached?.subject ?? null,
+                changes,
+                actor: author ? { jid: author, phone: jidToPhone(author) } : null,
+                instance: this.instanceData
+            }, {
+                jid: id,
+                sender: author,
+                isGroup: true
+            });
+        }
+    }
+
+    async handleGroupsUpsert(groups) {
+        // Groups the instance joined or created, with their full metadata
+        for (const metadata of groups) {
+            this.groupMetadataCache.set(metadata.id, metadata);
+            logger.info(`👥 Group ${metadata.id} (${metadata.subject}) joined by ${this.instanceData.phone}`);
+        }
+    }
+
+    async handleContactsUpsert(contacts) {
+        let stored = 0;
+
+        for (const contact of contacts) {
+            const data = toContactData(contact);
+            if (!data) continue;
+
+            try {
+                await contactService.upsert(this.instanceData.id, data);
+                stored++;
+            } catch (error) {
+                logger.error(`Error storing contact ${data.jid} for ${this.instanceData.phone}: ${error.message}`);
+            }
+        }
+
+        if (stored > 0) {
+            logger.info(`📇 Stored ${stored} contact(s) for ${this.instanceData.phone}`);
+        }
+    }
+
+    handlePresenceUpdate({ id, presences }) {
+        // Personal chats report the contact itself, groups report each participant
+        for (const [jid, presence] of Object.entries(presences || {})) {
+            this.presences.set(jid, {
+                chat: id,
+                presence: presence.lastKnownPresence,
+                lastSeen: presence.lastSeen ? new Date(presence.lastSeen * 1000).toISOString() : null,
+                updatedAt: new Date().toISOString()
+            });
+        }
     }
 
     async handleMessagesUpsert(messageUpdate) {
@@ -323,14 +450,23 @@ class WhatsAppInstance {
             try {
                 logger.info(`📨 Processing message from ${message.pushName || 'Unknown'} for instance ${this.instanceData.phone}`);
 
-                // Store message in database
-                await this.storeMessage(message);
+                // Store message in database; its attachment is downloaded afterwards
+                const storedMessage = await this.storeMessage(message);
+                const mediaPending = Boolean(storedMessage) && mediaService.isDownloadable(mediaService.describeMedia(message));
 
                 // Execute plugins
                 await this.pluginManager.executePlugins(this.sock, message);
 
                 // Trigger webhooks
-                await this.triggerWebhooks('message.received', { message, instance: this.instanceData });
+                await this.triggerWebhooks('message.received', {
+                    message,
+                    instance: this.instanceData,
+                    media: mediaService.toWebhookMedia(storedMessage, this.instanceData.phone, { pending: mediaPending })
+                }, this.getIncomingFilterContext(message));
+
+                if (mediaPending) {
+                    this.queueMediaDownload(message, storedMessage);
+                }
 
             } catch (error) {
                 logger.error(`Error processing message for ${this.instanceData.phone}: ${error.message}`);
@@ -338,6 +474,69 @@ class WhatsAppInstance {
         }
     }
 
+    async handleMessagesUpdate(updates) {
+        for (const { key, update } of updates) {
+            if (!key.fromMe || update?.status === undefined || update.status === null) continue;
+
+            const status = fromBaileysStatus(update.status);
+            if (status) {
+                await this.updateMessageStatus(key, status, new Date());
+            }
+        }
+    }
+
+    async handleMessageReceipts(receipts) {
+        for (const { key, receipt } of receipts) {
+            if (!key.fromMe) continue;
+
+            const reported = fromReceipt(receipt, timestamp => this.extractTimestamp(timestamp));
+            if (reported) {
+                await this.updateMessageStatus(key, reported.status, reported.at, receipt.userJid);
+            }
+        }
+    }
+
+    /**
+     * Apply a delivery status to a stored outgoing message and notify webhooks
+     * @param {Object} key - Baileys message key
+     * @param {string} status - Reported status
+     * @param {Date} at - When the status was reached
+     * @param {string} [participant] - Group member the receipt came from
+     */
+    async updateMessageStatus(key, status, at, participant) {
+        try {
+            const message = await messageService.findByMessageId(this.instanceData.id, key.id);
+            if (!message || message.direction !== 'outgoing') return;
+
+            const update = buildStatusUpdate(message, status, at);
+            if (!update) return;
+
+            const updated = await messageService.update(message.id, update);
+
+            logger.info(`📬 Message ${key.id} from ${this.instanceData.phone} is now ${updated.status}`);
+
+            await this.triggerWebhooks('message.status', {
+                messageId: key.id,
+                chat: key.remoteJid,
+                participant: participant || null,
+                status: updated.status,
+                previousStatus: message.status,
+                reportedStatus: status,
+                timestamp: at.toISOString(),
+                message: updated,
+                instance: this.instanceData
+            }, {
+                jid: key.remoteJid,
+                sender: participant,
+                isGroup: key.remoteJid?.endsWith('@g.us') || false,
+                type: message.type,
+                text: message.message?.content || null
+            });
+        } catch (error) {
+            logger.error(`Error updating status of message ${key.id} for ${this.instanceData.phone}: ${error.message}`);
+        }
+    }
+
     /**
      * Safely serialize an object to JSON-compatible format
      * Converts non-serializable objects like Uint8Array, functions, etc.
@@ -424,6 +623,68 @@ class WhatsAppInstance {
         return Math.floor(Date.now() / 1000);
     }
 
+    /**
+     * Get the type of an incoming message, e.g. 'conversation' or 'imageMessage'
+     * @param {Object} message - Baileys message
+     * @returns {string}
+     */
+    getMessageType(message) {
+        return Object.keys(message.message || {})[0] || 'unknown';
+    }
+
+    /**
+     * Get the text or caption of an incoming message
+     * @param {Object} message - Baileys message
+     * @returns {string|null}
+     */
+    getMessageText(message) {
+        return message.message?.conversation ||
+               message.message?.extendedTextMessage?.text ||
+               message.message?.imageMessage?.caption ||
+               null;
+    }
+
+    /**
+     * Build the webhook filter context of an incoming message
+     * @param {Object} message - Baileys WebMessageInfo
+     */
+    getIncomingFilterContext(message) {
+        return {
+            jid: message.key.remoteJid,
+            sender: message.key.participant || message.key.remoteJid,
+            isGroup: message.key.remoteJid?.endsWith('@g.us') || false,
+            type: this.getMessageType(message),
+            text: this.getMessageText(message)
+        };
+    }
+
+    /**
+     * Download the attachment of a stored message in the background
+     * A large file only delays later downloads, never the handling of later messages.
+     * The message record is updated and a message.media webhook carries the download link.
+     * @param {Object} message - Baileys WebMessageInfo
+     * @param {Object} storedMessage - Message record
+     */
+    queueMediaDownload(message, storedMessage) {
+        this.mediaDownloads = this.mediaDownloads.then(async () => {
+            try {
+                const media = await mediaService.downloadAndStore(this.sock, this.instanceData, message);
+                if (!media) return;
+
+                const updated = await messageService.update(storedMessage.id, media);
+
+                await this.triggerWebhooks('message.media', {
+                    messageId: message.key.id,
+                    key: message.key,
+                    instance: this.instanceData,
+                    media: mediaService.toWebhookMedia(updated, this.instanceData.phone)
+                }, this.getIncomingFilterContext(message));
+            } catch (error) {
+                logger.error(`Error downloading media of message ${message.key.id} for ${this.instanceData.phone}: ${error.message}`);
+            }
+        });
+    }
+
     async storeMessage(message) {
         try {
             // Safely serialize the raw message to avoid Prisma serialization errors
@@ -434,145 +695,178 @@ class WhatsAppInstance {
                 direction: 'incoming',
                 from: message.key.remoteJid,
                 to: this.sock.user?.id || this.instanceData.phone,
-                type: Object.keys(message.message || {})[0] || 'unknown',
+                chatJid: message.key.remoteJid,
+                type: this.getMessageType(message),
                 message: {
-                    content: message.message?.conversation || 
-                             message.message?.extendedTextMessage?.text ||
-                             message.message?.imageMessage?.caption ||
-                             'Media message',
+                    content: this.getMessageText(message) || 'Media message',
                     pushName: message.pushName,
                     messageId: message.key.id,
                     timestamp: this.extractTimestamp(message.messageTimestamp),
                     raw: safeRawMessage
                 },
                 status: 'received',
-                sentAt: new Date(this.extractTimestamp(message.messageTimestamp) * 1000)
+                sentAt: new Date(this.extractTimestamp(message.messageTimestamp) * 1000),
+                ...mediaService.describeMedia(message)
             };
 
-            await messageService.create(messageData);
+            return await messageService.create(messageData);
         } catch (error) {
             logger.error(`Error storing message for ${this.instanceData.phone}: ${error.message}`);
+            return null;
         }
     }
 
-    async triggerWebhooks(event, data) {
+    /**
+     * Queue webhook deliveries for an event
+     * Delivery happens in the background through the webhook dispatcher, so slow
+     * endpoints never hold up message handling
+     * @param {string} event - Event type
+     * @param {Object} data - Event data
+     * @param {Object} [filterContext] - Message context evaluated against webhook filters
+     */
+    async triggerWebhooks(event, data, filterContext = null) {
         try {
             const webhooks = await webhookService.getEnabledWebhooks(this.instanceData.id, event);
+            let queued = 0;
             
             for (const webhook of webhooks) {
-                const startTime = Date.now();
                 const payload = {
                     event,
-                    data,
+                    data: this.safeSerialize(data),
                     timestamp: new Date().toISOString(),
                     instanceId: this.instanceData.id
                 };
 
-                let historyData = {
-                    instanceId: this.instanceData.id,
-                    webhookId: webhook.id,
-                    event: event,
-                    payload: payload,
-                    status: 'pending',
-                    retryCount: 0
-                };
-
                 try {
-                    const response = await axios.post(webhook.url, payload, {
-                        timeout: 5000,
-                        headers: {
-                            'Content-Type': 'application/json',
-                            'User-Agent': `${packageJson.name}/${packageJson.version}`
-                        }
-                    });
-
-                    const responseTime = Date.now() - startTime;
-                    
-                    // Update history with success data
-                    historyData = {
-                        ...historyData,
-                        status: 'success',
-                        httpStatusCode: response.status,
-                        responseTime: responseTime,
-                        response: {
-                            status: response.status,
-                            statusText: response.statusText,
-                            headers: response.headers,
-                            data: response.data
-                        },
-                        completedAt: new Date()
-                    };
-
-                    logger.info(`📡 Webhook ${webhook.id} triggered successfully for ${event} (${responseTime}ms)`);
-                    
-                } catch (error) {
-                    const responseTime = Date.now() - startTime;
-                    let status = 'failed';
-                    let httpStatusCode = null;
-                    let response = null;
-                    
-                    if (error.code === 'ECONNABORTED') {
-                        status = 'timeout';
-                    } else if (error.response) {
-                        httpStatusCode = error.response.status;
-                        response = {
-                            status: error.response.status,
-                            statusText: error.response.statusText,
-                            headers: error.response.headers,
-                            data: error.response.data
-                        };
+                    if (!matchesWebhookFilters(webhook.filters, filterContext)) {
+                        // Recorded so filtered events show up as skipped in the history stats
+                        await webhookHistoryService.create({
+                            instanceId: this.instanceData.id,
+                            webhookId: webhook.id,
+                            event,
+                            payload,
+                            status: 'skipped',
+                            completedAt: new Date()
+                        });
+                        continue;
                     }
 
-                    // Update history with failure data
-                    historyData = {
-                        ...historyData,
-                        status: status,
-                        httpStatusCode: httpStatusCode,
-                        responseTime: responseTime,
-                        response: response,
-                        errorMessage: error.message,
-                        completedAt: new Date()
-                    };
-
-                    logger.error(`Failed to trigger webhook ${webhook.id} for ${event}: ${error.message} (${responseTime}ms)`);
+                    await webhookDeliveryService.enqueue({
+                        instanceId: this.instanceData.id,
+                        webhookId: webhook.id,
+                        event,
+                        payload
+                    });
+                    queued++;
+                } catch (queueError) {
+                    logger.error(`Failed to queue webhook ${webhook.id} for ${event}: ${queueError.message}`);
                 }
+            }
 
-                // Save webhook history record
-                try {
-                    await webhookHistoryService.create(historyData);
-                } catch (historyError) {
-                    logger.error(`Failed to save webhook history for ${webhook.id}: ${historyError.message}`);
-                }
+            if (queued > 0) {
+                webhookDispatcher.notify();
             }
         } catch (error) {
             logger.error(`Error triggering webhooks for ${this.instanceData.phone}: ${error.message}`);
         }
     }
 
-    async sendMessage(phoneNumber, messageText) {
+    /**
+     * Build the signature for an outgoing message of this instance
+     * @param {string} type - Message type: 'text', 'group' or 'media'
+     * @param {boolean} [override] - Per-request override; `false` disables the signature
+     * @returns {string|null}
+     */
+    getSignature(type, override) {
+        return buildSignature({
+            config: this.instanceData.signatureConfig,
+            type,
+            override,
+            instanceData: this.instanceData
+        });
+    }
+
+    /**
+     * Send through the instance's send queue
+     * Waits for a turn within the messages-per-minute and recipient cooldown limits
+     * @param {string} jid - Chat JID
+     * @param {Function} send - Sends the message once it is this message's turn
+     * @returns {Promise<*>} - Result of send
+     * @throws {SendQueueFullError} If the queue is full
+     */
+    async sendInTurn(jid, send) {
+        const release = await this.sendQueue.acquire(jid);
         try {
+            // The connection may have dropped while the message was waiting
             if (!this.isConnected) {
                 throw new Error(`WhatsApp instance ${this.instanceData.phone} not connected`);
             }
+            return await send();
+        } finally {
+            release();
+        }
+    }
 
-            // Format phone number
-            let formattedNumber = phoneNumber.replace(/[^\d]/g, '');
-            if (!formattedNumber.startsWith('62')) {
-                if (formattedNumber.startsWith('0')) {
-                    formattedNumber = '62' + formattedNumber.substring(1);
-                } else {
-                    formattedNumber = '62' + formattedNumber;
-                }
+    /**
+     * Show a typing indicator before a message, when humanized sending applies
+     * Presence failures are logged and never stop the message
+     * @param {string} jid - Chat JID
+     * @param {string} [text] - Message text or caption
+     * @param {boolean} [override] - Per-request override of the instance's humanize config
+     * @param {string} [presence] - "composing", or "recording" before voice notes
+     * @returns {Promise<boolean>} - Whether a typing indicator was shown, to be ended by endHumanizedSend
+     */
+    async startHumanizedSend(jid, text, override, presence = 'composing') {
+        const plan = planHumanizedSend({ config: this.instanceData.humanizeConfig, text, override });
+        if (!plan) return false;
+
+        try {
+            await this.sock.presenceSubscribe(jid);
+            await this.sock.sendPresenceUpdate(presence, jid);
+        } catch (error) {
+            logger.warn(`Could not show ${presence} in ${jid} for ${this.instanceData.phone}: ${error.message}`);
+        }
+
+        await new Promise(resolve => setTimeout(resolve, plan.typingMs + plan.delayMs));
+        return true;
+    }
+
+    /**
+     * Clear the typing indicator after a humanized message was sent
+     * @param {string} jid - Chat JID
+     */
+    async endHumanizedSend(jid) {
+        try {
+            await this.sock.sendPresenceUpdate('paused', jid);
+        } catch (error) {
+            logger.warn(`Could not clear presence in ${jid} for ${this.instanceData.phone}: ${error.message}`);
+        }
+    }
+
+    async sendMessage(phoneNumber, messageText, options = {}) {
+        try {
+            if (!this.isConnected) {
+                throw new Error(`WhatsApp instance ${this.instanceData.phone} not connected`);
             }
 
-            const jid = `${formattedNumber}@s.whatsapp.net`;
+            // Normalize phone number to E.164
+            const { number: formattedNumber, jid } = toPersonalJid(phoneNumber, {
+                countryCode: options.countryCode,
+                defaultCountryCode: this.instanceData.defaultCountryCode
+            });
 
             logger.info(`📤 Sending message from ${this.instanceData.phone} to ${jid}: ${messageText}`);
 
-            // Add watermark
-            const finalMessage = `${messageText}\n\n> Sent via ${(s => s[0].toUpperCase() + s.slice(1, s.indexOf('-')))(packageJson.name)}\n> @${packageJson.author}/${packageJson.name}.git`;
+            // Add signature
+            const signature = this.getSignature('text', options.signature);
+            const finalMessage = appendSignature(messageText, signature);
 
-            const result = await this.sock.sendMessage(jid, { text: finalMessage });
+            const result = await this.sendInTurn(jid, async () => {
+                const humanized = await this.startHumanizedSend(jid, finalMessage, options.humanize);
+                const sent = await this.sock.sendMessage(jid, { text: finalMessage });
+                if (humanized) await this.endHumanizedSend(jid);
+                return sent;
+            });
 
             // Store sent message in database
             const messageData = {
@@ -580,10 +874,12 @@ class WhatsAppInstance {
                 direction: 'outgoing',
                 from: this.instanceData.phone,
                 to: formattedNumber,
+                chatJid: jid,
                 type: 'text',
                 message: {
                     content: messageText,
-                    messageId: result.key.id
+                    messageId: result.key.id,
+                    signature
                 },
                 status: 'sent',
                 sentAt: new Date()
@@ -596,7 +892,7 @@ class WhatsAppInstance {
                 message: storedMessage, 
                 instance: this.instanceData,
                 recipient: formattedNumber
-            });
+            }, { jid, isGroup: false, type: 'text', text: messageText });
 
             logger.info(`✅ Message sent successfully from ${this.instanceData.phone} to ${phoneNumber}`);
             
@@ -619,30 +915,32 @@ class WhatsAppInstance {
         }
     }
 
-    async sendGroupMessage(groupId, messageText) {
+    async sendGroupMessage(groupId, messageText, options = {}) {
         try {
             if (!this.isConnected) {
                 throw new Error(`WhatsApp instance ${this.instanceData.phone} not connected`);
             }
 
-            const jid = groupId.includes('@g.us') ? groupId : `${groupId}@g.us`;
+            const jid = this.toGroupJid(groupId);
 
             logger.info(`📤 Sending group message from ${this.instanceData.phone} to ${jid}: ${messageText}`);
 
-            // Ensure we have group metadata and participants before sending
-            try {
-                await this.sock.groupMetadata(jid);
-            } catch (metaError) {
-                logger.warn(`Could not fetch group metadata for ${jid}: ${metaError.message}`);
-            }
+            await this.primeGroupMetadata(jid);
 
-            // Add watermark  
-            const finalMessage = `${messageText}\n\n> Sent via ${(s => s[0].toUpperCase() + s.slice(1, s.indexOf('-')))(packageJson.name)}\n> @${packageJson.author}/${packageJson.name}.git`;
+            // Add signature
+            const signature = this.getSignature('group', options.signature);
+            const finalMessage = appendSignature(messageText, signature);
 
-            // Send with additional options to handle encryption properly
-            const result = await this.sock.sendMessage(jid, { text: finalMessage }, { 
-                ephemeralExpiration: 0,
-                messageId: undefined // Let Baileys generate the message ID
+            const result = await this.sendInTurn(jid, async () => {
+                const humanized = await this.startHumanizedSend(jid, finalMessage, options.humanize);
+
+                // Send with additional options to handle encryption properly
+                const sent = await this.sock.sendMessage(jid, { text: finalMessage }, { 
+                    ephemeralExpiration: 0,
+                    messageId: undefined // Let Baileys generate the message ID
+                });
+                if (humanized) await this.endHumanizedSend(jid);
+                return sent;
             });
 
             // Store sent message in database
@@ -651,11 +949,13 @@ class WhatsAppInstance {
                 direction: 'outgoing',
                 from: this.instanceData.phone,
                 to: groupId,
+                chatJid: jid,
                 type: 'text',
                 message: {
                     content: messageText,
                     messageId: result.key.id,
-                    isGroup: true
+                    isGroup: true,
+                    signature
                 },
                 status: 'sent',
                 sentAt: new Date()
@@ -669,7 +969,7 @@ class WhatsAppInstance {
                 instance: this.instanceData,
                 recipient: groupId,
                 isGroup: true
-            });
+            }, { jid, isGroup: true, type: 'text', text: messageText });
 
             logger.info(`✅ Group message sent successfully from ${this.instanceData.phone} to ${groupId}`);
             
@@ -692,61 +992,368 @@ class WhatsAppInstance {
         }
     }
 
-    async sendMediaMessage(phoneNumber, mediaData) {
+    /**
+     * Build the JID of a group from a group ID with or without the @g.us suffix
+     * @param {string} groupId - Group ID
+     * @returns {string}
+     */
+    toGroupJid(groupId) {
+        return groupId.includes('@g.us') ? groupId : `${groupId}@g.us`;
+    }
+
+    /**
+     * Make sure group metadata and participants are known before sending,
+     * so Baileys can encrypt the message for every member
+     * @param {string} jid - Group JID
+     */
+    async primeGroupMetadata(jid) {
+        try {
+            await this.sock.groupMetadata(jid);
+        } catch (metaError) {
+            logger.warn(`Could not fetch group metadata for ${jid}: ${metaError.message}`);
+        }
+    }
+
+    /**
+     * Resolve the chat a message is sent to
+     * Group IDs are recognized by their @g.us suffix or options.isGroup; anything else is a phone number
+     * @param {string} recipient - Phone number or group ID
+     * @param {Object} [options] - countryCode, isGroup
+     * @returns {{to: string, jid: string, isGroup: boolean}} - `to` is the E.164 number or the group ID as given
+     */
+    resolveRecipient(recipient, options = {}) {
+        if (options.isGroup || String(recipient).endsWith('@g.us')) {
+            return { to: recipient, jid: this.toGroupJid(recipient), isGroup: true };
+        }
+
+        // Normalize phone number to E.164
+        const { number, jid } = toPersonalJid(recipient, {
+            countryCode: options.countryCode,
+            defaultCountryCode: this.instanceData.defaultCountryCode
+        });
+
+        return { to: number, jid, isGroup: false };
+    }
+
+    /**
+     * Get the chat JID of a stored message
+     * Messages stored before chatJid was recorded fall back to their sender or recipient
+     * @param {Object} stored - Message record
+     * @returns {string}
+     */
+    getStoredChatJid(stored) {
+        if (stored.chatJid) return stored.chatJid;
+        if (stored.direction === 'incoming') return stored.from;
+
+        return stored.message?.isGroup ? this.toGroupJid(stored.to) : `${stored.to}@s.whatsapp.net`;
+    }
+
+    /**
+     * Build the Baileys key of a stored message
+     * @param {Object} stored - Message record
+     * @returns {{remoteJid: string, id: string, fromMe: boolean, participant?: string}}
+     */
+    getStoredMessageKey(stored) {
+        const rawKey = stored.message?.raw?.key;
+
+        return {
+            remoteJid: this.getStoredChatJid(stored),
+            id: stored.messageId || stored.message?.messageId,
+            fromMe: stored.direction === 'outgoing',
+            ...(rawKey?.participant && { participant: rawKey.participant })
+        };
+    }
+
+    /**
+     * Build the quoted message Baileys attaches to a reply
+     * Incoming messages keep their raw content; outgoing ones are quoted by their stored text
+     * @param {Object} stored - Message record
+     * @returns {Object}
+     */
+    toQuotedMessage(stored) {
+        return {
+            key: this.getStoredMessageKey(stored),
+            message: stored.message?.raw?.message || { conversation: stored.message?.content || '' }
+        };
+    }
+
+    /**
+     * Send a typed message: text with mentions, location, contact cards, poll or reaction
+     * @param {string} recipient - Phone number or group JID; ignored for reactions
+     * @param {Object} payload - Payload validated by validateMessagePayload
+     * @param {Object} [options] - countryCode, signature, quoted (message record), target (message record reacted to)
+     */
+    async sendTypedMessage(recipient, payload, options = {}) {
         try {
             if (!this.isConnected) {
                 throw new Error(`WhatsApp instance ${this.instanceData.phone} not connected`);
             }
 
-            // Format phone number
-            let formattedNumber = phoneNumber.replace(/[^\d]/g, '');
-            if (!formattedNumber.startsWith('62')) {
-                if (formattedNumber.startsWith('0')) {
-                    formattedNumber = '62' + formattedNumber.substring(1);
-                } else {
-                    formattedNumber = '62' + formattedNumber;
+            const { type } = payload;
+            let to;
+            let jid;
+            let isGroup;
+            const ctx = { mentions: [], contacts: [] };
+
+            if (type === 'reaction') {
+                ctx.targetKey = this.getStoredMessageKey(options.target);
+                jid = ctx.targetKey.remoteJid;
+                isGroup = jid.endsWith('@g.us');
+                to = isGroup ? jid : jid.split('@')[0];
+            } else {
+                ({ to, jid, isGroup } = this.resolveRecipient(recipient, options));
+            }
+
+            const phoneOptions = {
+                countryCode: options.countryCode,
+                defaultCountryCode: this.instanceData.defaultCountryCode
+            };
+
+            let signature = null;
+            if (type === 'text') {
+                signature = this.getSignature(isGroup ? 'group' : 'text', options.signature);
+                ctx.text = appendSignature(payload.text, signature);
+                ctx.mentions = (payload.mentions || []).map(mention => toPersonalJid(String(mention), phoneOptions).jid);
+            }
+
+            if (type === 'contact') {
+                ctx.contacts = payload.contacts.map(contact => ({
+                    ...contact,
+                    phone: toPersonalJid(String(contact.phone), phoneOptions).number
+                }));
+            }
+
+            const content = buildMessageContent(payload, ctx);
+            const summary = describeMessage(payload);
+
+            logger.info(`📤 Sending ${type} message from ${this.instanceData.phone} to ${jid}`);
+
+            if (isGroup) {
+                await this.primeGroupMetadata(jid);
+            }
+
+            const sendOptions = options.quoted ? { quoted: this.toQuotedMessage(options.quoted) } : {};
+            const result = await this.sendInTurn(jid, () => this.sock.sendMessage(jid, content, sendOptions));
+
+            // Store everything but the routing fields with the message
+            const details = Object.fromEntries(
+                Object.entries(payload).filter(([key]) => !['type', 'to', 'countryCode', 'signature'].includes(key))
+            );
+
+            const messageData = {
+                instanceId: this.instanceData.id,
+                direction: 'outgoing',
+                from: this.instanceData.phone,
+                to,
+                chatJid: jid,
+                type,
+                message: {
+                    content: summary,
+                    messageId: result.key.id,
+                    ...details,
+                    ...(ctx.mentions.length > 0 && { mentions: ctx.mentions }),
+                    ...(isGroup && { isGroup: true }),
+                    signature
+                },
+                status: 'sent',
+                sentAt: new Date()
+            };
+
+            const storedMessage = await messageService.create(messageData);
+
+            // Trigger webhook
+            await this.triggerWebhooks('message.sent', {
+                message: storedMessage,
+                instance: this.instanceData,
+                recipient: to,
+                messageType: type,
+                ...(isGroup && { isGroup: true })
+            }, { jid, isGroup, type, text: summary });
+
+            logger.info(`✅ ${type} message sent successfully from ${this.instanceData.phone} to ${jid}`);
+
+            await instanceLogService.create({
+                instanceId: this.instanceData.id,
+                level: 'info',
+                message: `${type} message sent to ${to}`
+            });
+
+            return { success: true, message: `${type} message sent successfully`, messageId: result.key.id, storedMessageId: storedMessage.id };
+
+        } catch (error) {
+            logger.error(`❌ Error sending ${payload.type} message from ${this.instanceData.phone}:`, error);
+            await instanceLogService.create({
+                instanceId: this.instanceData.id,
+                level: 'error',
+                message: `Error sending ${payload.type} message: ${error.message}`
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Edit the text of a message sent by this instance
+     * The stored content moves to editHistory; the original signature is kept
+     * @param {Object} stored - Message record
+     * @param {string} text - New text
+     * @returns {Promise<Object>} - Updated message record
+     */
+    async editMessage(stored, text) {
+        if (!this.isConnected) {
+            throw new Error(`WhatsApp instance ${this.instanceData.phone} not connected`);
+        }
+
+        const key = this.getStoredMessageKey(stored);
+        const finalText = appendSignature(text, stored.message?.signature || null);
+
+        await this.sock.sendMessage(key.remoteJid, { text: finalText, edit: key });
+
+        const editedAt = new Date();
+        const history = Array.isArray(stored.editHistory) ? stored.editHistory : [];
+        const updatedMessage = await messageService.update(stored.id, {
+            message: { ...stored.message, content: text, ...(stored.message?.text !== undefined && { text }) },
+            editedAt,
+            editHistory: [...history, { content: stored.message?.content ?? null, editedAt: editedAt.toISOString() }]
+        });
+
+        await this.triggerWebhooks('message.edited', {
+            message: updatedMessage,
+            instance: this.instanceData,
+            previousContent: stored.message?.content ?? null
+        }, {
+            jid: key.remoteJid,
+            isGroup: key.remoteJid.endsWith('@g.us'),
+            type: stored.type,
+            text
+        });
+
+        logger.info(`✏️ Edited message ${key.id} of ${this.instanceData.phone}`);
+        return updatedMessage;
+    }
+
+    /**
+     * Check if WhatsApp lets this instance delete a message for everyone
+     * That is its own messages, and messages of others only in groups it administers;
+     * WhatsApp silently ignores any other revoke
+     * @param {Object} stored - Message record
+     * @returns {Promise<boolean>}
+     */
+    async canRevokeForEveryone(stored) {
+        if (stored.direction === 'outgoing') return true;
+
+        const chatJid = this.getStoredChatJid(stored);
+        if (!chatJid?.endsWith('@g.us')) return false;
+
+        const metadata = await this.getGroupMetadata(chatJid);
+        const ownJids = [this.sock.user?.id, this.sock.user?.lid]
+            .filter(Boolean)
+            .map(jid => jidNormalizedUser(jid));
+
+        return metadata.participants.some(participant => ownJids.includes(participant.id) && Boolean(participant.admin));
+    }
+
+    /**
+     * Delete a message for everyone (revoke) or only on this device
+     * @param {Object} stored - Message record
+     * @param {boolean} forEveryone - Revoke for every participant
+     * @returns {Promise<Object>} - Updated message record
+     */
+    async revokeMessage(stored, forEveryone) {
+        if (!this.isConnected) {
+            throw new Error(`WhatsApp instance ${this.instanceData.phone} not connected`);
+        }
+
+        if (forEveryone && !(await this.canRevokeForEveryone(stored))) {
+            throw new Error(`Message ${stored.id} can't be deleted for everyone by ${this.instanceData.phone}`);
+        }
+
+        const key = this.getStoredMessageKey(stored);
+
+        if (forEveryone) {
+            await this.sock.sendMessage(key.remoteJid, { delete: key });
+        } else {
+            await this.sock.chatModify({
+                deleteForMe: {
+                    deleteMedia: false,
+                    key,
+                    timestamp: Math.floor((stored.sentAt || stored.createdAt).getTime() / 1000)
                 }
+            }, key.remoteJid);
+        }
+
+        const updatedMessage = await messageService.update(stored.id, {
+            status: forEveryone ? 'revoked' : 'deleted',
+            revokedAt: new Date()
+        });
+
+        await this.triggerWebhooks('message.revoked', {
+            message: updatedMessage,
+            instance: this.instanceData,
+            forEveryone
+        }, {
+            jid: key.remoteJid,
+            isGroup: key.remoteJid.endsWith('@g.us'),
+            type: stored.type,
+            text: stored.message?.content ?? null
+        });
+
+        logger.info(`🗑️ ${forEveryone ? 'Revoked' : 'Deleted'} message ${key.id} of ${this.instanceData.phone}`);
+        return updatedMessage;
+    }
+
+    /**
+     * Send media to a group
+     * @param {string} groupId - Group ID or JID
+     * @param {Object} mediaData - Media resolved by resolveMediaInput, or raw media fields
+     * @param {Object} [options] - Send options (signature, humanize)
+     */
+    async sendGroupMediaMessage(groupId, mediaData, options = {}) {
+        return await this.sendMediaMessage(groupId, mediaData, { ...options, isGroup: true });
+    }
+
+    /**
+     * Send media to a phone number, or to a group with options.isGroup
+     * @param {string} recipient - Phone number, or group ID when options.isGroup is set
+     * @param {Object} mediaData - Media resolved by resolveMediaInput, or raw media fields
+     * @param {Object} [options] - Send options (countryCode, signature, humanize, isGroup)
+     */
+    async sendMediaMessage(recipient, mediaData, options = {}) {
+        try {
+            if (!this.isConnected) {
+                throw new Error(`WhatsApp instance ${this.instanceData.phone} not connected`);
             }
 
-            const jid = `${formattedNumber}@s.whatsapp.net`;
-            const { type, url, caption, filename } = mediaData;
+            const { to: formattedNumber, jid, isGroup } = this.resolveRecipient(recipient, options);
+
+            // Callers may pass raw { type, url, data, ... } fields instead of resolved media
+            let media = mediaData;
+            if (media.source === undefined) {
+                const resolved = resolveMediaInput(mediaData);
+                if (resolved.error) throw new Error(resolved.error);
+                media = resolved.media;
+            }
+            const { type, url, caption, filename } = media;
 
             logger.info(`📤 Sending ${type} media from ${this.instanceData.phone} to ${jid}`);
 
-            // Prepare media message object based on type
-            let messageContent = {};
-            
-            switch (type.toLowerCase()) {
-                case 'image':
-                    messageContent = {
-                        image: { url },
-                        caption: caption ? `${caption}\n\n> Sent via ${(s => s[0].toUpperCase() + s.slice(1, s.indexOf('-')))(packageJson.name)}\n> @${packageJson.author}/${packageJson.name}.git` : undefined
-                    };
-                    break;
-                case 'video':
-                    messageContent = {
-                        video: { url },
-                        caption: caption ? `${caption}\n\n> Sent via ${(s => s[0].toUpperCase() + s.slice(1, s.indexOf('-')))(packageJson.name)}\n> @${packageJson.author}/${packageJson.name}.git` : undefined
-                    };
-                    break;
-                case 'audio':
-                    messageContent = {
-                        audio: { url },
-                        mimetype: 'audio/mp4'
-                    };
-                    break;
-                case 'document':
-                    messageContent = {
-                        document: { url },
-                        fileName: filename || 'document',
-                        caption: caption ? `${caption}\n\n> Sent via ${(s => s[0].toUpperCase() + s.slice(1, s.indexOf('-')))(packageJson.name)}\n> @${packageJson.author}/${packageJson.name}.git` : undefined
-                    };
-                    break;
-                default:
-                    throw new Error(`Unsupported media type: ${type}. Supported types: image, video, audio, document`);
+            // Add signature to the caption (audio, voice notes and stickers carry no caption)
+            const signature = caption && supportsCaption(type)
+                ? this.getSignature('media', options.signature)
+                : null;
+            const finalCaption = caption ? appendSignature(caption, signature) : undefined;
+
+            const messageContent = buildMediaContent(media, finalCaption);
+
+            if (isGroup) {
+                await this.primeGroupMetadata(jid);
             }
 
-            const result = await this.sock.sendMessage(jid, messageContent);
+            const result = await this.sendInTurn(jid, async () => {
+                const humanized = await this.startHumanizedSend(jid, finalCaption, options.humanize, type === 'ptt' ? 'recording' : 'composing');
+                const sent = await this.sock.sendMessage(jid, messageContent);
+                if (humanized) await this.endHumanizedSend(jid);
+                return sent;
+            });
 
             // Store sent message in database
             const messageData = {
@@ -754,13 +1361,19 @@ class WhatsAppInstance {
                 direction: 'outgoing',
                 from: this.instanceData.phone,
                 to: formattedNumber,
-                type: type.toLowerCase(),
+                chatJid: jid,
+                type,
                 message: {
                     content: caption || `${type} media`,
                     messageId: result.key.id,
-                    mediaType: type.toLowerCase(),
-                    mediaUrl: url,
-                    filename: filename
+                    mediaType: type,
+                    mediaSource: media.origin,
+                    mediaUrl: url || null,
+                    mimetype: media.mimetype || null,
+                    size: media.size,
+                    filename: filename,
+                    ...(isGroup && { isGroup: true }),
+                    signature
                 },
                 status: 'sent',
                 sentAt: new Date()
@@ -773,15 +1386,16 @@ class WhatsAppInstance {
                 message: storedMessage, 
                 instance: this.instanceData,
                 recipient: formattedNumber,
-                mediaType: type.toLowerCase()
-            });
+                mediaType: type,
+                ...(isGroup && { isGroup: true })
+            }, { jid, isGroup, type, text: caption || null });
 
-            logger.info(`✅ ${type} media sent successfully from ${this.instanceData.phone} to ${phoneNumber}`);
+            logger.info(`✅ ${type} media sent successfully from ${this.instanceData.phone} to ${recipient}`);
             
             await instanceLogService.create({
                 instanceId: this.instanceData.id,
                 level: 'info',
-                message: `${type} media sent${caption ? " with caption: " + caption : ''}`
+                message: `${type} media sent${isGroup ? ` to group ${recipient}` : ''}${caption ? " with caption: " + caption : ''}`
             });
             
             return { success: true, message: `${type} media sent successfully`, messageId: result.key.id };
@@ -797,6 +1411,264 @@ class WhatsAppInstance {
         }
     }
 
+    /**
+     * Send read receipts for messages of a chat
+     * @param {string} jid - Chat JID
+     * @param {Array<Object>} keys - Baileys message keys ({ remoteJid, id, participant })
+     */
+    async markChatRead(jid, keys) {
+        if (!this.isConnected) {
+            throw new Error(`WhatsApp instance ${this.instanceData.phone} not connected`);
+        }
+
+        if (keys.length > 0) {
+            await this.sock.readMessages(keys);
+        }
+
+        logger.info(`👀 Marked ${keys.length} message(s) as read in ${jid} for ${this.instanceData.phone}`);
+    }
+
+    /**
+     * Get the groups the instance is a member of
+     * Fetched from WhatsApp, which also refreshes the group metadata cache
+     * @returns {Promise<Array<Object>>} - Baileys group metadata
+     */
+    async getGroups() {
+        if (!this.isConnected) {
+            throw new Error(`WhatsApp instance ${this.instanceData.phone} not connected`);
+        }
+
+        const groups = Object.values(await this.sock.groupFetchAllParticipating());
+        for (const metadata of groups) {
+            this.groupMetadataCache.set(metadata.id, metadata);
+        }
+
+        return groups;
+    }
+
+    /**
+     * Get the metadata and participants of a group
+     * @param {string} groupId - Group ID with or without @g.us
+     * @param {boolean} [refresh] - Skip the cache
+     */
+    async getGroupMetadata(groupId, refresh = false) {
+        if (!this.isConnected) {
+            throw new Error(`WhatsApp instance ${this.instanceData.phone} not connected`);
+        }
+
+        const jid = this.toGroupJid(groupId);
+        if (!refresh && this.groupMetadataCache.has(jid)) {
+            return this.groupMetadataCache.get(jid);
+        }
+
+        const metadata = await this.sock.groupMetadata(jid);
+        this.groupMetadataCache.set(jid, metadata);
+        return metadata;
+    }
+
+    /**
+     * Drop cached group metadata after a change, so the next read fetches it again
+     * @param {string} jid - Group JID
+     */
+    invalidateGroupMetadata(jid) {
+        this.groupMetadataCache.delete(jid);
+    }
+
+    /**
+     * Create a group
+     * @param {string} subject - Group name
+     * @param {string[]} participantJids - Personal JIDs of the first members
+     */
+    async createGroup(subject, participantJids) {
+        if (!this.isConnected) {
+            throw new Error(`WhatsApp instance ${this.instanceData.phone} not connected`);
+        }
+
+        const metadata = await this.sock.groupCreate(subject, participantJids);
+        this.groupMetadataCache.set(metadata.id, metadata);
+
+        logger.info(`👥 Group ${metadata.id} created by ${this.instanceData.phone}`);
+        await instanceLogService.create({
+            instanceId: this.instanceData.id,
+            level: 'info',
+            message: `Group created: ${subject} (${metadata.id})`
+        });
+
+        return metadata;
+    }
+
+    /**
+     * Add, remove, promote or demote group participants
+     * @param {string} groupId - Group ID with or without @g.us
+     * @param {string[]} participantJids - Personal JIDs
+     * @param {string} action - "add", "remove", "promote" or "demote"
+     * @returns {Promise<Array<{status: string, jid: string}>>} - Result per participant
+     */
+    async updateGroupParticipants(groupId, participantJids, action) {
+        if (!this.isConnected) {
+            throw new Error(`WhatsApp instance ${this.instanceData.phone} not connected`);
+        }
+
+        const jid = this.toGroupJid(groupId);
+        try {
+            return await this.sock.groupParticipantsUpdate(jid, participantJids, action);
+        } finally {
+            this.invalidateGroupMetadata(jid);
+            logger.info(`👥 ${action} ${participantJids.length} participant(s) in ${jid} by ${this.instanceData.phone}`);
+        }
+    }
+
+    /**
+     * Update the subject, description and settings of a group
+     * @param {string} groupId - Group ID with or without @g.us
+     * @param {Object} update - subject, description, announce (only admins send), locked (only admins edit info)
+     */
+    async updateGroup(groupId, update) {
+        if (!this.isConnected) {
+            throw new Error(`WhatsApp instance ${this.instanceData.phone} not connected`);
+        }
+
+        const jid = this.toGroupJid(groupId);
+        try {
+            if (update.subject !== undefined) {
+                await this.sock.groupUpdateSubject(jid, update.subject);
+            }
+            if (update.description !== undefined) {
+                // An empty description removes it
+                await this.sock.groupUpdateDescription(jid, update.description || undefined);
+            }
+            if (update.announce !== undefined) {
+                await this.sock.groupSettingUpdate(jid, update.announce ? 'announcement' : 'not_announcement');
+            }
+            if (update.locked !== undefined) {
+                await this.sock.groupSettingUpdate(jid, update.locked ? 'locked' : 'unlocked');
+            }
+        } finally {
+            this.invalidateGroupMetadata(jid);
+        }
+
+        logger.info(`👥 Group ${jid} updated by ${this.instanceData.phone}`);
+        return await this.getGroupMetadata(jid, true);
+    }
+
+    /**
+     * Get the invite code of a group, optionally replacing it so old links stop working
+     * @param {string} groupId - Group ID with or without @g.us
+     * @param {boolean} [revoke] - Revoke the current code first
+     * @returns {Promise<string>}
+     */
+    async getGroupInviteCode(groupId, revoke = false) {
+        if (!this.isConnected) {
+            throw new Error(`WhatsApp instance ${this.instanceData.phone} not connected`);
+        }
+
+        const jid = this.toGroupJid(groupId);
+        return revoke
+            ? await this.sock.groupRevokeInvite(jid)
+            : await this.sock.groupInviteCode(jid);
+    }
+
+    /**
+     * Leave a group
+     * @param {string} groupId - Group ID with or without @g.us
+     */
+    async leaveGroup(groupId) {
+        if (!this.isConnected) {
+            throw new Error(`WhatsApp instance ${this.instanceData.phone} not connected`);
+        }
+
+        const jid = this.toGroupJid(groupId);
+        await this.sock.groupLeave(jid);
+        this.invalidateGroupMetadata(jid);
+
+        logger.info(`👋 ${this.instanceData.phone} left group ${jid}`);
+        await instanceLogService.create({
+            instanceId: this.instanceData.id,
+            level: 'info',
+            message: `Left group ${jid}`
+        });
+    }
+
+    /**
+     * Look up which numbers have a WhatsApp account
+     * @param {string[]} jids - Personal JIDs
+     * @returns {Promise<Array<{jid: string, exists: boolean}>>} - One result per JID, in request order
+     */
+    async checkOnWhatsApp(jids) {
+        if (!this.isConnected) {
+            throw new Error(`WhatsApp instance ${this.instanceData.phone} not connected`);
+        }
+
+        // Baileys only reports the numbers it found, in no particular order
+        const found = new Map(((await this.sock.onWhatsApp(...jids)) || []).map(result => [result.jid, result]));
+
+        return jids.map(jid => ({
+            jid,
+            exists: Boolean(found.get(jid)?.exists)
+        }));
+    }
+
+    /**
+     * Get the public profile of a contact
+     * Parts hidden by the contact's privacy settings, or missing, are null
+     * @param {string} jid - Personal JID
+     * @returns {Promise<{profilePictureUrl: string|null, status: Object|null, businessProfile: Object|null}>}
+     */
+    async getContactProfile(jid) {
+        if (!this.isConnected) {
+            throw new Error(`WhatsApp instance ${this.instanceData.phone} not connected`);
+        }
+
+        const [picture, status, business] = await Promise.allSettled([
+            this.sock.profilePictureUrl(jid, 'image'),
+            this.sock.fetchStatus(jid),
+            this.sock.getBusinessProfile(jid)
+        ]);
+
+        return {
+            profilePictureUrl: picture.status === 'fulfilled' ? picture.value || null : null,
+            status: status.status === 'fulfilled' ? formatContactStatus(status.value) : null,
+            businessProfile: business.status === 'fulfilled' ? formatBusinessProfile(business.value) : null
+        };
+    }
+
+    /**
+     * Subscribe to the presence of a contact
+     * Updates arrive through presence.update and are kept in this.presences
+     * @param {string} jid - Personal JID
+     */
+    async subscribePresence(jid) {
+        if (!this.isConnected) {
+            throw new Error(`WhatsApp instance ${this.instanceData.phone} not connected`);
+        }
+
+        await this.sock.presenceSubscribe(jid);
+        logger.info(`👁️ ${this.instanceData.phone} subscribed to presence of ${jid}`);
+    }
+
+    /**
+     * Get the last known presence of a contact
+     * @param {string} jid - Personal JID
+     * @returns {Object|null} - null until a presence update arrives
+     */
+    getPresence(jid) {
+        return this.presences.get(jid) || null;
+    }
+
+    /**
+     * Send a presence update
+     * @param {string} presence - "available" or "unavailable" for the instance, or
+     *   "composing", "recording" or "paused" in a chat
+     * @param {string} [jid] - Chat JID, for chat presences
+     */
+    async sendPresence(presence, jid) {
+        if (!this.isConnected) {
+            throw new Error(`WhatsApp instance ${this.instanceData.phone} not connected`);
+        }
+
+        await this.sock.sendPresenceUpdate(presence, jid);
+    }
+
     async close() {
         // Close connection without logging out (for restart)
         if (this.sock && this.sock.ws) {
@@ -835,6 +1707,9 @@ class WhatsAppInstance {
             phone: this.instanceData.phone,
             name: this.instanceData.name,
             alias: this.instanceData.alias,
+            defaultCountryCode: this.instanceData.defaultCountryCode,
+            signature: resolveSignatureConfig(this.instanceData.signatureConfig),
+            sendQueue: this.sendQueue.getStats(),
             isConnected: this.isConnected,
             connectionStatus: this.connectionStatus,
             qrCode: this.qrCode,
@@ -855,6 +1730,18 @@ class WhatsAppInstanceManager {
         try {
             logger.info('🔄 Initializing WhatsApp Instance Manager...');
             
+            // Resume queued webhook deliveries from before the restart
+            await webhookDispatcher.start();
+
+            // Older messages have no chatJid and would be missing from the chat list
+            messageService.backfillChatJids()
+                .then(count => {
+                    if (count > 0) logger.info(`💬 Backfilled the chat of ${count} stored messages`);
+                })
+                .catch(error => {
+                    logger.error(`❌ Error backfilling message chats: ${error.message}`);
+                });
+            
             // Load existing instances from database
             const existingInstances = await instanceService.findAll();
             
@@ -868,6 +1755,10 @@ class WhatsAppInstanceManager {
                 }
             }
 
+            // Scheduled messages and broadcasts need the instances loaded to be sent
+            await messageScheduler.start(this);
+            await broadcastRunner.start(this);
+
             this.initialized = true;
             logger.info(`✅ WhatsApp Instance Manager initialized with ${existingInstances.length} instances`);
             
@@ -958,6 +1849,8 @@ class WhatsAppInstanceManager {
             phone: dbInstance.phone,
             name: dbInstance.name,
             alias: dbInstance.alias,
+            defaultCountryCode: dbInstance.defaultCountryCode,
+            signature: resolveSignatureConfig(dbInstance.signatureConfig),
             isConnected: false,
             connectionStatus: 'disconnected',
             qrCode: null,
@@ -965,28 +1858,156 @@ class WhatsAppInstanceManager {
         } : null;
     }
 
-    async sendMessage(phone, recipientNumber, message) {
+    async sendMessage(phone, recipientNumber, message, options = {}) {
+        const instance = this.instances.get(phone);
+        if (!instance) {
+            throw new Error(`WhatsApp instance ${phone} not found`);
+        }
+        return await instance.sendMessage(recipientNumber, message, options);
+    }
+
+    async sendGroupMessage(phone, groupId, message, options = {}) {
+        const instance = this.instances.get(phone);
+        if (!instance) {
+            throw new Error(`WhatsApp instance ${phone} not found`);
+        }
+        return await instance.sendGroupMessage(groupId, message, options);
+    }
+
+    async sendMediaMessage(phone, recipientNumber, mediaData, options = {}) {
+        const instance = this.instances.get(phone);
+        if (!instance) {
+            throw new Error(`WhatsApp instance ${phone} not found`);
+        }
+        return await instance.sendMediaMessage(recipientNumber, mediaData, options);
+    }
+
+    async sendGroupMediaMessage(phone, groupId, mediaData, options = {}) {
+        const instance = this.instances.get(phone);
+        if (!instance) {
+            throw new Error(`WhatsApp instance ${phone} not found`);
+        }
+        return await instance.sendGroupMediaMessage(groupId, mediaData, options);
+    }
+
+    async sendTypedMessage(phone, recipient, payload, options = {}) {
+        const instance = this.instances.get(phone);
+        if (!instance) {
+            throw new Error(`WhatsApp instance ${phone} not found`);
+        }
+        return await instance.sendTypedMessage(recipient, payload, options);
+    }
+
+    async editMessage(phone, storedMessage, text) {
+        const instance = this.instances.get(phone);
+        if (!instance) {
+            throw new Error(`WhatsApp instance ${phone} not found`);
+        }
+        return await instance.editMessage(storedMessage, text);
+    }
+
+    async revokeMessage(phone, storedMessage, forEveryone) {
+        const instance = this.instances.get(phone);
+        if (!instance) {
+            throw new Error(`WhatsApp instance ${phone} not found`);
+        }
+        return await instance.revokeMessage(storedMessage, forEveryone);
+    }
+
+    async markChatRead(phone, jid, keys) {
+        const instance = this.instances.get(phone);
+        if (!instance) {
+            throw new Error(`WhatsApp instance ${phone} not found`);
+        }
+        return await instance.markChatRead(jid, keys);
+    }
+
+    async getGroups(phone) {
+        const instance = this.instances.get(phone);
+        if (!instance) {
+            throw new Error(`WhatsApp instance ${phone} not found`);
+        }
+        return await instance.getGroups();
+    }
+
+    async getGroupMetadata(phone, groupId, refresh = false) {
+        const instance = this.instances.get(phone);
+        if (!instance) {
+            throw new Error(`WhatsApp instance ${phone} not found`);
+        }
+        return await instance.getGroupMetadata(groupId, refresh);
+    }
+
+    async createGroup(phone, subject, participantJids) {
+        const instance = this.instances.get(phone);
+        if (!instance) {
+            throw new Error(`WhatsApp instance ${phone} not found`);
+        }
+        return await instance.createGroup(subject, participantJids);
+    }
+
+    async updateGroupParticipants(phone, groupId, participantJids, action) {
+        const instance = this.instances.get(phone);
+        if (!instance) {
+            throw new Error(`WhatsApp instance ${phone} not found`);
+        }
+        return await instance.updateGroupParticipants(groupId, participantJids, action);
+    }
+
+    async updateGroup(phone, groupId, update) {
+        const instance = this.instances.get(phone);
+        if (!instance) {
+            throw new Error(`WhatsApp instance ${phone} not found`);
+        }
+        return await instance.updateGroup(groupId, update);
+    }
+
+    async getGroupInviteCode(phone, groupId, revoke = false) {
+        const instance = this.instances.get(phone);
+        if (!instance) {
+            throw new Error(`WhatsApp instance ${phone} not found`);
+        }
+        return await instance.getGroupInviteCode(groupId, revoke);
+    }
+
+    async leaveGroup(phone, groupId) {
+        const instance = this.instances.get(phone);
+        if (!instance) {
+            throw new Error(`WhatsApp instance ${phone} not found`);
+        }
+        return await instance.leaveGroup(groupId);
+    }
+
+    async checkOnWhatsApp(phone, jids) {
+        const instance = this.instances.get(phone);
+        if (!instance) {
+            throw new Error(`WhatsApp instance ${phone} not found`);
+        }
+        return await instance.checkOnWhatsApp(jids);
+    }
+
+    async getContactProfile(phone, jid) {
         const instance = this.instances.get(phone);
         if (!instance) {
             throw new Error(`WhatsApp instance ${phone} not found`);
         }
-        return await instance.sendMessage(recipientNumber, message);
+        return await instance.getContactProfile(jid);
     }
 
-    async sendGroupMessage(phone, groupId, message) {
+    async subscribePresence(phone, jid) {
         const instance = this.instances.get(phone);
         if (!instance) {
             throw new Error(`WhatsApp instance ${phone} not found`);
         }
-        return await instance.sendGroupMessage(groupId, message);
+        return await instance.subscribePresence(jid);
     }
 
-    async sendMediaMessage(phone, recipientNumber, mediaData) {
+    async sendPresence(phone, presence, jid) {
         const instance = this.instances.get(phone);
         if (!instance) {
             throw new Error(`WhatsApp instance ${phone} not found`);
         }
-        return await instance.sendMediaMessage(recipientNumber, mediaData);
+        return await instance.sendPresence(presence, jid);
     }
 
     async restartInstance(phone) {
@@ -1016,6 +2037,9 @@ class WhatsAppInstanceManager {
             initialized: this.initialized,
             totalInstances: this.instances.size,
             connectedInstances: Array.from(this.instances.values()).filter(i => i.isConnected).length,
+            webhookDispatcher: webhookDispatcher.getStatus(),
+            messageScheduler: messageScheduler.getStatus(),
+            broadcastRunner: broadcastRunner.getStatus(),
             instances: statuses
         };
     }
@@ -1025,3 +2049,4 @@ class WhatsAppInstanceManager {
 const instanceManager = new WhatsAppInstanceManager();
 
 module.exports = instanceManager;
+module.exports.WhatsAppInstance = WhatsAppInstance;
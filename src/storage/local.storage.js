@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local disk storage
+ * Stores media under MEDIA_STORAGE_DIR, one directory per instance
+ */
+const getStorageDir = () => path.resolve(process.env.MEDIA_STORAGE_DIR || 'storage/media');
+
+// Keys come from our own naming, but never let one escape the storage directory
+const resolveKey = (key) => {
+    const storageDir = getStorageDir();
+    const file = path.resolve(storageDir, key);
+
+    if (!file.startsWith(storageDir + path.sep)) {
+        throw new Error(`Invalid media storage key: ${key}`);
+    }
+
+    return file;
+};
+
+module.exports = {
+    name: 'local',
+
+    async save(key, buffer) {
+        const file = resolveKey(key);
+
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(file, buffer);
+
+        return key;
+    },
+
+    async createReadStream(key) {
+        const file = resolveKey(key);
+
+        try {
+            await fs.promises.access(file, fs.constants.R_OK);
+        } catch {
+            return null;
+        }
+
+        return fs.createReadStream(file);
+    },
+
+    async remove(key) {
+        await fs.promises.rm(resolveKey(key), { force: true });
+    }
+};
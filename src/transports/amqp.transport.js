@@ -0,0 +1,113 @@
+const logger = require('../utils/logger');
+const { withTimeout } = require('../utils/timeout');
+
+/**
+ * AMQP transport
+ * Publishes the payload to a RabbitMQ (or other AMQP 0-9-1) broker. The webhook url is
+ * the broker URL and transportOptions select the target:
+ *   { "queue": "whisper-events" }                          - send straight to a durable queue
+ *   { "exchange": "whisper", "routingKey": "messages" }    - publish to an exchange (routingKey defaults to the event)
+ *
+ * Requires the optional `amqplib` package.
+ */
+const connections = new Map();
+
+const loadClient = () => {
+    try {
+        return require('amqplib');
+    } catch (error) {
+        throw new Error("The amqp transport requires the 'amqplib' package. Install it with: yarn add amqplib");
+    }
+};
+
+/**
+ * Get a cached confirm channel for a broker URL
+ * @param {string} url - Broker URL
+ */
+const getChannel = async (url) => {
+    if (!connections.has(url)) {
+        const pending = (async () => {
+            const connection = await loadClient().connect(url);
+            const channel = await connection.createConfirmChannel();
+
+            // Reconnect on the next delivery
+            connection.on('close', () => connections.delete(url));
+            connection.on('error', error => {
+                logger.warn(`AMQP webhook connection error: ${error.message}`);
+                connections.delete(url);
+            });
+
+            return { connection, channel };
+        })();
+
+        connections.set(url, pending);
+        pending.catch(() => connections.delete(url));
+    }
+
+    return (await connections.get(url)).channel;
+};
+
+module.exports = {
+    name: 'amqp',
+    description: 'Publish the payload to an AMQP broker (requires amqplib)',
+
+    validate(webhook) {
+        if (!/^amqps?:\/\//.test(webhook.url || '')) {
+            return 'url must be an amqp:// or amqps:// broker URL';
+        }
+
+        const options = webhook.transportOptions || {};
+        if (!options.queue && options.exchange === undefined) {
+            return 'transportOptions must set either queue or exchange';
+        }
+        return null;
+    },
+
+    async send({ webhook, delivery, body, headers, timeoutMs }) {
+        const options = webhook.transportOptions || {};
+        const channel = await withTimeout(getChannel(webhook.url), timeoutMs, 'Timed out connecting to the AMQP broker');
+        const content = Buffer.from(body);
+        const properties = {
+            contentType: 'application/json',
+            persistent: true,
+            messageId: delivery.id,
+            headers
+        };
+
+        if (options.queue) {
+            await withTimeout(
+                channel.assertQueue(options.queue, { durable: true }),
+                timeoutMs,
+                `Timed out asserting AMQP queue ${options.queue}`
+            );
+        }
+
+        await withTimeout(new Promise((resolve, reject) => {
+            const callback = error => (error ? reject(error) : resolve());
+
+            if (options.queue) {
+                channel.sendToQueue(options.queue, content, properties, callback);
+            } else {
+                channel.publish(options.exchange, options.routingKey || delivery.event, content, properties, callback);
+            }
+        }), timeoutMs, 'Timed out waiting for the AMQP broker to confirm the message');
+
+        return {
+            response: options.queue
+                ? { queue: options.queue }
+                : { exchange: options.exchange, routingKey: options.routingKey || delivery.event }
+        };
+    },
+
+    async close() {
+        for (const pending of connections.values()) {
+            try {
+                const { connection } = await pending;
+                await connection.close();
+            } catch (error) {
+                // Already closed
+            }
+        }
+        connections.clear();
+    }
+};
@@ -0,0 +1,34 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File transport
+ * Appends the payload as one JSON line to <WEBHOOK_SPOOL_DIR>/<url>
+ */
+const getSpoolDir = () => path.resolve(process.env.WEBHOOK_SPOOL_DIR || 'spool/webhooks');
+
+module.exports = {
+    name: 'file',
+    description: 'Append the payload as a JSON line to a file in WEBHOOK_SPOOL_DIR',
+
+    validate(webhook) {
+        // A plain file name keeps writes inside the spool directory
+        if (!/^[\w-][\w.-]{0,99}$/.test(webhook.url || '')) {
+            return 'url must be a file name such as "events.jsonl" (letters, digits, ".", "_" and "-")';
+        }
+        return null;
+    },
+
+    async send({ webhook, body }) {
+        const spoolDir = getSpoolDir();
+        const file = path.join(spoolDir, webhook.url);
+        const line = `${body}\n`;
+
+        await fs.promises.mkdir(spoolDir, { recursive: true });
+        await fs.promises.appendFile(file, line, 'utf8');
+
+        return {
+            response: { file, bytes: Buffer.byteLength(line) }
+        };
+    }
+};
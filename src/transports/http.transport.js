@@ -0,0 +1,52 @@
+const axios = require('axios');
+
+/**
+ * HTTP transport
+ * POSTs the payload as JSON to the webhook URL
+ */
+module.exports = {
+    name: 'http',
+    description: 'POST the payload as JSON to an HTTP(S) URL',
+
+    validate(webhook) {
+        try {
+            const url = new URL(webhook.url);
+            if (!['http:', 'https:'].includes(url.protocol)) {
+                return 'url must be an http:// or https:// URL';
+            }
+        } catch (error) {
+            return 'url must be a valid URL';
+        }
+        return null;
+    },
+
+    async send({ webhook, body, headers, timeoutMs }) {
+        try {
+            const response = await axios.post(webhook.url, body, {
+                timeout: timeoutMs,
+                headers
+            });
+
+            return {
+                httpStatusCode: response.status,
+                response: {
+                    status: response.status,
+                    statusText: response.statusText,
+                    headers: response.headers,
+                    data: response.data
+                }
+            };
+        } catch (error) {
+            if (error.response) {
+                error.httpStatusCode = error.response.status;
+                error.transportResponse = {
+                    status: error.response.status,
+                    statusText: error.response.statusText,
+                    headers: error.response.headers,
+                    data: error.response.data
+                };
+            }
+            throw error;
+        }
+    }
+};
@@ -0,0 +1,88 @@
+const logger = require('../utils/logger');
+const { withTimeout } = require('../utils/timeout');
+
+/**
+ * Redis transport
+ * The webhook url is the Redis URL and transportOptions select the target:
+ *   { "channel": "whisper:events" }                 - PUBLISH to a pub/sub channel
+ *   { "stream": "whisper:events", "maxLen": 10000 } - XADD to a stream with fields `body` and `headers`
+ *
+ * Requires the optional `redis` package.
+ */
+const clients = new Map();
+
+const loadClient = () => {
+    try {
+        return require('redis');
+    } catch (error) {
+        throw new Error("The redis transport requires the 'redis' package. Install it with: yarn add redis");
+    }
+};
+
+/**
+ * Get a cached client for a Redis URL
+ * @param {string} url - Redis URL
+ */
+const getClient = async (url) => {
+    if (!clients.has(url)) {
+        const client = loadClient().createClient({ url });
+        client.on('error', error => logger.warn(`Redis webhook connection error: ${error.message}`));
+
+        const pending = client.connect().then(() => client);
+        clients.set(url, pending);
+        pending.catch(() => clients.delete(url));
+    }
+
+    return await clients.get(url);
+};
+
+module.exports = {
+    name: 'redis',
+    description: 'Publish the payload to a Redis channel or stream (requires redis)',
+
+    validate(webhook) {
+        if (!/^rediss?:\/\//.test(webhook.url || '')) {
+            return 'url must be a redis:// or rediss:// URL';
+        }
+
+        const options = webhook.transportOptions || {};
+        if (!options.channel === !options.stream) {
+            return 'transportOptions must set exactly one of channel or stream';
+        }
+        if (options.maxLen !== undefined && (!Number.isInteger(options.maxLen) || options.maxLen < 1)) {
+            return 'transportOptions.maxLen must be a positive integer';
+        }
+        return null;
+    },
+
+    async send({ webhook, body, headers, timeoutMs }) {
+        const options = webhook.transportOptions || {};
+        const client = await withTimeout(getClient(webhook.url), timeoutMs, 'Timed out connecting to Redis');
+
+        if (options.channel) {
+            const receivers = await withTimeout(client.publish(options.channel, body), timeoutMs);
+            return { response: { channel: options.channel, receivers } };
+        }
+
+        const entryId = await withTimeout(client.xAdd(
+            options.stream,
+            '*',
+            { body, headers: JSON.stringify(headers) },
+            options.maxLen ? { TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: options.maxLen } } : undefined
+        ), timeoutMs);
+
+        return { response: { stream: options.stream, entryId } };
+    },
+
+    async close() {
+        for (const pending of clients.values()) {
+            try {
+                const client = await pending;
+                await client.quit();
+            } catch (error) {
+                // Already closed
+            }
+        }
+        clients.clear();
+    }
+};
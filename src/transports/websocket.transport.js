@@ -0,0 +1,34 @@
+const webhookSocketServer = require('../core/webhook-socket.core');
+
+/**
+ * WebSocket transport
+ * Pushes the payload to clients connected to /ws/webhooks?channel=<url>
+ *
+ * Each frame is `{ "headers": {...}, "body": "<raw JSON payload>" }` so clients
+ * can verify the signature header against the exact body.
+ */
+module.exports = {
+    name: 'websocket',
+    description: 'Push the payload to clients connected to /ws/webhooks?channel=<url>',
+
+    validate(webhook) {
+        if (!/^[\w.:-]{1,100}$/.test(webhook.url || '')) {
+            return 'url must be a channel name of letters, digits, ".", ":", "_" or "-"';
+        }
+        return null;
+    },
+
+    async send({ webhook, body, headers }) {
+        const frame = JSON.stringify({ headers, body });
+        const clients = webhookSocketServer.broadcast(webhook.url, frame, webhook.instance?.phone);
+
+        // Nobody received it, so let the retry policy try again later
+        if (clients === 0) {
+            throw new Error(`No clients connected to channel '${webhook.url}'`);
+        }
+
+        return {
+            response: { channel: webhook.url, clients }
+        };
+    }
+};
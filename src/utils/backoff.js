@@ -0,0 +1,91 @@
+/**
+ * Webhook Retry Policy
+ * Resolves per-webhook retry settings and computes the delay between delivery attempts
+ */
+
+const BACKOFF_STRATEGIES = ['exponential', 'fixed'];
+
+const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 5,             // Total attempts including the first one
+    backoff: 'exponential',     // 'exponential' doubles the delay after each attempt, 'fixed' keeps it
+    initialDelayMs: 1000,       // Delay before the first retry
+    maxDelayMs: 5 * 60 * 1000,  // Upper bound for a single delay
+    jitter: 0.2,                // Random +/- fraction applied to each delay (0 disables it)
+    timeoutMs: 5000             // HTTP request timeout per attempt
+};
+
+/**
+ * Merge a stored retry policy with the defaults
+ * @param {Object|string|null} policy - Stored policy (JSON string or object)
+ * @returns {Object}
+ */
+const resolveRetryPolicy = (policy) => {
+    const parsed = typeof policy === 'string' ? JSON.parse(policy) : (policy || {});
+    return { ...DEFAULT_RETRY_POLICY, ...parsed };
+};
+
+/**
+ * Validate a retry policy supplied by a client
+ * @param {Object} policy - Retry policy
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateRetryPolicy = (policy) => {
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+        return 'retryPolicy must be an object';
+    }
+
+    const integerFields = {
+        maxAttempts: [1, 50],
+        initialDelayMs: [0, 24 * 60 * 60 * 1000],
+        maxDelayMs: [0, 24 * 60 * 60 * 1000],
+        timeoutMs: [100, 60 * 1000]
+    };
+
+    for (const [field, [min, max]] of Object.entries(integerFields)) {
+        const value = policy[field];
+        if (value !== undefined && (!Number.isInteger(value) || value < min || value > max)) {
+            return `retryPolicy.${field} must be an integer between ${min} and ${max}`;
+        }
+    }
+
+    if (policy.backoff !== undefined && !BACKOFF_STRATEGIES.includes(policy.backoff)) {
+        return `retryPolicy.backoff must be one of: ${BACKOFF_STRATEGIES.join(', ')}`;
+    }
+
+    if (policy.jitter !== undefined && (typeof policy.jitter !== 'number' || policy.jitter < 0 || policy.jitter > 1)) {
+        return 'retryPolicy.jitter must be a number between 0 and 1';
+    }
+
+    const unknown = Object.keys(policy).filter(key => !(key in DEFAULT_RETRY_POLICY));
+    if (unknown.length > 0) {
+        return `Unknown retryPolicy fields: ${unknown.join(', ')}`;
+    }
+
+    return null;
+};
+
+/**
+ * Compute the delay before the next attempt
+ * @param {Object} policy - Resolved retry policy
+ * @param {number} attempt - Number of the attempt that just failed (1-based)
+ * @param {Function} [random] - Random source returning [0, 1)
+ * @returns {number} - Delay in milliseconds
+ */
+const computeBackoffDelay = (policy, attempt, random = Math.random) => {
+    const base = policy.backoff === 'fixed'
+        ? policy.initialDelayMs
+        : policy.initialDelayMs * Math.pow(2, Math.max(0, attempt - 1));
+
+    const capped = Math.min(base, policy.maxDelayMs);
+    const spread = capped * policy.jitter * (random() * 2 - 1);
+
+    return Math.max(0, Math.round(capped + spread));
+};
+
+module.exports = {
+    BACKOFF_STRATEGIES,
+    DEFAULT_RETRY_POLICY,
+    resolveRetryPolicy,
+    validateRetryPolicy,
+    computeBackoffDelay
+};
@@ -0,0 +1,83 @@
+/**
+ * Broadcasts
+ * Validates broadcast job requests and paces their sends
+ */
+
+const { validateVariables } = require('./textTemplate');
+
+const MAX_RECIPIENTS = 10000;
+const DEFAULT_RATE_PER_MINUTE = 10;
+const MAX_RATE_PER_MINUTE = 60;
+const MAX_DELAY_MS = 10 * 60 * 1000;
+
+/**
+ * Parse the recipient list of a broadcast request
+ * Recipients are phone numbers, or { to, variables } objects
+ * @param {Array} recipients - Request recipients
+ * @returns {{recipients: Array<{to: string, variables: Object|undefined}>|null, error: string|null}}
+ */
+const parseRecipients = (recipients) => {
+    if (!Array.isArray(recipients) || recipients.length === 0 || recipients.length > MAX_RECIPIENTS) {
+        return { recipients: null, error: `recipients must be an array of 1 to ${MAX_RECIPIENTS} recipients` };
+    }
+
+    const parsed = [];
+    for (const [index, recipient] of recipients.entries()) {
+        const entry = typeof recipient === 'object' && recipient !== null ? recipient : { to: recipient };
+
+        if ((typeof entry.to !== 'string' && typeof entry.to !== 'number') || String(entry.to).trim() === '') {
+            return { recipients: null, error: `recipients[${index}]: to must be a phone number` };
+        }
+
+        const variablesError = validateVariables(entry.variables);
+        if (variablesError) {
+            return { recipients: null, error: `recipients[${index}]: ${variablesError}` };
+        }
+
+        parsed.push({ to: String(entry.to).trim(), variables: entry.variables });
+    }
+
+    return { recipients: parsed, error: null };
+};
+
+/**
+ * Parse the pacing options of a broadcast request
+ * @param {Object} options - ratePerMinute, minDelayMs, maxDelayMs
+ * @returns {{pacing: {ratePerMinute: number, minDelayMs: number, maxDelayMs: number}|null, error: string|null}}
+ */
+const parsePacing = ({ ratePerMinute = DEFAULT_RATE_PER_MINUTE, minDelayMs = 0, maxDelayMs = minDelayMs }) => {
+    if (!Number.isInteger(ratePerMinute) || ratePerMinute < 1 || ratePerMinute > MAX_RATE_PER_MINUTE) {
+        return { pacing: null, error: `ratePerMinute must be an integer between 1 and ${MAX_RATE_PER_MINUTE}` };
+    }
+
+    const isDelay = value => Number.isInteger(value) && value >= 0 && value <= MAX_DELAY_MS;
+    if (!isDelay(minDelayMs) || !isDelay(maxDelayMs)) {
+        return { pacing: null, error: `minDelayMs and maxDelayMs must be integers between 0 and ${MAX_DELAY_MS}` };
+    }
+
+    if (maxDelayMs < minDelayMs) {
+        return { pacing: null, error: 'maxDelayMs must not be less than minDelayMs' };
+    }
+
+    return { pacing: { ratePerMinute, minDelayMs, maxDelayMs }, error: null };
+};
+
+/**
+ * Time to wait before the next message of a broadcast
+ * The rate limit spaces messages evenly and the random delay keeps the spacing irregular
+ * @param {Object} pacing - ratePerMinute, minDelayMs, maxDelayMs
+ * @param {Function} [random] - Returns a number in [0, 1)
+ * @returns {number} - Milliseconds
+ */
+const getSendInterval = ({ ratePerMinute, minDelayMs, maxDelayMs }, random = Math.random) => {
+    const spacing = Math.ceil(60000 / ratePerMinute);
+    return spacing + minDelayMs + Math.floor(random() * (maxDelayMs - minDelayMs + 1));
+};
+
+module.exports = {
+    MAX_RECIPIENTS,
+    MAX_RATE_PER_MINUTE,
+    parseRecipients,
+    parsePacing,
+    getSendInterval
+};
@@ -0,0 +1,103 @@
+/**
+ * Contacts and Presence
+ * Validates contact and presence requests and shapes Baileys contact data for storage and API responses
+ */
+
+const MAX_CHECK_NUMBERS = 50;
+
+// Presence shown in one chat, and presence of the instance itself
+const CHAT_PRESENCES = ['composing', 'recording', 'paused'];
+const INSTANCE_PRESENCES = ['available', 'unavailable'];
+
+const PERSONAL_JID_PATTERN = /^\d+(:\d+)?@(s\.whatsapp\.net|lid)$/;
+
+/**
+ * Validate the numbers of a bulk WhatsApp lookup
+ * @param {Array} numbers - Phone numbers
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateCheckNumbers = (numbers) => {
+    if (!Array.isArray(numbers) || numbers.length === 0 || numbers.length > MAX_CHECK_NUMBERS) {
+        return `numbers must be an array of 1 to ${MAX_CHECK_NUMBERS} phone numbers`;
+    }
+
+    if (numbers.some(number => typeof number !== 'string' && typeof number !== 'number')) {
+        return 'numbers must be phone numbers';
+    }
+
+    return null;
+};
+
+/**
+ * Check if a JID belongs to a person rather than a group, broadcast list or channel
+ * @param {string} jid - JID
+ * @returns {boolean}
+ */
+const isPersonalJid = (jid) => typeof jid === 'string' && PERSONAL_JID_PATTERN.test(jid);
+
+/**
+ * Map a Baileys contact to Contact model fields
+ * Fields Baileys leaves out are omitted, so partial updates keep the stored values
+ * @param {Object} contact - Baileys Contact from contacts.upsert or contacts.update
+ * @returns {Object|null} - Contact fields, or null if the contact is not a person
+ */
+const toContactData = (contact) => {
+    const jid = contact?.id?.replace(/:\d+@/, '@');
+    if (!isPersonalJid(jid)) return null;
+
+    const data = {
+        jid,
+        phone: jid.endsWith('@s.whatsapp.net') ? jid.split('@')[0] : undefined,
+        name: contact.name,
+        notify: contact.notify,
+        verifiedName: contact.verifiedName
+    };
+
+    return Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined));
+};
+
+/**
+ * Shape the result of a Baileys fetchStatus call
+ * Recent Baileys versions return a USync result list, older ones the status itself
+ * @param {Array|Object} result - fetchStatus result
+ * @returns {{text: string, setAt: string|null}|null}
+ */
+const formatContactStatus = (result) => {
+    const status = Array.isArray(result) ? result[0]?.status : result;
+    if (!status || typeof status.status !== 'string') return null;
+
+    const setAt = status.setAt ? new Date(status.setAt) : null;
+    return {
+        text: status.status,
+        setAt: setAt && !isNaN(setAt.getTime()) ? setAt.toISOString() : null
+    };
+};
+
+/**
+ * Shape a Baileys business profile
+ * @param {Object} profile - getBusinessProfile result
+ * @returns {Object|null} - null for contacts without a business account
+ */
+const formatBusinessProfile = (profile) => {
+    if (!profile) return null;
+
+    return {
+        description: profile.description || null,
+        category: profile.category || null,
+        email: profile.email || null,
+        website: profile.website || [],
+        address: profile.address || null,
+        businessHours: profile.business_hours || null
+    };
+};
+
+module.exports = {
+    MAX_CHECK_NUMBERS,
+    CHAT_PRESENCES,
+    INSTANCE_PRESENCES,
+    validateCheckNumbers,
+    isPersonalJid,
+    toContactData,
+    formatContactStatus,
+    formatBusinessProfile
+};
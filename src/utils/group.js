@@ -0,0 +1,210 @@
+/**
+ * Groups
+ * Validates group management requests and shapes Baileys group metadata for API responses
+ */
+
+const GROUP_ID_PATTERN = /^[\d-]+(@g\.us)?$/;
+const PARTICIPANT_ACTIONS = ['add', 'remove', 'promote', 'demote'];
+const MAX_SUBJECT_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 2048;
+const MAX_PARTICIPANTS_PER_REQUEST = 50;
+
+// Participant update results WhatsApp reports per number
+const PARTICIPANT_STATUS_MESSAGES = {
+    200: 'ok',
+    403: 'not allowed; the number may only be added through an invite link',
+    404: 'number is not on WhatsApp',
+    408: 'number recently left the group',
+    409: 'number is already a participant',
+    500: 'group is full'
+};
+
+/**
+ * Check a group ID from a request path or body
+ * @param {string} groupId - Group ID with or without @g.us
+ * @returns {boolean}
+ */
+const isValidGroupId = (groupId) => typeof groupId === 'string' && GROUP_ID_PATTERN.test(groupId);
+
+/**
+ * Validate a participants array
+ * @param {Array} participants - Phone numbers
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateParticipants = (participants) => {
+    if (!Array.isArray(participants) || participants.length === 0 || participants.length > MAX_PARTICIPANTS_PER_REQUEST) {
+        return `participants must be an array of 1 to ${MAX_PARTICIPANTS_PER_REQUEST} phone numbers`;
+    }
+
+    if (participants.some(participant => typeof participant !== 'string' && typeof participant !== 'number')) {
+        return 'participants must be phone numbers';
+    }
+
+    return null;
+};
+
+/**
+ * Validate a group subject
+ * @param {string} subject - Group name
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateSubject = (subject) => {
+    if (typeof subject !== 'string' || subject.trim() === '' || subject.length > MAX_SUBJECT_LENGTH) {
+        return `subject must be a non-empty string of at most ${MAX_SUBJECT_LENGTH} characters`;
+    }
+    return null;
+};
+
+/**
+ * Validate a group update request
+ * @param {Object} update - subject, description, announce, locked
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateGroupUpdate = (update) => {
+    const { subject, description, announce, locked } = update || {};
+
+    if ([subject, description, announce, locked].every(value => value === undefined)) {
+        return 'Provide at least one of: subject, description, announce, locked';
+    }
+
+    if (subject !== undefined) {
+        const subjectError = validateSubject(subject);
+        if (subjectError) return subjectError;
+    }
+
+    // An empty description removes it
+    if (description !== undefined && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+        return `description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`;
+    }
+
+    if ((announce !== undefined && typeof announce !== 'boolean') || (locked !== undefined && typeof locked !== 'boolean')) {
+        return 'announce and locked must be booleans';
+    }
+
+    return null;
+};
+
+/**
+ * Get the phone number of a JID, without device suffix
+ * @param {string} jid - Personal JID
+ * @returns {string}
+ */
+const jidToPhone = (jid) => jid.split('@')[0].split(':')[0];
+
+/**
+ * Shape Baileys group metadata for API responses
+ * @param {Object} metadata - Baileys GroupMetadata
+ * @param {Object} [options]
+ * @param {boolean} [options.includeParticipants=true] - Include the participant list
+ * @returns {Object}
+ */
+const formatGroupMetadata = (metadata, { includeParticipants = true } = {}) => {
+    const participants = metadata.participants || [];
+
+    return {
+        id: metadata.id,
+        subject: metadata.subject,
+        description: metadata.desc || null,
+        owner: metadata.owner || null,
+        createdAt: metadata.creation ? new Date(metadata.creation * 1000).toISOString() : null,
+        size: metadata.size ?? participants.length,
+        announce: Boolean(metadata.announce), // Only admins can send messages
+        locked: Boolean(metadata.restrict),   // Only admins can edit group info
+        ...(includeParticipants && {
+            participants: participants.map(participant => ({
+                jid: participant.id,
+                phone: jidToPhone(participant.id),
+                admin: participant.admin || null
+            }))
+        })
+    };
+};
+
+/**
+ * Shape the per-number results of a participant update
+ * @param {Array<{status: string, jid: string}>} results - Baileys groupParticipantsUpdate result
+ * @returns {Array<{jid: string, phone: string, success: boolean, status: number, message: string}>}
+ */
+const formatParticipantResults = (results) => {
+    return (results || []).map(result => {
+        const status = parseInt(result.status) || 500;
+        return {
+            jid: result.jid,
+            phone: result.jid.split('@')[0],
+            success: status === 200,
+            status,
+            message: PARTICIPANT_STATUS_MESSAGES[status] || 'failed'
+        };
+    });
+};
+
+/**
+ * Apply a participant update to cached group metadata
+ * @param {Object} metadata - Cached Baileys GroupMetadata
+ * @param {Object} update - Baileys group-participants.update event
+ * @param {string[]} update.participants - Participant JIDs
+ * @param {string} update.action - "add", "remove", "promote", "demote" or "modify"
+ * @returns {Object|null} - Updated metadata, or null if the cache entry should be dropped
+ */
+const applyParticipantsUpdate = (metadata, { participants, action }) => {
+    const current = metadata.participants || [];
+    let updated;
+
+    switch (action) {
+        case 'add':
+            updated = [
+                ...current.filter(participant => !participants.includes(participant.id)),
+                ...participants.map(id => ({ id, admin: null }))
+            ];
+            break;
+        case 'remove':
+            updated = current.filter(participant => !participants.includes(participant.id));
+            break;
+        case 'promote':
+        case 'demote':
+            updated = current.map(participant => participants.includes(participant.id)
+                ? { ...participant, admin: action === 'promote' ? 'admin' : null }
+                : participant);
+            break;
+        default:
+            // Number changes ("modify") replace JIDs; fetch the group again
+            return null;
+    }
+
+    return { ...metadata, participants: updated, size: updated.length };
+};
+
+// Baileys group fields reported in group.update webhooks, by their API name
+const GROUP_CHANGE_FIELDS = {
+    subject: 'subject',
+    desc: 'description',
+    announce: 'announce',
+    restrict: 'locked',
+    memberAddMode: 'memberAddMode',
+    joinApprovalMode: 'joinApprovalMode',
+    ephemeralDuration: 'ephemeralDuration'
+};
+
+/**
+ * Pick the changed fields of a Baileys groups.update entry
+ * @param {Object} update - Partial Baileys GroupMetadata
+ * @returns {Object} - Changes keyed by their API name, as in formatGroupMetadata
+ */
+const formatGroupChanges = (update) => {
+    return Object.fromEntries(Object.entries(GROUP_CHANGE_FIELDS)
+        .filter(([field]) => update[field] !== undefined)
+        .map(([field, name]) => [name, update[field]]));
+};
+
+module.exports = {
+    PARTICIPANT_ACTIONS,
+    isValidGroupId,
+    validateParticipants,
+    validateSubject,
+    validateGroupUpdate,
+    formatGroupMetadata,
+    formatParticipantResults,
+    jidToPhone,
+    applyParticipantsUpdate,
+    formatGroupChanges
+};
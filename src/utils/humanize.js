@@ -0,0 +1,106 @@
+/**
+ * Humanized Sending
+ * Plans the typing indicator and pause shown before an outgoing message, from a per-instance config
+ */
+
+const MAX_DURATION_MS = 60000;
+
+// Off unless enabled per instance or per request
+const DEFAULT_HUMANIZE_CONFIG = {
+    enabled: false,
+    charsPerMinute: 300,  // Typing speed the indicator duration is based on
+    minTypingMs: 1000,
+    maxTypingMs: 8000,
+    minDelayMs: 500,      // Random pause between typing and sending
+    maxDelayMs: 2000
+};
+
+const DURATION_FIELDS = ['minTypingMs', 'maxTypingMs', 'minDelayMs', 'maxDelayMs'];
+
+/**
+ * Merge a stored humanize config with the defaults
+ * @param {Object|string|null} config - Stored config (JSON string or object)
+ * @returns {{enabled: boolean, charsPerMinute: number, minTypingMs: number, maxTypingMs: number, minDelayMs: number, maxDelayMs: number}}
+ */
+const resolveHumanizeConfig = (config) => {
+    const parsed = typeof config === 'string' ? JSON.parse(config) : (config || {});
+
+    return {
+        ...DEFAULT_HUMANIZE_CONFIG,
+        ...parsed
+    };
+};
+
+/**
+ * Validate a humanize config supplied by a client
+ * Ranges are checked on the config merged with the stored one
+ * @param {Object} config - Humanize config
+ * @param {Object|string|null} [current] - Stored config the update applies to
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateHumanizeConfig = (config, current = null) => {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        return 'humanize must be an object';
+    }
+
+    const unknown = Object.keys(config).filter(key => !(key in DEFAULT_HUMANIZE_CONFIG));
+    if (unknown.length > 0) {
+        return `Unknown humanize option(s): ${unknown.join(', ')}. Supported options: ${Object.keys(DEFAULT_HUMANIZE_CONFIG).join(', ')}`;
+    }
+
+    if (config.enabled !== undefined && typeof config.enabled !== 'boolean') {
+        return 'humanize.enabled must be a boolean';
+    }
+
+    if (config.charsPerMinute !== undefined &&
+        (!Number.isInteger(config.charsPerMinute) || config.charsPerMinute < 10 || config.charsPerMinute > 6000)) {
+        return 'humanize.charsPerMinute must be an integer between 10 and 6000';
+    }
+
+    for (const field of DURATION_FIELDS) {
+        const value = config[field];
+        if (value !== undefined && (!Number.isInteger(value) || value < 0 || value > MAX_DURATION_MS)) {
+            return `humanize.${field} must be an integer between 0 and ${MAX_DURATION_MS} milliseconds`;
+        }
+    }
+
+    const merged = resolveHumanizeConfig({ ...resolveHumanizeConfig(current), ...config });
+    if (merged.minTypingMs > merged.maxTypingMs) {
+        return 'humanize.minTypingMs must not be greater than humanize.maxTypingMs';
+    }
+    if (merged.minDelayMs > merged.maxDelayMs) {
+        return 'humanize.minDelayMs must not be greater than humanize.maxDelayMs';
+    }
+
+    return null;
+};
+
+/**
+ * Plan the typing indicator and pause before a message
+ * @param {Object} options
+ * @param {Object|string|null} options.config - Stored humanize config of the instance
+ * @param {string} [options.text] - Message text or caption; its length sets the typing duration
+ * @param {boolean} [options.override] - Per-request override; `true` enables and `false` disables humanizing
+ * @param {Function} [options.random] - Random number source in [0, 1)
+ * @returns {{typingMs: number, delayMs: number}|null} - null if the message is sent right away
+ */
+const planHumanizedSend = ({ config, text, override, random = Math.random }) => {
+    const resolved = resolveHumanizeConfig(config);
+    if (override === false || (override !== true && !resolved.enabled)) return null;
+
+    const length = typeof text === 'string' ? text.length : 0;
+    const typingMs = Math.round(Math.min(
+        resolved.maxTypingMs,
+        Math.max(resolved.minTypingMs, (length / resolved.charsPerMinute) * 60000)
+    ));
+    const delayMs = Math.round(resolved.minDelayMs + random() * (resolved.maxDelayMs - resolved.minDelayMs));
+
+    return { typingMs, delayMs };
+};
+
+module.exports = {
+    DEFAULT_HUMANIZE_CONFIG,
+    resolveHumanizeConfig,
+    validateHumanizeConfig,
+    planHumanizedSend
+};
@@ -0,0 +1,98 @@
+/**
+ * Media Message Helpers
+ * Locates the attachment of a Baileys message and names the stored file
+ */
+
+const path = require('path');
+
+// Baileys message keys that carry a downloadable attachment
+const MEDIA_MESSAGE_TYPES = ['imageMessage', 'videoMessage', 'audioMessage', 'documentMessage', 'stickerMessage'];
+
+// Containers whose inner `message` holds the actual content
+const WRAPPER_TYPES = ['ephemeralMessage', 'viewOnceMessage', 'viewOnceMessageV2', 'viewOnceMessageV2Extension', 'documentWithCaptionMessage'];
+
+const EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'video/mp4': 'mp4',
+    'video/3gpp': '3gp',
+    'audio/ogg': 'ogg',
+    'audio/mpeg': 'mp3',
+    'audio/mp4': 'm4a',
+    'audio/aac': 'aac',
+    'application/pdf': 'pdf',
+    'application/zip': 'zip',
+    'text/plain': 'txt'
+};
+
+/**
+ * Unwrap ephemeral, view-once and captioned-document containers
+ * @param {Object} content - Baileys message content (message.message)
+ * @returns {Object|null}
+ */
+const unwrapContent = (content) => {
+    let current = content;
+
+    for (let depth = 0; current && depth < 5; depth++) {
+        const wrapper = WRAPPER_TYPES.find(type => current[type]?.message);
+        if (!wrapper) break;
+        current = current[wrapper].message;
+    }
+
+    return current || null;
+};
+
+/**
+ * Find the attachment of a Baileys message
+ * @param {Object} message - Baileys WebMessageInfo
+ * @returns {{type: string, node: Object}|null} - The media message type and its content node
+ */
+const getMediaNode = (message) => {
+    const content = unwrapContent(message?.message);
+    if (!content) return null;
+
+    const type = MEDIA_MESSAGE_TYPES.find(mediaType => content[mediaType]);
+    return type ? { type, node: content[type] } : null;
+};
+
+/**
+ * Get the size of an attachment as announced by the sender
+ * @param {Object} node - Media content node
+ * @returns {number|null}
+ */
+const getAnnouncedSize = (node) => {
+    const length = node?.fileLength;
+    if (length === undefined || length === null) return null;
+
+    const size = typeof length === 'object' && typeof length.toNumber === 'function'
+        ? length.toNumber()
+        : Number(length);
+
+    return Number.isFinite(size) ? size : null;
+};
+
+/**
+ * Pick the file extension of an attachment
+ * @param {string} [mimetype] - MIME type, possibly with parameters ("audio/ogg; codecs=opus")
+ * @param {string} [fileName] - Original file name of documents
+ * @returns {string}
+ */
+const getExtension = (mimetype, fileName) => {
+    const fromName = fileName ? path.extname(fileName).slice(1).toLowerCase() : '';
+    if (/^[a-z0-9]{1,10}$/.test(fromName)) return fromName;
+
+    const baseType = (mimetype || '').split(';')[0].trim().toLowerCase();
+    if (EXTENSIONS[baseType]) return EXTENSIONS[baseType];
+
+    const subtype = baseType.split('/')[1] || '';
+    return /^[a-z0-9]{1,10}$/.test(subtype) ? subtype : 'bin';
+};
+
+module.exports = {
+    MEDIA_MESSAGE_TYPES,
+    getMediaNode,
+    getAnnouncedSize,
+    getExtension
+};
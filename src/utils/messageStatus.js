@@ -0,0 +1,120 @@
+/**
+ * Message Status
+ * Maps WhatsApp acknowledgements and receipts to the stored message status
+ */
+
+// Order in which an outgoing message progresses; a status never moves backwards
+const STATUS_RANK = {
+    pending: 0,
+    sent: 1,
+    delivered: 2,
+    read: 3
+};
+
+// Statuses set through the API that receipts must not overwrite
+const FINAL_STATUSES = ['revoked', 'deleted'];
+
+// Timestamp field recorded for each status
+const STATUS_TIMESTAMP_FIELDS = {
+    sent: 'sentAt',
+    delivered: 'deliveredAt',
+    read: 'readAt',
+    played: 'playedAt',
+    failed: 'failedAt'
+};
+
+// Baileys proto.WebMessageInfo.Status values
+const BAILEYS_STATUS = {
+    0: 'failed',     // ERROR
+    1: 'pending',    // PENDING
+    2: 'sent',       // SERVER_ACK
+    3: 'delivered',  // DELIVERY_ACK
+    4: 'read',       // READ
+    5: 'played'      // PLAYED (voice notes and videos)
+};
+
+/**
+ * Map a Baileys message status code
+ * @param {number} code - proto.WebMessageInfo.Status value
+ * @returns {string|null}
+ */
+const fromBaileysStatus = (code) => {
+    return BAILEYS_STATUS[code] || null;
+};
+
+/**
+ * Map a Baileys message receipt to the most advanced status it reports
+ * @param {Object} receipt - Receipt from message-receipt.update
+ * @param {Function} toSeconds - Converts a Baileys timestamp (number or Long) to seconds
+ * @returns {{status: string, at: Date}|null}
+ */
+const fromReceipt = (receipt, toSeconds = Number) => {
+    if (!receipt) return null;
+
+    if (receipt.playedTimestamp) {
+        return { status: 'played', at: new Date(toSeconds(receipt.playedTimestamp) * 1000) };
+    }
+    if (receipt.readTimestamp) {
+        return { status: 'read', at: new Date(toSeconds(receipt.readTimestamp) * 1000) };
+    }
+    if (receipt.receiptTimestamp) {
+        return { status: 'delivered', at: new Date(toSeconds(receipt.receiptTimestamp) * 1000) };
+    }
+
+    return null;
+};
+
+/**
+ * Build the update for a stored message after a status change
+ * `played` is stored as `read` with a playedAt timestamp. Timestamps of statuses that were
+ * skipped (e.g. a read receipt arriving before the delivery ack) are filled in as well.
+ * @param {Object} message - Stored message
+ * @param {string} status - Reported status
+ * @param {Date} [at] - When the status was reached
+ * @returns {Object|null} - Prisma update data, or null if nothing changes
+ */
+const buildStatusUpdate = (message, status, at = new Date()) => {
+    const current = message.status;
+    const field = STATUS_TIMESTAMP_FIELDS[status];
+    if (!field) return null;
+
+    if (status === 'failed') {
+        // Only messages that never reached the server can fail
+        if (STATUS_RANK[current] > STATUS_RANK.pending || current === 'failed' || FINAL_STATUSES.includes(current)) return null;
+        return { status: 'failed', failedAt: at };
+    }
+
+    const stored = status === 'played' ? 'read' : status;
+    const update = {};
+
+    // Revoked and deleted messages keep their status; only the timestamps are recorded
+    const advances = current === 'failed' || (STATUS_RANK[stored] ?? -1) > (STATUS_RANK[current] ?? -1);
+    if (advances && !FINAL_STATUSES.includes(current)) {
+        update.status = stored;
+    }
+
+    if (!message[field]) {
+        update[field] = at;
+    }
+
+    // A later status implies the earlier ones
+    const rank = status === 'played' ? STATUS_RANK.read + 1 : STATUS_RANK[stored];
+    for (const earlier of ['sent', 'delivered', 'read']) {
+        if (STATUS_RANK[earlier] >= rank) break;
+        const earlierField = STATUS_TIMESTAMP_FIELDS[earlier];
+        if (!message[earlierField] && !update[earlierField]) {
+            update[earlierField] = at;
+        }
+    }
+
+    return Object.keys(update).length > 0 ? update : null;
+};
+
+module.exports = {
+    STATUS_RANK,
+    FINAL_STATUSES,
+    STATUS_TIMESTAMP_FIELDS,
+    fromBaileysStatus,
+    fromReceipt,
+    buildStatusUpdate
+};
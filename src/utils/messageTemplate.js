@@ -0,0 +1,164 @@
+/**
+ * Message Templates
+ * Validates stored message templates and renders them for a send request
+ */
+
+const { resolveMediaInput, supportsCaption } = require('./outgoingMedia');
+const { getTemplateVariables, findMissingVariables, validateVariables, renderTemplate } = require('./textTemplate');
+
+const NAME_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+const LANGUAGE_PATTERN = /^[a-z]{2,3}([_-][A-Za-z]{2})?$/;
+const MAX_BODY_LENGTH = 65536;
+
+/**
+ * Validate the content of a template or of one of its language variants
+ * @param {{body?: string, media?: Object}} content - Text body, or media with the body as caption
+ * @param {string} label - Where the content is, for error messages
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateTemplateContent = ({ body, media }, label) => {
+    if (body === undefined && media === undefined) {
+        return `${label} needs a body, media or both`;
+    }
+
+    if (body !== undefined && (typeof body !== 'string' || body.trim() === '' || body.length > MAX_BODY_LENGTH)) {
+        return `${label} body must be a non-empty string of at most ${MAX_BODY_LENGTH} characters`;
+    }
+
+    if (media !== undefined) {
+        if (!media || typeof media !== 'object' || Array.isArray(media)) {
+            return `${label} media must be an object`;
+        }
+
+        // Templates are reused indefinitely, so media has to stay fetchable from a url
+        const { media: resolved, error } = resolveMediaInput({ ...media, caption: undefined, data: undefined });
+        if (error) return `${label} media: ${error}`;
+
+        if (body !== undefined && !supportsCaption(resolved.type)) {
+            return `${label} body cannot be sent with ${resolved.type} media, which has no caption`;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Validate a message template
+ * @param {Object} template - name, description, language, body, media, variants
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateTemplate = (template) => {
+    const { name, description, language, variants } = template;
+
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+        return 'name must be 1 to 64 letters, digits, dots, dashes or underscores';
+    }
+
+    if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > 500)) {
+        return 'description must be a string of at most 500 characters';
+    }
+
+    if (language !== undefined && language !== null && (typeof language !== 'string' || !LANGUAGE_PATTERN.test(language))) {
+        return 'language must be a language code such as en or pt_BR';
+    }
+
+    const contentError = validateTemplateContent(template, 'Template');
+    if (contentError) return contentError;
+
+    if (variants !== undefined && variants !== null) {
+        if (typeof variants !== 'object' || Array.isArray(variants)) {
+            return 'variants must be an object keyed by language code';
+        }
+
+        for (const [variantLanguage, variant] of Object.entries(variants)) {
+            if (!LANGUAGE_PATTERN.test(variantLanguage)) {
+                return `variants: ${variantLanguage} is not a language code such as en or pt_BR`;
+            }
+            if (!variant || typeof variant !== 'object' || Array.isArray(variant)) {
+                return `variants.${variantLanguage} must be an object with a body and/or media`;
+            }
+
+            const variantError = validateTemplateContent(variant, `variants.${variantLanguage}`);
+            if (variantError) return variantError;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Pick the content of a template for a language
+ * @param {Object} template - Stored template
+ * @param {string} [language] - Requested language; the template's own content when omitted
+ * @returns {{language: string|null, body?: string, media?: Object}|null} - null if there is no such variant
+ */
+const selectTemplateVariant = (template, language) => {
+    if (!language || language === template.language) {
+        return { language: template.language || null, body: template.body ?? undefined, media: template.media ?? undefined };
+    }
+
+    const variant = template.variants?.[language];
+    return variant ? { language, body: variant.body, media: variant.media } : null;
+};
+
+/**
+ * Render a template for a send request
+ * @param {Object} template - Stored template
+ * @param {Object} [variables] - Placeholder values
+ * @param {string} [language] - Requested language variant
+ * @returns {{message: string|null, media: Object|null, language: string|null, error: string|null}}
+ *   message for text templates; media fields with the rendered body as caption for media templates
+ */
+const renderMessageTemplate = (template, variables, language) => {
+    const variablesError = validateVariables(variables);
+    if (variablesError) {
+        return { message: null, media: null, language: null, error: variablesError };
+    }
+
+    const content = selectTemplateVariant(template, language);
+    if (!content) {
+        const available = [template.language, ...Object.keys(template.variants || {})].filter(Boolean);
+        return {
+            message: null,
+            media: null,
+            language: null,
+            error: `Template ${template.name} has no ${language} variant${available.length ? `. Available: ${available.join(', ')}` : ''}`
+        };
+    }
+
+    const missing = findMissingVariables(content.body, variables);
+    if (missing.length > 0) {
+        return { message: null, media: null, language: null, error: `Missing template variables: ${missing.join(', ')}` };
+    }
+
+    const text = content.body !== undefined ? renderTemplate(content.body, variables) : undefined;
+
+    if (content.media) {
+        const { type, url, mimetype, filename } = content.media;
+        return { message: null, media: { type, url, mimetype, filename, caption: text }, language: content.language, error: null };
+    }
+
+    return { message: text, media: null, language: content.language, error: null };
+};
+
+/**
+ * List the variables a template needs, per language
+ * @param {Object} template - Stored template
+ * @returns {Object} - { default: [...], "<language>": [...] }
+ */
+const getRequiredVariables = (template) => {
+    const required = { default: getTemplateVariables(template.body) };
+
+    for (const [language, variant] of Object.entries(template.variants || {})) {
+        required[language] = getTemplateVariables(variant.body);
+    }
+
+    return required;
+};
+
+module.exports = {
+    validateTemplate,
+    selectTemplateVariant,
+    renderMessageTemplate,
+    getRequiredVariables
+};
@@ -0,0 +1,231 @@
+/**
+ * Typed Messages
+ * One validation schema per message type accepted by POST /instances/:phone/messages,
+ * and the Baileys content each type is sent as
+ */
+
+const MAX_TEXT_LENGTH = 65536;
+const MAX_POLL_OPTIONS = 12;
+const MAX_CONTACTS = 10;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+const isOptionalString = (value) => value === undefined || typeof value === 'string';
+
+/**
+ * Build a vCard for a shared contact
+ * @param {{name: string, phone: string, organization?: string, email?: string}} contact - Contact with an E.164 phone
+ * @returns {string}
+ */
+const buildVCard = (contact) => {
+    // vCard values must not break the line structure
+    const escape = (value) => String(value).replace(/[\r\n]+/g, ' ').replace(/([;,\\])/g, '\\$1');
+
+    const lines = [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        `FN:${escape(contact.name)}`,
+        contact.organization ? `ORG:${escape(contact.organization)};` : null,
+        `TEL;type=CELL;type=VOICE;waid=${contact.phone}:+${contact.phone}`,
+        contact.email ? `EMAIL:${escape(contact.email)}` : null,
+        'END:VCARD'
+    ];
+
+    return lines.filter(Boolean).join('\n');
+};
+
+/**
+ * Message type schemas
+ *   fields                - Accepted payload fields besides type, to, quotedMessageId and signature
+ *   validate(payload)     - Returns an error message, or null if valid
+ *   build(payload, ctx)   - Baileys content; ctx carries the signed text and resolved JIDs
+ *   describe(payload)     - Short text stored as the message content and matched by webhook filters
+ */
+const MESSAGE_TYPES = {
+    text: {
+        fields: ['text', 'mentions'],
+        validate(payload) {
+            if (!isNonEmptyString(payload.text) || payload.text.length > MAX_TEXT_LENGTH) {
+                return `text must be a non-empty string of at most ${MAX_TEXT_LENGTH} characters`;
+            }
+            if (payload.mentions !== undefined &&
+                (!Array.isArray(payload.mentions) || payload.mentions.some(mention => !isNonEmptyString(String(mention ?? ''))))) {
+                return 'mentions must be an array of phone numbers';
+            }
+            return null;
+        },
+        build: (payload, ctx) => ({
+            text: ctx.text,
+            ...(ctx.mentions.length > 0 && { mentions: ctx.mentions })
+        }),
+        describe: payload => payload.text
+    },
+
+    location: {
+        fields: ['latitude', 'longitude', 'name', 'address'],
+        validate(payload) {
+            const { latitude, longitude } = payload;
+            if (typeof latitude !== 'number' || latitude < -90 || latitude > 90) {
+                return 'latitude must be a number between -90 and 90';
+            }
+            if (typeof longitude !== 'number' || longitude < -180 || longitude > 180) {
+                return 'longitude must be a number between -180 and 180';
+            }
+            if (!isOptionalString(payload.name) || !isOptionalString(payload.address)) {
+                return 'name and address must be strings';
+            }
+            return null;
+        },
+        build: payload => ({
+            location: {
+                degreesLatitude: payload.latitude,
+                degreesLongitude: payload.longitude,
+                ...(payload.name && { name: payload.name }),
+                ...(payload.address && { address: payload.address })
+            }
+        }),
+        describe: payload => payload.name || `${payload.latitude},${payload.longitude}`
+    },
+
+    contact: {
+        fields: ['contacts'],
+        validate(payload) {
+            const { contacts } = payload;
+            if (!Array.isArray(contacts) || contacts.length === 0 || contacts.length > MAX_CONTACTS) {
+                return `contacts must be an array of 1 to ${MAX_CONTACTS} contacts`;
+            }
+            for (const contact of contacts) {
+                if (!contact || !isNonEmptyString(contact.name) || !isNonEmptyString(String(contact.phone ?? ''))) {
+                    return 'every contact needs a name and a phone';
+                }
+                if (!isOptionalString(contact.organization) || !isOptionalString(contact.email)) {
+                    return 'contact organization and email must be strings';
+                }
+            }
+            return null;
+        },
+        build: (payload, ctx) => ({
+            contacts: {
+                displayName: payload.contacts.length === 1 ? payload.contacts[0].name : `${payload.contacts.length} contacts`,
+                contacts: ctx.contacts.map(contact => ({ displayName: contact.name, vcard: buildVCard(contact) }))
+            }
+        }),
+        describe: payload => payload.contacts.map(contact => contact.name).join(', ')
+    },
+
+    poll: {
+        fields: ['name', 'options', 'selectableCount'],
+        validate(payload) {
+            if (!isNonEmptyString(payload.name)) {
+                return 'name must be a non-empty string';
+            }
+            const { options } = payload;
+            if (!Array.isArray(options) || options.length < 2 || options.length > MAX_POLL_OPTIONS ||
+                options.some(option => !isNonEmptyString(option))) {
+                return `options must be an array of 2 to ${MAX_POLL_OPTIONS} non-empty strings`;
+            }
+            if (new Set(options.map(option => option.trim())).size !== options.length) {
+                return 'options must be unique';
+            }
+            const { selectableCount } = payload;
+            if (selectableCount !== undefined &&
+                (!Number.isInteger(selectableCount) || selectableCount < 0 || selectableCount > options.length)) {
+                return 'selectableCount must be an integer between 0 (any number) and the number of options';
+            }
+            return null;
+        },
+        build: payload => ({
+            poll: {
+                name: payload.name,
+                values: payload.options.map(option => option.trim()),
+                selectableCount: payload.selectableCount ?? 1
+            }
+        }),
+        describe: payload => payload.name
+    },
+
+    reaction: {
+        fields: ['messageId', 'emoji'],
+        validate(payload) {
+            if (!isNonEmptyString(payload.messageId)) {
+                return 'messageId must be the id of a stored message';
+            }
+            // An empty emoji removes the reaction
+            if (typeof payload.emoji !== 'string' || [...payload.emoji].length > 10) {
+                return "emoji must be an emoji, or '' to remove the reaction";
+            }
+            return null;
+        },
+        build: (payload, ctx) => ({
+            react: { text: payload.emoji, key: ctx.targetKey }
+        }),
+        describe: payload => payload.emoji
+    }
+};
+
+// Fields every message type accepts
+const COMMON_FIELDS = ['type', 'to', 'quotedMessageId', 'signature', 'countryCode'];
+
+/**
+ * Validate a typed message payload
+ * @param {Object} payload - Request body
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateMessagePayload = (payload) => {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return 'Request body must be an object';
+    }
+
+    const schema = MESSAGE_TYPES[payload.type];
+    if (!schema) {
+        return `type must be one of: ${Object.keys(MESSAGE_TYPES).join(', ')}`;
+    }
+
+    const unknown = Object.keys(payload).filter(key => !COMMON_FIELDS.includes(key) && !schema.fields.includes(key));
+    if (unknown.length > 0) {
+        return `Unknown fields for ${payload.type} messages: ${unknown.join(', ')}`;
+    }
+
+    // Reactions go to the chat of the message they react to
+    if (payload.type !== 'reaction' && !isNonEmptyString(String(payload.to ?? ''))) {
+        return 'to is required: a phone number or a group JID ending in @g.us';
+    }
+
+    if (payload.quotedMessageId !== undefined) {
+        if (payload.type === 'reaction') return 'reactions cannot quote a message';
+        if (!isNonEmptyString(payload.quotedMessageId)) return 'quotedMessageId must be the id of a stored message';
+    }
+
+    if (payload.signature !== undefined && typeof payload.signature !== 'boolean') {
+        return 'signature must be a boolean';
+    }
+
+    return schema.validate(payload);
+};
+
+/**
+ * Build the Baileys content of a validated payload
+ * @param {Object} payload - Validated payload
+ * @param {Object} ctx - Resolved values: text (with signature), mentions (JIDs), contacts (with E.164 phones), targetKey
+ * @returns {Object}
+ */
+const buildMessageContent = (payload, ctx) => {
+    return MESSAGE_TYPES[payload.type].build(payload, ctx);
+};
+
+/**
+ * Describe a payload as the stored message content
+ * @param {Object} payload - Validated payload
+ * @returns {string}
+ */
+const describeMessage = (payload) => {
+    return MESSAGE_TYPES[payload.type].describe(payload);
+};
+
+module.exports = {
+    MESSAGE_TYPES,
+    buildVCard,
+    validateMessagePayload,
+    buildMessageContent,
+    describeMessage
+};
@@ -0,0 +1,198 @@
+/**
+ * Outgoing Media
+ * Validates media sent through the API and builds the Baileys message content
+ */
+
+const MB = 1024 * 1024;
+
+// Media types accepted by send-media, with the mimetypes and size WhatsApp accepts for each
+const MEDIA_TYPES = {
+    image: { mimetypes: ['image/jpeg', 'image/png', 'image/webp'], maxSize: 16 * MB },
+    video: { mimetypes: ['video/mp4', 'video/3gpp'], maxSize: 64 * MB },
+    gif: { mimetypes: ['video/mp4'], maxSize: 16 * MB },
+    audio: { mimetypes: ['audio/mpeg', 'audio/mp4', 'audio/aac', 'audio/ogg', 'audio/amr'], maxSize: 16 * MB },
+    ptt: { mimetypes: ['audio/ogg'], maxSize: 16 * MB }, // Voice notes must be Opus in an Ogg container
+    sticker: { mimetypes: ['image/webp'], maxSize: 1 * MB },
+    document: { mimetypes: null, maxSize: 100 * MB }
+};
+
+// Alternative names accepted for media types
+const TYPE_ALIASES = {
+    voice: 'ptt',
+    voice_note: 'ptt',
+    'voice-note': 'ptt'
+};
+
+// Largest file any media type accepts; the upload limit
+const MAX_MEDIA_SIZE = Math.max(...Object.values(MEDIA_TYPES).map(spec => spec.maxSize));
+
+const DATA_URI_PATTERN = /^data:([\w.+-]+\/[\w.+-]+)(?:;[\w-]+=[\w.-]+)*;base64,/i;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+/**
+ * Resolve a media type name
+ * @param {string} type - Requested type
+ * @returns {string|null} - Canonical type, or null if unsupported
+ */
+const resolveMediaType = (type) => {
+    if (typeof type !== 'string') return null;
+
+    const name = type.trim().toLowerCase();
+    const canonical = TYPE_ALIASES[name] || name;
+    return MEDIA_TYPES[canonical] ? canonical : null;
+};
+
+/**
+ * Decode a base64 string or data URI
+ * @param {string} data - Base64 data, optionally as "data:<mimetype>;base64,<data>"
+ * @returns {{buffer: Buffer|null, mimetype: string|null, error: string|null}}
+ */
+const decodeBase64 = (data) => {
+    if (typeof data !== 'string' || data.trim() === '') {
+        return { buffer: null, mimetype: null, error: 'media.data must be a non-empty base64 string' };
+    }
+
+    const match = data.match(DATA_URI_PATTERN);
+    const mimetype = match ? match[1].toLowerCase() : null;
+    const encoded = (match ? data.slice(match[0].length) : data).replace(/\s/g, '');
+
+    if (encoded.length === 0 || encoded.length % 4 === 1 || !BASE64_PATTERN.test(encoded)) {
+        return { buffer: null, mimetype: null, error: 'media.data is not valid base64' };
+    }
+
+    return { buffer: Buffer.from(encoded, 'base64'), mimetype, error: null };
+};
+
+/**
+ * Check a file against the limits of a media type
+ * @param {string} type - Canonical media type
+ * @param {{mimetype: string|null, size: number|null}} file - File details; null when unknown
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateMediaFile = (type, { mimetype, size }) => {
+    const spec = MEDIA_TYPES[type];
+
+    if (size === 0) {
+        return 'Media file is empty';
+    }
+
+    if (size !== null && size > spec.maxSize) {
+        return `${type} media must be at most ${spec.maxSize / MB} MB, got ${(size / MB).toFixed(1)} MB`;
+    }
+
+    const baseType = (mimetype || '').split(';')[0].trim().toLowerCase();
+    if (spec.mimetypes && baseType && !spec.mimetypes.includes(baseType)) {
+        return `Unsupported mimetype ${baseType} for ${type} media. Allowed: ${spec.mimetypes.join(', ')}`;
+    }
+
+    return null;
+};
+
+/**
+ * Resolve the media of a send request
+ * The file comes from exactly one of: a multipart upload, base64 `data` or a remote `url`
+ * @param {Object} media - Media fields: type, url, data, mimetype, caption, filename
+ * @param {Object} [file] - Uploaded file (multer): buffer, mimetype, size, originalname
+ * @returns {{media: Object|null, error: string|null}} - Resolved media: type, source, origin, mimetype, size, caption, filename
+ */
+const resolveMediaInput = (media, file) => {
+    const type = resolveMediaType(media?.type);
+    if (!type) {
+        return {
+            media: null,
+            error: `Unsupported media type: ${media?.type}. Supported types: ${Object.keys(MEDIA_TYPES).join(', ')} (voice is an alias of ptt)`
+        };
+    }
+
+    const sources = [file ? 'file' : null, media.data ? 'data' : null, media.url ? 'url' : null].filter(Boolean);
+    if (sources.length !== 1) {
+        return { media: null, error: 'Provide exactly one of an uploaded file, media.data (base64) or media.url' };
+    }
+
+    const resolved = {
+        type,
+        caption: media.caption || undefined,
+        filename: media.filename || file?.originalname || undefined,
+        mimetype: media.mimetype || null,
+        size: null
+    };
+
+    if (file) {
+        resolved.origin = 'upload';
+        resolved.source = file.buffer;
+        resolved.mimetype = resolved.mimetype || file.mimetype || null;
+        resolved.size = file.size;
+    } else if (media.data) {
+        const decoded = decodeBase64(media.data);
+        if (decoded.error) return { media: null, error: decoded.error };
+
+        resolved.origin = 'base64';
+        resolved.source = decoded.buffer;
+        resolved.mimetype = resolved.mimetype || decoded.mimetype;
+        resolved.size = decoded.buffer.length;
+    } else {
+        if (typeof media.url !== 'string' || !/^https?:\/\//i.test(media.url)) {
+            return { media: null, error: 'media.url must be an http(s) URL' };
+        }
+
+        resolved.origin = 'url';
+        resolved.source = { url: media.url };
+        resolved.url = media.url;
+    }
+
+    // Remote files are fetched by Baileys, so only their declared mimetype can be checked
+    const error = validateMediaFile(type, { mimetype: resolved.mimetype, size: resolved.size });
+    return error ? { media: null, error } : { media: resolved, error: null };
+};
+
+/**
+ * Build the Baileys message content for resolved media
+ * @param {Object} media - Media returned by resolveMediaInput
+ * @param {string} [caption] - Caption to send, defaults to media.caption
+ * @returns {Object}
+ */
+const buildMediaContent = (media, caption = media.caption) => {
+    const { type, source, mimetype, filename } = media;
+
+    switch (type) {
+        case 'image':
+            return { image: source, caption, ...(mimetype && { mimetype }) };
+        case 'video':
+            return { video: source, caption, ...(mimetype && { mimetype }) };
+        case 'gif':
+            return { video: source, caption, gifPlayback: true };
+        case 'audio':
+            return { audio: source, mimetype: mimetype || 'audio/mp4' };
+        case 'ptt':
+            return { audio: source, mimetype: 'audio/ogg; codecs=opus', ptt: true };
+        case 'sticker':
+            return { sticker: source };
+        case 'document':
+            return {
+                document: source,
+                fileName: filename || 'document',
+                mimetype: mimetype || 'application/octet-stream',
+                caption
+            };
+        default:
+            throw new Error(`Unsupported media type: ${type}`);
+    }
+};
+
+/**
+ * Check if a media type carries a caption
+ * @param {string} type - Canonical media type
+ * @returns {boolean}
+ */
+const supportsCaption = (type) => ['image', 'video', 'gif', 'document'].includes(type);
+
+module.exports = {
+    MEDIA_TYPES,
+    MAX_MEDIA_SIZE,
+    resolveMediaType,
+    decodeBase64,
+    validateMediaFile,
+    resolveMediaInput,
+    buildMediaContent,
+    supportsCaption
+};
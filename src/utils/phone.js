@@ -0,0 +1,172 @@
+/**
+ * Phone Number Normalization
+ * Converts user supplied phone numbers to E.164 digits (without the leading '+')
+ */
+
+// Used when neither the request nor the instance specifies a country code
+const FALLBACK_COUNTRY_CODE = '62';
+
+// Lengths of national significant numbers (without trunk prefix) per country code, [min, max]
+// Used to tell a national number whose area code equals the country code from an international one
+const NATIONAL_NUMBER_LENGTHS = {
+    '1': [10, 10],    // North America
+    '7': [10, 10],    // Russia, Kazakhstan
+    '20': [8, 10],    // Egypt
+    '27': [9, 9],     // South Africa
+    '31': [9, 9],     // Netherlands
+    '33': [9, 9],     // France
+    '34': [9, 9],     // Spain
+    '44': [9, 10],    // United Kingdom
+    '52': [10, 10],   // Mexico
+    '54': [10, 11],   // Argentina
+    '55': [10, 11],   // Brazil
+    '57': [10, 10],   // Colombia
+    '60': [8, 10],    // Malaysia
+    '61': [9, 9],     // Australia
+    '62': [8, 12],    // Indonesia
+    '63': [8, 10],    // Philippines
+    '65': [8, 8],     // Singapore
+    '66': [8, 9],     // Thailand
+    '81': [9, 10],    // Japan
+    '84': [9, 10],    // Vietnam
+    '86': [10, 11],   // China
+    '90': [10, 10],   // Turkey
+    '91': [10, 10],   // India
+    '92': [10, 10],   // Pakistan
+    '234': [8, 10],   // Nigeria
+    '254': [9, 9],    // Kenya
+    '351': [9, 9],    // Portugal
+    '966': [9, 9],    // Saudi Arabia
+    '971': [8, 9]     // United Arab Emirates
+};
+
+class PhoneNumberError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PhoneNumberError';
+        this.statusCode = 400;
+    }
+}
+
+/**
+ * Validate and normalize a country calling code
+ * @param {string|number} [countryCode] - Calling code such as '55', '+1' or 62
+ * @returns {string|null} - Calling code digits, or null if none was given
+ */
+const normalizeCountryCode = (countryCode) => {
+    if (countryCode === undefined || countryCode === null || countryCode === '') {
+        return null;
+    }
+
+    const digits = String(countryCode).trim().replace(/^\+/, '');
+    if (!/^[1-9]\d{0,2}$/.test(digits)) {
+        throw new PhoneNumberError(`Invalid country code '${countryCode}'. Expected 1 to 3 digits, e.g. '55' or '+1'`);
+    }
+
+    return digits;
+};
+
+/**
+ * Get the server-wide default country code
+ * Configured with DEFAULT_COUNTRY_CODE, falls back to 62 (Indonesia)
+ * @returns {string}
+ */
+const getDefaultCountryCode = () => {
+    return normalizeCountryCode(process.env.DEFAULT_COUNTRY_CODE) || FALLBACK_COUNTRY_CODE;
+};
+
+/**
+ * Check if digits that start with the country code already include it
+ * A national number whose area code equals the country code, such as `55 98765-4321`
+ * in Brazil's area code 55, has a national length while the digits after the code don't.
+ * Countries without known lengths keep the digits as international.
+ * @param {string} digits - Phone number digits
+ * @param {string} countryCode - Calling code digits
+ * @returns {boolean}
+ */
+const includesCountryCode = (digits, countryCode) => {
+    const lengths = NATIONAL_NUMBER_LENGTHS[countryCode];
+    if (!lengths) return true;
+
+    const isNationalLength = (length) => length >= lengths[0] && length <= lengths[1];
+    return !isNationalLength(digits.length) || isNationalLength(digits.length - countryCode.length);
+};
+
+/**
+ * Normalize a phone number to E.164 digits
+ *
+ * - `+5511987654321` and `005511987654321` are taken as full international numbers
+ * - `011987654321` is a national number: the trunk '0' is replaced by the country code
+ * - `5511987654321` is kept as is when it already starts with the country code, unless
+ *   only the whole number has the length of a national one (`55987654321` in Brazil)
+ * - any other number gets the country code prepended
+ *
+ * The country code is resolved from `countryCode` (request override), then
+ * `defaultCountryCode` (instance setting), then DEFAULT_COUNTRY_CODE.
+ *
+ * @param {string|number} phoneNumber - Phone number as supplied by the client
+ * @param {Object} [options]
+ * @param {string} [options.countryCode] - Request-level country code override
+ * @param {string} [options.defaultCountryCode] - Instance default country code
+ * @returns {string} - E.164 digits without '+'
+ * @throws {PhoneNumberError} If the number cannot be normalized
+ */
+const normalizePhoneNumber = (phoneNumber, options = {}) => {
+    if (typeof phoneNumber !== 'string' && typeof phoneNumber !== 'number') {
+        throw new PhoneNumberError('Phone number must be a string');
+    }
+
+    const raw = String(phoneNumber).trim();
+    if (!raw) {
+        throw new PhoneNumberError('Phone number must not be empty');
+    }
+
+    if (/[^\d\s\-().+]/.test(raw) || raw.lastIndexOf('+') > 0) {
+        throw new PhoneNumberError(`Invalid phone number '${phoneNumber}': contains invalid characters`);
+    }
+
+    const countryCode = normalizeCountryCode(options.countryCode) ||
+        normalizeCountryCode(options.defaultCountryCode) ||
+        getDefaultCountryCode();
+
+    const digits = raw.replace(/\D/g, '');
+    let e164;
+
+    if (raw.startsWith('+')) {
+        e164 = digits;
+    } else if (digits.startsWith('00')) {
+        e164 = digits.slice(2);
+    } else if (digits.startsWith('0')) {
+        e164 = countryCode + digits.replace(/^0+/, '');
+    } else if (digits.startsWith(countryCode) && includesCountryCode(digits, countryCode)) {
+        e164 = digits;
+    } else {
+        e164 = countryCode + digits;
+    }
+
+    // E.164 allows at most 15 digits; anything under 8 is not a dialable number
+    if (!/^[1-9]\d{7,14}$/.test(e164)) {
+        throw new PhoneNumberError(`Invalid phone number '${phoneNumber}': expected 8 to 15 digits in E.164 format (e.g. +5511987654321)`);
+    }
+
+    return e164;
+};
+
+/**
+ * Build a personal chat JID from a phone number
+ * @param {string} phoneNumber - Phone number as supplied by the client
+ * @param {Object} [options] - Same options as normalizePhoneNumber
+ * @returns {{ number: string, jid: string }}
+ */
+const toPersonalJid = (phoneNumber, options = {}) => {
+    const number = normalizePhoneNumber(phoneNumber, options);
+    return { number, jid: `${number}@s.whatsapp.net` };
+};
+
+module.exports = {
+    PhoneNumberError,
+    normalizeCountryCode,
+    getDefaultCountryCode,
+    normalizePhoneNumber,
+    toPersonalJid
+};
@@ -0,0 +1,73 @@
+/**
+ * Message Scheduling
+ * Parses the scheduling fields of send requests
+ */
+
+// What to do with a due message while its instance is disconnected
+const DISCONNECTED_POLICIES = {
+    wait: 'Keep the message queued and send it once the instance reconnects',
+    skip: 'Drop the message and mark it skipped',
+    fail: 'Mark the message failed'
+};
+
+// Messages cannot be scheduled further ahead than this
+const MAX_SCHEDULE_AHEAD_DAYS = 365;
+
+/**
+ * Get the policy used when a request does not choose one
+ * @returns {string}
+ */
+const getDefaultDisconnectedPolicy = () => {
+    const policy = process.env.SCHEDULED_MESSAGE_DISCONNECTED_POLICY?.toLowerCase();
+    return DISCONNECTED_POLICIES[policy] ? policy : 'wait';
+};
+
+/**
+ * Parse the sendAt field of a send request
+ * @param {string|number} value - ISO 8601 date or Unix timestamp in milliseconds
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {{sendAt: Date|null, error: string|null}}
+ */
+const parseSendAt = (value, now = Date.now()) => {
+    // Multipart forms send timestamps as strings
+    const timestamp = typeof value === 'string' && /^\d+$/.test(value.trim()) ? Number(value) : value;
+    const sendAt = typeof timestamp === 'number' || typeof timestamp === 'string' ? new Date(timestamp) : null;
+
+    if (!sendAt || isNaN(sendAt.getTime())) {
+        return { sendAt: null, error: 'sendAt must be an ISO 8601 date or a timestamp in milliseconds' };
+    }
+
+    if (sendAt.getTime() <= now) {
+        return { sendAt: null, error: 'sendAt must be in the future' };
+    }
+
+    if (sendAt.getTime() > now + MAX_SCHEDULE_AHEAD_DAYS * 24 * 60 * 60 * 1000) {
+        return { sendAt: null, error: `sendAt must be within ${MAX_SCHEDULE_AHEAD_DAYS} days` };
+    }
+
+    return { sendAt, error: null };
+};
+
+/**
+ * Resolve the disconnected policy of a send request
+ * @param {string} [value] - Requested policy
+ * @returns {{policy: string|null, error: string|null}}
+ */
+const resolveDisconnectedPolicy = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return { policy: getDefaultDisconnectedPolicy(), error: null };
+    }
+
+    if (!DISCONNECTED_POLICIES[value]) {
+        return { policy: null, error: `disconnectedPolicy must be one of: ${Object.keys(DISCONNECTED_POLICIES).join(', ')}` };
+    }
+
+    return { policy: value, error: null };
+};
+
+module.exports = {
+    DISCONNECTED_POLICIES,
+    getDefaultDisconnectedPolicy,
+    parseSendAt,
+    resolveDisconnectedPolicy
+};
@@ -0,0 +1,78 @@
+/**
+ * Send Queue Configuration
+ * Resolves the outbound pacing of an instance from its stored overrides and environment defaults
+ */
+
+// Allowed range per option
+const SEND_QUEUE_LIMITS = {
+    messagesPerMinute: { min: 1, max: 600 },
+    recipientCooldownMs: { min: 0, max: 3600000 },
+    maxQueueDepth: { min: 1, max: 10000 }
+};
+
+/**
+ * Read an integer option from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when unset or invalid
+ * @returns {number}
+ */
+const readEnvInteger = (name, fallback) => {
+    const value = parseInt(process.env[name]);
+    return Number.isInteger(value) && value >= 0 ? value : fallback;
+};
+
+/**
+ * Get the send queue defaults from environment
+ * @returns {{messagesPerMinute: number, recipientCooldownMs: number, maxQueueDepth: number}}
+ */
+const getDefaultSendQueueConfig = () => ({
+    messagesPerMinute: Math.max(1, readEnvInteger('SEND_QUEUE_MESSAGES_PER_MINUTE', 60)),
+    recipientCooldownMs: readEnvInteger('SEND_QUEUE_RECIPIENT_COOLDOWN_MS', 1000),
+    maxQueueDepth: Math.max(1, readEnvInteger('SEND_QUEUE_MAX_DEPTH', 100))
+});
+
+/**
+ * Merge the stored send queue overrides of an instance with the defaults
+ * @param {Object|string|null} config - Stored overrides (JSON string or object)
+ * @returns {{messagesPerMinute: number, recipientCooldownMs: number, maxQueueDepth: number}}
+ */
+const resolveSendQueueConfig = (config) => {
+    const parsed = typeof config === 'string' ? JSON.parse(config) : (config || {});
+    const overrides = Object.fromEntries(Object.entries(parsed).filter(([, value]) => value !== null && value !== undefined));
+
+    return {
+        ...getDefaultSendQueueConfig(),
+        ...overrides
+    };
+};
+
+/**
+ * Validate send queue overrides supplied by a client
+ * null resets an option to its default
+ * @param {Object} config - Send queue overrides
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateSendQueueConfig = (config) => {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        return 'sendQueue must be an object';
+    }
+
+    for (const [key, value] of Object.entries(config)) {
+        const limits = SEND_QUEUE_LIMITS[key];
+        if (!limits) {
+            return `Unknown sendQueue option '${key}'. Supported options: ${Object.keys(SEND_QUEUE_LIMITS).join(', ')}`;
+        }
+
+        if (value !== null && (!Number.isInteger(value) || value < limits.min || value > limits.max)) {
+            return `sendQueue.${key} must be an integer between ${limits.min} and ${limits.max}, or null for the default`;
+        }
+    }
+
+    return null;
+};
+
+module.exports = {
+    getDefaultSendQueueConfig,
+    resolveSendQueueConfig,
+    validateSendQueueConfig
+};
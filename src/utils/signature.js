@@ -0,0 +1,141 @@
+/**
+ * Message Signature
+ * Renders the footer appended to outgoing messages from a per-instance template
+ */
+
+const packageJson = require('../../package.json');
+
+// Message types a signature can be toggled for
+const SIGNATURE_TYPES = ['text', 'group', 'media'];
+
+const appName = (s => s[0].toUpperCase() + s.slice(1, s.indexOf('-') === -1 ? s.length : s.indexOf('-')))(packageJson.name);
+
+// Matches the footer that was hard-coded before signatures became configurable
+const DEFAULT_SIGNATURE_CONFIG = {
+    enabled: true,
+    template: '> Sent via {appName}\n> @{author}/{packageName}.git',
+    types: {
+        text: true,
+        group: true,
+        media: true
+    }
+};
+
+/**
+ * Merge a stored signature config with the defaults
+ * @param {Object|string|null} config - Stored config (JSON string or object)
+ * @returns {{enabled: boolean, template: string, types: Object}}
+ */
+const resolveSignatureConfig = (config) => {
+    const parsed = typeof config === 'string' ? JSON.parse(config) : (config || {});
+
+    return {
+        ...DEFAULT_SIGNATURE_CONFIG,
+        ...parsed,
+        types: {
+            ...DEFAULT_SIGNATURE_CONFIG.types,
+            ...(parsed.types || {})
+        }
+    };
+};
+
+/**
+ * Validate a signature config supplied by a client
+ * @param {Object} config - Signature config
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateSignatureConfig = (config) => {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        return 'signature must be an object';
+    }
+
+    if (config.enabled !== undefined && typeof config.enabled !== 'boolean') {
+        return 'signature.enabled must be a boolean';
+    }
+
+    if (config.template !== undefined && (typeof config.template !== 'string' || config.template.trim() === '')) {
+        return 'signature.template must be a non-empty string';
+    }
+
+    if (config.types !== undefined) {
+        if (!config.types || typeof config.types !== 'object' || Array.isArray(config.types)) {
+            return `signature.types must be an object with boolean keys: ${SIGNATURE_TYPES.join(', ')}`;
+        }
+
+        for (const [type, enabled] of Object.entries(config.types)) {
+            if (!SIGNATURE_TYPES.includes(type)) {
+                return `Unknown signature type '${type}'. Supported types: ${SIGNATURE_TYPES.join(', ')}`;
+            }
+            if (typeof enabled !== 'boolean') {
+                return `signature.types.${type} must be a boolean`;
+            }
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Render a signature template
+ * Unknown variables are left untouched
+ * @param {string} template - Template such as '> {instanceName} - {date}'
+ * @param {Object} [instanceData] - Instance record
+ * @param {Date} [now] - Render time
+ * @returns {string}
+ */
+const renderSignature = (template, instanceData = {}, now = new Date()) => {
+    const variables = {
+        instanceName: instanceData.name || '',
+        instanceAlias: instanceData.alias || instanceData.name || '',
+        instancePhone: instanceData.phone || '',
+        date: now.toISOString().slice(0, 10),
+        time: now.toISOString().slice(11, 16),
+        datetime: now.toISOString(),
+        appName,
+        appVersion: packageJson.version,
+        packageName: packageJson.name,
+        author: packageJson.author
+    };
+
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+        Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : match
+    );
+};
+
+/**
+ * Build the signature for an outgoing message
+ * @param {Object} options
+ * @param {Object|string|null} options.config - Stored signature config of the instance
+ * @param {string} options.type - Message type: 'text', 'group' or 'media'
+ * @param {boolean} [options.override] - Per-request override; `false` disables the signature
+ * @param {Object} [options.instanceData] - Instance record used for template variables
+ * @returns {string|null} - Rendered signature, or null if none applies
+ */
+const buildSignature = ({ config, type, override, instanceData }) => {
+    if (override === false) return null;
+
+    const resolved = resolveSignatureConfig(config);
+    if (!resolved.enabled || !resolved.types[type]) return null;
+
+    return renderSignature(resolved.template, instanceData);
+};
+
+/**
+ * Append a signature to a message text
+ * @param {string} text - Message text
+ * @param {string|null} signature - Rendered signature
+ * @returns {string}
+ */
+const appendSignature = (text, signature) => {
+    return signature ? `${text}\n\n${signature}` : text;
+};
+
+module.exports = {
+    SIGNATURE_TYPES,
+    DEFAULT_SIGNATURE_CONFIG,
+    resolveSignatureConfig,
+    validateSignatureConfig,
+    renderSignature,
+    buildSignature,
+    appendSignature
+};
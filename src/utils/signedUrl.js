@@ -0,0 +1,69 @@
+/**
+ * Signed URLs
+ * Time-limited links to API resources that work without an API key
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Compute the signature of a path and expiry
+ * @param {string} path - URL path, without query string
+ * @param {number} expires - Expiry as a Unix timestamp in seconds
+ * @param {string} secret - Signing secret
+ * @returns {string} - Hex-encoded HMAC-SHA256
+ */
+const computeUrlSignature = (path, expires, secret) => {
+    return crypto.createHmac('sha256', secret).update(`${path}:${expires}`).digest('hex');
+};
+
+/**
+ * Sign a path
+ * @param {string} path - URL path, without query string
+ * @param {string} secret - Signing secret
+ * @param {number} ttlSeconds - How long the URL stays valid
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {{path: string, expires: number, expiresAt: Date}} - The path with `expires` and `signature` query parameters
+ */
+const signPath = (path, secret, ttlSeconds, now = Date.now()) => {
+    const expires = Math.floor(now / 1000) + ttlSeconds;
+    const signature = computeUrlSignature(path, expires, secret);
+
+    return {
+        path: `${path}?expires=${expires}&signature=${signature}`,
+        expires,
+        expiresAt: new Date(expires * 1000)
+    };
+};
+
+/**
+ * Verify a signed path
+ * @param {string} path - URL path, without query string
+ * @param {string|number} expires - `expires` query parameter
+ * @param {string} signature - `signature` query parameter
+ * @param {string} secret - Signing secret
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {{valid: boolean, reason: string|null}}
+ */
+const verifySignedPath = (path, expires, signature, secret, now = Date.now()) => {
+    const expiresAt = Number(expires);
+    if (!Number.isInteger(expiresAt) || typeof signature !== 'string' || !/^[0-9a-f]{64}$/i.test(signature)) {
+        return { valid: false, reason: 'Malformed signed URL' };
+    }
+
+    const expected = Buffer.from(computeUrlSignature(path, expiresAt, secret), 'hex');
+    if (!crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'))) {
+        return { valid: false, reason: 'Invalid signature' };
+    }
+
+    if (expiresAt * 1000 < now) {
+        return { valid: false, reason: 'Signed URL has expired' };
+    }
+
+    return { valid: true, reason: null };
+};
+
+module.exports = {
+    computeUrlSignature,
+    signPath,
+    verifySignedPath
+};
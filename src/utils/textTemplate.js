@@ -0,0 +1,69 @@
+/**
+ * Text Templates
+ * Fills {{placeholders}} in message texts with per-message variables
+ */
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+/**
+ * List the placeholders of a text
+ * @param {string} text - Text with {{placeholders}}
+ * @returns {string[]} - Unique variable names in order of appearance
+ */
+const getTemplateVariables = (text) => {
+    if (typeof text !== 'string') return [];
+
+    const names = [...text.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+    return [...new Set(names)];
+};
+
+/**
+ * Find the placeholders of a text that have no value
+ * @param {string} text - Text with {{placeholders}}
+ * @param {Object} [variables] - Variable values
+ * @returns {string[]} - Missing variable names
+ */
+const findMissingVariables = (text, variables = {}) => {
+    return getTemplateVariables(text).filter(name => variables?.[name] === undefined || variables?.[name] === null);
+};
+
+/**
+ * Check that variables are a flat object of strings, numbers and booleans
+ * @param {*} variables - Variable values
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateVariables = (variables) => {
+    if (variables === undefined) return null;
+
+    if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+        return 'variables must be an object';
+    }
+
+    const invalid = Object.keys(variables).filter(name => !['string', 'number', 'boolean'].includes(typeof variables[name]));
+    if (invalid.length > 0) {
+        return `variables must be strings, numbers or booleans: ${invalid.join(', ')}`;
+    }
+
+    return null;
+};
+
+/**
+ * Fill the placeholders of a text
+ * Placeholders without a value are left as they are
+ * @param {string} text - Text with {{placeholders}}
+ * @param {Object} [variables] - Variable values
+ * @returns {string}
+ */
+const renderTemplate = (text, variables = {}) => {
+    return text.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+        const value = variables?.[name];
+        return value === undefined || value === null ? placeholder : String(value);
+    });
+};
+
+module.exports = {
+    getTemplateVariables,
+    findMissingVariables,
+    validateVariables,
+    renderTemplate
+};
@@ -0,0 +1,29 @@
+/**
+ * Promise Timeout
+ * Rejects with an ETIMEDOUT error when a promise takes too long
+ */
+
+/**
+ * Race a promise against a timer
+ * @param {Promise} promise - Operation to wait for
+ * @param {number} timeoutMs - Time limit in milliseconds
+ * @param {string} [message] - Error message on timeout
+ * @returns {Promise}
+ */
+const withTimeout = (promise, timeoutMs, message = `Timed out after ${timeoutMs}ms`) => {
+    let timer;
+
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error(message);
+            error.code = 'ETIMEDOUT';
+            reject(error);
+        }, timeoutMs);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+module.exports = {
+    withTimeout
+};
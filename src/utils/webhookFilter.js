@@ -0,0 +1,217 @@
+/**
+ * Webhook Filters
+ * Per-webhook rules that decide whether a message event is delivered
+ *
+ * Filters only apply to events that concern a message. Other events, such as
+ * connection.update, are always delivered.
+ */
+
+const CHAT_TYPES = ['all', 'group', 'direct'];
+
+const MAX_TEXT_PATTERN_LENGTH = 200;
+
+// Patterns are tested against the start of the text only, which bounds the matching time of long messages
+const MAX_MATCHED_TEXT_LENGTH = 4096;
+
+const FILTER_FIELDS = ['includeJids', 'excludeJids', 'chatType', 'messageTypes', 'textPattern', 'textPatternFlags'];
+
+/**
+ * Read the quantifier at a position of a pattern
+ * @param {string} pattern - Regular expression source
+ * @param {number} index - Position right after an atom
+ * @returns {{length: number, min: number, max: number}|null} - null if there is no quantifier
+ */
+const readQuantifier = (pattern, index) => {
+    const char = pattern[index];
+    let quantifier;
+
+    if (char === '*') {
+        quantifier = { length: 1, min: 0, max: Infinity };
+    } else if (char === '+') {
+        quantifier = { length: 1, min: 1, max: Infinity };
+    } else if (char === '?') {
+        quantifier = { length: 1, min: 0, max: 1 };
+    } else if (char === '{') {
+        const match = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(index));
+        if (!match) return null;
+        const min = parseInt(match[1]);
+        const max = match[2] === undefined ? min : (match[3] === '' ? Infinity : parseInt(match[3]));
+        quantifier = { length: match[0].length, min, max };
+    } else {
+        return null;
+    }
+
+    // Lazy quantifiers backtrack just the same
+    if (pattern[index + quantifier.length] === '?') quantifier.length++;
+
+    return quantifier;
+};
+
+/**
+ * Look for constructs that make a regular expression backtrack exponentially
+ * Like safe-regex, a repeated group may not contain another repetition, and it may not
+ * contain alternatives either since overlapping branches backtrack the same way.
+ * Backreferences are rejected because they can't be matched in linear time.
+ * @param {string} pattern - Regular expression source
+ * @returns {string|null} - Why the pattern is unsafe, or null if safe
+ */
+const findUnsafePattern = (pattern) => {
+    // variable: matches a varying number of repetitions, alternates: has alternatives
+    const groups = [{ variable: false, alternates: false }];
+
+    for (let index = 0; index < pattern.length; index++) {
+        const char = pattern[index];
+        let atomEnd = index;
+        let group = null;
+
+        if (char === '\\') {
+            if (/[1-9k]/.test(pattern[index + 1] || '')) {
+                return 'backreferences are not supported';
+            }
+            atomEnd = index + 1;
+        } else if (char === '[') {
+            // Skip the character class; it behaves as a single atom
+            atomEnd = index + 1;
+            if (pattern[atomEnd] === ']') atomEnd++;
+            while (atomEnd < pattern.length && pattern[atomEnd] !== ']') {
+                if (pattern[atomEnd] === '\\') atomEnd++;
+                atomEnd++;
+            }
+        } else if (char === '(') {
+            groups.push({ variable: false, alternates: false });
+            continue;
+        } else if (char === ')') {
+            if (groups.length === 1) return null; // Reported by the RegExp constructor
+            group = groups.pop();
+        } else if (char === '|') {
+            groups[groups.length - 1].alternates = true;
+            continue;
+        }
+
+        const quantifier = readQuantifier(pattern, atomEnd + 1);
+
+        if (group && quantifier && quantifier.max > 1) {
+            if (group.variable) return 'nested repetition such as (a+)+ can take exponential time';
+            if (group.alternates) return 'repeated alternatives such as (a|ab)* can take exponential time';
+        }
+
+        const parent = groups[groups.length - 1];
+        parent.variable = parent.variable || Boolean(quantifier && quantifier.max !== quantifier.min) || Boolean(group && group.variable);
+
+        index = atomEnd + (quantifier ? quantifier.length : 0);
+    }
+
+    return null;
+};
+
+/**
+ * Validate webhook filters supplied by a client
+ * @param {Object} filters - Filter rules
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateWebhookFilters = (filters) => {
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+        return 'filters must be an object';
+    }
+
+    const unknown = Object.keys(filters).filter(key => !FILTER_FIELDS.includes(key));
+    if (unknown.length > 0) {
+        return `Unknown filters fields: ${unknown.join(', ')}`;
+    }
+
+    for (const field of ['includeJids', 'excludeJids', 'messageTypes']) {
+        const value = filters[field];
+        if (value !== undefined && (!Array.isArray(value) || value.some(item => typeof item !== 'string' || item.trim() === ''))) {
+            return `filters.${field} must be an array of non-empty strings`;
+        }
+    }
+
+    if (filters.chatType !== undefined && !CHAT_TYPES.includes(filters.chatType)) {
+        return `filters.chatType must be one of: ${CHAT_TYPES.join(', ')}`;
+    }
+
+    if (filters.textPatternFlags !== undefined && (typeof filters.textPatternFlags !== 'string' || !/^[imsu]*$/.test(filters.textPatternFlags))) {
+        return 'filters.textPatternFlags may only contain the flags i, m, s and u';
+    }
+
+    if (filters.textPattern !== undefined) {
+        if (typeof filters.textPattern !== 'string' || filters.textPattern.length > MAX_TEXT_PATTERN_LENGTH) {
+            return `filters.textPattern must be a string of at most ${MAX_TEXT_PATTERN_LENGTH} characters`;
+        }
+
+        try {
+            new RegExp(filters.textPattern, filters.textPatternFlags || '');
+        } catch (error) {
+            return `filters.textPattern is not a valid regular expression: ${error.message}`;
+        }
+
+        const unsafeReason = findUnsafePattern(filters.textPattern);
+        if (unsafeReason) {
+            return `filters.textPattern is not allowed: ${unsafeReason}`;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Check if a JID list entry matches a JID
+ * Entries without a server part are phone numbers and match any JID of that user
+ * @param {string} entry - List entry, e.g. '5511987654321' or '120363000000000000@g.us'
+ * @param {string} jid - JID to test
+ * @returns {boolean}
+ */
+const matchesJid = (entry, jid) => {
+    if (!jid) return false;
+    if (entry.includes('@')) return entry === jid;
+    return jid.split('@')[0].split(':')[0] === entry.replace(/\D/g, '');
+};
+
+/**
+ * Check if an event passes a webhook's filters
+ * @param {Object|string|null} filters - Stored filter rules (JSON string or object)
+ * @param {Object|null} context - Message context of the event
+ * @param {string} [context.jid] - Chat JID
+ * @param {string} [context.sender] - Sender JID (the participant in groups)
+ * @param {boolean} [context.isGroup] - Whether the chat is a group
+ * @param {string} [context.type] - Stored message type
+ * @param {string} [context.text] - Message text or caption
+ * @returns {boolean}
+ */
+const matchesWebhookFilters = (filters, context) => {
+    const rules = typeof filters === 'string' ? JSON.parse(filters) : filters;
+    if (!rules || !context) return true;
+
+    const jids = [context.jid, context.sender].filter(Boolean);
+
+    if (rules.includeJids?.length > 0 && !rules.includeJids.some(entry => jids.some(jid => matchesJid(entry, jid)))) {
+        return false;
+    }
+
+    if (rules.excludeJids?.some(entry => jids.some(jid => matchesJid(entry, jid)))) {
+        return false;
+    }
+
+    if (rules.chatType === 'group' && !context.isGroup) return false;
+    if (rules.chatType === 'direct' && context.isGroup) return false;
+
+    if (rules.messageTypes?.length > 0 && !rules.messageTypes.includes(context.type)) {
+        return false;
+    }
+
+    if (rules.textPattern) {
+        // Patterns stored before they were checked never match rather than stall the event loop
+        if (findUnsafePattern(rules.textPattern)) return false;
+
+        const text = (context.text || '').slice(0, MAX_MATCHED_TEXT_LENGTH);
+        if (!new RegExp(rules.textPattern, rules.textPatternFlags || '').test(text)) return false;
+    }
+
+    return true;
+};
+
+module.exports = {
+    CHAT_TYPES,
+    validateWebhookFilters,
+    matchesWebhookFilters
+};
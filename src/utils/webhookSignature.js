@@ -0,0 +1,125 @@
+/**
+ * Webhook Signature
+ * Signs outgoing webhook payloads and verifies them on the receiving side
+ *
+ * Header format: `X-Webhook-Signature: t=<unix seconds>,v1=<hex hmac>[,v1=<hex hmac>]`
+ * The HMAC is SHA-256 over `<timestamp>.<raw request body>`. While a secret is being
+ * rotated the header carries one `v1` entry per valid secret.
+ *
+ * This file only depends on Node's crypto module, so consumers can copy it as is
+ * and use verifyWebhookSignature() in their webhook receiver.
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const SIGNATURE_VERSION = 'v1';
+const SECRET_PREFIX = 'whsec_';
+
+// Signatures older than this are rejected to prevent replays
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Generate a new webhook secret
+ * @returns {string}
+ */
+const generateWebhookSecret = () => {
+    return SECRET_PREFIX + crypto.randomBytes(32).toString('hex');
+};
+
+/**
+ * Compute the HMAC of a payload
+ * @param {string} body - Raw request body
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @returns {string} - Hex digest
+ */
+const computeSignature = (body, secret, timestamp) => {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+/**
+ * Build the signature header value for a payload
+ * @param {string} body - Raw request body
+ * @param {string[]} secrets - Secrets to sign with, current one first
+ * @param {number} [timestamp] - Unix timestamp in seconds
+ * @returns {string}
+ */
+const buildSignatureHeader = (body, secrets, timestamp = Math.floor(Date.now() / 1000)) => {
+    const signatures = secrets
+        .filter(Boolean)
+        .map(secret => `${SIGNATURE_VERSION}=${computeSignature(body, secret, timestamp)}`);
+
+    return [`t=${timestamp}`, ...signatures].join(',');
+};
+
+/**
+ * Parse a signature header value
+ * @param {string} header - Header value
+ * @returns {{timestamp: number, signatures: string[]}|null} - null if malformed
+ */
+const parseSignatureHeader = (header) => {
+    if (typeof header !== 'string') return null;
+
+    let timestamp = null;
+    const signatures = [];
+
+    for (const part of header.split(',')) {
+        const [key, value] = part.trim().split('=');
+        if (key === 't' && /^\d+$/.test(value || '')) {
+            timestamp = parseInt(value, 10);
+        } else if (key === SIGNATURE_VERSION && value) {
+            signatures.push(value);
+        }
+    }
+
+    if (timestamp === null || signatures.length === 0) return null;
+
+    return { timestamp, signatures };
+};
+
+/**
+ * Verify a signed webhook request
+ *
+ * @example
+ * app.post('/webhook', express.raw({ type: 'application/json' }), (req, res) => {
+ *     const valid = verifyWebhookSignature(req.body.toString(), req.get('X-Webhook-Signature'), process.env.WEBHOOK_SECRET);
+ *     if (!valid) return res.sendStatus(401);
+ *     ...
+ * });
+ *
+ * @param {string|Buffer} body - Raw request body, exactly as received
+ * @param {string} header - Value of the X-Webhook-Signature header
+ * @param {string} secret - Webhook secret
+ * @param {Object} [options]
+ * @param {number} [options.toleranceSeconds] - Maximum signature age, 0 disables the check
+ * @param {number} [options.now] - Current unix time in seconds
+ * @returns {boolean}
+ */
+const verifyWebhookSignature = (body, header, secret, options = {}) => {
+    const { toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Math.floor(Date.now() / 1000) } = options;
+
+    const parsed = parseSignatureHeader(header);
+    if (!parsed || !secret) return false;
+
+    if (toleranceSeconds > 0 && Math.abs(now - parsed.timestamp) > toleranceSeconds) {
+        return false;
+    }
+
+    const expected = Buffer.from(computeSignature(Buffer.isBuffer(body) ? body.toString('utf8') : String(body), secret, parsed.timestamp));
+
+    return parsed.signatures.some(signature => {
+        const candidate = Buffer.from(signature);
+        return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+    });
+};
+
+module.exports = {
+    SIGNATURE_HEADER,
+    DEFAULT_TOLERANCE_SECONDS,
+    generateWebhookSecret,
+    computeSignature,
+    buildSignatureHeader,
+    parseSignatureHeader,
+    verifyWebhookSignature
+};
@@ -0,0 +1,195 @@
+jest.mock('../src/services/apiKeyService', () => ({
+  hashKey: (key) => require('crypto').createHash('sha256').update(key).digest('hex'),
+  findActiveByKey: jest.fn(),
+  touchLastUsed: jest.fn(() => Promise.resolve()),
+}));
+
+const apiKeyService = require('../src/services/apiKeyService');
+const { authenticate, requireScope, allowSignedUrl } = require('../src/middleware/auth.middleware');
+
+const mockRequest = ({ headers = {}, params = {}, query = {}, apiKey } = {}) => ({
+  method: 'GET',
+  originalUrl: '/api/v1/test',
+  path: '/test',
+  params,
+  query,
+  apiKey,
+  get: (name) => headers[name.toLowerCase()],
+});
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('Auth Middleware Tests', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    process.env.API_AUTH_ENABLED = 'true';
+    process.env.ADMIN_API_KEY = 'bootstrap-admin-key';
+    apiKeyService.findActiveByKey.mockReset();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('authenticate', () => {
+    test('Reject request without API key', async () => {
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authenticate(mockRequest(), res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('Accept bootstrap admin key with full scope', async () => {
+      const req = mockRequest({ headers: { 'x-api-key': 'bootstrap-admin-key' } });
+      const next = jest.fn();
+
+      await authenticate(req, mockResponse(), next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.apiKey.scopes).toEqual(['*']);
+      expect(apiKeyService.findActiveByKey).not.toHaveBeenCalled();
+    });
+
+    test('Accept stored key sent as Bearer token', async () => {
+      apiKeyService.findActiveByKey.mockResolvedValue({ id: 'key1', scopes: ['messages:send'], instancePhones: [] });
+      const req = mockRequest({ headers: { authorization: 'Bearer wsp_abc' } });
+      const next = jest.fn();
+
+      await authenticate(req, mockResponse(), next);
+
+      expect(apiKeyService.findActiveByKey).toHaveBeenCalledWith('wsp_abc');
+      expect(next).toHaveBeenCalled();
+      expect(req.apiKey.id).toBe('key1');
+    });
+
+    test('Reject unknown or revoked key', async () => {
+      apiKeyService.findActiveByKey.mockResolvedValue(null);
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authenticate(mockRequest({ headers: { 'x-api-key': 'wsp_revoked' } }), res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('Skip authentication when disabled', async () => {
+      process.env.API_AUTH_ENABLED = 'false';
+      const next = jest.fn();
+
+      await authenticate(mockRequest(), mockResponse(), next);
+
+      expect(next).toHaveBeenCalled();
+    });
+  });
+
+  describe('requireScope', () => {
+    test('Allow key with matching scope', () => {
+      const req = mockRequest({ apiKey: { id: 'key1', scopes: ['messages:send'], instancePhones: [] } });
+      const next = jest.fn();
+
+      requireScope('messages:send')(req, mockResponse(), next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('Reject key without required scope', () => {
+      const req = mockRequest({ apiKey: { id: 'key1', scopes: ['webhooks:read'], instancePhones: [] } });
+      const res = mockResponse();
+      const next = jest.fn();
+
+      requireScope('messages:send')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('Restrict instance-bound key to its own phones', () => {
+      const apiKey = { id: 'key1', scopes: ['messages:send'], instancePhones: ['628111'] };
+      const allowedNext = jest.fn();
+      const deniedNext = jest.fn();
+      const deniedRes = mockResponse();
+
+      requireScope('messages:send')(mockRequest({ apiKey, params: { phone: '628111' } }), mockResponse(), allowedNext);
+      requireScope('messages:send')(mockRequest({ apiKey, params: { phone: '628222' } }), deniedRes, deniedNext);
+
+      expect(allowedNext).toHaveBeenCalled();
+      expect(deniedNext).not.toHaveBeenCalled();
+      expect(deniedRes.status).toHaveBeenCalledWith(403);
+    });
+
+    test('Match formatted phone parameters against instance restrictions', () => {
+      const apiKey = { id: 'key1', scopes: ['messages:send'], instancePhones: ['628111'] };
+      const next = jest.fn();
+
+      requireScope('messages:send')(mockRequest({ apiKey, params: { phone: '+62-8111' } }), mockResponse(), next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('Deny instance-bound key on global routes', () => {
+      const apiKey = { id: 'key1', scopes: ['*'], instancePhones: ['628111'] };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      requireScope('instances:read')(mockRequest({ apiKey }), res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('Allow instance-bound key on global routes marked as global', () => {
+      const apiKey = { id: 'key1', scopes: ['webhooks:read'], instancePhones: ['628111'] };
+      const next = jest.fn();
+
+      requireScope('webhooks:read', { global: true })(mockRequest({ apiKey }), mockResponse(), next);
+
+      expect(next).toHaveBeenCalled();
+    });
+  });
+
+  describe('allowSignedUrl', () => {
+    test('Accept a valid signature without an API key', () => {
+      const verify = jest.fn(() => ({ valid: true, reason: null }));
+      const next = jest.fn();
+
+      allowSignedUrl(verify, 'messages:read')(mockRequest({ query: { signature: 'abc', expires: '1' } }), mockResponse(), next);
+
+      expect(verify).toHaveBeenCalled();
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('Reject an invalid signature', () => {
+      const res = mockResponse();
+      const next = jest.fn();
+
+      allowSignedUrl(() => ({ valid: false, reason: 'Signed URL has expired' }), 'messages:read')(
+        mockRequest({ query: { signature: 'abc', expires: '1' } }), res, next
+      );
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('Fall back to the API key and scope without a signature', async () => {
+      const verify = jest.fn();
+      const req = mockRequest({ headers: { 'x-api-key': 'bootstrap-admin-key' } });
+      const next = jest.fn();
+
+      await allowSignedUrl(verify, 'messages:read')(req, mockResponse(), next);
+
+      expect(verify).not.toHaveBeenCalled();
+      expect(req.apiKey.id).toBe('admin');
+      expect(next).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,44 @@
+const {
+  DEFAULT_RETRY_POLICY,
+  resolveRetryPolicy,
+  validateRetryPolicy,
+  computeBackoffDelay,
+} = require('../src/utils/backoff');
+
+describe('Webhook Retry Policy Tests', () => {
+  const noJitter = resolveRetryPolicy({ jitter: 0, initialDelayMs: 1000, maxDelayMs: 10000 });
+
+  test('Resolve defaults for missing policy', () => {
+    expect(resolveRetryPolicy(null)).toEqual(DEFAULT_RETRY_POLICY);
+    expect(resolveRetryPolicy('{"maxAttempts":2}').maxAttempts).toBe(2);
+  });
+
+  test('Exponential backoff doubles and caps the delay', () => {
+    expect(computeBackoffDelay(noJitter, 1)).toBe(1000);
+    expect(computeBackoffDelay(noJitter, 2)).toBe(2000);
+    expect(computeBackoffDelay(noJitter, 3)).toBe(4000);
+    expect(computeBackoffDelay(noJitter, 10)).toBe(10000);
+  });
+
+  test('Fixed backoff keeps the initial delay', () => {
+    const policy = { ...noJitter, backoff: 'fixed' };
+    expect(computeBackoffDelay(policy, 1)).toBe(1000);
+    expect(computeBackoffDelay(policy, 5)).toBe(1000);
+  });
+
+  test('Jitter spreads the delay within bounds', () => {
+    const policy = { ...noJitter, jitter: 0.5 };
+    expect(computeBackoffDelay(policy, 1, () => 0)).toBe(500);
+    expect(computeBackoffDelay(policy, 1, () => 0.5)).toBe(1000);
+    expect(computeBackoffDelay(policy, 1, () => 0.999999)).toBe(1500);
+  });
+
+  test('Validate client policies', () => {
+    expect(validateRetryPolicy({ maxAttempts: 3, backoff: 'fixed', jitter: 0 })).toBeNull();
+    expect(validateRetryPolicy([])).not.toBeNull();
+    expect(validateRetryPolicy({ maxAttempts: 0 })).not.toBeNull();
+    expect(validateRetryPolicy({ backoff: 'linear' })).not.toBeNull();
+    expect(validateRetryPolicy({ jitter: 2 })).not.toBeNull();
+    expect(validateRetryPolicy({ retries: 3 })).not.toBeNull();
+  });
+});
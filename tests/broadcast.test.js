@@ -0,0 +1,42 @@
+const {
+  MAX_RECIPIENTS,
+  parseRecipients,
+  parsePacing,
+  getSendInterval,
+} = require('../src/utils/broadcast');
+
+describe('Broadcast Tests', () => {
+  test('Parse numbers and recipient objects', () => {
+    const { recipients, error } = parseRecipients(['628111222333', { to: 628444555666, variables: { name: 'Budi' } }]);
+
+    expect(error).toBeNull();
+    expect(recipients).toEqual([
+      { to: '628111222333', variables: undefined },
+      { to: '628444555666', variables: { name: 'Budi' } },
+    ]);
+  });
+
+  test('Reject empty, oversized and malformed recipient lists', () => {
+    expect(parseRecipients([]).error).toMatch(/^recipients must be an array/);
+    expect(parseRecipients(new Array(MAX_RECIPIENTS + 1).fill('628111222333')).error).toMatch(/^recipients must be an array/);
+    expect(parseRecipients(['628111222333', { name: 'Budi' }]).error).toBe('recipients[1]: to must be a phone number');
+    expect(parseRecipients([{ to: '628111222333', variables: 'Budi' }]).error).toBe('recipients[0]: variables must be an object');
+  });
+
+  test('Apply pacing defaults and limits', () => {
+    expect(parsePacing({})).toEqual({ pacing: { ratePerMinute: 10, minDelayMs: 0, maxDelayMs: 0 }, error: null });
+    expect(parsePacing({ ratePerMinute: 20, minDelayMs: 1000 }).pacing).toEqual({ ratePerMinute: 20, minDelayMs: 1000, maxDelayMs: 1000 });
+    expect(parsePacing({ ratePerMinute: 0 }).error).toMatch(/^ratePerMinute/);
+    expect(parsePacing({ ratePerMinute: 100 }).error).toMatch(/^ratePerMinute/);
+    expect(parsePacing({ minDelayMs: 5000, maxDelayMs: 1000 }).error).toBe('maxDelayMs must not be less than minDelayMs');
+    expect(parsePacing({ minDelayMs: -1 }).error).toMatch(/^minDelayMs and maxDelayMs/);
+  });
+
+  test('Space sends by the rate and add a random delay', () => {
+    const pacing = { ratePerMinute: 20, minDelayMs: 1000, maxDelayMs: 5000 };
+
+    expect(getSendInterval(pacing, () => 0)).toBe(4000);
+    expect(getSendInterval(pacing, () => 0.9999)).toBe(8000);
+    expect(getSendInterval({ ratePerMinute: 60, minDelayMs: 0, maxDelayMs: 0 }, () => 0.5)).toBe(1000);
+  });
+});
@@ -0,0 +1,71 @@
+const {
+  validateCheckNumbers,
+  isPersonalJid,
+  toContactData,
+  formatContactStatus,
+  formatBusinessProfile,
+} = require('../src/utils/contact');
+
+describe('Contact Tests', () => {
+  test('Validate numbers to check', () => {
+    expect(validateCheckNumbers(['+5511987654321', 628111222333])).toBeNull();
+    expect(validateCheckNumbers([])).toMatch(/^numbers must be an array of 1 to 50/);
+    expect(validateCheckNumbers(new Array(51).fill('628111222333'))).toMatch(/^numbers must be an array/);
+    expect(validateCheckNumbers('628111222333')).toMatch(/^numbers must be an array/);
+    expect(validateCheckNumbers([null])).toBe('numbers must be phone numbers');
+  });
+
+  test('Recognize personal JIDs', () => {
+    expect(isPersonalJid('5511987654321@s.whatsapp.net')).toBe(true);
+    expect(isPersonalJid('5511987654321:3@s.whatsapp.net')).toBe(true);
+    expect(isPersonalJid('123456789012345@lid')).toBe(true);
+    expect(isPersonalJid('120363042123456789@g.us')).toBe(false);
+    expect(isPersonalJid('status@broadcast')).toBe(false);
+    expect(isPersonalJid(undefined)).toBe(false);
+  });
+
+  test('Map Baileys contacts to stored fields', () => {
+    expect(toContactData({ id: '5511987654321@s.whatsapp.net', name: 'John', notify: 'Johnny' })).toEqual({
+      jid: '5511987654321@s.whatsapp.net',
+      phone: '5511987654321',
+      name: 'John',
+      notify: 'Johnny',
+    });
+    expect(toContactData({ id: '5511987654321:7@s.whatsapp.net', verifiedName: 'Acme' })).toEqual({
+      jid: '5511987654321@s.whatsapp.net',
+      phone: '5511987654321',
+      verifiedName: 'Acme',
+    });
+    expect(toContactData({ id: '123456789012345@lid', notify: 'Ana' })).toEqual({ jid: '123456789012345@lid', notify: 'Ana' });
+    expect(toContactData({ id: '120363042123456789@g.us', name: 'Group' })).toBeNull();
+  });
+
+  test('Format status results of old and new Baileys versions', () => {
+    const setAt = new Date('2024-01-02T03:04:05.000Z');
+    const expected = { text: 'Available', setAt: '2024-01-02T03:04:05.000Z' };
+
+    expect(formatContactStatus([{ id: '5511987654321@s.whatsapp.net', status: { status: 'Available', setAt } }])).toEqual(expected);
+    expect(formatContactStatus({ status: 'Available', setAt })).toEqual(expected);
+    expect(formatContactStatus({ status: 'Busy' })).toEqual({ text: 'Busy', setAt: null });
+    expect(formatContactStatus([])).toBeNull();
+    expect(formatContactStatus(undefined)).toBeNull();
+  });
+
+  test('Format business profiles', () => {
+    expect(formatBusinessProfile({
+      wid: '5511987654321@s.whatsapp.net',
+      description: 'Coffee roasters',
+      category: 'Food',
+      website: ['https://example.com'],
+      business_hours: { timezone: 'America/Sao_Paulo' },
+    })).toEqual({
+      description: 'Coffee roasters',
+      category: 'Food',
+      email: null,
+      website: ['https://example.com'],
+      address: null,
+      businessHours: { timezone: 'America/Sao_Paulo' },
+    });
+    expect(formatBusinessProfile(undefined)).toBeNull();
+  });
+});
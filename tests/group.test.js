@@ -0,0 +1,117 @@
+const {
+  isValidGroupId,
+  validateParticipants,
+  validateSubject,
+  validateGroupUpdate,
+  formatGroupMetadata,
+  formatParticipantResults,
+  applyParticipantsUpdate,
+  formatGroupChanges,
+} = require('../src/utils/group');
+
+describe('Group Management Tests', () => {
+  const metadata = {
+    id: '120363042123456789@g.us',
+    subject: 'Support Team',
+    desc: 'Internal support',
+    owner: '628123456789@s.whatsapp.net',
+    creation: 1700000000,
+    announce: true,
+    restrict: false,
+    participants: [
+      { id: '628123456789@s.whatsapp.net', admin: 'superadmin' },
+      { id: '628111222333:12@s.whatsapp.net', admin: null },
+    ],
+  };
+
+  test('Accept group IDs with or without @g.us', () => {
+    expect(isValidGroupId('120363042123456789@g.us')).toBe(true);
+    expect(isValidGroupId('120363042123456789')).toBe(true);
+    expect(isValidGroupId('628123456789-1600000000')).toBe(true);
+    expect(isValidGroupId('628123456789@s.whatsapp.net')).toBe(false);
+    expect(isValidGroupId(undefined)).toBe(false);
+  });
+
+  test('Validate participants and subjects', () => {
+    expect(validateParticipants(['628111222333', 628444555666])).toBeNull();
+    expect(validateParticipants([])).toMatch(/^participants must be an array of 1 to 50/);
+    expect(validateParticipants(new Array(51).fill('628111222333'))).toMatch(/^participants must be an array/);
+    expect(validateParticipants([{ phone: '628111222333' }])).toBe('participants must be phone numbers');
+
+    expect(validateSubject('Support Team')).toBeNull();
+    expect(validateSubject('   ')).toMatch(/^subject must be a non-empty string/);
+    expect(validateSubject('x'.repeat(101))).toMatch(/^subject must be/);
+  });
+
+  test('Validate group updates', () => {
+    expect(validateGroupUpdate({ subject: 'New name' })).toBeNull();
+    expect(validateGroupUpdate({ description: '' })).toBeNull();
+    expect(validateGroupUpdate({ announce: true, locked: false })).toBeNull();
+    expect(validateGroupUpdate({})).toMatch(/^Provide at least one of/);
+    expect(validateGroupUpdate(undefined)).toMatch(/^Provide at least one of/);
+    expect(validateGroupUpdate({ description: 42 })).toMatch(/^description must be a string/);
+    expect(validateGroupUpdate({ announce: 'yes' })).toBe('announce and locked must be booleans');
+  });
+
+  test('Format group metadata', () => {
+    expect(formatGroupMetadata(metadata)).toEqual({
+      id: '120363042123456789@g.us',
+      subject: 'Support Team',
+      description: 'Internal support',
+      owner: '628123456789@s.whatsapp.net',
+      createdAt: '2023-11-14T22:13:20.000Z',
+      size: 2,
+      announce: true,
+      locked: false,
+      participants: [
+        { jid: '628123456789@s.whatsapp.net', phone: '628123456789', admin: 'superadmin' },
+        { jid: '628111222333:12@s.whatsapp.net', phone: '628111222333', admin: null },
+      ],
+    });
+
+    const summary = formatGroupMetadata({ id: metadata.id, subject: 'Empty', size: 7 }, { includeParticipants: false });
+    expect(summary).not.toHaveProperty('participants');
+    expect(summary).toMatchObject({ description: null, createdAt: null, size: 7 });
+  });
+
+  test('Format participant update results', () => {
+    expect(formatParticipantResults([
+      { status: '200', jid: '628111222333@s.whatsapp.net' },
+      { status: '403', jid: '628444555666@s.whatsapp.net' },
+    ])).toEqual([
+      { jid: '628111222333@s.whatsapp.net', phone: '628111222333', success: true, status: 200, message: 'ok' },
+      {
+        jid: '628444555666@s.whatsapp.net',
+        phone: '628444555666',
+        success: false,
+        status: 403,
+        message: 'not allowed; the number may only be added through an invite link',
+      },
+    ]);
+    expect(formatParticipantResults(undefined)).toEqual([]);
+  });
+
+  test('Apply participant updates to cached metadata', () => {
+    const added = applyParticipantsUpdate(metadata, { participants: ['628444555666@s.whatsapp.net'], action: 'add' });
+    expect(added.size).toBe(3);
+    expect(added.participants[2]).toEqual({ id: '628444555666@s.whatsapp.net', admin: null });
+    expect(metadata.participants).toHaveLength(2);
+
+    const promoted = applyParticipantsUpdate(added, { participants: ['628444555666@s.whatsapp.net'], action: 'promote' });
+    expect(promoted.participants[2].admin).toBe('admin');
+    expect(applyParticipantsUpdate(promoted, { participants: ['628444555666@s.whatsapp.net'], action: 'demote' }).participants[2].admin).toBeNull();
+
+    const removed = applyParticipantsUpdate(metadata, { participants: ['628123456789@s.whatsapp.net'], action: 'remove' });
+    expect(removed.participants.map(participant => participant.id)).toEqual(['628111222333:12@s.whatsapp.net']);
+    expect(removed.size).toBe(1);
+
+    expect(applyParticipantsUpdate(metadata, { participants: ['628123456789@s.whatsapp.net'], action: 'modify' })).toBeNull();
+  });
+
+  test('Pick group changes by their API name', () => {
+    expect(formatGroupChanges({ id: metadata.id, author: '628123456789@s.whatsapp.net', subject: 'Renamed', restrict: true }))
+      .toEqual({ subject: 'Renamed', locked: true });
+    expect(formatGroupChanges({ id: metadata.id, desc: 'New rules', announce: false })).toEqual({ description: 'New rules', announce: false });
+    expect(formatGroupChanges({ id: metadata.id, author: '628123456789@s.whatsapp.net' })).toEqual({});
+  });
+});
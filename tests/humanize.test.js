@@ -0,0 +1,49 @@
+const {
+  DEFAULT_HUMANIZE_CONFIG,
+  resolveHumanizeConfig,
+  validateHumanizeConfig,
+  planHumanizedSend,
+} = require('../src/utils/humanize');
+
+describe('Humanized Sending Tests', () => {
+  const enabled = { ...DEFAULT_HUMANIZE_CONFIG, enabled: true };
+
+  test('Merge stored config with the defaults', () => {
+    expect(resolveHumanizeConfig(null)).toEqual(DEFAULT_HUMANIZE_CONFIG);
+    expect(resolveHumanizeConfig('{"enabled":true,"maxTypingMs":3000}')).toEqual({
+      ...DEFAULT_HUMANIZE_CONFIG,
+      enabled: true,
+      maxTypingMs: 3000,
+    });
+  });
+
+  test('Validate humanize config', () => {
+    expect(validateHumanizeConfig({ enabled: true, charsPerMinute: 200 })).toBeNull();
+    expect(validateHumanizeConfig(true)).toBe('humanize must be an object');
+    expect(validateHumanizeConfig({ speed: 2 })).toMatch(/^Unknown humanize option\(s\): speed/);
+    expect(validateHumanizeConfig({ enabled: 'yes' })).toBe('humanize.enabled must be a boolean');
+    expect(validateHumanizeConfig({ charsPerMinute: 5 })).toMatch(/^humanize.charsPerMinute must be/);
+    expect(validateHumanizeConfig({ maxDelayMs: 60001 })).toMatch(/^humanize.maxDelayMs must be an integer between 0 and 60000/);
+    expect(validateHumanizeConfig({ minTypingMs: 9000 })).toBe('humanize.minTypingMs must not be greater than humanize.maxTypingMs');
+  });
+
+  test('Check ranges against the stored config', () => {
+    const stored = { ...DEFAULT_HUMANIZE_CONFIG, minDelayMs: 5000, maxDelayMs: 10000 };
+    expect(validateHumanizeConfig({ maxDelayMs: 4000 }, stored)).toBe('humanize.minDelayMs must not be greater than humanize.maxDelayMs');
+    expect(validateHumanizeConfig({ minDelayMs: 0, maxDelayMs: 4000 }, stored)).toBeNull();
+  });
+
+  test('Skip humanizing unless enabled or requested', () => {
+    expect(planHumanizedSend({ config: null, text: 'Hi' })).toBeNull();
+    expect(planHumanizedSend({ config: enabled, text: 'Hi', override: false })).toBeNull();
+    expect(planHumanizedSend({ config: null, text: 'Hi', override: true, random: () => 0 })).toEqual({ typingMs: 1000, delayMs: 500 });
+  });
+
+  test('Base typing on message length within limits', () => {
+    const text = 'x'.repeat(25);
+    expect(planHumanizedSend({ config: enabled, text, random: () => 0.5 })).toEqual({ typingMs: 5000, delayMs: 1250 });
+    expect(planHumanizedSend({ config: enabled, text: 'x'.repeat(1000), random: () => 0 }).typingMs).toBe(8000);
+    expect(planHumanizedSend({ config: enabled, text: undefined, random: () => 0 }).typingMs).toBe(1000);
+    expect(planHumanizedSend({ config: { ...enabled, charsPerMinute: 60 }, text: 'abc', random: () => 0 }).typingMs).toBe(3000);
+  });
+});
@@ -0,0 +1,87 @@
+jest.mock('baileys', () => ({ downloadMediaMessage: jest.fn() }), { virtual: true });
+
+const { getMediaNode, getAnnouncedSize, getExtension } = require('../src/utils/media');
+const mediaService = require('../src/services/mediaService');
+
+describe('Media Message Tests', () => {
+  test('Find the attachment of a media message', () => {
+    const image = { mimetype: 'image/jpeg', caption: 'hi' };
+    expect(getMediaNode({ message: { imageMessage: image } })).toEqual({ type: 'imageMessage', node: image });
+  });
+
+  test('Unwrap ephemeral, view-once and captioned documents', () => {
+    const video = { mimetype: 'video/mp4' };
+    const document = { mimetype: 'application/pdf', fileName: 'invoice.pdf' };
+
+    expect(getMediaNode({ message: { ephemeralMessage: { message: { viewOnceMessageV2: { message: { videoMessage: video } } } } } }))
+      .toEqual({ type: 'videoMessage', node: video });
+    expect(getMediaNode({ message: { documentWithCaptionMessage: { message: { documentMessage: document } } } }))
+      .toEqual({ type: 'documentMessage', node: document });
+  });
+
+  test('Ignore text messages', () => {
+    expect(getMediaNode({ message: { conversation: 'hello' } })).toBeNull();
+    expect(getMediaNode({})).toBeNull();
+  });
+
+  test('Read the announced size from numbers and Longs', () => {
+    expect(getAnnouncedSize({ fileLength: 1024 })).toBe(1024);
+    expect(getAnnouncedSize({ fileLength: '2048' })).toBe(2048);
+    expect(getAnnouncedSize({ fileLength: { toNumber: () => 4096 } })).toBe(4096);
+    expect(getAnnouncedSize({})).toBeNull();
+  });
+
+  test('Pick the extension from the file name, then the mimetype', () => {
+    expect(getExtension('application/pdf', 'Report.PDF')).toBe('pdf');
+    expect(getExtension('audio/ogg; codecs=opus')).toBe('ogg');
+    expect(getExtension('image/heic')).toBe('heic');
+    expect(getExtension('application/vnd.openxmlformats-officedocument.wordprocessingml.document')).toBe('bin');
+    expect(getExtension(undefined, 'no-extension')).toBe('bin');
+  });
+
+  describe('mediaService', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...originalEnv };
+    });
+
+    test('Describe an attachment from what the message announces', () => {
+      const message = { key: { id: 'ABC' }, message: { documentMessage: { mimetype: 'application/pdf', fileName: 'a.pdf', fileLength: 2048 } } };
+
+      expect(mediaService.describeMedia(message)).toEqual({
+        mediaMimetype: 'application/pdf',
+        mediaSize: 2048,
+        mediaFileName: 'a.pdf',
+        mediaPath: null,
+        mediaStorage: null,
+      });
+      expect(mediaService.describeMedia({ message: { conversation: 'hi' } })).toBeNull();
+    });
+
+    test('Download only enabled attachments within the size limit', () => {
+      process.env.MEDIA_MAX_SIZE_MB = '1';
+
+      expect(mediaService.isDownloadable({ mediaMimetype: 'image/jpeg', mediaSize: 1024 })).toBe(true);
+      expect(mediaService.isDownloadable({ mediaMimetype: 'video/mp4', mediaSize: 2 * 1024 * 1024 })).toBe(false);
+      expect(mediaService.isDownloadable(null)).toBe(false);
+
+      process.env.MEDIA_DOWNLOAD_ENABLED = 'false';
+      expect(mediaService.isDownloadable({ mediaMimetype: 'image/jpeg', mediaSize: 1024 })).toBe(false);
+    });
+
+    test('Mark media still being downloaded as pending in webhook payloads', () => {
+      const stored = { id: 'msg1', mediaMimetype: 'image/jpeg', mediaSize: 1024, mediaFileName: null, mediaPath: null };
+
+      expect(mediaService.toWebhookMedia(stored, '628111', { pending: true })).toEqual({
+        mimetype: 'image/jpeg',
+        size: 1024,
+        fileName: null,
+        available: false,
+        pending: true,
+      });
+      expect(mediaService.toWebhookMedia({ ...stored, mediaPath: '628111/msg1.jpg' }, '628111', { pending: true }))
+        .toMatchObject({ available: true, pending: false, url: expect.stringContaining('/messages/msg1/media') });
+    });
+  });
+});
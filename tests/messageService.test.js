@@ -0,0 +1,61 @@
+jest.mock('../src/database/prisma', () => ({
+  message: {
+    groupBy: jest.fn(),
+    aggregateRaw: jest.fn(),
+    findMany: jest.fn(),
+    findFirst: jest.fn(),
+  },
+  $runCommandRaw: jest.fn(),
+}));
+
+const prisma = require('../src/database/prisma');
+const messageService = require('../src/services/messageService');
+
+describe('Message Service Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getChats', () => {
+    test('Fetch the last message of every chat in one query', async () => {
+      const activity = new Date('2026-01-02T10:00:00Z');
+      prisma.message.groupBy
+        .mockResolvedValueOnce([
+          { chatJid: '5511987654321@s.whatsapp.net', _max: { createdAt: activity } },
+          { chatJid: '120363000000000000@g.us', _max: { createdAt: activity } },
+        ])
+        .mockResolvedValueOnce([{ chatJid: '120363000000000000@g.us', _count: { _all: 2 } }]);
+      prisma.message.aggregateRaw.mockResolvedValue([
+        { _id: '120363000000000000@g.us', messageId: { $oid: 'm2' } },
+        { _id: '5511987654321@s.whatsapp.net', messageId: { $oid: 'm1' } },
+      ]);
+      prisma.message.findMany.mockResolvedValue([
+        { id: 'm2', chatJid: '120363000000000000@g.us' },
+        { id: 'm1', chatJid: '5511987654321@s.whatsapp.net' },
+      ]);
+
+      const chats = await messageService.getChats('instance1');
+
+      expect(prisma.message.findFirst).not.toHaveBeenCalled();
+      expect(prisma.message.aggregateRaw).toHaveBeenCalledTimes(1);
+      expect(prisma.message.findMany).toHaveBeenCalledWith({ where: { id: { in: ['m2', 'm1'] } } });
+      expect(chats.map(chat => [chat.jid, chat.isGroup, chat.unreadCount, chat.lastMessage.id])).toEqual([
+        ['5511987654321@s.whatsapp.net', false, 0, 'm1'],
+        ['120363000000000000@g.us', true, 2, 'm2'],
+      ]);
+    });
+  });
+
+  describe('backfillChatJids', () => {
+    test('Fill in missing chat JIDs from the sender or recipient', async () => {
+      prisma.$runCommandRaw.mockResolvedValue({ ok: 1, n: 3, nModified: 3 });
+
+      await expect(messageService.backfillChatJids()).resolves.toBe(3);
+
+      const [update] = prisma.$runCommandRaw.mock.calls[0][0].updates;
+      expect(prisma.$runCommandRaw.mock.calls[0][0].update).toBe('messages');
+      expect(update.q.chat_jid).toBeNull();
+      expect(update.multi).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+const { fromBaileysStatus, fromReceipt, buildStatusUpdate } = require('../src/utils/messageStatus');
+
+describe('Message Status Tests', () => {
+  const at = new Date('2026-01-02T03:04:05.000Z');
+  const sentAt = new Date('2026-01-02T03:00:00.000Z');
+
+  test('Map Baileys status codes', () => {
+    expect(fromBaileysStatus(0)).toBe('failed');
+    expect(fromBaileysStatus(2)).toBe('sent');
+    expect(fromBaileysStatus(3)).toBe('delivered');
+    expect(fromBaileysStatus(4)).toBe('read');
+    expect(fromBaileysStatus(5)).toBe('played');
+    expect(fromBaileysStatus(9)).toBeNull();
+  });
+
+  test('Map receipts to their most advanced status', () => {
+    expect(fromReceipt({ receiptTimestamp: 1767322800 })).toEqual({ status: 'delivered', at: new Date(1767322800000) });
+    expect(fromReceipt({ receiptTimestamp: 1767322800, readTimestamp: 1767322900 }).status).toBe('read');
+    expect(fromReceipt({ playedTimestamp: 1767323000 }).status).toBe('played');
+    expect(fromReceipt({})).toBeNull();
+  });
+
+  test('Advance status and record its timestamp', () => {
+    const message = { status: 'sent', sentAt };
+    expect(buildStatusUpdate(message, 'delivered', at)).toEqual({ status: 'delivered', deliveredAt: at });
+  });
+
+  test('Fill in skipped timestamps', () => {
+    const message = { status: 'sent', sentAt };
+    expect(buildStatusUpdate(message, 'read', at)).toEqual({ status: 'read', readAt: at, deliveredAt: at });
+  });
+
+  test('Never move backwards', () => {
+    const message = { status: 'read', sentAt, deliveredAt: at, readAt: at };
+    expect(buildStatusUpdate(message, 'delivered', at)).toBeNull();
+    expect(buildStatusUpdate(message, 'failed', at)).toBeNull();
+  });
+
+  test('Played is stored as read with playedAt', () => {
+    const message = { status: 'delivered', sentAt, deliveredAt: at };
+    expect(buildStatusUpdate(message, 'played', at)).toEqual({ status: 'read', playedAt: at, readAt: at });
+  });
+
+  test('Fail a pending message', () => {
+    expect(buildStatusUpdate({ status: 'pending' }, 'failed', at)).toEqual({ status: 'failed', failedAt: at });
+  });
+
+  test('Keep the status of revoked messages', () => {
+    const message = { status: 'revoked', sentAt };
+    expect(buildStatusUpdate(message, 'read', at)).toEqual({ readAt: at, deliveredAt: at });
+    expect(buildStatusUpdate(message, 'failed', at)).toBeNull();
+  });
+});
@@ -0,0 +1,104 @@
+jest.mock('../src/services/messageTemplateService', () => ({
+  findById: jest.fn(),
+  findByName: jest.fn(),
+  findInScope: jest.fn(),
+  create: jest.fn(),
+  update: jest.fn(),
+  delete: jest.fn(),
+}));
+jest.mock('../src/services/instanceService', () => ({
+  findByPhone: jest.fn(),
+}));
+jest.mock('../src/services/apiKeyService', () => ({}));
+
+const messageTemplateService = require('../src/services/messageTemplateService');
+const instanceService = require('../src/services/instanceService');
+const messageTemplateController = require('../src/controllers/messageTemplate.controller');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('Message Template Controller Tests', () => {
+  const restrictedKey = { id: 'key1', scopes: ['messages:send'], instancePhones: ['628111'] };
+  const unrestrictedKey = { id: 'key2', scopes: ['messages:send'], instancePhones: [] };
+  const globalTemplate = { id: '64b000000000000000000001', instanceId: null, name: 'otp', body: 'Your code is {{code}}' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    instanceService.findByPhone.mockResolvedValue({ id: 'instance-a', phone: '628111' });
+    messageTemplateService.findById.mockResolvedValue(globalTemplate);
+    messageTemplateService.findInScope.mockResolvedValue(null);
+  });
+
+  describe('global templates', () => {
+    test('Reject creating a global template with an instance-restricted key', async () => {
+      const res = mockResponse();
+
+      await messageTemplateController.createTemplate({
+        apiKey: restrictedKey,
+        params: { phone: '628111' },
+        body: { name: 'otp', body: 'Hacked {{code}}', global: true },
+      }, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(messageTemplateService.create).not.toHaveBeenCalled();
+    });
+
+    test('Reject changing or deleting a global template with an instance-restricted key', async () => {
+      const updateRes = mockResponse();
+      const deleteRes = mockResponse();
+      const params = { phone: '628111', id: globalTemplate.id };
+
+      await messageTemplateController.updateTemplate({ apiKey: restrictedKey, params, body: { body: 'Hacked' } }, updateRes);
+      await messageTemplateController.deleteTemplate({ apiKey: restrictedKey, params, body: {} }, deleteRes);
+
+      expect(updateRes.status).toHaveBeenCalledWith(403);
+      expect(deleteRes.status).toHaveBeenCalledWith(403);
+      expect(messageTemplateService.update).not.toHaveBeenCalled();
+      expect(messageTemplateService.delete).not.toHaveBeenCalled();
+    });
+
+    test('Let instance-restricted keys read global templates', async () => {
+      const res = mockResponse();
+
+      await messageTemplateController.getTemplate({
+        apiKey: restrictedKey,
+        params: { phone: '628111', id: globalTemplate.id },
+      }, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test('Let unrestricted keys change global templates', async () => {
+      messageTemplateService.update.mockResolvedValue({ ...globalTemplate, body: 'Code: {{code}}' });
+      const res = mockResponse();
+
+      await messageTemplateController.updateTemplate({
+        apiKey: unrestrictedKey,
+        params: { phone: '628111', id: globalTemplate.id },
+        body: { body: 'Code: {{code}}' },
+      }, res);
+
+      expect(messageTemplateService.update).toHaveBeenCalledWith(globalTemplate.id, { body: 'Code: {{code}}' });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test('Let instance-restricted keys create instance templates', async () => {
+      messageTemplateService.create.mockImplementation(async (data) => ({ id: 'new', ...data }));
+      const res = mockResponse();
+
+      await messageTemplateController.createTemplate({
+        apiKey: restrictedKey,
+        params: { phone: '628111' },
+        body: { name: 'receipt', body: 'Thanks {{name}}' },
+      }, res);
+
+      expect(messageTemplateService.create).toHaveBeenCalledWith(expect.objectContaining({ instanceId: 'instance-a' }));
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+  });
+});
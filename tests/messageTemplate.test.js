@@ -0,0 +1,63 @@
+const {
+  validateTemplate,
+  selectTemplateVariant,
+  renderMessageTemplate,
+  getRequiredVariables,
+} = require('../src/utils/messageTemplate');
+
+describe('Message Template Tests', () => {
+  const otp = {
+    name: 'otp',
+    language: 'en',
+    body: 'Your code is {{code}}, valid for {{minutes}} minutes',
+    variants: {
+      id: { body: 'Kode Anda {{code}}' },
+    },
+  };
+
+  test('Validate names, languages and content', () => {
+    expect(validateTemplate(otp)).toBeNull();
+    expect(validateTemplate({ ...otp, name: 'otp code' })).toMatch(/^name must be/);
+    expect(validateTemplate({ ...otp, language: 'english' })).toMatch(/^language must be/);
+    expect(validateTemplate({ name: 'empty' })).toBe('Template needs a body, media or both');
+    expect(validateTemplate({ ...otp, variants: { 'en-GB': {} } })).toBe('variants.en-GB needs a body, media or both');
+  });
+
+  test('Require media templates to use a url and a caption-capable type', () => {
+    expect(validateTemplate({ name: 'receipt', body: 'Receipt {{number}}', media: { type: 'document', url: 'https://example.com/r.pdf' } })).toBeNull();
+    expect(validateTemplate({ name: 'receipt', media: { type: 'document', data: 'aGVsbG8=' } })).toMatch(/^Template media: Provide exactly one/);
+    expect(validateTemplate({ name: 'jingle', body: 'Listen', media: { type: 'audio', url: 'https://example.com/a.mp3' } }))
+      .toBe('Template body cannot be sent with audio media, which has no caption');
+  });
+
+  test('Select the requested language variant', () => {
+    expect(selectTemplateVariant(otp).language).toBe('en');
+    expect(selectTemplateVariant(otp, 'en').body).toBe(otp.body);
+    expect(selectTemplateVariant(otp, 'id').body).toBe('Kode Anda {{code}}');
+    expect(selectTemplateVariant(otp, 'fr')).toBeNull();
+  });
+
+  test('Render text templates once every variable is present', () => {
+    expect(renderMessageTemplate(otp, { code: '123456', minutes: 5 }))
+      .toEqual({ message: 'Your code is 123456, valid for 5 minutes', media: null, language: 'en', error: null });
+    expect(renderMessageTemplate(otp, { code: '123456' }).error).toBe('Missing template variables: minutes');
+    expect(renderMessageTemplate(otp, { code: '123456' }, 'id').message).toBe('Kode Anda 123456');
+    expect(renderMessageTemplate(otp, { code: '1' }, 'fr').error).toBe('Template otp has no fr variant. Available: en, id');
+  });
+
+  test('Render media templates with the body as caption', () => {
+    const receipt = { name: 'receipt', body: 'Receipt {{number}}', media: { type: 'document', url: 'https://example.com/r.pdf', filename: 'receipt.pdf' } };
+
+    expect(renderMessageTemplate(receipt, { number: 42 }).media).toEqual({
+      type: 'document',
+      url: 'https://example.com/r.pdf',
+      mimetype: undefined,
+      filename: 'receipt.pdf',
+      caption: 'Receipt 42',
+    });
+  });
+
+  test('List required variables per language', () => {
+    expect(getRequiredVariables(otp)).toEqual({ default: ['code', 'minutes'], id: ['code'] });
+  });
+});
@@ -0,0 +1,73 @@
+const {
+  buildVCard,
+  validateMessagePayload,
+  buildMessageContent,
+  describeMessage,
+} = require('../src/utils/messageTypes');
+
+describe('Typed Message Tests', () => {
+  test('Reject unknown types and fields', () => {
+    expect(validateMessagePayload({ type: 'sticker', to: '628111' })).toMatch(/^type must be one of/);
+    expect(validateMessagePayload({ type: 'text', to: '628111', text: 'hi', latitude: 1 }))
+      .toBe('Unknown fields for text messages: latitude');
+  });
+
+  test('Require a recipient except for reactions', () => {
+    expect(validateMessagePayload({ type: 'text', text: 'hi' })).toMatch(/^to is required/);
+    expect(validateMessagePayload({ type: 'reaction', messageId: 'ABC123', emoji: '👍' })).toBeNull();
+  });
+
+  test('Validate text with mentions and a quoted message', () => {
+    expect(validateMessagePayload({ type: 'text', to: '120363042123456789@g.us', text: 'hi @628111', mentions: ['628111'], quotedMessageId: 'ABC' })).toBeNull();
+    expect(validateMessagePayload({ type: 'text', to: '628111', text: '  ' })).toMatch(/^text must be/);
+    expect(validateMessagePayload({ type: 'text', to: '628111', text: 'hi', mentions: '628111' })).toBe('mentions must be an array of phone numbers');
+    expect(validateMessagePayload({ type: 'reaction', messageId: 'ABC', emoji: '👍', quotedMessageId: 'DEF' })).toBe('reactions cannot quote a message');
+  });
+
+  test('Validate locations', () => {
+    expect(validateMessagePayload({ type: 'location', to: '628111', latitude: -6.2, longitude: 106.8, name: 'Monas' })).toBeNull();
+    expect(validateMessagePayload({ type: 'location', to: '628111', latitude: 95, longitude: 106.8 })).toMatch(/^latitude/);
+    expect(validateMessagePayload({ type: 'location', to: '628111', latitude: '-6.2', longitude: 106.8 })).toMatch(/^latitude/);
+  });
+
+  test('Validate polls', () => {
+    const poll = { type: 'poll', to: '628111', name: 'Lunch?', options: ['Yes', 'No'] };
+
+    expect(validateMessagePayload(poll)).toBeNull();
+    expect(validateMessagePayload({ ...poll, options: ['Yes'] })).toMatch(/^options must be an array of 2/);
+    expect(validateMessagePayload({ ...poll, options: ['Yes', 'Yes '] })).toBe('options must be unique');
+    expect(validateMessagePayload({ ...poll, selectableCount: 3 })).toMatch(/^selectableCount/);
+  });
+
+  test('Validate contacts', () => {
+    expect(validateMessagePayload({ type: 'contact', to: '628111', contacts: [{ name: 'Budi', phone: '628222' }] })).toBeNull();
+    expect(validateMessagePayload({ type: 'contact', to: '628111', contacts: [{ name: 'Budi' }] })).toBe('every contact needs a name and a phone');
+    expect(validateMessagePayload({ type: 'contact', to: '628111', contacts: [] })).toMatch(/^contacts must be/);
+  });
+
+  test('Build a vCard with the WhatsApp id', () => {
+    const vcard = buildVCard({ name: 'Budi; Jr', phone: '628222', organization: 'ACME' });
+
+    expect(vcard).toContain('FN:Budi\\; Jr');
+    expect(vcard).toContain('ORG:ACME;');
+    expect(vcard).toContain('TEL;type=CELL;type=VOICE;waid=628222:+628222');
+  });
+
+  test('Build Baileys content per type', () => {
+    expect(buildMessageContent({ type: 'text', text: 'hi' }, { text: 'hi\n\n> sig', mentions: ['628111@s.whatsapp.net'] }))
+      .toEqual({ text: 'hi\n\n> sig', mentions: ['628111@s.whatsapp.net'] });
+    expect(buildMessageContent({ type: 'location', latitude: 1, longitude: 2 }, {}))
+      .toEqual({ location: { degreesLatitude: 1, degreesLongitude: 2 } });
+    expect(buildMessageContent({ type: 'poll', name: 'Lunch?', options: ['Yes', 'No'] }, {}))
+      .toEqual({ poll: { name: 'Lunch?', values: ['Yes', 'No'], selectableCount: 1 } });
+
+    const key = { remoteJid: '628111@s.whatsapp.net', id: 'ABC', fromMe: false };
+    expect(buildMessageContent({ type: 'reaction', messageId: 'ABC', emoji: '👍' }, { targetKey: key }))
+      .toEqual({ react: { text: '👍', key } });
+  });
+
+  test('Describe messages for storage', () => {
+    expect(describeMessage({ type: 'location', latitude: 1, longitude: 2 })).toBe('1,2');
+    expect(describeMessage({ type: 'contact', contacts: [{ name: 'Budi' }, { name: 'Sari' }] })).toBe('Budi, Sari');
+  });
+});
@@ -0,0 +1,73 @@
+const {
+  resolveMediaType,
+  decodeBase64,
+  validateMediaFile,
+  resolveMediaInput,
+  buildMediaContent,
+} = require('../src/utils/outgoingMedia');
+
+describe('Outgoing Media Tests', () => {
+  const png = Buffer.from('fake-png-bytes');
+
+  test('Resolve media types and aliases', () => {
+    expect(resolveMediaType('Image')).toBe('image');
+    expect(resolveMediaType('voice')).toBe('ptt');
+    expect(resolveMediaType('gif')).toBe('gif');
+    expect(resolveMediaType('hologram')).toBeNull();
+    expect(resolveMediaType(undefined)).toBeNull();
+  });
+
+  test('Decode raw base64 and data URIs', () => {
+    expect(decodeBase64(png.toString('base64'))).toEqual({ buffer: png, mimetype: null, error: null });
+
+    const decoded = decodeBase64(`data:image/png;base64,${png.toString('base64')}`);
+    expect(decoded.mimetype).toBe('image/png');
+    expect(decoded.buffer.equals(png)).toBe(true);
+  });
+
+  test('Reject invalid base64', () => {
+    expect(decodeBase64('not base64!').error).toBe('media.data is not valid base64');
+    expect(decodeBase64('').error).toBe('media.data must be a non-empty base64 string');
+  });
+
+  test('Enforce size and mimetype per media type', () => {
+    expect(validateMediaFile('sticker', { mimetype: 'image/webp', size: 2 * 1024 * 1024 })).toMatch(/at most 1 MB/);
+    expect(validateMediaFile('ptt', { mimetype: 'audio/mpeg', size: 1000 })).toMatch(/Unsupported mimetype audio\/mpeg/);
+    expect(validateMediaFile('ptt', { mimetype: 'audio/ogg; codecs=opus', size: 1000 })).toBeNull();
+    expect(validateMediaFile('document', { mimetype: 'application/x-anything', size: 1000 })).toBeNull();
+    expect(validateMediaFile('image', { mimetype: null, size: 0 })).toBe('Media file is empty');
+  });
+
+  test('Resolve an uploaded file', () => {
+    const file = { buffer: png, mimetype: 'image/png', size: png.length, originalname: 'photo.png' };
+    const { media, error } = resolveMediaInput({ type: 'image', caption: 'hi' }, file);
+
+    expect(error).toBeNull();
+    expect(media).toMatchObject({ type: 'image', origin: 'upload', source: png, mimetype: 'image/png', filename: 'photo.png' });
+  });
+
+  test('Resolve base64 data and urls', () => {
+    expect(resolveMediaInput({ type: 'image', data: `data:image/png;base64,${png.toString('base64')}` }).media.origin).toBe('base64');
+
+    const { media } = resolveMediaInput({ type: 'video', url: 'https://example.com/clip.mp4' });
+    expect(media).toMatchObject({ origin: 'url', source: { url: 'https://example.com/clip.mp4' }, size: null });
+  });
+
+  test('Require exactly one file source', () => {
+    expect(resolveMediaInput({ type: 'image' }).error).toMatch(/exactly one/);
+    expect(resolveMediaInput({ type: 'image', url: 'https://example.com/a.png', data: 'AAAA' }).error).toMatch(/exactly one/);
+    expect(resolveMediaInput({ type: 'image', url: 'file:///etc/passwd' }).error).toBe('media.url must be an http(s) URL');
+  });
+
+  test('Build Baileys content for stickers, voice notes and gifs', () => {
+    expect(buildMediaContent({ type: 'sticker', source: png })).toEqual({ sticker: png });
+    expect(buildMediaContent({ type: 'ptt', source: png })).toEqual({ audio: png, mimetype: 'audio/ogg; codecs=opus', ptt: true });
+    expect(buildMediaContent({ type: 'gif', source: png, caption: 'loop' })).toEqual({ video: png, caption: 'loop', gifPlayback: true });
+    expect(buildMediaContent({ type: 'document', source: png, caption: 'doc' }, 'doc\n\n-- sig')).toMatchObject({
+      document: png,
+      fileName: 'document',
+      mimetype: 'application/octet-stream',
+      caption: 'doc\n\n-- sig',
+    });
+  });
+});
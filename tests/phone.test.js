@@ -0,0 +1,65 @@
+const { normalizePhoneNumber, normalizeCountryCode, PhoneNumberError } = require('../src/utils/phone');
+
+describe('Phone Normalization Tests', () => {
+  const originalDefault = process.env.DEFAULT_COUNTRY_CODE;
+
+  beforeEach(() => {
+    delete process.env.DEFAULT_COUNTRY_CODE;
+  });
+
+  afterAll(() => {
+    if (originalDefault !== undefined) process.env.DEFAULT_COUNTRY_CODE = originalDefault;
+  });
+
+  test('Keep full E.164 numbers with plus sign', () => {
+    expect(normalizePhoneNumber('+55 11 98765-4321')).toBe('5511987654321');
+    expect(normalizePhoneNumber('+1 (415) 555-2671', { defaultCountryCode: '62' })).toBe('14155552671');
+  });
+
+  test('Treat 00 prefix as international', () => {
+    expect(normalizePhoneNumber('005511987654321')).toBe('5511987654321');
+  });
+
+  test('Replace trunk zero with the country code', () => {
+    expect(normalizePhoneNumber('08123456789')).toBe('628123456789');
+    expect(normalizePhoneNumber('011987654321', { defaultCountryCode: '55' })).toBe('5511987654321');
+  });
+
+  test('Prepend country code to national numbers', () => {
+    expect(normalizePhoneNumber('11987654321', { defaultCountryCode: '55' })).toBe('5511987654321');
+    expect(normalizePhoneNumber('628123456789')).toBe('628123456789');
+  });
+
+  test('Treat national numbers whose area code equals the country code as national', () => {
+    expect(normalizePhoneNumber('55 98765-4321', { defaultCountryCode: '55' })).toBe('5555987654321');
+    expect(normalizePhoneNumber('55 3222-1234', { defaultCountryCode: '55' })).toBe('555532221234');
+    expect(normalizePhoneNumber('5511987654321', { defaultCountryCode: '55' })).toBe('5511987654321');
+    expect(normalizePhoneNumber('+55 98765-4321', { defaultCountryCode: '55' })).toBe('55987654321');
+  });
+
+  test('Request override wins over instance default', () => {
+    expect(normalizePhoneNumber('4155552671', { countryCode: '+1', defaultCountryCode: '55' })).toBe('14155552671');
+  });
+
+  test('Use DEFAULT_COUNTRY_CODE environment variable', () => {
+    process.env.DEFAULT_COUNTRY_CODE = '55';
+    expect(normalizePhoneNumber('11987654321')).toBe('5511987654321');
+  });
+
+  test('Reject invalid numbers', () => {
+    expect(() => normalizePhoneNumber('')).toThrow(PhoneNumberError);
+    expect(() => normalizePhoneNumber('abc123456789')).toThrow(PhoneNumberError);
+    expect(() => normalizePhoneNumber('+123')).toThrow(PhoneNumberError);
+    expect(() => normalizePhoneNumber('+1234567890123456')).toThrow(PhoneNumberError);
+    expect(() => normalizePhoneNumber('12+34567890')).toThrow(PhoneNumberError);
+    expect(() => normalizePhoneNumber(null)).toThrow(PhoneNumberError);
+  });
+
+  test('Validate country codes', () => {
+    expect(normalizeCountryCode('+55')).toBe('55');
+    expect(normalizeCountryCode(1)).toBe('1');
+    expect(normalizeCountryCode(undefined)).toBeNull();
+    expect(() => normalizeCountryCode('0')).toThrow(PhoneNumberError);
+    expect(() => normalizeCountryCode('1234')).toThrow(PhoneNumberError);
+  });
+});
@@ -0,0 +1,42 @@
+const {
+  getDefaultDisconnectedPolicy,
+  parseSendAt,
+  resolveDisconnectedPolicy,
+} = require('../src/utils/schedule');
+
+describe('Message Schedule Tests', () => {
+  const now = Date.parse('2026-01-01T00:00:00Z');
+
+  afterEach(() => {
+    delete process.env.SCHEDULED_MESSAGE_DISCONNECTED_POLICY;
+  });
+
+  test('Parse ISO dates and millisecond timestamps', () => {
+    expect(parseSendAt('2026-01-01T09:00:00+07:00', now).sendAt.toISOString()).toBe('2026-01-01T02:00:00.000Z');
+    expect(parseSendAt(now + 60000, now).sendAt.getTime()).toBe(now + 60000);
+    expect(parseSendAt(String(now + 60000), now).sendAt.getTime()).toBe(now + 60000);
+  });
+
+  test('Reject invalid, past and far future dates', () => {
+    expect(parseSendAt('tomorrow', now).error).toMatch(/^sendAt must be an ISO 8601 date/);
+    expect(parseSendAt(true, now).error).toMatch(/^sendAt must be an ISO 8601 date/);
+    expect(parseSendAt(now, now).error).toBe('sendAt must be in the future');
+    expect(parseSendAt('2025-12-31T23:59:00Z', now).error).toBe('sendAt must be in the future');
+    expect(parseSendAt('2027-06-01T00:00:00Z', now).error).toBe('sendAt must be within 365 days');
+  });
+
+  test('Resolve disconnected policies', () => {
+    expect(resolveDisconnectedPolicy('skip')).toEqual({ policy: 'skip', error: null });
+    expect(resolveDisconnectedPolicy(undefined)).toEqual({ policy: 'wait', error: null });
+    expect(resolveDisconnectedPolicy('retry').error).toBe('disconnectedPolicy must be one of: wait, skip, fail');
+  });
+
+  test('Take the default policy from the environment', () => {
+    process.env.SCHEDULED_MESSAGE_DISCONNECTED_POLICY = 'FAIL';
+    expect(getDefaultDisconnectedPolicy()).toBe('fail');
+    expect(resolveDisconnectedPolicy('').policy).toBe('fail');
+
+    process.env.SCHEDULED_MESSAGE_DISCONNECTED_POLICY = 'sometimes';
+    expect(getDefaultDisconnectedPolicy()).toBe('wait');
+  });
+});
@@ -0,0 +1,87 @@
+const { resolveSendQueueConfig, validateSendQueueConfig } = require('../src/utils/sendQueue');
+const { SendQueue, SendQueueFullError } = require('../src/core/send-queue.core');
+
+describe('Send Queue Tests', () => {
+  const ENV_KEYS = ['SEND_QUEUE_MESSAGES_PER_MINUTE', 'SEND_QUEUE_RECIPIENT_COOLDOWN_MS', 'SEND_QUEUE_MAX_DEPTH'];
+
+  afterEach(() => {
+    ENV_KEYS.forEach(key => delete process.env[key]);
+    jest.useRealTimers();
+  });
+
+  test('Resolve overrides over environment defaults', () => {
+    expect(resolveSendQueueConfig(null)).toEqual({ messagesPerMinute: 60, recipientCooldownMs: 1000, maxQueueDepth: 100 });
+
+    process.env.SEND_QUEUE_MESSAGES_PER_MINUTE = '30';
+    process.env.SEND_QUEUE_MAX_DEPTH = 'lots';
+    expect(resolveSendQueueConfig({ recipientCooldownMs: 0, maxQueueDepth: null })).toEqual({
+      messagesPerMinute: 30,
+      recipientCooldownMs: 0,
+      maxQueueDepth: 100,
+    });
+  });
+
+  test('Validate send queue overrides', () => {
+    expect(validateSendQueueConfig({ messagesPerMinute: 20, recipientCooldownMs: null })).toBeNull();
+    expect(validateSendQueueConfig([])).toBe('sendQueue must be an object');
+    expect(validateSendQueueConfig({ rate: 5 })).toMatch(/^Unknown sendQueue option 'rate'/);
+    expect(validateSendQueueConfig({ messagesPerMinute: 0 })).toMatch(/^sendQueue.messagesPerMinute must be an integer between 1 and 600/);
+    expect(validateSendQueueConfig({ maxQueueDepth: 2.5 })).toMatch(/^sendQueue.maxQueueDepth must be/);
+  });
+
+  const createQueue = (config) => new SendQueue('628123456789', () => ({
+    messagesPerMinute: 60,
+    recipientCooldownMs: 0,
+    maxQueueDepth: 10,
+    ...config,
+  }));
+
+  const sendAll = (queue, recipients, log) => recipients.map(recipient =>
+    queue.acquire(recipient).then(release => {
+      log.push([recipient, Date.now()]);
+      release();
+    })
+  );
+
+  test('Space sends by messages per minute', async () => {
+    jest.useFakeTimers({ now: 0 });
+    const queue = createQueue({ messagesPerMinute: 30 });
+    const log = [];
+
+    const sends = sendAll(queue, ['a', 'b', 'c'], log);
+    await jest.advanceTimersByTimeAsync(5000);
+    await Promise.all(sends);
+
+    expect(log).toEqual([['a', 0], ['b', 2000], ['c', 4000]]);
+    expect(queue.getStats()).toMatchObject({ depth: 0, sending: false, sentCount: 3, averageWaitMs: 2000, maxWaitMs: 4000 });
+  });
+
+  test('Let other chats go first while a recipient cools down', async () => {
+    jest.useFakeTimers({ now: 0 });
+    const queue = createQueue({ recipientCooldownMs: 5000 });
+    const log = [];
+
+    const sends = sendAll(queue, ['a', 'a', 'b'], log);
+    await jest.advanceTimersByTimeAsync(6000);
+    await Promise.all(sends);
+
+    expect(log).toEqual([['a', 0], ['b', 1000], ['a', 5000]]);
+  });
+
+  test('Reject sends beyond the max queue depth', async () => {
+    jest.useFakeTimers({ now: 0 });
+    const queue = createQueue({ messagesPerMinute: 6, maxQueueDepth: 2 });
+
+    const first = await queue.acquire('a');
+    const waiting = [queue.acquire('b'), queue.acquire('c')];
+    expect(queue.getStats()).toMatchObject({ depth: 2, sending: true, estimatedWaitSeconds: 20 });
+
+    await expect(queue.acquire('d')).rejects.toBeInstanceOf(SendQueueFullError);
+    await expect(queue.acquire('d')).rejects.toMatchObject({ depth: 2, retryAfter: 20 });
+
+    first();
+    await jest.advanceTimersByTimeAsync(10000);
+    (await waiting[0])();
+    expect(queue.getStats().depth).toBe(1);
+  });
+});
@@ -0,0 +1,49 @@
+const {
+  buildSignature,
+  appendSignature,
+  renderSignature,
+  resolveSignatureConfig,
+  validateSignatureConfig,
+} = require('../src/utils/signature');
+
+describe('Message Signature Tests', () => {
+  const instanceData = { name: 'Support', alias: 'support-br', phone: '5511987654321' };
+
+  test('Default config keeps the original footer', () => {
+    const signature = buildSignature({ config: null, type: 'text', instanceData });
+    expect(signature).toBe('> Sent via Whisper\n> @ibnusyawall/whisper-api.git');
+  });
+
+  test('Render template variables', () => {
+    const now = new Date('2026-01-02T03:04:05.000Z');
+    const rendered = renderSignature('{instanceName} ({instancePhone}) {date} {time} {unknown}', instanceData, now);
+    expect(rendered).toBe('Support (5511987654321) 2026-01-02 03:04 {unknown}');
+  });
+
+  test('Respect per-type toggles and request override', () => {
+    const config = { template: '-- {instanceName}', types: { group: false } };
+    expect(buildSignature({ config, type: 'text', instanceData })).toBe('-- Support');
+    expect(buildSignature({ config, type: 'group', instanceData })).toBeNull();
+    expect(buildSignature({ config, type: 'text', override: false, instanceData })).toBeNull();
+    expect(buildSignature({ config: { enabled: false }, type: 'media', instanceData })).toBeNull();
+  });
+
+  test('Parse stored JSON string config', () => {
+    const resolved = resolveSignatureConfig(JSON.stringify({ enabled: false }));
+    expect(resolved.enabled).toBe(false);
+    expect(resolved.types).toEqual({ text: true, group: true, media: true });
+  });
+
+  test('Append signature only when present', () => {
+    expect(appendSignature('Hello', '-- Bot')).toBe('Hello\n\n-- Bot');
+    expect(appendSignature('Hello', null)).toBe('Hello');
+  });
+
+  test('Validate client config', () => {
+    expect(validateSignatureConfig({ enabled: true, template: '{date}', types: { media: false } })).toBeNull();
+    expect(validateSignatureConfig('yes')).not.toBeNull();
+    expect(validateSignatureConfig({ enabled: 'yes' })).not.toBeNull();
+    expect(validateSignatureConfig({ template: '' })).not.toBeNull();
+    expect(validateSignatureConfig({ types: { sticker: true } })).not.toBeNull();
+  });
+});
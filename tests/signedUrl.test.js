@@ -0,0 +1,44 @@
+const { signPath, verifySignedPath } = require('../src/utils/signedUrl');
+
+describe('Signed URL Tests', () => {
+  const path = '/api/v1/instances/628111/messages/abc/media';
+  const secret = 'media-secret';
+  const now = 1760000000000;
+
+  test('Signed path carries expires and signature', () => {
+    const signed = signPath(path, secret, 60, now);
+
+    expect(signed.path).toMatch(/\?expires=1760000060&signature=[0-9a-f]{64}$/);
+    expect(signed.expiresAt).toEqual(new Date(1760000060000));
+  });
+
+  test('Verify a signed path before it expires', () => {
+    const signed = signPath(path, secret, 60, now);
+    const query = new URLSearchParams(signed.path.split('?')[1]);
+
+    expect(verifySignedPath(path, query.get('expires'), query.get('signature'), secret, now + 30000).valid).toBe(true);
+  });
+
+  test('Reject an expired URL', () => {
+    const signed = signPath(path, secret, 60, now);
+    const query = new URLSearchParams(signed.path.split('?')[1]);
+
+    const result = verifySignedPath(path, query.get('expires'), query.get('signature'), secret, now + 61000);
+    expect(result).toEqual({ valid: false, reason: 'Signed URL has expired' });
+  });
+
+  test('Reject a signature for another path, expiry or secret', () => {
+    const signed = signPath(path, secret, 60, now);
+    const query = new URLSearchParams(signed.path.split('?')[1]);
+    const signature = query.get('signature');
+
+    expect(verifySignedPath('/api/v1/instances/628111/messages/other/media', query.get('expires'), signature, secret, now).valid).toBe(false);
+    expect(verifySignedPath(path, Number(query.get('expires')) + 3600, signature, secret, now).valid).toBe(false);
+    expect(verifySignedPath(path, query.get('expires'), signature, 'other-secret', now).valid).toBe(false);
+  });
+
+  test('Reject malformed parameters', () => {
+    expect(verifySignedPath(path, 'soon', 'abc', secret, now).reason).toBe('Malformed signed URL');
+    expect(verifySignedPath(path, '1760000060', undefined, secret, now).reason).toBe('Malformed signed URL');
+  });
+});
@@ -0,0 +1,32 @@
+const {
+  getTemplateVariables,
+  findMissingVariables,
+  validateVariables,
+  renderTemplate,
+} = require('../src/utils/textTemplate');
+
+describe('Text Template Tests', () => {
+  test('List placeholders once, in order', () => {
+    expect(getTemplateVariables('Hi {{name}}, code {{ code }} for {{name}}')).toEqual(['name', 'code']);
+    expect(getTemplateVariables('No placeholders')).toEqual([]);
+    expect(getTemplateVariables(undefined)).toEqual([]);
+  });
+
+  test('Find variables without a value', () => {
+    expect(findMissingVariables('Hi {{name}}, code {{code}}', { name: 'Budi' })).toEqual(['code']);
+    expect(findMissingVariables('Hi {{name}}', { name: '' })).toEqual([]);
+    expect(findMissingVariables('Hi {{name}}', undefined)).toEqual(['name']);
+  });
+
+  test('Fill placeholders and keep unknown ones', () => {
+    expect(renderTemplate('Hi {{name}}, you owe {{ amount }}', { name: 'Budi', amount: 15000 })).toBe('Hi Budi, you owe 15000');
+    expect(renderTemplate('Hi {{name}} {{unknown}}', { name: 'Budi' })).toBe('Hi Budi {{unknown}}');
+  });
+
+  test('Accept only flat scalar variables', () => {
+    expect(validateVariables(undefined)).toBeNull();
+    expect(validateVariables({ name: 'Budi', count: 2, vip: true })).toBeNull();
+    expect(validateVariables(['Budi'])).toBe('variables must be an object');
+    expect(validateVariables({ name: { first: 'Budi' } })).toBe('variables must be strings, numbers or booleans: name');
+  });
+});
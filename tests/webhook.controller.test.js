@@ -0,0 +1,120 @@
+jest.mock('../src/services/webhookService', () => ({
+  findById: jest.fn(),
+  update: jest.fn(),
+  toggleEnabled: jest.fn(),
+  rotateSecret: jest.fn(),
+  delete: jest.fn(),
+}));
+jest.mock('../src/services/instanceService', () => ({
+  findByPhone: jest.fn(),
+}));
+jest.mock('../src/services/webhookHistoryService', () => ({
+  findByWebhook: jest.fn(async () => []),
+}));
+jest.mock('../src/services/webhookDeliveryService', () => ({}));
+jest.mock('../src/core/webhook-dispatcher.core', () => ({}));
+jest.mock('../src/core/webhook-transports.core', () => ({
+  validate: jest.fn(() => null),
+}));
+
+const webhookService = require('../src/services/webhookService');
+const instanceService = require('../src/services/instanceService');
+const webhookHistoryService = require('../src/services/webhookHistoryService');
+const webhookController = require('../src/controllers/webhook.controller');
+const webhookHistoryController = require('../src/controllers/webhookHistoryController');
+
+const WEBHOOK_A = '64b0000000000000000000aa';
+const WEBHOOK_B = '64b0000000000000000000bb';
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('Webhook Controller Tests', () => {
+  const instanceA = { id: 'instance-a', phone: '628111' };
+  const foreignWebhook = { id: WEBHOOK_B, instanceId: 'instance-b', url: 'https://b.example.com/hook' };
+  const ownWebhook = { id: WEBHOOK_A, instanceId: 'instance-a', url: 'https://a.example.com/hook' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    instanceService.findByPhone.mockResolvedValue(instanceA);
+    webhookService.findById.mockImplementation(async (id) => (
+      [foreignWebhook, ownWebhook].find(webhook => webhook.id === id) || null
+    ));
+  });
+
+  describe('instance isolation', () => {
+    const handlers = [
+      ['getInstanceWebhook', {}],
+      ['updateInstanceWebhook', { url: 'https://attacker.example.com/hook' }],
+      ['toggleInstanceWebhook', { isEnabled: false }],
+      ['rotateInstanceWebhookSecret', {}],
+      ['deleteInstanceWebhook', {}],
+    ];
+
+    test.each(handlers)('%s returns 404 for a webhook of another instance', async (handler, body) => {
+      const res = mockResponse();
+
+      await webhookController[handler]({ params: { phone: '628111', id: WEBHOOK_B }, body }, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(webhookService.update).not.toHaveBeenCalled();
+      expect(webhookService.toggleEnabled).not.toHaveBeenCalled();
+      expect(webhookService.rotateSecret).not.toHaveBeenCalled();
+      expect(webhookService.delete).not.toHaveBeenCalled();
+    });
+
+    test('Update a webhook of the instance itself', async () => {
+      webhookService.update.mockResolvedValue({ ...ownWebhook, url: 'https://a.example.com/new' });
+      const res = mockResponse();
+
+      await webhookController.updateInstanceWebhook({
+        params: { phone: '628111', id: WEBHOOK_A },
+        body: { url: 'https://a.example.com/new' },
+      }, res);
+
+      expect(webhookService.update).toHaveBeenCalledWith(WEBHOOK_A, { url: 'https://a.example.com/new' });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test('getWebhookHistory returns 404 for a webhook of another instance', async () => {
+      const res = mockResponse();
+
+      await webhookHistoryController.getWebhookHistory({ params: { phone: '628111', webhookId: WEBHOOK_B }, query: {} }, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(webhookHistoryService.findByWebhook).not.toHaveBeenCalled();
+    });
+
+    test('getWebhookHistory lists the history of a webhook of the instance itself', async () => {
+      const res = mockResponse();
+
+      await webhookHistoryController.getWebhookHistory({ params: { phone: '628111', webhookId: WEBHOOK_A }, query: {} }, res);
+
+      expect(webhookHistoryService.findByWebhook).toHaveBeenCalledWith(WEBHOOK_A, { take: 50, skip: 0 });
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    });
+
+    test('Return 404 for a malformed webhook ID', async () => {
+      const res = mockResponse();
+
+      await webhookController.getInstanceWebhook({ params: { phone: '628111', id: 'not-an-id' }, body: {} }, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(webhookService.findById).not.toHaveBeenCalled();
+    });
+
+    test('Return 404 when the instance does not exist', async () => {
+      instanceService.findByPhone.mockResolvedValue(null);
+      const res = mockResponse();
+
+      await webhookController.deleteInstanceWebhook({ params: { phone: '628999', id: WEBHOOK_A }, body: {} }, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(webhookService.delete).not.toHaveBeenCalled();
+    });
+  });
+});
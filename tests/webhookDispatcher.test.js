@@ -0,0 +1,43 @@
+jest.mock('../src/services/webhookDeliveryService', () => ({
+  releaseStale: jest.fn(async () => 0),
+  findDue: jest.fn(async () => []),
+  claim: jest.fn(),
+}));
+jest.mock('../src/services/webhookHistoryService', () => ({}));
+jest.mock('../src/core/webhook-transports.core', () => ({
+  close: jest.fn(async () => {}),
+}));
+
+const webhookDeliveryService = require('../src/services/webhookDeliveryService');
+const webhookDispatcher = require('../src/core/webhook-dispatcher.core');
+
+describe('Webhook Dispatcher Tests', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.clearAllMocks();
+  });
+
+  afterEach(async () => {
+    await webhookDispatcher.stop();
+    jest.useRealTimers();
+  });
+
+  test('Release only locks older than the longest delivery attempt on start', async () => {
+    await webhookDispatcher.start();
+
+    expect(webhookDeliveryService.releaseStale).toHaveBeenCalledTimes(1);
+    expect(webhookDeliveryService.releaseStale.mock.calls[0][0]).toBeGreaterThanOrEqual(60 * 1000);
+  });
+
+  test('Sweep abandoned deliveries periodically while polling', async () => {
+    await webhookDispatcher.start();
+    webhookDeliveryService.releaseStale.mockClear();
+
+    await jest.advanceTimersByTimeAsync(30 * 1000);
+    expect(webhookDeliveryService.releaseStale).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(31 * 1000);
+    expect(webhookDeliveryService.releaseStale).toHaveBeenCalledTimes(1);
+    expect(webhookDeliveryService.findDue).toHaveBeenCalled();
+  });
+});
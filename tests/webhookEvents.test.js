@@ -0,0 +1,41 @@
+const {
+  matchesEvent,
+  isValidEventPattern,
+  normalizeEvents,
+  getWebhookEvents,
+} = require('../src/config/events.config');
+
+describe('Webhook Event Catalog Tests', () => {
+  test('Match exact names and wildcards', () => {
+    expect(matchesEvent('message.received', 'message.received')).toBe(true);
+    expect(matchesEvent('message.*', 'message.sent')).toBe(true);
+    expect(matchesEvent('*', 'connection.update')).toBe(true);
+    expect(matchesEvent('message.*', 'connection.update')).toBe(false);
+    expect(matchesEvent('message.sent', 'message.received')).toBe(false);
+  });
+
+  test('Validate patterns against the catalog', () => {
+    expect(isValidEventPattern('message.received')).toBe(true);
+    expect(isValidEventPattern('message.*')).toBe(true);
+    expect(isValidEventPattern('*')).toBe(true);
+    expect(isValidEventPattern('message.recieved')).toBe(false);
+    expect(isValidEventPattern('unknown.*')).toBe(false);
+    expect(isValidEventPattern('message*')).toBe(false);
+  });
+
+  test('Normalize a single event or a list', () => {
+    expect(normalizeEvents('message.received')).toEqual({ events: ['message.received'], error: null });
+    expect(normalizeEvents(['message.*', ' message.*', 'connection.update']).events).toEqual(['message.*', 'connection.update']);
+  });
+
+  test('Reject unknown and empty events', () => {
+    expect(normalizeEvents(['message.received', 'mesage.sent']).error).toMatch(/mesage\.sent/);
+    expect(normalizeEvents([]).error).not.toBeNull();
+    expect(normalizeEvents('').error).not.toBeNull();
+  });
+
+  test('Fall back to the legacy single event', () => {
+    expect(getWebhookEvents({ event: 'message.sent', events: [] })).toEqual(['message.sent']);
+    expect(getWebhookEvents({ event: null, events: ['*'] })).toEqual(['*']);
+  });
+});
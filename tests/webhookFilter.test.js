@@ -0,0 +1,74 @@
+const { validateWebhookFilters, matchesWebhookFilters } = require('../src/utils/webhookFilter');
+
+describe('Webhook Filter Tests', () => {
+  const direct = {
+    jid: '5511987654321@s.whatsapp.net',
+    sender: '5511987654321@s.whatsapp.net',
+    isGroup: false,
+    type: 'conversation',
+    text: 'I want to buy the blue one',
+  };
+  const group = {
+    jid: '120363000000000000@g.us',
+    sender: '5511900000000@s.whatsapp.net',
+    isGroup: true,
+    type: 'imageMessage',
+    text: null,
+  };
+
+  test('No filters or no message context always match', () => {
+    expect(matchesWebhookFilters(null, direct)).toBe(true);
+    expect(matchesWebhookFilters({ chatType: 'group' }, null)).toBe(true);
+  });
+
+  test('Filter by chat type', () => {
+    expect(matchesWebhookFilters({ chatType: 'direct' }, direct)).toBe(true);
+    expect(matchesWebhookFilters({ chatType: 'direct' }, group)).toBe(false);
+    expect(matchesWebhookFilters({ chatType: 'group' }, group)).toBe(true);
+  });
+
+  test('Include and exclude JIDs or phone numbers', () => {
+    expect(matchesWebhookFilters({ includeJids: ['5511987654321'] }, direct)).toBe(true);
+    expect(matchesWebhookFilters({ includeJids: ['5511987654321'] }, group)).toBe(false);
+    expect(matchesWebhookFilters({ excludeJids: ['120363000000000000@g.us'] }, group)).toBe(false);
+    expect(matchesWebhookFilters({ excludeJids: ['+55 11 90000-0000'] }, group)).toBe(false);
+  });
+
+  test('Filter by message type and text', () => {
+    expect(matchesWebhookFilters({ messageTypes: ['conversation'] }, direct)).toBe(true);
+    expect(matchesWebhookFilters({ messageTypes: ['conversation'] }, group)).toBe(false);
+    expect(matchesWebhookFilters({ textPattern: 'BUY', textPatternFlags: 'i' }, direct)).toBe(true);
+    expect(matchesWebhookFilters({ textPattern: 'refund' }, direct)).toBe(false);
+    expect(matchesWebhookFilters({ textPattern: '.*' }, group)).toBe(true);
+  });
+
+  test('Stored JSON strings are parsed', () => {
+    expect(matchesWebhookFilters(JSON.stringify({ chatType: 'group' }), direct)).toBe(false);
+  });
+
+  test('Validate filters', () => {
+    expect(validateWebhookFilters({ chatType: 'direct', includeJids: ['5511987654321'], textPattern: '^hi' })).toBeNull();
+    expect(validateWebhookFilters([])).toMatch(/object/);
+    expect(validateWebhookFilters({ chatType: 'channel' })).toMatch(/chatType/);
+    expect(validateWebhookFilters({ includeJids: 'x' })).toMatch(/includeJids/);
+    expect(validateWebhookFilters({ textPattern: '(' })).toMatch(/regular expression/);
+    expect(validateWebhookFilters({ textPattern: 'a', textPatternFlags: 'g' })).toMatch(/flags/);
+    expect(validateWebhookFilters({ sender: 'x' })).toMatch(/Unknown/);
+  });
+
+  test('Reject text patterns that backtrack exponentially', () => {
+    expect(validateWebhookFilters({ textPattern: '^(a+)+$' })).toMatch(/nested repetition/);
+    expect(validateWebhookFilters({ textPattern: '(\\w+\\s?)*$' })).toMatch(/nested repetition/);
+    expect(validateWebhookFilters({ textPattern: '(a|aa)*b' })).toMatch(/repeated alternatives/);
+    expect(validateWebhookFilters({ textPattern: '(a)\\1' })).toMatch(/backreferences/);
+    expect(validateWebhookFilters({ textPattern: '(order|invoice) #?\\d+' })).toBeNull();
+    expect(validateWebhookFilters({ textPattern: '(?:\\d{3})+' })).toBeNull();
+    expect(validateWebhookFilters({ textPattern: '[(a+)+]*' })).toBeNull();
+  });
+
+  test('Stored unsafe text patterns never match', () => {
+    const started = Date.now();
+    expect(matchesWebhookFilters({ textPattern: '^(a+)+$' }, { ...direct, text: `${'a'.repeat(40)}!` })).toBe(false);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+});
@@ -0,0 +1,149 @@
+jest.mock('../src/services/webhookHistoryService', () => ({
+  findById: jest.fn(),
+  getRecentFailures: jest.fn(),
+  findLinksByIds: jest.fn(),
+  findLinksByDeliveryIds: jest.fn(),
+}));
+jest.mock('../src/services/webhookDeliveryService', () => ({
+  enqueue: jest.fn(),
+  findByIds: jest.fn(),
+  findBySourceHistoryIds: jest.fn(),
+}));
+jest.mock('../src/services/webhookService', () => ({}));
+jest.mock('../src/services/instanceService', () => ({
+  findByPhone: jest.fn(),
+}));
+jest.mock('../src/core/webhook-dispatcher.core', () => ({
+  notify: jest.fn(),
+}));
+
+const webhookHistoryService = require('../src/services/webhookHistoryService');
+const webhookDeliveryService = require('../src/services/webhookDeliveryService');
+const webhookHistoryController = require('../src/controllers/webhookHistoryController');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('Webhook History Controller Tests', () => {
+  const webhook = { id: 'webhook1', isEnabled: true };
+  let history;
+  let deliveries;
+
+  const record = (id, deliveryId, status, redeliveryOf = null) => ({
+    id, deliveryId, status, redeliveryOf, instanceId: 'instance1', webhookId: 'webhook1', event: 'message.received', payload: {}, webhook,
+  });
+
+  const links = (h) => ({ id: h.id, deliveryId: h.deliveryId, redeliveryOf: h.redeliveryOf });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    history = [];
+    deliveries = [];
+
+    webhookHistoryService.findById.mockImplementation(async (id) => history.find(h => h.id === id) || null);
+    webhookHistoryService.getRecentFailures.mockImplementation(async () => (
+      history.filter(h => !['success', 'skipped'].includes(h.status)).reverse()
+    ));
+    webhookHistoryService.findLinksByIds.mockImplementation(async (ids) => history.filter(h => ids.includes(h.id)).map(links));
+    webhookHistoryService.findLinksByDeliveryIds.mockImplementation(async (ids) => (
+      history.filter(h => ids.includes(h.deliveryId)).map(links)
+    ));
+    webhookDeliveryService.findByIds.mockImplementation(async (ids) => deliveries.filter(d => ids.includes(d.id)));
+    webhookDeliveryService.findBySourceHistoryIds.mockImplementation(async (ids, statuses) => (
+      deliveries.filter(d => ids.includes(d.sourceHistoryId) && statuses.includes(d.status))
+    ));
+    webhookDeliveryService.enqueue.mockImplementation(async (data) => {
+      const delivery = { id: `delivery${deliveries.length + 1}`, status: 'pending', ...data };
+      deliveries.push(delivery);
+      return delivery;
+    });
+  });
+
+  describe('bulkRedeliver', () => {
+    const bulkRedeliver = async () => {
+      const res = mockResponse();
+      await webhookHistoryController.bulkRedeliver({ body: {} }, res);
+      return res.json.mock.calls[0][0].data;
+    };
+
+    test('Queue one redelivery per dead delivery', async () => {
+      deliveries.push({ id: 'delivery1', status: 'dead' });
+      history.push(record('h1', 'delivery1', 'failed'), record('h2', 'delivery1', 'timeout'));
+
+      const data = await bulkRedeliver();
+
+      expect(data.queued).toEqual([{ historyId: 'h2', deliveryId: 'delivery2' }]);
+    });
+
+    test('Skip failures whose redelivery succeeded when run twice', async () => {
+      deliveries.push({ id: 'delivery1', status: 'dead' });
+      history.push(record('h1', 'delivery1', 'failed'), record('h2', 'delivery1', 'failed'));
+
+      await bulkRedeliver();
+      deliveries[1].status = 'success';
+      history.push(record('h3', 'delivery2', 'success', 'h2'));
+
+      const data = await bulkRedeliver();
+
+      expect(data.queued).toEqual([]);
+      expect(data.skipped).toEqual([{ historyId: 'h2', reason: 'Already redelivered (success)' }]);
+      expect(webhookDeliveryService.enqueue).toHaveBeenCalledTimes(1);
+    });
+
+    test('Skip failures whose redelivery is still pending', async () => {
+      deliveries.push({ id: 'delivery1', status: 'dead' });
+      history.push(record('h1', 'delivery1', 'failed'));
+
+      await bulkRedeliver();
+      const data = await bulkRedeliver();
+
+      expect(data.queued).toEqual([]);
+      expect(data.skipped[0].reason).toBe('Already redelivered (pending)');
+    });
+
+    test('Group failed redeliveries with the event they redeliver', async () => {
+      deliveries.push(
+        { id: 'delivery1', status: 'dead' },
+        { id: 'delivery2', status: 'dead', sourceHistoryId: 'h1' },
+        { id: 'delivery3', status: 'success', sourceHistoryId: 'h1' },
+      );
+      history.push(
+        record('h1', 'delivery1', 'failed'),
+        record('h2', 'delivery2', 'failed', 'h1'),
+        record('h3', 'delivery3', 'success', 'h1'),
+      );
+
+      const data = await bulkRedeliver();
+
+      expect(data.queued).toEqual([]);
+      expect(data.skipped).toHaveLength(1);
+      expect(webhookDeliveryService.enqueue).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('redeliver', () => {
+    test('Reject records skipped by the webhook filters', async () => {
+      history.push(record('h1', null, 'skipped'));
+      const res = mockResponse();
+
+      await webhookHistoryController.redeliver({ params: { historyId: 'h1' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(webhookDeliveryService.enqueue).not.toHaveBeenCalled();
+    });
+
+    test('Queue a redelivery of a failed record', async () => {
+      history.push(record('h1', 'delivery1', 'failed'));
+      const res = mockResponse();
+
+      await webhookHistoryController.redeliver({ params: { historyId: 'h1' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(202);
+      expect(webhookDeliveryService.enqueue).toHaveBeenCalledWith(expect.objectContaining({ sourceHistoryId: 'h1' }));
+    });
+  });
+});
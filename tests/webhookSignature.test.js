@@ -0,0 +1,50 @@
+const {
+  generateWebhookSecret,
+  buildSignatureHeader,
+  parseSignatureHeader,
+  verifyWebhookSignature,
+} = require('../src/utils/webhookSignature');
+
+describe('Webhook Signature Tests', () => {
+  const body = JSON.stringify({ event: 'message.received', data: { text: 'hi' } });
+  const timestamp = 1760000000;
+
+  test('Generated secrets are prefixed and unique', () => {
+    const secret = generateWebhookSecret();
+    expect(secret).toMatch(/^whsec_[0-9a-f]{64}$/);
+    expect(generateWebhookSecret()).not.toBe(secret);
+  });
+
+  test('Header carries the timestamp and one signature per secret', () => {
+    const header = buildSignatureHeader(body, ['whsec_new', 'whsec_old'], timestamp);
+    const parsed = parseSignatureHeader(header);
+
+    expect(parsed.timestamp).toBe(timestamp);
+    expect(parsed.signatures).toHaveLength(2);
+  });
+
+  test('Verify with the current secret', () => {
+    const header = buildSignatureHeader(body, ['whsec_new'], timestamp);
+    expect(verifyWebhookSignature(body, header, 'whsec_new', { now: timestamp })).toBe(true);
+    expect(verifyWebhookSignature(Buffer.from(body), header, 'whsec_new', { now: timestamp })).toBe(true);
+  });
+
+  test('Old secret stays valid while both are signed', () => {
+    const header = buildSignatureHeader(body, ['whsec_new', 'whsec_old'], timestamp);
+    expect(verifyWebhookSignature(body, header, 'whsec_old', { now: timestamp })).toBe(true);
+  });
+
+  test('Reject wrong secret, tampered body and malformed header', () => {
+    const header = buildSignatureHeader(body, ['whsec_new'], timestamp);
+    expect(verifyWebhookSignature(body, header, 'whsec_other', { now: timestamp })).toBe(false);
+    expect(verifyWebhookSignature(body + ' ', header, 'whsec_new', { now: timestamp })).toBe(false);
+    expect(verifyWebhookSignature(body, 'v1=abc', 'whsec_new', { now: timestamp })).toBe(false);
+    expect(verifyWebhookSignature(body, undefined, 'whsec_new', { now: timestamp })).toBe(false);
+  });
+
+  test('Reject signatures outside the tolerance window', () => {
+    const header = buildSignatureHeader(body, ['whsec_new'], timestamp);
+    expect(verifyWebhookSignature(body, header, 'whsec_new', { now: timestamp + 301 })).toBe(false);
+    expect(verifyWebhookSignature(body, header, 'whsec_new', { now: timestamp + 301, toleranceSeconds: 0 })).toBe(true);
+  });
+});
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../src/services/apiKeyService', () => ({
+  hashKey: (key) => require('crypto').createHash('sha256').update(key).digest('hex'),
+  findActiveByKey: jest.fn(),
+  touchLastUsed: jest.fn(),
+}));
+
+jest.mock('amqplib', () => ({
+  connect: jest.fn(),
+}), { virtual: true });
+
+const amqplib = require('amqplib');
+const webhookTransports = require('../src/core/webhook-transports.core');
+
+describe('Webhook Transport Tests', () => {
+  let spoolDir;
+
+  beforeAll(() => {
+    spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-spool-'));
+    process.env.WEBHOOK_SPOOL_DIR = spoolDir;
+  });
+
+  afterAll(() => {
+    delete process.env.WEBHOOK_SPOOL_DIR;
+    fs.rmSync(spoolDir, { recursive: true, force: true });
+  });
+
+  test('Built-in transports are registered', () => {
+    const names = webhookTransports.list().map(transport => transport.name);
+    expect(names).toEqual(expect.arrayContaining(['http', 'websocket', 'file', 'amqp', 'redis']));
+  });
+
+  test('Validate transport settings', () => {
+    expect(webhookTransports.validate({ type: 'http', url: 'https://example.com/hook' })).toBeNull();
+    expect(webhookTransports.validate({ type: 'http', url: 'ftp://example.com' })).toMatch(/http/);
+    expect(webhookTransports.validate({ type: 'file', url: '../etc/passwd' })).toMatch(/file name/);
+    expect(webhookTransports.validate({ type: 'websocket', url: 'crm-events' })).toBeNull();
+    expect(webhookTransports.validate({ type: 'amqp', url: 'amqp://localhost', transportOptions: { queue: 'events' } })).toBeNull();
+    expect(webhookTransports.validate({ type: 'amqp', url: 'amqp://localhost' })).toMatch(/queue or exchange/);
+    expect(webhookTransports.validate({ type: 'redis', url: 'redis://localhost', transportOptions: { channel: 'a', stream: 'b' } })).toMatch(/exactly one/);
+    expect(webhookTransports.validate({ type: 'smtp', url: 'x' })).toMatch(/Unknown webhook type/);
+    expect(webhookTransports.validate({ type: 'http', url: 'https://example.com', transportOptions: [] })).toMatch(/object/);
+  });
+
+  test('File transport appends JSON lines to the spool directory', async () => {
+    const transport = webhookTransports.get('file');
+    const webhook = { url: 'events.jsonl' };
+
+    await transport.send({ webhook, body: JSON.stringify({ event: 'a' }) });
+    const result = await transport.send({ webhook, body: JSON.stringify({ event: 'b' }) });
+
+    const lines = fs.readFileSync(path.join(spoolDir, 'events.jsonl'), 'utf8').trim().split('\n');
+    expect(lines.map(line => JSON.parse(line).event)).toEqual(['a', 'b']);
+    expect(result.response.file).toBe(path.join(spoolDir, 'events.jsonl'));
+  });
+
+  test('WebSocket transport fails without connected clients', async () => {
+    const transport = webhookTransports.get('websocket');
+    await expect(transport.send({ webhook: { url: 'nobody' }, body: '{}', headers: {} })).rejects.toThrow(/No clients/);
+  });
+
+  test('AMQP transport times out on a broker that never answers', async () => {
+    const channel = {
+      assertQueue: jest.fn(() => new Promise(() => {})),
+      publish: jest.fn(),
+    };
+    amqplib.connect.mockResolvedValue({ on: jest.fn(), close: jest.fn(), createConfirmChannel: async () => channel });
+    const transport = webhookTransports.get('amqp');
+    const delivery = { id: 'delivery1', event: 'message.received' };
+
+    await expect(transport.send({
+      webhook: { url: 'amqp://stalled', transportOptions: { queue: 'events' } }, delivery, body: '{}', headers: {}, timeoutMs: 20,
+    })).rejects.toMatchObject({ code: 'ETIMEDOUT' });
+    await expect(transport.send({
+      webhook: { url: 'amqp://stalled', transportOptions: { exchange: 'whisper' } }, delivery, body: '{}', headers: {}, timeoutMs: 20,
+    })).rejects.toMatchObject({ code: 'ETIMEDOUT' });
+    expect(channel.publish).toHaveBeenCalled();
+
+    await transport.close();
+  });
+
+  test('Custom transports can be registered', async () => {
+    const send = jest.fn().mockResolvedValue({ response: { ok: true } });
+    webhookTransports.register({ name: 'memory', send });
+
+    expect(webhookTransports.validate({ type: 'memory', url: 'anything' })).toBeNull();
+    await webhookTransports.get('memory').send({ body: '{}' });
+    expect(send).toHaveBeenCalled();
+    expect(() => webhookTransports.register({ name: 'broken' })).toThrow();
+  });
+});
@@ -0,0 +1,72 @@
+jest.mock('baileys', () => ({
+  default: jest.fn(),
+  DisconnectReason: {},
+  useMultiFileAuthState: jest.fn(),
+  fetchLatestBaileysVersion: jest.fn(),
+  jidNormalizedUser: (jid) => jid,
+  downloadMediaMessage: jest.fn(),
+}), { virtual: true });
+jest.mock('../src/database/prisma', () => ({}));
+jest.mock('../src/services/messageService', () => ({
+  create: jest.fn(async (data) => ({ id: 'stored1', ...data })),
+  update: jest.fn(async (id, data) => ({ id, ...data })),
+}));
+
+const messageService = require('../src/services/messageService');
+const mediaService = require('../src/services/mediaService');
+const { WhatsAppInstance } = require('../src/services/whatsappInstanceManager.service');
+
+describe('WhatsApp Instance Tests', () => {
+  let instance;
+
+  const incoming = (content) => ({
+    key: { id: 'ABC', remoteJid: '5511987654321@s.whatsapp.net', fromMe: false },
+    pushName: 'Alice',
+    messageTimestamp: 1767000000,
+    message: content,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    instance = new WhatsAppInstance({ id: 'instance1', phone: '628111' });
+    instance.sock = { user: { id: '628111@s.whatsapp.net' } };
+    instance.pluginManager = { executePlugins: jest.fn(async () => {}) };
+    instance.triggerWebhooks = jest.fn(async () => {});
+    jest.spyOn(mediaService, 'downloadAndStore').mockImplementation(async (sock, instanceData, message) => ({
+      ...mediaService.describeMedia(message),
+      mediaPath: '628111/ABC.jpg',
+      mediaStorage: 'local',
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('handleMessagesUpsert', () => {
+    test('Never queue a media download for a text message', async () => {
+      await instance.handleMessagesUpsert({ type: 'notify', messages: [incoming({ conversation: 'hello' })] });
+      await instance.mediaDownloads;
+
+      expect(mediaService.downloadAndStore).not.toHaveBeenCalled();
+      expect(messageService.update).not.toHaveBeenCalled();
+      expect(instance.triggerWebhooks.mock.calls.map(([event]) => event)).toEqual(['message.received']);
+      expect(instance.triggerWebhooks.mock.calls[0][1].media).toBeNull();
+    });
+
+    test('Download media after the message.received webhook and emit message.media', async () => {
+      await instance.handleMessagesUpsert({
+        type: 'notify',
+        messages: [incoming({ imageMessage: { mimetype: 'image/jpeg', fileLength: 1024 } })],
+      });
+
+      expect(instance.triggerWebhooks.mock.calls[0][1].media).toMatchObject({ available: false, pending: true });
+
+      await instance.mediaDownloads;
+
+      expect(messageService.update).toHaveBeenCalledWith('stored1', expect.objectContaining({ mediaPath: '628111/ABC.jpg' }));
+      expect(instance.triggerWebhooks.mock.calls.map(([event]) => event)).toEqual(['message.received', 'message.media']);
+      expect(instance.triggerWebhooks.mock.calls[1][1].media).toMatchObject({ available: true });
+    });
+  });
+});